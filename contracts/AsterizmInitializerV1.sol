@@ -15,8 +15,9 @@ import "./libs/AddressLib.sol";
 import "./libs/UintLib.sol";
 import "./base/AsterizmEnv.sol";
 import "./base/AsterizmConfig.sol";
+import "./base/AsterizmPausableUpgradeable.sol";
 
-contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, IInitializerSender, IInitializerReceiver, AsterizmEnv, AsterizmConfig {
+contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, IInitializerSender, IInitializerReceiver, AsterizmEnv, AsterizmConfig, AsterizmPausableUpgradeable {
 
     using SafeERC20 for IERC20;
     using AddressLib for address;
@@ -77,11 +78,59 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
     /// @param _amount uint  Amount
     event WithdrawTokensEvent(address _tokenAddress, address _targetAddress, uint _amount);
 
+    /// Refund fee overpayment event
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _refundAddress address  Refund address
+    /// @param _amount uint  Refunded amount
+    event RefundFeeEvent(bytes32 _transferHash, address _refundAddress, uint _amount);
+
+    /// Refund fee tokens event
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _clientAddress address  Client address
+    /// @param _feeToken address  Fee token address
+    /// @param _amount uint  Refund amount
+    event RefundFeeTokenEvent(bytes32 _transferHash, address _clientAddress, address _feeToken, uint _amount);
+
+    /// Retry payload delivery event
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _attempts uint  Delivery attempts count (including original delivery)
+    /// @param _success bool  Delivery result
+    event RetryPayloadEvent(bytes32 _transferHash, uint _attempts, bool _success);
+
+    /// Abandon failed payload event
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _attempts uint  Delivery attempts count (including original delivery)
+    event AbandonPayloadEvent(bytes32 _transferHash, uint _attempts);
+
+    /// Relay failover event
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _relayAddress address  Failed relay address (zero address - default translator)
+    /// @param _reason bytes  Error reason
+    event RelayFailoverEvent(bytes32 _transferHash, address _relayAddress, bytes _reason);
+
+    /// Set client backup relays event
+    /// @param _clientAddress address  Client address
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _backupRelayAddresses address[]  Backup relay addresses
+    event SetBackupRelaysEvent(address _clientAddress, uint64 _dstChainId, address[] _backupRelayAddresses);
+
+    struct FailedPayload {
+        uint8 status;
+        uint attempts;
+        IzAsterizmReceiveRequestDto dto;
+    }
+
+    uint8 constant private PAYLOAD_STATUS_DELIVERED = 1;
+    uint8 constant private PAYLOAD_STATUS_FAILED = 2;
+    uint8 constant private PAYLOAD_STATUS_ABANDONED = 3;
+
     ITranslator private translatorLib;
     uint64 private localChainId;
     mapping(uint64 => mapping(uint => bool)) public blockAddresses;
     mapping(bytes32 => bool) private ingoingTransfers;
     mapping(bytes32 => bool) private outgoingTransfers;
+    mapping(bytes32 => FailedPayload) private failedPayloads;
+    mapping(address => mapping(uint64 => address[])) private backupRelays;
 
     /// Initializing function for upgradeable contracts (constructor)
     /// @param _translatorLibrary ITranslator  Translator library address
@@ -100,7 +149,7 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
 
     /// Upgrade implementation address for UUPS logic
     /// @param _newImplementation address  New implementation address
-    function _authorizeUpgrade(address _newImplementation) internal onlyOwner override {}
+    function _authorizeUpgrade(address _newImplementation) internal onlyTimelockOrRole(UPGRADER_ROLE) override {}
 
     /// Only translator modifier
     modifier onlyTranslator() {
@@ -125,7 +174,7 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
 
     /// Set translator
     /// @param _translatorLib ITranslator  Translator library
-    function setTransalor(ITranslator _translatorLib) public onlyOwner {
+    function setTransalor(ITranslator _translatorLib) public onlyTimelock {
         translatorLib = _translatorLib;
         emit SetTranslatorEvent(address(_translatorLib));
     }
@@ -133,7 +182,7 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
     /// Block address
     /// @param _chainId uint64  Chain id
     /// @param _address uint  Address for blocking
-    function addBlockAddress(uint64 _chainId, uint _address) external onlyOwner {
+    function addBlockAddress(uint64 _chainId, uint _address) external onlyRole(BLOCKLIST_OPERATOR_ROLE) {
         blockAddresses[_chainId][_address] = true;
         emit AddBlockAddressEvent(_chainId, _address);
     }
@@ -141,7 +190,7 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
     /// Unblock address
     /// @param _chainId uint64  Chain id
     /// @param _address uint  Address for unblocking
-    function removeBlockAddress(uint64 _chainId, uint _address) external onlyOwner {
+    function removeBlockAddress(uint64 _chainId, uint _address) external onlyRole(BLOCKLIST_OPERATOR_ROLE) {
         delete blockAddresses[_chainId][_address];
         emit RemoveBlockAddressEvent(_chainId, _address);
     }
@@ -149,7 +198,7 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
     /// Withdraw coins
     /// @param _target address  Target address
     /// @param _amount uint  Amount
-    function withdrawCoins(address _target, uint _amount) external onlyOwner {
+    function withdrawCoins(address _target, uint _amount) external onlyRole(TREASURER_ROLE) {
         require(address(this).balance >= _amount, "AsterizmWithdrawal: coins balance not enough");
         (bool success, ) = _target.call{value: _amount}("");
         require(success, "AsterizmWithdrawal: transfer error");
@@ -160,7 +209,7 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
     /// @param _token IERC20  Token address
     /// @param _target address  Target address
     /// @param _amount uint  Amount
-    function withdrawTokens(IERC20 _token, address _target, uint _amount) external onlyOwner {
+    function withdrawTokens(IERC20 _token, address _target, uint _amount) external onlyRole(TREASURER_ROLE) {
         require(_token.balanceOf(address(this)) >= _amount, "AsterizmWithdrawal: coins balance not enough");
         _token.safeTransfer(_target, _amount);
         emit WithdrawTokensEvent(address(_token), _target, _amount);
@@ -180,6 +229,12 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
         return localChainId;
     }
 
+    /// Return translator address
+    /// @return address
+    function getTranslatorAddress() external view returns(address) {
+        return address(translatorLib);
+    }
+
     /// Return chain type by id
     /// @param _chainId  Chain id
     /// @return uint8  Chain type
@@ -187,6 +242,47 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
         return translatorLib.getChainType(_chainId);
     }
 
+    /// Set client backup relays
+    /// Only client or client admin can call this method (client timelock if it is set, client owner otherwise)
+    /// @param _clientAddress address  Client address
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _backupRelays address[]  Backup relays in failover order (zero address - default translator), relays must be trusted
+    function setBackupRelays(address _clientAddress, uint64 _dstChainId, address[] calldata _backupRelays) external {
+        require(msg.sender == _clientAddress || msg.sender == _getClientAdmin(_clientAddress), "AsterizmInitializer: only client or client admin");
+        for (uint i = 0; i < _backupRelays.length; i++) {
+            require(
+                _backupRelays[i] == address(0) || _backupRelays[i] == address(translatorLib) || getRelayData(_backupRelays[i]).externalRelayExists,
+                "AsterizmInitializer: backup relay is not trusted"
+            );
+            for (uint j = 0; j < i; j++) {
+                require(_backupRelays[i] != _backupRelays[j], "AsterizmInitializer: backup relay duplicate");
+            }
+        }
+        backupRelays[_clientAddress][_dstChainId] = _backupRelays;
+        emit SetBackupRelaysEvent(_clientAddress, _dstChainId, _backupRelays);
+    }
+
+    /// Return client admin (client timelock, client owner if timelock is not set or client is not timelocked)
+    /// @param _clientAddress address  Client address
+    /// @return address
+    function _getClientAdmin(address _clientAddress) private view returns(address) {
+        try AsterizmTimelockedUpgradeable(_clientAddress).getTimelock() returns(address timelock) {
+            if (timelock != address(0)) {
+                return timelock;
+            }
+        } catch {}
+
+        return OwnableUpgradeable(_clientAddress).owner();
+    }
+
+    /// Return client backup relays
+    /// @param _clientAddress address  Client address
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @return address[]  Backup relay addresses
+    function getBackupRelays(address _clientAddress, uint64 _dstChainId) external view returns(address[] memory) {
+        return backupRelays[_clientAddress][_dstChainId];
+    }
+
     /// Return fee amount in tokens
     /// @param _relayAddress  Translator address
     /// @param _dto IzInitTransferV2RequestDto  Method DTO
@@ -202,10 +298,84 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
         return ITranslator(_relayAddress).getFeeAmountInTokens(dto);
     }
 
+    /// Return transfer fee quote
+    /// @param _relayAddress address  Relay address (zero address - default translator)
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _clientAddress address  Client address
+    /// @return IzFeeQuoteResponseDto
+    function getFeeQuote(address _relayAddress, uint64 _dstChainId, address _clientAddress) external view returns(IzFeeQuoteResponseDto memory) {
+        TrSendMessageRequestDto memory dto = _buildTrSendMessageRequestDto(_clientAddress.toUint(), _dstChainId, 0, 0, bytes32(0), false);
+        IzFeeQuoteResponseDto memory quoteDto;
+        (quoteDto.nativeFee, , ) = _getFeeAmount(_relayAddress, dto);
+        quoteDto.tokenFee = _relayAddress == address(0)
+            ? translatorLib.getFeeAmountInTokens(dto)
+            : ITranslator(_relayAddress).getFeeAmountInTokens(dto);
+
+        return quoteDto;
+    }
+
+    /// Return native coins fee amount
+    /// External relay fee is system fee with the greatest of relay config fee and relay fee
+    /// @param _relayAddress address  Relay address
+    /// @param _dto TrSendMessageRequestDto  Translator DTO
+    /// @return feeAmount uint  Fee amount
+    /// @return exactFee bool  Relay fee is set on chain (overpayment is refundable)
+    /// @return configDto ConfigDataResponseDto  External relay data (externalRelayExists is false for default translator)
+    function _getFeeAmount(address _relayAddress, TrSendMessageRequestDto memory _dto) private view returns(uint feeAmount, bool exactFee, ConfigDataResponseDto memory configDto) {
+        if (_relayAddress != address(0) && _relayAddress != address(translatorLib)) {
+            configDto = getRelayData(_relayAddress);
+            if (configDto.externalRelayExists) {
+                feeAmount = _getRelayFeeAmount(ITranslator(_relayAddress), _dto);
+                exactFee = feeAmount > 0;
+
+                return (configDto.systemFee + (feeAmount > configDto.externalRelayFee ? feeAmount : configDto.externalRelayFee), exactFee, configDto);
+            }
+        }
+
+        feeAmount = _getRelayFeeAmount(translatorLib, _dto);
+
+        return (feeAmount, feeAmount > 0, configDto);
+    }
+
+    /// Return relay fee amount
+    /// Relays without fee amount method (not upgraded or third-party relays) have no fee set on chain
+    /// @param _relay ITranslator  Relay
+    /// @param _dto TrSendMessageRequestDto  Translator DTO
+    /// @return uint  Fee amount (0 - fee is not set on chain)
+    function _getRelayFeeAmount(ITranslator _relay, TrSendMessageRequestDto memory _dto) private view returns(uint) {
+        try _relay.getFeeAmount(_dto) returns(uint feeAmount) {
+            return feeAmount;
+        } catch {
+            return 0;
+        }
+    }
+
     /// Initiate asterizm transfer
     /// Only clients can call this method
+    /// Transfer is sent with client relay, if relay sending fails (destination chain is not supported, fee is not enough, etc.)
+    /// transfer is sent with client backup relays in order (failed relays are logged with RelayFailoverEvent, errors of the last relay are not caught)
+    /// Fee overpayment (with relay fee surplus returned to initializer) is refunded to client, all value is sent to relay if relay fee is not set on chain
+    /// Fee tokens approved by client are transferred to initializer, tokens not spent by used relay are refunded to client
+    /// @param _dto IzInitTransferV2RequestDto  Method DTO
+    /// @return address  Used relay address (translator address - default translator)
+    function initTransfer(IzInitTransferRequestDto calldata _dto) external payable nonReentrant whenOutboundNotPaused(_dto.dstChainId) returns(address) {
+        return _initTransfer(_dto, msg.sender);
+    }
+
+    /// Initiate asterizm transfer with fee overpayment refund address
+    /// Only clients can call this method
     /// @param _dto IzInitTransferV2RequestDto  Method DTO
-    function initTransfer(IzInitTransferRequestDto calldata _dto) external payable {
+    /// @param _refundAddress address  Fee overpayment refund address (transfer fee payer)
+    /// @return address  Used relay address (translator address - default translator)
+    function initTransferWithRefund(IzInitTransferRequestDto calldata _dto, address _refundAddress) external payable nonReentrant whenOutboundNotPaused(_dto.dstChainId) returns(address) {
+        return _initTransfer(_dto, _refundAddress);
+    }
+
+    /// Initiate asterizm transfer private
+    /// @param _dto IzInitTransferV2RequestDto  Method DTO
+    /// @param _refundAddress address  Fee overpayment refund address
+    /// @return relay address  Used relay address (translator address - default translator)
+    function _initTransfer(IzInitTransferRequestDto calldata _dto, address _refundAddress) private returns(address relay) {
         require(!blockAddresses[localChainId][msg.sender.toUint()], "AsterizmInitializer: sender address is blocked");
         require(!blockAddresses[_dto.dstChainId][_dto.dstAddress], "AsterizmInitializer: target address is blocked");
 
@@ -214,29 +384,99 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
             msg.sender.toUint(), _dto.dstChainId, _dto.dstAddress, _dto.txId, _dto.transferHash, _dto.transferResultNotifyFlag
         );
 
-        address relayAddress = _dto.relay == address(0) ? address(translatorLib) : _dto.relay;
-
-        if (_dto.feeToken != address(0)) { // Token fee logic
-            IERC20 feeToken = IERC20(_dto.feeToken);
-            uint feeTokenAmount = feeToken.allowance(msg.sender, address(this));
+        uint feeTokenAmount;
+        uint feeTokenBalance;
+        if (_dto.feeToken != address(0)) { // Token fee logic, not spent tokens are refunded to client
+            feeTokenBalance = IERC20(_dto.feeToken).balanceOf(address(this));
+            feeTokenAmount = IERC20(_dto.feeToken).allowance(msg.sender, address(this));
             if (feeTokenAmount > 0) {
-                feeToken.transferFrom(msg.sender, address(this), feeTokenAmount);
-                feeToken.approve(relayAddress, feeTokenAmount);
+                IERC20(_dto.feeToken).safeTransferFrom(msg.sender, address(this), feeTokenAmount);
             }
         }
 
-        if (relayAddress != address(translatorLib)) { // External relays logic
-            ConfigDataResponseDto memory configDto = getRelayData(_dto.relay);
-            if (configDto.externalRelayExists) {
-                require(configDto.systemFee + configDto.externalRelayFee <= msg.value, "AsterizmInitializer: fee not enough");
-                ITranslator(_dto.relay).sendMessage{value: msg.value - configDto.systemFee}(dto);
-                translatorLib.logExternalMessage{value: configDto.systemFee}(_dto.relay, dto);
-
-                return;
+        uint balance = address(this).balance - msg.value;
+        address[] storage relays = backupRelays[msg.sender][_dto.dstChainId];
+        address nextRelay = _dto.relay;
+        uint i = 0;
+        for (; i < relays.length; i++) {
+            try this.sendRelayMessage{value: msg.value}(nextRelay, dto, _dto.feeToken, feeTokenAmount) returns(address usedRelay) {
+                relay = usedRelay;
+                break;
+            } catch (bytes memory reason) {
+                emit RelayFailoverEvent(_dto.transferHash, nextRelay, reason);
+                nextRelay = relays[i];
             }
         }
+        if (i == relays.length) {
+            relay = _sendRelayMessage(nextRelay, dto, _dto.feeToken, feeTokenAmount, msg.value);
+        }
+
+        // Not spent value (fee overpayment and relay fee surplus) is refunded
+        uint refundAmount = address(this).balance - balance;
+        if (refundAmount > 0) {
+            (bool success, ) = _refundAddress.call{value: refundAmount}("");
+            require(success, "AsterizmInitializer: refund error");
+            emit RefundFeeEvent(_dto.transferHash, _refundAddress, refundAmount);
+        }
+
+        if (feeTokenAmount > 0) {
+            _refundFeeTokens(_dto.transferHash, IERC20(_dto.feeToken), feeTokenBalance);
+        }
+    }
+
+    /// Refund not spent fee tokens (client approval surplus over used relay token fee) to client
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _feeToken IERC20  Fee token
+    /// @param _balance uint  Initializer fee token balance before transferring tokens from client
+    function _refundFeeTokens(bytes32 _transferHash, IERC20 _feeToken, uint _balance) private {
+        uint refundAmount = _feeToken.balanceOf(address(this)) - _balance;
+        if (refundAmount > 0) {
+            _feeToken.safeTransfer(msg.sender, refundAmount);
+            emit RefundFeeTokenEvent(_transferHash, msg.sender, address(_feeToken), refundAmount);
+        }
+    }
+
+    /// Send transfer message with relay (relays failover logic)
+    /// Only initializer can call this method, sending is reverted with all relay changes on relay error
+    /// @param _relay address  Relay address
+    /// @param _dto TrSendMessageRequestDto  Translator DTO
+    /// @param _feeToken address  Fee token address
+    /// @param _feeTokenAmount uint  Fee token amount
+    /// @return address  Used relay address (translator address - default translator)
+    function sendRelayMessage(address _relay, TrSendMessageRequestDto calldata _dto, address _feeToken, uint _feeTokenAmount) external payable returns(address) {
+        require(msg.sender == address(this), "AsterizmInitializer: only initializer");
+        return _sendRelayMessage(_relay, _dto, _feeToken, _feeTokenAmount, msg.value);
+    }
+
+    /// Send transfer message with relay private
+    /// @param _relay address  Relay address (zero address - default translator)
+    /// @param _dto TrSendMessageRequestDto  Translator DTO
+    /// @param _feeToken address  Fee token address
+    /// @param _feeTokenAmount uint  Fee token amount (approved to relay)
+    /// @param _value uint  Transfer value
+    /// @return relay address  Used relay address (translator address - default translator and not trusted relays)
+    function _sendRelayMessage(address _relay, TrSendMessageRequestDto memory _dto, address _feeToken, uint _feeTokenAmount, uint _value) private returns(address relay) {
+        (uint feeAmount, bool exactFee, ConfigDataResponseDto memory configDto) = _getFeeAmount(_relay, _dto);
+        require(feeAmount <= _value, "AsterizmInitializer: fee not enough");
+        if (!exactFee) {
+            feeAmount = _value;
+        }
+
+        relay = configDto.externalRelayExists ? _relay : address(translatorLib);
+        if (_feeTokenAmount > 0) {
+            IERC20(_feeToken).approve(relay, _feeTokenAmount);
+        }
 
-        translatorLib.sendMessage{value: msg.value}(dto);
+        if (configDto.externalRelayExists) { // External relays logic
+            ITranslator(_relay).sendMessage{value: feeAmount - configDto.systemFee}(_dto);
+            translatorLib.logExternalMessage{value: configDto.systemFee}(_relay, _dto);
+        } else {
+            translatorLib.sendMessage{value: feeAmount}(_dto);
+        }
+
+        if (_feeTokenAmount > 0) { // Not spent approval is reset, tokens are refunded to client
+            IERC20(_feeToken).approve(relay, 0);
+        }
     }
 
     /// Resend failed by fee amount transfer
@@ -268,7 +508,7 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
 
     /// Receive payload from translator
     /// @param _dto IzReceivePayloadRequestDto  Method DTO
-    function receivePayload(IzReceivePayloadRequestDto calldata _dto) external onlyTranslatorOrExternalRelay {
+    function receivePayload(IzReceivePayloadRequestDto calldata _dto) external onlyTranslatorOrExternalRelay whenInboundNotPaused(_dto.srcChainId) {
         require(!blockAddresses[localChainId][_dto.dstAddress], "AsterizmInitializer: target address is blocked");
         require(_dto.dstAddress != address(this).toUint() && _dto.dstAddress != msg.sender.toUint(), "AsterizmInitializer: wrong destination address");
 
@@ -277,14 +517,80 @@ contract AsterizmInitializerV1 is UUPSUpgradeable, ReentrancyGuardUpgradeable, I
             _dto.dstAddress, _dto.txId, _dto.transferHash
         );
 
-        try IClientReceiverContract(_dto.dstAddress.toAddress()).asterizmIzReceive{gas: gasleft()}(dto) {
+        if (!_deliverPayload(dto)) {
+            // Original delivery is the first attempt, retries continue the count
+            FailedPayload storage failedPayload = failedPayloads[_dto.transferHash];
+            failedPayload.status = PAYLOAD_STATUS_FAILED;
+            failedPayload.attempts = 1;
+            failedPayload.dto = dto;
+        }
+
+        outgoingTransfers[_dto.transferHash] = true;
+        emit SentPayloadEvent(_dto.transferHash);
+    }
+
+    /// Retry failed payload delivery
+    /// Only owner or destination client can call this method (after fixing failure cause, e.g. trusted address)
+    /// @param _transferHash bytes32  Transfer hash
+    function retryPayload(bytes32 _transferHash) external nonReentrant {
+        FailedPayload storage failedPayload = failedPayloads[_transferHash];
+        require(failedPayload.status == PAYLOAD_STATUS_FAILED, "AsterizmInitializer: failed payload not exists");
+        require(msg.sender == owner() || msg.sender.toUint() == failedPayload.dto.dstAddress, "AsterizmInitializer: only owner or destination client");
+        require(!blockAddresses[localChainId][failedPayload.dto.dstAddress], "AsterizmInitializer: target address is blocked");
+        _requireNotPaused(failedPayload.dto.srcChainId, false);
+
+        failedPayload.attempts++;
+        bool success = _deliverPayload(failedPayload.dto);
+        if (success) {
+            failedPayload.status = PAYLOAD_STATUS_DELIVERED;
+        }
+
+        emit RetryPayloadEvent(_transferHash, failedPayload.attempts, success);
+    }
+
+    /// Abandon failed payload delivery
+    /// Abandoned payload can't be retried anymore, stored payload data is removed
+    /// Only owner or destination client can call this method
+    /// @param _transferHash bytes32  Transfer hash
+    function abandonPayload(bytes32 _transferHash) external {
+        FailedPayload storage failedPayload = failedPayloads[_transferHash];
+        require(failedPayload.status == PAYLOAD_STATUS_FAILED, "AsterizmInitializer: failed payload not exists");
+        require(msg.sender == owner() || msg.sender.toUint() == failedPayload.dto.dstAddress, "AsterizmInitializer: only owner or destination client");
+
+        failedPayload.status = PAYLOAD_STATUS_ABANDONED;
+        delete failedPayload.dto;
+        emit AbandonPayloadEvent(_transferHash, failedPayload.attempts);
+    }
+
+    /// Return payload delivery status with attempts count
+    /// Attempts count includes original delivery (1 - delivered or failed without retries)
+    /// @param _transferHash bytes32  Transfer hash
+    /// @return IzPayloadDeliveryResponseDto
+    function getPayloadDelivery(bytes32 _transferHash) external view returns(IzPayloadDeliveryResponseDto memory) {
+        IzPayloadDeliveryResponseDto memory dto;
+        if (failedPayloads[_transferHash].attempts > 0) {
+            dto.status = failedPayloads[_transferHash].status;
+            dto.attempts = failedPayloads[_transferHash].attempts;
+        } else if (outgoingTransfers[_transferHash]) {
+            dto.status = PAYLOAD_STATUS_DELIVERED;
+            dto.attempts = 1;
+        }
+
+        return dto;
+    }
+
+    /// Deliver payload to destination client
+    /// @param _dto IzAsterizmReceiveRequestDto  Client receive DTO
+    /// @return bool  Delivery result (PayloadErrorEvent is emitted on failure)
+    function _deliverPayload(IzAsterizmReceiveRequestDto memory _dto) private returns(bool) {
+        try IClientReceiverContract(_dto.dstAddress.toAddress()).asterizmIzReceive{gas: gasleft()}(_dto) {
+            return true;
         } catch Error(string memory _err) {
             emit PayloadErrorEvent(_dto.srcChainId, _dto.srcAddress, _dto.dstChainId, _dto.dstAddress, _dto.transferHash, abi.encode(_err));
         } catch (bytes memory reason) {
             emit PayloadErrorEvent(_dto.srcChainId, _dto.srcAddress, _dto.dstChainId, _dto.dstAddress, _dto.transferHash, reason);
         }
 
-        outgoingTransfers[_dto.transferHash] = true;
-        emit SentPayloadEvent(_dto.transferHash);
+        return false;
     }
 }
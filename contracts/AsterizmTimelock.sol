@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/// Asterizm timelock contract
+/// Executes critical wiring changes and upgrades of timelocked contracts (see AsterizmTimelocked) after delay,
+/// scheduled operations can be canceled before execution (CallScheduled, CallExecuted and Cancelled events are monitored)
+contract AsterizmTimelock is TimelockController {
+
+    /// @param _minDelay uint  Operations delay in seconds (changed with timelocked updateDelay operation)
+    /// @param _proposers address[]  Proposers (they can cancel operations too)
+    /// @param _executors address[]  Executors (zero address - anyone can execute ready operation)
+    /// @param _admin address  Optional roles admin (zero address - roles are managed with timelocked operations)
+    constructor(uint _minDelay, address[] memory _proposers, address[] memory _executors, address _admin)
+        TimelockController(_minDelay, _proposers, _executors, _admin) {}
+}
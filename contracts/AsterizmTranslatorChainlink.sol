@@ -3,6 +3,7 @@ pragma solidity ^0.8.17;
 
 import {SafeMath} from "@openzeppelin/contracts/utils/math/SafeMath.sol";
 import {IERC20, SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
 import {IRouterClient} from "@chainlink/contracts-ccip/src/v0.8/ccip/interfaces/IRouterClient.sol";
 import {OwnerIsCreator} from "@chainlink/contracts-ccip/src/v0.8/shared/access/OwnerIsCreator.sol";
 import {Client} from "@chainlink/contracts-ccip/src/v0.8/ccip/libraries/Client.sol";
@@ -10,13 +11,17 @@ import {CCIPReceiver} from "@chainlink/contracts-ccip/src/v0.8/ccip/applications
 import {LinkTokenInterface} from "@chainlink/contracts/src/v0.8/shared/interfaces/LinkTokenInterface.sol";
 import {IInitializerReceiver} from "./interfaces/IInitializerReceiver.sol";
 import {ITranslator} from "./interfaces/ITranslator.sol";
+import {ITranslatorTokens} from "./interfaces/ITranslatorTokens.sol";
 import {AddressLib} from "./libs/AddressLib.sol";
 import {UintLib} from "./libs/UintLib.sol";
 import {AsterizmEnv} from "./base/AsterizmEnv.sol";
 import {AsterizmChainEnv} from "./base/AsterizmChainEnv.sol";
 import {AsterizmWithdrawal} from "./base/AsterizmWithdrawal.sol";
+import {AsterizmPausable} from "./base/AsterizmPausable.sol";
+import {AsterizmAttestation} from "./base/AsterizmAttestation.sol";
+import {AsterizmTimelocked} from "./base/AsterizmTimelocked.sol";
 
-contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv, AsterizmChainEnv, AsterizmWithdrawal {
+contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, ITranslatorTokens, AsterizmEnv, AsterizmChainEnv, AsterizmWithdrawal, AsterizmPausable, AsterizmAttestation, AsterizmTimelocked {
 
     using SafeERC20 for IERC20;
     using AddressLib for address;
@@ -104,6 +109,37 @@ contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv,
     /// @param _feeAmount uint
     event ResendFailedTransferEvent(bytes32 _transferHash, uint _senderAddress, uint _feeAmount);
 
+    /// Set transfer tokens event
+    /// @param _clientAddress address  Client address
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _tokenAmounts Client.EVMTokenAmount[]  Token amounts
+    event SetTransferTokensEvent(address _clientAddress, bytes32 _transferHash, Client.EVMTokenAmount[] _tokenAmounts);
+
+    /// Forward transfer token event
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _tokenAddress address  Token address
+    /// @param _targetAddress address  Destination client address
+    /// @param _amount uint  Token amount
+    event ForwardTokenEvent(bytes32 _transferHash, address _tokenAddress, address _targetAddress, uint _amount);
+
+    /// Refund CCIP token event
+    /// @param _payloadHash bytes32  Rejected payload hash
+    /// @param _tokenAddress address  Token address
+    /// @param _targetAddress address  Target address
+    /// @param _amount uint  Amount
+    event RefundCcipTokenEvent(bytes32 _payloadHash, address _tokenAddress, address _targetAddress, uint _amount);
+
+    /// Set client fee type event
+    /// @param _clientAddress address  Client address
+    /// @param _feeType uint8  Fee type
+    event SetClientFeeTypeEvent(address _clientAddress, uint8 _feeType);
+
+    /// Set transfer fee type event
+    /// @param _clientAddress address  Client address
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _feeType uint8  Fee type
+    event SetTransferFeeTypeEvent(address _clientAddress, bytes32 _transferHash, uint8 _feeType);
+
     struct Chain {
         bool exists;
         uint8 chainType; // 1 - EVM, 2 - TVM
@@ -114,6 +150,10 @@ contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv,
         bool exists;
     }
 
+    uint8 constant private FEE_TYPE_DEFAULT = 0; // client fee type for transfers, fee token for clients
+    uint8 constant private FEE_TYPE_TOKEN = 1;
+    uint8 constant private FEE_TYPE_NATIVE = 2;
+
     IInitializerReceiver private initializerLib;
     IRouterClient private baseRouter;
     IERC20 private feeToken;
@@ -121,6 +161,11 @@ contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv,
     mapping(uint64 => Chain) public chains;
     uint64 public localChainId;
     uint public baseGasLimit;
+    mapping(bytes32 => bool) private ccipPayloads;
+    mapping(uint => mapping(bytes32 => Client.EVMTokenAmount[])) private transferTokens;
+    mapping(bytes32 => Client.EVMTokenAmount[]) private ccipTokens;
+    mapping(uint => uint8) private clientFeeTypes;
+    mapping(uint => mapping(bytes32 => uint8)) private transferFeeTypes;
 
     /// Constructor
     /// @param _localChainId uint64  Local chain ID
@@ -164,7 +209,7 @@ contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv,
 
     /// Add relayer
     /// @param _relayer address  Relayer address
-    function addRelayer(address _relayer) public onlyOwner {
+    function addRelayer(address _relayer) public onlyTimelock {
         relayers[_relayer].exists = true;
         emit AddRelayerEvent(_relayer);
     }
@@ -176,9 +221,16 @@ contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv,
         emit RemoveRelayerEvent(_relayer);
     }
 
+    /// Return relayer flag
+    /// @param _relayer address  Relayer address
+    /// @return bool
+    function _isRelayer(address _relayer) internal view override returns(bool) {
+        return relayers[_relayer].exists;
+    }
+
     /// Set initializer
     /// @param _initializerReceiver IInitializerReceiver  Initializer contract
-    function setInitializer(IInitializerReceiver _initializerReceiver) public onlyOwner {
+    function setInitializer(IInitializerReceiver _initializerReceiver) public onlyTimelock {
         initializerLib = _initializerReceiver;
         emit SetInitializerEvent(address(_initializerReceiver));
     }
@@ -320,26 +372,47 @@ contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv,
                 localChainId, _dto.srcAddress, _dto.dstChainId, _dto.dstAddress,
                 _dto.txId, _dto.transferResultNotifyFlag, _dto.transferHash
             ),
-            tokenAmounts: new Client.EVMTokenAmount[](0),
+            tokenAmounts: transferTokens[_dto.srcAddress][_dto.transferHash],
             extraArgs: Client._argsToBytes(
                 Client.EVMExtraArgsV1({gasLimit: _gasLimitValue, strict: false})
             ),
-            feeToken: address(feeToken)
+            feeToken: _isNativeFee(_dto.srcAddress, _dto.transferHash) ? address(0) : address(feeToken)
         });
     }
 
+    /// Return CCIP fee amount (in fee tokens or native coins, by transfer fee type)
+    /// @param _dto TrSendMessageRequestDto  Method DTO
+    /// @param _nativeFee bool  Native coins fee flag
+    /// @return uint  Fee amount (0 - fee of other type or local chain transfer)
+    function getCcipFeeAmount(TrSendMessageRequestDto memory _dto, bool _nativeFee) private view returns(uint) {
+        if (_dto.dstChainId == localChainId || _isNativeFee(_dto.srcAddress, _dto.transferHash) != _nativeFee) {
+            return 0;
+        }
+
+        return getFeeAmountInTokenPrivate(buildBaseRouterMessage(_dto, baseGasLimit), _dto.dstChainId);
+    }
+
     /// Return fee amount in tokens
     /// @param _dto TrSendMessageRequestDto  Method DTO
-    /// @return uint  Token fee amount
+    /// @return uint  Token fee amount (0 - CCIP fee is paid in native coins)
     function getFeeAmountInTokens(TrSendMessageRequestDto memory _dto) external view returns(uint) {
-        return getFeeAmountInTokenPrivate(buildBaseRouterMessage(_dto, baseGasLimit), _dto.dstChainId);
+        return getCcipFeeAmount(_dto, false);
+    }
+
+    /// Return fee amount in native coins
+    /// @param _dto TrSendMessageRequestDto  Method DTO
+    /// @return uint  Fee amount (0 - CCIP fee is paid in fee tokens)
+    function getFeeAmount(TrSendMessageRequestDto memory _dto) external view returns(uint) {
+        return getCcipFeeAmount(_dto, true);
     }
 
     /// Send transfer payload
     /// @param _dto TrSendMessageRequestDto  Method DTO
-    function sendMessage(TrSendMessageRequestDto calldata _dto) external payable onlyInitializer {
+    /// CCIP fee in native coins is paid with msg.value, surplus is returned to initializer (initializer refunds it to fee payer)
+    function sendMessage(TrSendMessageRequestDto calldata _dto) external payable onlyInitializer whenOutboundNotPaused(_dto.dstChainId) {
         require(chains[_dto.dstChainId].exists, "TranslatorChainlink: wrong chain id");
-        if (msg.value > 0) {
+        bool nativeFee = _dto.dstChainId != localChainId && _isNativeFee(_dto.srcAddress, _dto.transferHash);
+        if (msg.value > 0 && !nativeFee) {
             (bool success, ) = owner().call{value: msg.value}("");
             require(success, "TranslatorChainlink: transfer error");
         }
@@ -350,24 +423,117 @@ contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv,
         );
         if (_dto.dstChainId == localChainId) {
             TrTransferMessageRequestDto memory dto = _buildTrTransferMessageRequestDto(gasleft(), payload);
+            // Local transfer tokens are not sent (tokens stay on client)
+            delete transferTokens[_dto.srcAddress][_dto.transferHash];
             _internalTransferMessage(dto);
             emit SuccessTransferEvent(_dto.transferHash);
             return;
         }
 
+        require(baseRouter.isChainSupported(chains[_dto.dstChainId].chainSelector), "TranslatorChainlink: chain is not supported");
         Client.EVM2AnyMessage memory chainlinkMessage = buildBaseRouterMessage(_dto, baseGasLimit);
         uint chainlinkFee = getFeeAmountInTokenPrivate(chainlinkMessage, _dto.dstChainId);
-        uint feeTokenAllowance = feeToken.allowance(address(initializerLib), address(this));
-        require(feeTokenAllowance >= chainlinkFee, "TranslatorChainlink: fee token allowance is not enough");
-        if (chainlinkFee > 0) {
-            feeToken.transferFrom(address(initializerLib), address(this), chainlinkFee);
-            feeToken.approve(address(baseRouter), chainlinkFee);
+        if (nativeFee) {
+            require(msg.value >= chainlinkFee, "TranslatorChainlink: fee not enough");
+            if (msg.value > chainlinkFee) {
+                (bool success, ) = msg.sender.call{value: msg.value - chainlinkFee}("");
+                require(success, "TranslatorChainlink: refund error");
+            }
+        } else {
+            uint feeTokenAllowance = feeToken.allowance(address(initializerLib), address(this));
+            require(feeTokenAllowance >= chainlinkFee, "TranslatorChainlink: fee token allowance is not enough");
+            if (chainlinkFee > 0) {
+                feeToken.transferFrom(address(initializerLib), address(this), chainlinkFee);
+                feeToken.approve(address(baseRouter), chainlinkFee);
+            }
         }
 
-        bytes32 messageId = baseRouter.ccipSend(chains[_dto.dstChainId].chainSelector, chainlinkMessage);
+        for (uint i = 0; i < chainlinkMessage.tokenAmounts.length; i++) {
+            IERC20 token = IERC20(chainlinkMessage.tokenAmounts[i].token);
+            token.safeTransferFrom(_dto.srcAddress.toAddress(), address(this), chainlinkMessage.tokenAmounts[i].amount);
+            token.safeIncreaseAllowance(address(baseRouter), chainlinkMessage.tokenAmounts[i].amount);
+        }
+        if (chainlinkMessage.tokenAmounts.length > 0) {
+            delete transferTokens[_dto.srcAddress][_dto.transferHash];
+        }
+
+        bytes32 messageId = baseRouter.ccipSend{value: nativeFee ? chainlinkFee : 0}(chains[_dto.dstChainId].chainSelector, chainlinkMessage);
         emit SendMessageEvent(_dto.transferHash, messageId, payload);
     }
 
+    /// Set transfer tokens
+    /// Tokens are sent with CCIP message of client transfer and forwarded to destination client,
+    /// token amounts are transferred from client (translator allowance) and removed when transfer is sent
+    /// Only client can set its transfer tokens (before initAsterizmTransfer call)
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _tokenAmounts Client.EVMTokenAmount[]  Token amounts (empty - without tokens)
+    function setTransferTokens(bytes32 _transferHash, Client.EVMTokenAmount[] calldata _tokenAmounts) external {
+        Client.EVMTokenAmount[] storage tokenAmounts = transferTokens[msg.sender.toUint()][_transferHash];
+        delete transferTokens[msg.sender.toUint()][_transferHash];
+        for (uint i = 0; i < _tokenAmounts.length; i++) {
+            tokenAmounts.push(_tokenAmounts[i]);
+        }
+
+        emit SetTransferTokensEvent(msg.sender, _transferHash, _tokenAmounts);
+    }
+
+    /// Return transfer tokens
+    /// @param _clientAddress address  Client address
+    /// @param _transferHash bytes32  Transfer hash
+    /// @return Client.EVMTokenAmount[]  Token amounts
+    function getTransferTokens(address _clientAddress, bytes32 _transferHash) external view returns(Client.EVMTokenAmount[] memory) {
+        return transferTokens[_clientAddress.toUint()][_transferHash];
+    }
+
+    /// Set client fee type
+    /// Client transfers CCIP fee is paid in fee tokens (initializer allowance) or in native coins (transfer value)
+    /// @param _clientAddress address  Client address
+    /// @param _feeType uint8  Fee type (0, 1 - fee token, 2 - native coins)
+    function setClientFeeType(address _clientAddress, uint8 _feeType) external {
+        _requireClientOrClientOwner(_clientAddress);
+        require(_feeType <= FEE_TYPE_NATIVE, "TranslatorChainlink: wrong fee type");
+        clientFeeTypes[_clientAddress.toUint()] = _feeType;
+        emit SetClientFeeTypeEvent(_clientAddress, _feeType);
+    }
+
+    /// Set transfer fee type (before initAsterizmTransfer call)
+    /// @param _clientAddress address  Client address
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _feeType uint8  Fee type (0 - client fee type, 1 - fee token, 2 - native coins)
+    function setTransferFeeType(address _clientAddress, bytes32 _transferHash, uint8 _feeType) external {
+        _requireClientOrClientOwner(_clientAddress);
+        require(_feeType <= FEE_TYPE_NATIVE, "TranslatorChainlink: wrong fee type");
+        transferFeeTypes[_clientAddress.toUint()][_transferHash] = _feeType;
+        emit SetTransferFeeTypeEvent(_clientAddress, _transferHash, _feeType);
+    }
+
+    /// Return transfer fee type
+    /// @param _clientAddress address  Client address
+    /// @param _transferHash bytes32  Transfer hash (zero hash - client fee type)
+    /// @return uint8  Fee type (1 - fee token, 2 - native coins)
+    function getFeeType(address _clientAddress, bytes32 _transferHash) external view returns(uint8) {
+        return _isNativeFee(_clientAddress.toUint(), _transferHash) ? FEE_TYPE_NATIVE : FEE_TYPE_TOKEN;
+    }
+
+    /// Return native coins fee flag (transfer fee type, then client fee type)
+    /// @param _clientAddress uint  Client address
+    /// @param _transferHash bytes32  Transfer hash
+    /// @return bool
+    function _isNativeFee(uint _clientAddress, bytes32 _transferHash) private view returns(bool) {
+        uint8 feeType = transferFeeTypes[_clientAddress][_transferHash];
+        if (feeType == FEE_TYPE_DEFAULT) {
+            feeType = clientFeeTypes[_clientAddress];
+        }
+
+        return feeType == FEE_TYPE_NATIVE;
+    }
+
+    /// Require client or client owner sender
+    /// @param _clientAddress address  Client address
+    function _requireClientOrClientOwner(address _clientAddress) private view {
+        require(msg.sender == _clientAddress || msg.sender == Ownable(_clientAddress).owner(), "TranslatorChainlink: only client or client owner");
+    }
+
     /// Log external transfer payload (for external relays logic, method NOT SUPPORTED in Chainlink!)
     /// @param _externalRelayAddress address  External relay address
     /// @param _dto TrSendMessageRequestDto  Method DTO
@@ -397,18 +563,92 @@ contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv,
     }
 
     /// External transfer message (_ccipReceive() is used instead of this method)
+    /// In quorum mode the call is relayer attestation, payload received from CCIP router is transferred
+    /// by the call which reaches attestations threshold
     /// @param _gasLimit uint  Gas limit
     /// @param _payload bytes  Payload
     function transferMessage(uint _gasLimit, bytes calldata _payload) external onlyRelayer {
-        return;
+        if (!_isAttestationEnabled()) {
+            return;
+        }
+
+        bytes32 payloadHash = keccak256(_payload);
+        if (_attestPayload(payloadHash) && ccipPayloads[payloadHash]) {
+            _confirmAttestation(payloadHash);
+            _baseTransferMessage(_buildTrTransferMessageRequestDto(_gasLimit, _payload));
+        }
+    }
+
+    /// Transfer attested message
+    /// Pending payload received from CCIP router is transferred by anyone when its attestations reach current threshold
+    /// (e.g. after threshold lowering or relayers changing)
+    /// @param _payload bytes  Payload
+    function transferAttestedMessage(bytes calldata _payload) external {
+        bytes32 payloadHash = keccak256(_payload);
+        require(ccipPayloads[payloadHash] && _isAttestationQuorum(payloadHash), "TranslatorChainlink: attestations quorum not reached");
+        _confirmAttestation(payloadHash);
+        _baseTransferMessage(_buildTrTransferMessageRequestDto(gasleft(), _payload));
     }
 
     /// CCIP receiver
+    /// In quorum mode payload is transferred only after relayers attestations threshold is reached
+    /// Received tokens are forwarded to destination client with payload
     /// @param _dto Client.Any2EVMMessage  Chainlink message dto
     function _ccipReceive(Client.Any2EVMMessage memory _dto) internal override {
+        bytes32 payloadHash = keccak256(_dto.data);
+        for (uint i = 0; i < _dto.destTokenAmounts.length; i++) {
+            ccipTokens[payloadHash].push(_dto.destTokenAmounts[i]);
+        }
+
+        if (_isAttestationEnabled()) {
+            ccipPayloads[payloadHash] = true;
+            _addPendingAttestation(payloadHash);
+            if (!_isAttestationQuorum(payloadHash)) {
+                return;
+            }
+
+            _confirmAttestation(payloadHash);
+        }
+
         _baseTransferMessage(_buildTrTransferMessageRequestDto(gasleft(), _dto.data));
     }
 
+    /// Return CCIP router payload receiving flag
+    /// @param _payloadHash bytes32  Payload hash
+    /// @return bool
+    function isCcipPayloadReceived(bytes32 _payloadHash) external view returns(bool) {
+        return ccipPayloads[_payloadHash];
+    }
+
+    /// Forward CCIP message tokens to destination client
+    /// @param _payloadHash bytes32  Payload hash
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _targetAddress address  Destination client address
+    function _forwardCcipTokens(bytes32 _payloadHash, bytes32 _transferHash, address _targetAddress) private {
+        Client.EVMTokenAmount[] storage tokenAmounts = ccipTokens[_payloadHash];
+        for (uint i = 0; i < tokenAmounts.length; i++) {
+            IERC20(tokenAmounts[i].token).safeTransfer(_targetAddress, tokenAmounts[i].amount);
+            emit ForwardTokenEvent(_transferHash, tokenAmounts[i].token, _targetAddress, tokenAmounts[i].amount);
+        }
+
+        delete ccipTokens[_payloadHash];
+    }
+
+    /// Refund CCIP message tokens of rejected payload
+    /// Tokens received with payload which didn't reach quorum are kept on translator until refund
+    /// @param _payloadHash bytes32  Payload hash
+    /// @param _targetAddress address  Target address
+    function refundCcipTokens(bytes32 _payloadHash, address _targetAddress) external onlyOwner {
+        require(_isAttestationRejected(_payloadHash), "TranslatorChainlink: payload is not rejected");
+        Client.EVMTokenAmount[] storage tokenAmounts = ccipTokens[_payloadHash];
+        for (uint i = 0; i < tokenAmounts.length; i++) {
+            IERC20(tokenAmounts[i].token).safeTransfer(_targetAddress, tokenAmounts[i].amount);
+            emit RefundCcipTokenEvent(_payloadHash, tokenAmounts[i].token, _targetAddress, tokenAmounts[i].amount);
+        }
+
+        delete ccipTokens[_payloadHash];
+    }
+
     /// Base transfer message
     /// @param _dto TrTransferMessageRequestDto  Method DTO
     function _baseTransferMessage(TrTransferMessageRequestDto memory _dto) private {
@@ -421,9 +661,12 @@ contract AsterizmTranslatorChainlink is CCIPReceiver, ITranslator, AsterizmEnv,
         );
 
         {
+            _requireNotPaused(srcChainId, false);
             require(dstChainId == localChainId, "TranslatorChainlink: wrong chain id");
             require(dstAddress.toAddress().isContract(), "TranslatorChainlink: destination address is non-contract");
 
+            _forwardCcipTokens(keccak256(_dto.payload), transferHash, dstAddress.toAddress());
+
             initializerLib.receivePayload(_buildIzReceivePayloadRequestDto(
                 _buildBaseTransferDirectionDto(srcChainId, srcAddress, localChainId, dstAddress),
                 _dto.gasLimit, txId, transferHash
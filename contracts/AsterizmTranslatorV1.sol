@@ -6,13 +6,17 @@ import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./interfaces/IInitializerReceiver.sol";
+import "./interfaces/IClientSenderContract.sol";
 import "./interfaces/ITranslator.sol";
 import "./libs/AddressLib.sol";
 import "./libs/UintLib.sol";
 import "./base/AsterizmEnv.sol";
 import "./base/AsterizmChainEnv.sol";
+import "./base/AsterizmPausableUpgradeable.sol";
+import "./base/AsterizmAttestationUpgradeable.sol";
+import "./base/AsterizmRolesUpgradeable.sol";
 
-contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslator, AsterizmEnv, AsterizmChainEnv {
+contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslator, AsterizmEnv, AsterizmChainEnv, AsterizmPausableUpgradeable, AsterizmAttestationUpgradeable, AsterizmRolesUpgradeable {
 
     using SafeERC20 for IERC20;
     using AddressLib for address;
@@ -95,18 +99,58 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
     /// Update chain types list event
     event UpdateChainTypesEvent();
 
+    /// Set chain fee event
+    /// @param _chainId uint64  Destination chain ID
+    /// @param _baseFee uint  Base fee
+    /// @param _gasPrice uint  Destination gas price (in local coins)
+    /// @param _gasLimit uint  Destination gas limit
+    /// @param _bytePrice uint  Transfer payload byte price
+    event SetChainFeeEvent(uint64 _chainId, uint _baseFee, uint _gasPrice, uint _gasLimit, uint _bytePrice);
+
+    /// Add fee token event
+    /// @param _tokenAddress address  Fee token address
+    event AddFeeTokenEvent(address _tokenAddress);
+
+    /// Remove fee token event
+    /// @param _tokenAddress address  Fee token address
+    event RemoveFeeTokenEvent(address _tokenAddress);
+
+    /// Set token fee event
+    /// @param _tokenAddress address  Fee token address
+    /// @param _chainId uint64  Destination chain ID
+    /// @param _feeAmount uint  Fee amount in tokens
+    event SetTokenFeeEvent(address _tokenAddress, uint64 _chainId, uint _feeAmount);
+
+    /// Token fee charged event
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _tokenAddress address  Fee token address
+    /// @param _feeAmount uint  Fee amount in tokens
+    event ChargeTokenFeeEvent(bytes32 _transferHash, address _tokenAddress, uint _feeAmount);
+
     struct Chain {
         bool exists;
         uint8 chainType; // 1 - EVM, 2 - TVM
     }
+    struct ChainFee {
+        uint baseFee;
+        uint gasPrice;
+        uint gasLimit;
+        uint bytePrice;
+    }
     struct Relayer {
         bool exists;
     }
+    struct FeeToken {
+        bool exists;
+        mapping(uint64 => uint) chainFees;
+    }
 
     IInitializerReceiver private initializerLib;
     mapping(address => Relayer) private relayers;
     mapping(uint64 => Chain) public chains;
     uint64 public localChainId;
+    mapping(uint64 => ChainFee) public chainFees;
+    mapping(address => FeeToken) private feeTokens;
 
     /// Initializing function for upgradeable contracts (constructor)
     /// @param _localChainId uint64  Local chain ID
@@ -126,7 +170,7 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
 
     /// Upgrade implementation address for UUPS logic
     /// @param _newImplementation address  New implementation address
-    function _authorizeUpgrade(address _newImplementation) internal onlyOwner override {}
+    function _authorizeUpgrade(address _newImplementation) internal onlyTimelockOrRole(UPGRADER_ROLE) override {}
 
     /// Only initializer modifier
     modifier onlyInitializer() {
@@ -148,7 +192,7 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
     /// Withdraw coins
     /// @param _target address  Target address
     /// @param _amount uint  Amount
-    function withdraw(address _target, uint _amount) external onlyOwner {
+    function withdraw(address _target, uint _amount) external onlyRole(TREASURER_ROLE) {
         require(address(this).balance >= _amount, "Translator: coins balance not enough");
         (bool success, ) = _target.call{value: _amount}("");
         require(success, "Translator: transfer error");
@@ -157,21 +201,33 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
 
     /// Add relayer
     /// @param _relayer address  Relayer address
-    function addRelayer(address _relayer) public onlyOwner {
+    function addRelayer(address _relayer) public onlyTimelockOrRole(RELAYER_ADMIN_ROLE) {
         relayers[_relayer].exists = true;
         emit AddRelayerEvent(_relayer);
     }
 
     /// Remove relayer
     /// @param _relayer address  Relayer address
-    function removeRelayer(address _relayer) public onlyOwner {
+    function removeRelayer(address _relayer) public onlyRole(RELAYER_ADMIN_ROLE) {
         delete relayers[_relayer];
         emit RemoveRelayerEvent(_relayer);
     }
 
+    /// Return relayer flag
+    /// @param _relayer address  Relayer address
+    /// @return bool
+    function _isRelayer(address _relayer) internal view override returns(bool) {
+        return relayers[_relayer].exists;
+    }
+
+    /// Check attestation admin (attestation threshold and disagreements are managed by relayer admin)
+    function _checkAttestationAdmin() internal view override {
+        _checkRole(RELAYER_ADMIN_ROLE);
+    }
+
     /// Set initializer
     /// @param _initializerReceiver IInitializerReceiver  Initializer contract
-    function setInitializer(IInitializerReceiver _initializerReceiver) public onlyOwner {
+    function setInitializer(IInitializerReceiver _initializerReceiver) public onlyTimelock {
         initializerLib = _initializerReceiver;
         emit SetInitializerEvent(address(_initializerReceiver));
     }
@@ -179,7 +235,7 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
     /// Add chain
     /// @param _chainId uint64  Chain ID
     /// @param _chainType uint8  Chain type
-    function addChain(uint64 _chainId, uint8 _chainType) public onlyOwner {
+    function addChain(uint64 _chainId, uint8 _chainType) public onlyRole(CHAIN_MANAGER_ROLE) {
         require(_isChainTypeAwailable(_chainType), "Translator: chain type is unavailable");
         chains[_chainId].exists = true;
         chains[_chainId].chainType = _chainType;
@@ -189,7 +245,7 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
     /// Add chains list
     /// @param _chainIds uint64[]  Chain IDs
     /// @param _chainTypes uint8[]  Chain types
-    function addChains(uint64[] calldata _chainIds, uint8[] calldata _chainTypes) public onlyOwner {
+    function addChains(uint64[] calldata _chainIds, uint8[] calldata _chainTypes) public onlyRole(CHAIN_MANAGER_ROLE) {
         for (uint i = 0; i < _chainIds.length; i++) {
             addChain(_chainIds[i], _chainTypes[i]);
         }
@@ -197,7 +253,7 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
 
     /// Remove chain
     /// @param _chainId uint64  Chain ID
-    function removeChainById(uint64 _chainId) public onlyOwner {
+    function removeChainById(uint64 _chainId) public onlyRole(CHAIN_MANAGER_ROLE) {
         require(localChainId != _chainId, "Translator: removing local chain");
         delete chains[_chainId];
         emit RemoveChainEvent(_chainId);
@@ -214,7 +270,7 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
     /// Withdraw coins
     /// @param _target address  Target address
     /// @param _amount uint  Amount
-    function withdrawCoins(address _target, uint _amount) external onlyOwner {
+    function withdrawCoins(address _target, uint _amount) external onlyRole(TREASURER_ROLE) {
         require(address(this).balance >= _amount, "AsterizmWithdrawal: coins balance not enough");
         (bool success, ) = _target.call{value: _amount}("");
         require(success, "AsterizmWithdrawal: transfer error");
@@ -225,18 +281,56 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
     /// @param _token IERC20  Token address
     /// @param _target address  Target address
     /// @param _amount uint  Amount
-    function withdrawTokens(IERC20 _token, address _target, uint _amount) external onlyOwner {
+    function withdrawTokens(IERC20 _token, address _target, uint _amount) external onlyRole(TREASURER_ROLE) {
         require(_token.balanceOf(address(this)) >= _amount, "AsterizmWithdrawal: coins balance not enough");
         _token.safeTransfer(_target, _amount);
         emit WithdrawTokensEvent(address(_token), _target, _amount);
     }
 
     /// Update chain types list
-    function updateChainTypes() external onlyOwner {
+    function updateChainTypes() external onlyRole(CHAIN_MANAGER_ROLE) {
         internalUpdateChainTypesList();
         emit UpdateChainTypesEvent();
     }
 
+    /// Set destination chain fee
+    /// Fee amount: _baseFee + _gasPrice * _gasLimit + _bytePrice * transfer payload length (zero values - fee is not set)
+    /// @param _chainId uint64  Destination chain ID
+    /// @param _baseFee uint  Base fee
+    /// @param _gasPrice uint  Destination gas price (in local coins)
+    /// @param _gasLimit uint  Destination gas limit
+    /// @param _bytePrice uint  Transfer payload byte price
+    function setChainFee(uint64 _chainId, uint _baseFee, uint _gasPrice, uint _gasLimit, uint _bytePrice) external onlyRole(FEE_MANAGER_ROLE) {
+        require(chains[_chainId].exists, "Translator: chain not found");
+        chainFees[_chainId] = ChainFee(_baseFee, _gasPrice, _gasLimit, _bytePrice);
+        emit SetChainFeeEvent(_chainId, _baseFee, _gasPrice, _gasLimit, _bytePrice);
+    }
+
+    /// Add fee token
+    /// @param _token IERC20  Fee token
+    function addFeeToken(IERC20 _token) external onlyRole(FEE_MANAGER_ROLE) {
+        feeTokens[address(_token)].exists = true;
+        emit AddFeeTokenEvent(address(_token));
+    }
+
+    /// Remove fee token (transfers with removed token are sent without token fee)
+    /// @param _token IERC20  Fee token
+    function removeFeeToken(IERC20 _token) external onlyRole(FEE_MANAGER_ROLE) {
+        feeTokens[address(_token)].exists = false;
+        emit RemoveFeeTokenEvent(address(_token));
+    }
+
+    /// Set destination chain fee in tokens
+    /// @param _token IERC20  Fee token
+    /// @param _chainId uint64  Destination chain ID
+    /// @param _feeAmount uint  Fee amount in tokens
+    function setTokenFee(IERC20 _token, uint64 _chainId, uint _feeAmount) external onlyRole(FEE_MANAGER_ROLE) {
+        require(feeTokens[address(_token)].exists, "Translator: fee token not found");
+        require(chains[_chainId].exists, "Translator: chain not found");
+        feeTokens[address(_token)].chainFees[_chainId] = _feeAmount;
+        emit SetTokenFeeEvent(address(_token), _chainId, _feeAmount);
+    }
+
 
     /*******************/
     /** External logic */
@@ -244,7 +338,7 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
 
     /// Update trusted relay fee
     /// @param _fee uint  Relay fee
-    function updateTrustedRelayFee(uint _fee) external onlyOwner {
+    function updateTrustedRelayFee(uint _fee) external onlyRole(FEE_MANAGER_ROLE) {
         initializerLib.updateTrustedRelayFee(_fee);
     }
 
@@ -262,26 +356,90 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
         return chains[_chainId].chainType;
     }
 
-    /// Return fee amount in tokens
+    /// Return fee token flag
+    /// @param _token address  Token address
+    /// @return bool
+    function isFeeToken(address _token) external view returns(bool) {
+        return feeTokens[_token].exists;
+    }
+
+    /// Return destination chain fee in tokens
+    /// @param _token address  Fee token address
+    /// @param _chainId uint64  Destination chain ID
+    /// @return uint  Fee amount in tokens
+    function getTokenFee(address _token, uint64 _chainId) external view returns(uint) {
+        return feeTokens[_token].chainFees[_chainId];
+    }
+
+    /// Return fee amount in tokens (in source client fee token)
     /// @param _dto TrSendMessageRequestDto  Method DTO
     /// @return uint  Token fee amount
-    function getFeeAmountInTokens(TrSendMessageRequestDto calldata _dto) external pure returns(uint) {
-        return 0;
+    function getFeeAmountInTokens(TrSendMessageRequestDto calldata _dto) public view returns(uint) {
+        (, uint feeAmount) = _getTokenFee(_dto);
+
+        return feeAmount;
+    }
+
+    /// Return source client fee token with fee amount
+    /// Fee is not charged in tokens, which are not added to fee tokens list
+    /// @param _dto TrSendMessageRequestDto  Method DTO
+    /// @return address  Fee token address
+    /// @return uint  Fee amount in tokens
+    function _getTokenFee(TrSendMessageRequestDto calldata _dto) private view returns(address, uint) {
+        address clientAddress = _dto.srcAddress.toAddress();
+        if (!clientAddress.isContract()) {
+            return (address(0), 0);
+        }
+
+        try IClientSenderContract(clientAddress).getFeeToken() returns (address tokenAddress) {
+            if (!feeTokens[tokenAddress].exists) {
+                return (address(0), 0);
+            }
+
+            return (tokenAddress, feeTokens[tokenAddress].chainFees[_dto.dstChainId]);
+        } catch {
+            return (address(0), 0);
+        }
+    }
+
+    /// Return fee amount in native coins
+    /// @param _dto TrSendMessageRequestDto  Method DTO
+    /// @return uint  Fee amount (0 - fee is not set on chain)
+    function getFeeAmount(TrSendMessageRequestDto calldata _dto) public view returns(uint) {
+        ChainFee memory fee = chainFees[_dto.dstChainId];
+
+        return fee.baseFee + fee.gasPrice * fee.gasLimit + fee.bytePrice * _buildTransferPayload(_dto).length;
+    }
+
+    /// Build transfer payload
+    /// @param _dto TrSendMessageRequestDto  Method DTO
+    /// @return bytes
+    function _buildTransferPayload(TrSendMessageRequestDto calldata _dto) private view returns(bytes memory) {
+        return abi.encode(
+            localChainId, _dto.srcAddress, _dto.dstChainId, _dto.dstAddress,
+            _dto.txId, _dto.transferResultNotifyFlag, _dto.transferHash
+        );
     }
 
     /// Send transfer payload
+    /// Underpaid transfers are rejected, fee top-ups are sent with resendMessage
     /// @param _dto TrSendMessageRequestDto  Method DTO
-    function sendMessage(TrSendMessageRequestDto calldata _dto) external payable onlyInitializer {
+    function sendMessage(TrSendMessageRequestDto calldata _dto) external payable onlyInitializer whenOutboundNotPaused(_dto.dstChainId) {
         require(chains[_dto.dstChainId].exists, "Translator: wrong chain id");
+        require(msg.value >= getFeeAmount(_dto), "Translator: fee not enough");
         if (msg.value > 0) {
             (bool success, ) = owner().call{value: msg.value}("");
             require(success, "Translator: transfer error");
         }
 
-        bytes memory payload = abi.encode(
-            localChainId, _dto.srcAddress, _dto.dstChainId, _dto.dstAddress,
-            _dto.txId, _dto.transferResultNotifyFlag, _dto.transferHash
-        );
+        (address tokenAddress, uint tokenFeeAmount) = _getTokenFee(_dto);
+        if (tokenFeeAmount > 0) {
+            require(IERC20(tokenAddress).allowance(address(initializerLib), address(this)) >= tokenFeeAmount, "Translator: fee token allowance is not enough");
+            IERC20(tokenAddress).safeTransferFrom(address(initializerLib), address(this), tokenFeeAmount);
+            emit ChargeTokenFeeEvent(_dto.transferHash, tokenAddress, tokenFeeAmount);
+        }
+
+        bytes memory payload = _buildTransferPayload(_dto);
         if (_dto.dstChainId == localChainId) {
             TrTransferMessageRequestDto memory dto = _buildTrTransferMessageRequestDto(gasleft(), payload);
             _internalTransferMessage(dto);
@@ -302,14 +460,7 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
             require(success, "Translator: transfer error");
         }
 
-        emit LogExternalMessageEvent(
-            msg.value,
-            _externalRelayAddress,
-            abi.encode(
-                localChainId, _dto.srcAddress, _dto.dstChainId, _dto.dstAddress,
-                _dto.txId, _dto.transferResultNotifyFlag, _dto.transferHash
-            )
-        );
+        emit LogExternalMessageEvent(msg.value, _externalRelayAddress, _buildTransferPayload(_dto));
     }
 
     /// Resend failed by fee amount transfer
@@ -339,12 +490,32 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
     }
 
     /// External transfer message
+    /// In quorum mode the call is relayer attestation, payload is transferred by the call which reaches attestations threshold
     /// @param _gasLimit uint  Gas limit
     /// @param _payload bytes  Payload
     function transferMessage(uint _gasLimit, bytes calldata _payload) external onlyRelayer {
+        if (_isAttestationEnabled()) {
+            bytes32 payloadHash = keccak256(_payload);
+            if (!_attestPayload(payloadHash)) {
+                return;
+            }
+
+            _confirmAttestation(payloadHash);
+        }
+
         _baseTransferMessage(_buildTrTransferMessageRequestDto(_gasLimit, _payload));
     }
 
+    /// Transfer attested message
+    /// Pending payload is transferred by anyone when its attestations reach current threshold (e.g. after threshold lowering or relayers changing)
+    /// @param _payload bytes  Payload
+    function transferAttestedMessage(bytes calldata _payload) external {
+        bytes32 payloadHash = keccak256(_payload);
+        require(_isAttestationQuorum(payloadHash), "Translator: attestations quorum not reached");
+        _confirmAttestation(payloadHash);
+        _baseTransferMessage(_buildTrTransferMessageRequestDto(gasleft(), _payload));
+    }
+
     /// Base transfer message
     /// @param _dto TrTransferMessageRequestDto  Method DTO
     function _baseTransferMessage(TrTransferMessageRequestDto memory _dto) private {
@@ -357,6 +528,7 @@ contract AsterizmTranslatorV1 is UUPSUpgradeable, OwnableUpgradeable, ITranslato
         );
 
         {
+            _requireNotPaused(srcChainId, false);
             require(dstChainId == localChainId, "Translator: wrong chain id");
             require(dstAddress.toAddress().isContract(), "Translator: destination address is non-contract");
 
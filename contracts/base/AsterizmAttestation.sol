@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+/// Asterizm relayers attestation contract
+/// In quorum mode (non-zero threshold) relayers attest payload hash and payload is delivered
+/// only when threshold of distinct current relayers attested the same payload
+abstract contract AsterizmAttestation is Ownable {
+
+    /// Set attestation threshold event
+    /// @param _threshold uint  Attestations threshold (0 - quorum mode is disabled)
+    event SetAttestationThresholdEvent(uint _threshold);
+
+    /// Attest payload event
+    /// @param _payloadHash bytes32  Payload hash
+    /// @param _relayerAddress address  Relayer address
+    /// @param _attestations uint  Payload attestations count
+    event AttestPayloadEvent(bytes32 _payloadHash, address _relayerAddress, uint _attestations);
+
+    /// Attestation quorum event (payload is delivered)
+    /// @param _payloadHash bytes32  Payload hash
+    /// @param _attestations uint  Payload attestations count
+    event AttestationQuorumEvent(bytes32 _payloadHash, uint _attestations);
+
+    /// Reject attestation event
+    /// @param _payloadHash bytes32  Payload hash
+    event RejectAttestationEvent(bytes32 _payloadHash);
+
+    struct Attestation {
+        uint8 status;
+        address[] relayers;
+        mapping(address => bool) attested;
+    }
+
+    uint private attestationThreshold;
+    mapping(bytes32 => Attestation) private attestations;
+    bytes32[] private pendingPayloadHashes;
+    mapping(bytes32 => uint) private pendingIndexes; // index + 1
+
+    uint8 constant internal ATTESTATION_STATUS_DELIVERED = 1;
+    uint8 constant internal ATTESTATION_STATUS_REJECTED = 2;
+
+    /// Return relayer flag (attestations of removed relayers are not counted)
+    /// @param _relayer address  Relayer address
+    /// @return bool
+    function _isRelayer(address _relayer) internal view virtual returns(bool);
+
+    /// Set attestation threshold
+    /// Pending payloads attested with new threshold are delivered by anyone (transferAttestedMessage translator method)
+    /// @param _threshold uint  Attestations threshold (0 - payload is delivered by any relayer)
+    function setAttestationThreshold(uint _threshold) external onlyOwner {
+        attestationThreshold = _threshold;
+        emit SetAttestationThresholdEvent(_threshold);
+    }
+
+    /// Return attestation threshold
+    /// @return uint
+    function getAttestationThreshold() external view returns(uint) {
+        return attestationThreshold;
+    }
+
+    /// Reject pending payload (disagreement resolution, rejected payload can't be attested and delivered)
+    /// @param _payloadHash bytes32  Payload hash
+    function rejectAttestation(bytes32 _payloadHash) external onlyOwner {
+        require(pendingIndexes[_payloadHash] != 0, "AsterizmAttestation: pending attestation not exists");
+        attestations[_payloadHash].status = ATTESTATION_STATUS_REJECTED;
+        _removePendingAttestation(_payloadHash);
+        emit RejectAttestationEvent(_payloadHash);
+    }
+
+    /// Return payload attestation
+    /// @param _payloadHash bytes32  Payload hash
+    /// @return status uint8  Status (0 - pending or not exists, 1 - delivered, 2 - rejected)
+    /// @return attestationsCount uint  Attestations count of current relayers
+    /// @return relayers address[]  Attested relayers
+    function getAttestation(bytes32 _payloadHash) external view returns(uint8 status, uint attestationsCount, address[] memory relayers) {
+        Attestation storage payloadAttestation = attestations[_payloadHash];
+        return (payloadAttestation.status, _getAttestationsCount(_payloadHash), payloadAttestation.relayers);
+    }
+
+    /// Return pending payload hashes (attested or received payloads without quorum)
+    /// @return bytes32[]
+    function getPendingAttestations() external view returns(bytes32[] memory) {
+        return pendingPayloadHashes;
+    }
+
+    /// Return quorum mode flag
+    /// @return bool
+    function _isAttestationEnabled() internal view returns(bool) {
+        return attestationThreshold > 0;
+    }
+
+    /// Attest payload by sender relayer
+    /// Attestations of delivered payloads are ignored (quorum is reached by other relayers)
+    /// @param _payloadHash bytes32  Payload hash
+    /// @return bool  Quorum is reached
+    function _attestPayload(bytes32 _payloadHash) internal returns(bool) {
+        Attestation storage payloadAttestation = attestations[_payloadHash];
+        if (payloadAttestation.status == ATTESTATION_STATUS_DELIVERED) {
+            return false;
+        }
+
+        require(payloadAttestation.status != ATTESTATION_STATUS_REJECTED, "AsterizmAttestation: payload is rejected");
+        require(!payloadAttestation.attested[msg.sender], "AsterizmAttestation: payload attested already");
+        payloadAttestation.attested[msg.sender] = true;
+        payloadAttestation.relayers.push(msg.sender);
+        _addPendingAttestation(_payloadHash);
+
+        uint attestationsCount = _getAttestationsCount(_payloadHash);
+        emit AttestPayloadEvent(_payloadHash, msg.sender, attestationsCount);
+
+        return attestationsCount >= attestationThreshold;
+    }
+
+    /// Add payload to pending list (delivered and rejected payloads are skipped)
+    /// @param _payloadHash bytes32  Payload hash
+    function _addPendingAttestation(bytes32 _payloadHash) internal {
+        if (pendingIndexes[_payloadHash] != 0 || attestations[_payloadHash].status != 0) {
+            return;
+        }
+
+        pendingPayloadHashes.push(_payloadHash);
+        pendingIndexes[_payloadHash] = pendingPayloadHashes.length;
+    }
+
+    /// Return quorum flag of pending payload (false for not pending payloads)
+    /// @param _payloadHash bytes32  Payload hash
+    /// @return bool
+    function _isAttestationQuorum(bytes32 _payloadHash) internal view returns(bool) {
+        return pendingIndexes[_payloadHash] != 0 && _getAttestationsCount(_payloadHash) >= attestationThreshold;
+    }
+
+    /// Return rejected payload flag
+    /// @param _payloadHash bytes32  Payload hash
+    /// @return bool
+    function _isAttestationRejected(bytes32 _payloadHash) internal view returns(bool) {
+        return attestations[_payloadHash].status == ATTESTATION_STATUS_REJECTED;
+    }
+
+    /// Mark payload as delivered
+    /// @param _payloadHash bytes32  Payload hash
+    function _confirmAttestation(bytes32 _payloadHash) internal {
+        attestations[_payloadHash].status = ATTESTATION_STATUS_DELIVERED;
+        _removePendingAttestation(_payloadHash);
+        emit AttestationQuorumEvent(_payloadHash, _getAttestationsCount(_payloadHash));
+    }
+
+    /// Return attestations count of current relayers
+    /// @param _payloadHash bytes32  Payload hash
+    /// @return count uint
+    function _getAttestationsCount(bytes32 _payloadHash) private view returns(uint count) {
+        address[] storage relayers = attestations[_payloadHash].relayers;
+        for (uint i = 0; i < relayers.length; i++) {
+            if (_isRelayer(relayers[i])) {
+                count++;
+            }
+        }
+    }
+
+    /// Remove payload from pending list
+    /// @param _payloadHash bytes32  Payload hash
+    function _removePendingAttestation(bytes32 _payloadHash) private {
+        uint index = pendingIndexes[_payloadHash];
+        if (index == 0) {
+            return;
+        }
+
+        bytes32 lastPayloadHash = pendingPayloadHashes[pendingPayloadHashes.length - 1];
+        pendingPayloadHashes[index - 1] = lastPayloadHash;
+        pendingIndexes[lastPayloadHash] = index;
+        pendingPayloadHashes.pop();
+        delete pendingIndexes[_payloadHash];
+    }
+}
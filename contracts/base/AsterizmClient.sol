@@ -3,15 +3,19 @@ pragma solidity ^0.8.17;
 
 import "../interfaces/IInitializerSender.sol";
 import "../interfaces/IClientReceiverContract.sol";
+import "../interfaces/ITranslatorTokens.sol";
 import "./AsterizmEnv.sol";
 import "./AsterizmWithdrawal.sol";
 import "../libs/AddressLib.sol";
 import "../libs/UintLib.sol";
 import "../libs/AsterizmHashLib.sol";
 import "./AsterizmRefund.sol";
+import "./AsterizmPausable.sol";
+import "./AsterizmTimelocked.sol";
 
-abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, AsterizmWithdrawal, AsterizmRefund {
+abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, AsterizmWithdrawal, AsterizmRefund, AsterizmPausable, AsterizmTimelocked {
 
+    using SafeERC20 for IERC20;
     using AddressLib for address;
     using UintLib for uint;
     using AsterizmHashLib for bytes;
@@ -24,6 +28,23 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
     /// @param _externalRelayAddress address  External relay address
     event SetExternalRelayEvent(address _externalRelayAddress);
 
+    /// Propose external relay event
+    /// @param _externalRelayAddress address  Current external relay address
+    /// @param _proposedRelayAddress address  Proposed external relay address
+    /// @param _activationTime uint  Proposed relay activation time
+    event ProposeExternalRelayEvent(address _externalRelayAddress, address _proposedRelayAddress, uint _activationTime);
+
+    /// Activate external relay event
+    /// @param _previousRelayAddress address  Previous external relay address
+    /// @param _externalRelayAddress address  Activated external relay address
+    /// @param _resendCutoffTime uint  Previous relay transfers resending cutoff time
+    event ActivateExternalRelayEvent(address _previousRelayAddress, address _externalRelayAddress, uint _resendCutoffTime);
+
+    /// Set relay route event
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _relayAddress address  Relay address (zero address - route is removed)
+    event SetRelayRouteEvent(uint64 _dstChainId, address _relayAddress);
+
     /// Set fee token event
     /// @param _feeTokenAddress address  Fee token address
     event SetFeeTokenEvent(address _feeTokenAddress);
@@ -78,6 +99,7 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
     struct AsterizmTransfer {
         bool successReceive;
         bool successExecute;
+        address relay;
     }
 
     struct AsterizmChain {
@@ -96,7 +118,14 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
     uint private txId;
     uint64 private localChainId;
     IERC20 private feeToken;
+    address private proposedRelay;
+    uint private proposedRelayActivationTime;
+    address private previousRelay;
+    uint private previousRelayResendCutoffTime;
+    mapping(uint64 => address) private relayRoutes;
     uint8 constant private CHAIN_TYPE_SOL = 4;
+    uint constant private EXTERNAL_RELAY_ACTIVATION_DELAY = 2 days;
+    uint constant private EXTERNAL_RELAY_RESEND_PERIOD = 14 days;
 
     /// Initializing function for upgradeable contracts (constructor)
     /// @param _initializerLib IInitializerSender  Initializer library address
@@ -223,12 +252,33 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
         return initializerLib.getChainType(_chainId);
     }
 
-    /// Set external relay address (one-time initiation)
-    /// _externalRelay address  External relay address
-    function setExternalRelay(address _externalRelay) public onlyOwner {
-        require(externalRelay == address(0), "AsterizmClient: relay changing not available");
-        externalRelay = _externalRelay;
-        emit SetExternalRelayEvent(_externalRelay);
+    /// Set external relay address
+    /// Relay is set immediately before the first transfer, after that relay changing is proposed
+    /// and activated after activation delay (new proposal replaces the previous one), timelocked if client timelock is set
+    /// _externalRelay address  External relay address (zero address - default translator)
+    function setExternalRelay(address _externalRelay) public onlyTimelock {
+        if (txId == 0) {
+            externalRelay = _externalRelay;
+            emit SetExternalRelayEvent(_externalRelay);
+            return;
+        }
+
+        proposedRelay = _externalRelay;
+        proposedRelayActivationTime = block.timestamp + EXTERNAL_RELAY_ACTIVATION_DELAY;
+        emit ProposeExternalRelayEvent(externalRelay, _externalRelay, proposedRelayActivationTime);
+    }
+
+    /// Activate proposed external relay
+    /// Outbound transfers are sent with activated relay,
+    /// transfers created with previous relay are resent with it until resend cutoff time (timelocked if client timelock is set)
+    function activateExternalRelay() external onlyTimelock {
+        require(proposedRelayActivationTime != 0 && proposedRelayActivationTime <= block.timestamp, "AsterizmClient: relay not ready");
+        previousRelay = externalRelay;
+        externalRelay = proposedRelay;
+        previousRelayResendCutoffTime = block.timestamp + EXTERNAL_RELAY_RESEND_PERIOD;
+        delete proposedRelay;
+        delete proposedRelayActivationTime;
+        emit ActivateExternalRelayEvent(previousRelay, externalRelay, previousRelayResendCutoffTime);
     }
 
     /// Return external relay
@@ -237,6 +287,45 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
         return externalRelay;
     }
 
+    /// Set destination chain relay route
+    /// Transfers to chain are sent with route relay instead of external relay
+    /// Backup relays of chain are set on initializer (setBackupRelays), relay used for transfer is stored with it
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _relay address  Relay address (zero address - route is removed, translator address - default translator)
+    function setRelayRoute(uint64 _dstChainId, address _relay) external onlyTimelock {
+        relayRoutes[_dstChainId] = _relay;
+        emit SetRelayRouteEvent(_dstChainId, _relay);
+    }
+
+    /// Return destination chain relay (route relay or external relay)
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @return address  Relay address (zero address - default translator)
+    function getRelay(uint64 _dstChainId) external view returns(address) {
+        return _getRelay(_dstChainId);
+    }
+
+    /// Return destination chain relay
+    /// Chains without route use external relay, chain is routed to default translator with translator address route
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @return address  Relay address
+    function _getRelay(uint64 _dstChainId) private view returns(address) {
+        address relay = relayRoutes[_dstChainId];
+
+        return relay != address(0) ? relay : externalRelay;
+    }
+
+    /// Return transfer resending relay
+    /// Transfers are resent with relay they were sent with,
+    /// transfers created with previous external relay are resent with it until resend cutoff time
+    /// (default translator is stored as translator address, transfers without stored relay are resent with external relay)
+    /// @param _transferHash bytes32  Transfer hash
+    /// @return address  Relay address
+    function _getResendRelay(bytes32 _transferHash) private view returns(address) {
+        address relay = outboundTransfers[_transferHash].relay;
+
+        return (relay == previousRelay ? block.timestamp > previousRelayResendCutoffTime : relay == address(0)) ? externalRelay : relay;
+    }
+
     /// Set external relay address (one-time initiation)
     /// _externalRelay IERC20  External relay address
     function setFeeToken(IERC20 _feeToken) public onlyOwner {
@@ -253,7 +342,7 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
     /// Add trusted address
     /// @param _chainId uint64  Chain ID
     /// @param _trustedAddress address  Trusted address
-    function addTrustedAddress(uint64 _chainId, uint _trustedAddress) public onlyOwner {
+    function addTrustedAddress(uint64 _chainId, uint _trustedAddress) public onlyTimelock {
         trustedAddresses[_chainId].exists = true;
         trustedAddresses[_chainId].trustedAddress = _trustedAddress;
         trustedAddresses[_chainId].chainType = initializerLib.getChainType(_chainId);
@@ -264,7 +353,7 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
     /// Add trusted addresses
     /// @param _chainIds uint64[]  Chain IDs
     /// @param _trustedAddresses uint[]  Trusted addresses
-    function addTrustedAddresses(uint64[] calldata _chainIds, uint[] calldata _trustedAddresses) external onlyOwner {
+    function addTrustedAddresses(uint64[] calldata _chainIds, uint[] calldata _trustedAddresses) external onlyTimelock {
         for (uint i = 0; i < _chainIds.length; i++) {
             addTrustedAddress(_chainIds[i], _trustedAddresses[i]);
         }
@@ -353,7 +442,7 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
     /// Generate event for client server
     /// @param _dstChainId uint64  Destination chain ID
     /// @param _payload bytes  Payload
-    function _initAsterizmTransferEvent(uint64 _dstChainId, bytes memory _payload) internal returns(bytes32) {
+    function _initAsterizmTransferEvent(uint64 _dstChainId, bytes memory _payload) internal whenOutboundNotPaused(_dstChainId) returns(bytes32) {
         require(trustedAddresses[_dstChainId].exists, "AsterizmClient: trusted address not found");
         uint id = txId++;
         bytes32 transferHash = _buildTransferHash(_getLocalChainId(), address(this).toUint(), _dstChainId, trustedAddresses[_dstChainId].trustedAddress, id, _payload);
@@ -363,12 +452,32 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
         return transferHash;
     }
 
+    /// Set transfer tokens (tokens are sent with transfer by relay supporting tokens, e.g. Chainlink translator)
+    /// Tokens are approved to destination chain relay and transferred from client when transfer is sent,
+    /// call it after transfer initiation event (transfer with tokens is reverted if it is sent with other relay, e.g. client backup relay)
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _tokenAmounts Client.EVMTokenAmount[]  Token amounts
+    function _setTransferTokens(uint64 _dstChainId, bytes32 _transferHash, Client.EVMTokenAmount[] memory _tokenAmounts) internal {
+        address relay = _getRelay(_dstChainId);
+        if (relay == address(0)) {
+            relay = initializerLib.getTranslatorAddress();
+        }
+
+        for (uint i = 0; i < _tokenAmounts.length; i++) {
+            IERC20(_tokenAmounts[i].token).safeIncreaseAllowance(relay, _tokenAmounts[i].amount);
+        }
+
+        ITranslatorTokens(relay).setTransferTokens(_transferHash, _tokenAmounts);
+        outboundTransfers[_transferHash].relay = _tokenAmounts.length > 0 ? relay : address(0);
+    }
+
     /// External initiation transfer
     /// This function needs for external initiating non-encoded payload transfer
     /// @param _dstChainId uint64  Destination chain ID
     /// @param _transferHash bytes32  Transfer hash
     /// @param _txId uint  Transaction ID
-    function initAsterizmTransfer(uint64 _dstChainId, uint _txId, bytes32 _transferHash) external payable onlySender nonReentrant {
+    function initAsterizmTransfer(uint64 _dstChainId, uint _txId, bytes32 _transferHash) external payable onlySender nonReentrant whenOutboundNotPaused(_dstChainId) {
         require(trustedAddresses[_dstChainId].exists, "AsterizmClient: trusted address not found");
         ClInitTransferRequestDto memory dto = _buildClInitTransferRequestDto(_dstChainId, trustedAddresses[_dstChainId].trustedAddress, _txId, _transferHash, msg.value);
         _initAsterizmTransferPrivate(dto);
@@ -376,6 +485,7 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
 
     /// Private initiation transfer
     /// This function needs for internal initiating non-encoded payload transfer
+    /// Fee overpayment is refunded to transfer initiator (transfer fee payer)
     /// @param _dto ClInitTransferRequestDto  Init transfer DTO
     function _initAsterizmTransferPrivate(ClInitTransferRequestDto memory _dto) private
         onlyExistsOutboundTransfer(_dto.transferHash)
@@ -385,21 +495,25 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
         require(address(this).balance >= _dto.feeAmount, "AsterizmClient: contract balance is not enough");
         require(_dto.txId <= _getTxId(), "AsterizmClient: wrong txId param");
 
+        address relay = _getRelay(_dto.dstChainId);
         IzInitTransferRequestDto memory initDto = _buildIzInitTransferRequestDto(
             _dto.dstChainId, _dto.dstAddress, _dto.txId, _dto.transferHash,
-            externalRelay, notifyTransferSendingResult, address(feeToken)
+            relay, notifyTransferSendingResult, address(feeToken)
         );
 
         if (address(feeToken) != address(0)) { // Token fee logic
-            uint feeAmountInToken = initializerLib.getFeeAmountInTokens(externalRelay, initDto);
+            uint feeAmountInToken = initializerLib.getFeeAmountInTokens(relay, initDto);
             if (feeAmountInToken > 0) {
                 require(feeToken.balanceOf(address(this)) >= feeAmountInToken, "AsterizmClient: fee token balance is not enough");
                 feeToken.approve(address(initializerLib), feeAmountInToken);
             }
         }
 
-        initializerLib.initTransfer{value: _dto.feeAmount} (initDto);
+        // Transfer tokens relay (set with transfer tokens) must be used for transfer
+        address tokensRelay = outboundTransfers[_dto.transferHash].relay;
         outboundTransfers[_dto.transferHash].successExecute = true;
+        outboundTransfers[_dto.transferHash].relay = initializerLib.initTransferWithRefund{value: _dto.feeAmount} (initDto, msg.sender);
+        require(tokensRelay == address(0) || outboundTransfers[_dto.transferHash].relay == tokensRelay, "AsterizmClient: transfer tokens relay is not used");
     }
 
     /// Resend failed by fee amount transfer
@@ -409,7 +523,7 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
         onlyExistsOutboundTransfer(_transferHash)
         onlyExecutedOutboundTransfer(_transferHash)
     {
-        initializerLib.resendTransfer{value: msg.value}(_transferHash, externalRelay);
+        initializerLib.resendTransfer{value: msg.value}(_transferHash, _getResendRelay(_transferHash));
         emit ResendAsterizmTransferEvent(_transferHash, msg.value);
     }
 
@@ -434,6 +548,7 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
     /// @param _dto IzAsterizmReceiveRequestDto  Method DTO
     function _asterizmReceiveExternal(IzAsterizmReceiveRequestDto calldata _dto) private
         onlyOwnerOrInitializer
+        whenInboundNotPaused(_dto.srcChainId)
         onlyTrustedAddress(_dto.srcChainId, _dto.srcAddress)
         onlyNonExecuted(_dto.transferHash)
         onlyNotRefundedTransferOnDstChain(_dto.transferHash)
@@ -457,12 +572,20 @@ abstract contract AsterizmClient is IClientReceiverContract, AsterizmEnv, Asteri
     /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
     function _asterizmReceiveInternal(ClAsterizmReceiveRequestDto memory _dto) private
         onlyReceivedTransfer(_dto.transferHash)
+        whenInboundNotPaused(_dto.srcChainId)
         onlyTrustedAddress(_dto.srcChainId, _dto.srcAddress)
         onlyTrustedTransfer(_dto.transferHash)
         onlyNonExecuted(_dto.transferHash)
         onlyValidTransferHash(_dto)
         onlyNotRefundedTransferOnDstChain(_dto.transferHash)
     {
+        _executeAsterizmTransfer(_dto);
+    }
+
+    /// Execute validated transfer
+    /// Override it for custom execution logic (see AsterizmOrderedClient)
+    /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
+    function _executeAsterizmTransfer(ClAsterizmReceiveRequestDto memory _dto) internal virtual {
         _asterizmReceive(_dto);
         inboundTransfers[_dto.transferHash].successExecute = true;
     }
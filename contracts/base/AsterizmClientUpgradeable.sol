@@ -4,15 +4,19 @@ pragma solidity ^0.8.17;
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "../interfaces/IInitializerSender.sol";
 import "../interfaces/IClientReceiverContract.sol";
+import "../interfaces/ITranslatorTokens.sol";
 import "./AsterizmEnv.sol";
 import "./AsterizmWithdrawalUpgradeable.sol";
 import "../libs/AddressLib.sol";
 import "../libs/UintLib.sol";
 import "../libs/AsterizmHashLib.sol";
 import "./AsterizmRefundUpgradeable.sol";
+import "./AsterizmPausableUpgradeable.sol";
+import "./AsterizmTimelockedUpgradeable.sol";
 
-abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverContract, AsterizmEnv, AsterizmWithdrawalUpgradeable, AsterizmRefundUpgradeable {
+abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverContract, AsterizmEnv, AsterizmWithdrawalUpgradeable, AsterizmRefundUpgradeable, AsterizmPausableUpgradeable, AsterizmTimelockedUpgradeable {
 
+    using SafeERC20 for IERC20;
     using AddressLib for address;
     using UintLib for uint;
     using AsterizmHashLib for bytes;
@@ -25,6 +29,23 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
     /// @param _externalRelayAddress address  External relay address
     event SetExternalRelayEvent(address _externalRelayAddress);
 
+    /// Propose external relay event
+    /// @param _externalRelayAddress address  Current external relay address
+    /// @param _proposedRelayAddress address  Proposed external relay address
+    /// @param _activationTime uint  Proposed relay activation time
+    event ProposeExternalRelayEvent(address _externalRelayAddress, address _proposedRelayAddress, uint _activationTime);
+
+    /// Activate external relay event
+    /// @param _previousRelayAddress address  Previous external relay address
+    /// @param _externalRelayAddress address  Activated external relay address
+    /// @param _resendCutoffTime uint  Previous relay transfers resending cutoff time
+    event ActivateExternalRelayEvent(address _previousRelayAddress, address _externalRelayAddress, uint _resendCutoffTime);
+
+    /// Set relay route event
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _relayAddress address  Relay address (zero address - route is removed)
+    event SetRelayRouteEvent(uint64 _dstChainId, address _relayAddress);
+
     /// Set fee token event
     /// @param _feeTokenAddress address  Fee token address
     event SetFeeTokenEvent(address _feeTokenAddress);
@@ -79,6 +100,7 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
     struct AsterizmTransfer {
         bool successReceive;
         bool successExecute;
+        address relay;
     }
 
     struct AsterizmChain {
@@ -99,11 +121,26 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
     IERC20 private feeToken;
     uint8 constant private CHAIN_TYPE_SOL = 4;
 
+    struct RelayStorage {
+        address proposedRelay;
+        uint activationTime;
+        address previousRelay;
+        uint resendCutoffTime;
+        mapping(uint64 => address) relayRoutes;
+    }
+
+    /// Relay migration state is stored in separate slot (storage layout of deployed clients is not changed)
+    /// keccak256(abi.encode(uint(keccak256("asterizm.storage.AsterizmClientRelay")) - 1)) & ~bytes32(uint(0xff))
+    bytes32 constant private RELAY_STORAGE_LOCATION = 0x1fa207e2d51f0beb29a7efb80a003d9ebcc91d67773e9fb917b44ddbb0c1c000;
+    uint constant private EXTERNAL_RELAY_ACTIVATION_DELAY = 2 days;
+    uint constant private EXTERNAL_RELAY_RESEND_PERIOD = 14 days;
+
     /// Initializing function for upgradeable contracts (constructor)
+    /// Called from client initialize function only (not callable externally, it keeps clients bytecode under size limit)
     /// @param _initializerLib IInitializerSender  Initializer library address
     /// @param _notifyTransferSendingResult bool  Transfer sending result notification flag
     /// @param _disableHashValidation bool  Disable hash validation flag
-    function __AsterizmClientUpgradeable_init(IInitializerSender _initializerLib, bool _notifyTransferSendingResult, bool _disableHashValidation) initializer public {
+    function __AsterizmClientUpgradeable_init(IInitializerSender _initializerLib, bool _notifyTransferSendingResult, bool _disableHashValidation) internal onlyInitializing {
         __Ownable_init();
         __ReentrancyGuard_init();
         __UUPSUpgradeable_init();
@@ -118,7 +155,7 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
 
     /// Upgrade implementation address for UUPS logic
     /// @param _newImplementation address  New implementation address
-    function _authorizeUpgrade(address _newImplementation) internal onlyOwner override {}
+    function _authorizeUpgrade(address _newImplementation) internal onlyTimelock override {}
 
     /// Only initializer modifier
     modifier onlyInitializer {
@@ -197,6 +234,14 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
 
     /** Internal logic */
 
+    /// Return relay storage
+    /// @return relayStorage RelayStorage
+    function _getRelayStorage() private pure returns(RelayStorage storage relayStorage) {
+        assembly {
+            relayStorage.slot := RELAY_STORAGE_LOCATION
+        }
+    }
+
     /// Set initizlizer library
     /// _initializerLib IInitializerSender  Initializer library
     function _setInitializer(IInitializerSender _initializerLib) private {
@@ -232,12 +277,36 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
         return initializerLib.getChainType(_chainId);
     }
 
-    /// Set external relay address (one-time initiation)
-    /// _externalRelay address  External relay address
-    function setExternalRelay(address _externalRelay) public onlyOwner {
-        require(externalRelay == address(0), "AsterizmClient: relay changing not available");
-        externalRelay = _externalRelay;
-        emit SetExternalRelayEvent(_externalRelay);
+    /// Set external relay address
+    /// Relay is set immediately before the first transfer, after that relay changing is proposed
+    /// and activated after activation delay (new proposal replaces the previous one), timelocked if client timelock is set
+    /// _externalRelay address  External relay address (zero address - default translator)
+    function setExternalRelay(address _externalRelay) public onlyTimelock {
+        if (txId == 0) {
+            externalRelay = _externalRelay;
+            emit SetExternalRelayEvent(_externalRelay);
+            return;
+        }
+
+        RelayStorage storage relayStorage = _getRelayStorage();
+        relayStorage.proposedRelay = _externalRelay;
+        relayStorage.activationTime = block.timestamp + EXTERNAL_RELAY_ACTIVATION_DELAY;
+        emit ProposeExternalRelayEvent(externalRelay, _externalRelay, relayStorage.activationTime);
+    }
+
+    /// Activate proposed external relay
+    /// Outbound transfers are sent with activated relay,
+    /// transfers created with previous relay are resent with it until resend cutoff time (timelocked if client timelock is set)
+    function activateExternalRelay() external onlyTimelock {
+        RelayStorage storage relayStorage = _getRelayStorage();
+        require(relayStorage.activationTime != 0 && relayStorage.activationTime <= block.timestamp, "AsterizmClient: relay not ready");
+        address previousRelay = externalRelay;
+        externalRelay = relayStorage.proposedRelay;
+        relayStorage.previousRelay = previousRelay;
+        relayStorage.resendCutoffTime = block.timestamp + EXTERNAL_RELAY_RESEND_PERIOD;
+        delete relayStorage.proposedRelay;
+        delete relayStorage.activationTime;
+        emit ActivateExternalRelayEvent(previousRelay, externalRelay, relayStorage.resendCutoffTime);
     }
 
     /// Return external relay
@@ -246,6 +315,46 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
         return externalRelay;
     }
 
+    /// Set destination chain relay route
+    /// Transfers to chain are sent with route relay instead of external relay
+    /// Backup relays of chain are set on initializer (setBackupRelays), relay used for transfer is stored with it
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _relay address  Relay address (zero address - route is removed, translator address - default translator)
+    function setRelayRoute(uint64 _dstChainId, address _relay) external onlyTimelock {
+        _getRelayStorage().relayRoutes[_dstChainId] = _relay;
+        emit SetRelayRouteEvent(_dstChainId, _relay);
+    }
+
+    /// Return destination chain relay (route relay or external relay)
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @return address  Relay address (zero address - default translator)
+    function getRelay(uint64 _dstChainId) external view returns(address) {
+        return _getRelay(_dstChainId);
+    }
+
+    /// Return destination chain relay
+    /// Chains without route use external relay, chain is routed to default translator with translator address route
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @return address  Relay address
+    function _getRelay(uint64 _dstChainId) private view returns(address) {
+        address relay = _getRelayStorage().relayRoutes[_dstChainId];
+
+        return relay != address(0) ? relay : externalRelay;
+    }
+
+    /// Return transfer resending relay
+    /// Transfers are resent with relay they were sent with,
+    /// transfers created with previous external relay are resent with it until resend cutoff time
+    /// (default translator is stored as translator address, transfers without stored relay are resent with external relay)
+    /// @param _transferHash bytes32  Transfer hash
+    /// @return address  Relay address
+    function _getResendRelay(bytes32 _transferHash) private view returns(address) {
+        RelayStorage storage relayStorage = _getRelayStorage();
+        address relay = outboundTransfers[_transferHash].relay;
+
+        return (relay == relayStorage.previousRelay ? block.timestamp > relayStorage.resendCutoffTime : relay == address(0)) ? externalRelay : relay;
+    }
+
     /// Set external relay address (one-time initiation)
     /// _feeToken IERC20  External relay address
     function setFeeToken(IERC20 _feeToken) public onlyOwner {
@@ -262,7 +371,7 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
     /// Add trusted address
     /// @param _chainId uint64  Chain ID
     /// @param _trustedAddress address  Trusted address
-    function addTrustedAddress(uint64 _chainId, uint _trustedAddress) public onlyOwner {
+    function addTrustedAddress(uint64 _chainId, uint _trustedAddress) public onlyTimelock {
         trustedAddresses[_chainId].exists = true;
         trustedAddresses[_chainId].trustedAddress = _trustedAddress;
         trustedAddresses[_chainId].chainType = initializerLib.getChainType(_chainId);
@@ -273,7 +382,7 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
     /// Add trusted addresses
     /// @param _chainIds uint64[]  Chain IDs
     /// @param _trustedAddresses uint[]  Trusted addresses
-    function addTrustedAddresses(uint64[] calldata _chainIds, uint[] calldata _trustedAddresses) external onlyOwner {
+    function addTrustedAddresses(uint64[] calldata _chainIds, uint[] calldata _trustedAddresses) external onlyTimelock {
         for (uint i = 0; i < _chainIds.length; i++) {
             addTrustedAddress(_chainIds[i], _trustedAddresses[i]);
         }
@@ -362,7 +471,7 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
     /// Generate event for client server
     /// @param _dstChainId uint64  Destination chain ID
     /// @param _payload bytes  Payload
-    function _initAsterizmTransferEvent(uint64 _dstChainId, bytes memory _payload) internal returns(bytes32) {
+    function _initAsterizmTransferEvent(uint64 _dstChainId, bytes memory _payload) internal whenOutboundNotPaused(_dstChainId) returns(bytes32) {
         require(trustedAddresses[_dstChainId].exists, "AsterizmClient: trusted address not found");
         uint id = txId++;
         bytes32 transferHash = _buildTransferHash(_getLocalChainId(), address(this).toUint(), _dstChainId, trustedAddresses[_dstChainId].trustedAddress, id, _payload);
@@ -372,12 +481,32 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
         return transferHash;
     }
 
+    /// Set transfer tokens (tokens are sent with transfer by relay supporting tokens, e.g. Chainlink translator)
+    /// Tokens are approved to destination chain relay and transferred from client when transfer is sent,
+    /// call it after transfer initiation event (transfer with tokens is reverted if it is sent with other relay, e.g. client backup relay)
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _tokenAmounts Client.EVMTokenAmount[]  Token amounts
+    function _setTransferTokens(uint64 _dstChainId, bytes32 _transferHash, Client.EVMTokenAmount[] memory _tokenAmounts) internal {
+        address relay = _getRelay(_dstChainId);
+        if (relay == address(0)) {
+            relay = initializerLib.getTranslatorAddress();
+        }
+
+        for (uint i = 0; i < _tokenAmounts.length; i++) {
+            IERC20(_tokenAmounts[i].token).safeIncreaseAllowance(relay, _tokenAmounts[i].amount);
+        }
+
+        ITranslatorTokens(relay).setTransferTokens(_transferHash, _tokenAmounts);
+        outboundTransfers[_transferHash].relay = _tokenAmounts.length > 0 ? relay : address(0);
+    }
+
     /// External initiation transfer
     /// This function needs for external initiating non-encoded payload transfer
     /// @param _dstChainId uint64  Destination chain ID
     /// @param _transferHash bytes32  Transfer hash
     /// @param _txId uint  Transaction ID
-    function initAsterizmTransfer(uint64 _dstChainId, uint _txId, bytes32 _transferHash) external payable onlySender nonReentrant {
+    function initAsterizmTransfer(uint64 _dstChainId, uint _txId, bytes32 _transferHash) external payable onlySender nonReentrant whenOutboundNotPaused(_dstChainId) {
         require(trustedAddresses[_dstChainId].exists, "AsterizmClient: trusted address not found");
         ClInitTransferRequestDto memory dto = _buildClInitTransferRequestDto(_dstChainId, trustedAddresses[_dstChainId].trustedAddress, _txId, _transferHash, msg.value);
         _initAsterizmTransferPrivate(dto);
@@ -385,6 +514,7 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
 
     /// Private initiation transfer
     /// This function needs for internal initiating non-encoded payload transfer
+    /// Fee overpayment is refunded to transfer initiator (transfer fee payer)
     /// @param _dto ClInitTransferRequestDto  Init transfer DTO
     function _initAsterizmTransferPrivate(ClInitTransferRequestDto memory _dto) private
         onlyExistsOutboundTransfer(_dto.transferHash)
@@ -394,21 +524,25 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
         require(address(this).balance >= _dto.feeAmount, "AsterizmClient: contract balance is not enough");
         require(_dto.txId <= _getTxId(), "AsterizmClient: wrong txId param");
 
+        address relay = _getRelay(_dto.dstChainId);
         IzInitTransferRequestDto memory initDto = _buildIzInitTransferRequestDto(
             _dto.dstChainId, _dto.dstAddress, _dto.txId, _dto.transferHash,
-            externalRelay, notifyTransferSendingResult, address(feeToken)
+            relay, notifyTransferSendingResult, address(feeToken)
         );
 
         if (address(feeToken) != address(0)) {
-            uint feeAmountInToken = initializerLib.getFeeAmountInTokens(externalRelay, initDto);
+            uint feeAmountInToken = initializerLib.getFeeAmountInTokens(relay, initDto);
             if (feeAmountInToken > 0) {
                 require(feeToken.balanceOf(address(this)) >= feeAmountInToken, "AsterizmClient: fee token balance is not enough");
                 feeToken.approve(address(initializerLib), feeAmountInToken);
             }
         }
 
-        initializerLib.initTransfer{value: _dto.feeAmount} (initDto);
+        // Transfer tokens relay (set with transfer tokens) must be used for transfer
+        address tokensRelay = outboundTransfers[_dto.transferHash].relay;
         outboundTransfers[_dto.transferHash].successExecute = true;
+        outboundTransfers[_dto.transferHash].relay = initializerLib.initTransferWithRefund{value: _dto.feeAmount} (initDto, msg.sender);
+        require(tokensRelay == address(0) || outboundTransfers[_dto.transferHash].relay == tokensRelay, "AsterizmClient: transfer tokens relay is not used");
     }
 
     /// Resend failed by fee amount transfer
@@ -418,7 +552,7 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
         onlyExistsOutboundTransfer(_transferHash)
         onlyExecutedOutboundTransfer(_transferHash)
     {
-        initializerLib.resendTransfer{value: msg.value}(_transferHash, externalRelay);
+        initializerLib.resendTransfer{value: msg.value}(_transferHash, _getResendRelay(_transferHash));
         emit ResendAsterizmTransferEvent(_transferHash, msg.value);
     }
 
@@ -443,6 +577,7 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
     /// @param _dto IzAsterizmReceiveRequestDto  Method DTO
     function _asterizmReceiveExternal(IzAsterizmReceiveRequestDto calldata _dto) private
         onlyOwnerOrInitializer
+        whenInboundNotPaused(_dto.srcChainId)
         onlyTrustedAddress(_dto.srcChainId, _dto.srcAddress)
         onlyNonExecuted(_dto.transferHash)
         onlyNotRefundedTransferOnDstChain(_dto.transferHash)
@@ -466,12 +601,20 @@ abstract contract AsterizmClientUpgradeable is UUPSUpgradeable, IClientReceiverC
     /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
     function _asterizmReceiveInternal(ClAsterizmReceiveRequestDto memory _dto) private
         onlyReceivedTransfer(_dto.transferHash)
+        whenInboundNotPaused(_dto.srcChainId)
         onlyTrustedAddress(_dto.srcChainId, _dto.srcAddress)
         onlyTrustedTransfer(_dto.transferHash)
         onlyNonExecuted(_dto.transferHash)
         onlyValidTransferHash(_dto)
         onlyNotRefundedTransferOnDstChain(_dto.transferHash)
     {
+        _executeAsterizmTransfer(_dto);
+    }
+
+    /// Execute validated transfer
+    /// Override it for custom execution logic (see AsterizmOrderedClient)
+    /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
+    function _executeAsterizmTransfer(ClAsterizmReceiveRequestDto memory _dto) internal virtual {
         _asterizmReceive(_dto);
         inboundTransfers[_dto.transferHash].successExecute = true;
     }
@@ -1,11 +1,11 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.17;
 
-import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "./AsterizmRolesUpgradeable.sol";
 import "../interfaces/IConfig.sol";
 
 /// Asterizm config contract
-abstract contract AsterizmConfig is OwnableUpgradeable, IConfig {
+abstract contract AsterizmConfig is AsterizmRolesUpgradeable, IConfig {
 
     /// Set initializer event
     /// @param _address address  Initializer address
@@ -44,7 +44,7 @@ abstract contract AsterizmConfig is OwnableUpgradeable, IConfig {
     /// @param _relayAddress address  Relay address
     /// @param _fee uint  Relay fee
     /// @param _systemFee uint  System fee
-    function manageTrustedRelay(address _relayAddress, uint _fee, uint _systemFee) external onlyOwner {
+    function manageTrustedRelay(address _relayAddress, uint _fee, uint _systemFee) external onlyTimelockOrRole(RELAYER_ADMIN_ROLE) {
         trustedRelays[_relayAddress].exists = true;
         trustedRelays[_relayAddress].fee = _fee;
         trustedRelays[_relayAddress].systemFee = _systemFee;
@@ -62,7 +62,7 @@ abstract contract AsterizmConfig is OwnableUpgradeable, IConfig {
 
     /// Remove trusted relay
     /// @param _relayAddress address  Relay address
-    function removeTrustedRelay(address _relayAddress) external onlyOwner {
+    function removeTrustedRelay(address _relayAddress) external onlyRole(RELAYER_ADMIN_ROLE) {
         require(trustedRelays[_relayAddress].exists, "AsterizmConfig: relay not exists");
         delete trustedRelays[_relayAddress];
 
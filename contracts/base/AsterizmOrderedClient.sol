@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../interfaces/INonce.sol";
+import "./AsterizmClient.sol";
+
+/// Asterizm client with strict in-order delivery
+/// Inbound transfers of every source path (source chain ID and address) are executed strictly by txId,
+/// transfers arrived before previous transfers of the path are queued and executed right after them.
+/// Ordered delivery is enabled with inbound nonce contract (AsterizmNonce with client as manipulator)
+abstract contract AsterizmOrderedClient is AsterizmClient {
+
+    using AddressLib for address;
+
+    /// Set ordered delivery event
+    /// @param _nonceAddress address  Inbound nonce contract address (zero address - ordered delivery is disabled)
+    event SetOrderedDeliveryEvent(address _nonceAddress);
+
+    /// Queue ordered transfer event (transfer arrived before previous transfers of the path)
+    /// @param _srcChainId uint64  Source chain ID
+    /// @param _srcAddress uint  Source address
+    /// @param _txId uint  Transaction ID
+    /// @param _transferHash bytes32  Transfer hash
+    event QueueOrderedTransferEvent(uint64 _srcChainId, uint _srcAddress, uint _txId, bytes32 _transferHash);
+
+    /// Skip ordered transfer event
+    /// @param _srcChainId uint64  Source chain ID
+    /// @param _srcAddress uint  Source address
+    /// @param _txId uint  Transaction ID
+    event SkipOrderedTransferEvent(uint64 _srcChainId, uint _srcAddress, uint _txId);
+
+    struct QueuedTransfer {
+        bytes32 transferHash;
+        bytes payload;
+    }
+
+    struct OrderedDeliveryStorage {
+        INonce nonce;
+        mapping(uint64 => mapping(uint => mapping(uint => QueuedTransfer))) queuedTransfers;
+        mapping(uint64 => mapping(uint => mapping(uint => bool))) skippedTransfers;
+    }
+
+    OrderedDeliveryStorage private orderedDelivery;
+
+    /// Return ordered delivery storage
+    /// @return OrderedDeliveryStorage
+    function _getOrderedDeliveryStorage() private view returns(OrderedDeliveryStorage storage) {
+        return orderedDelivery;
+    }
+
+    /// Set ordered delivery mode
+    /// Nonce contract manipulator must be this client, nonces of working paths must be set to next txIds (forceSetNonce)
+    /// @param _nonce INonce  Inbound nonce contract (zero address - disable ordered delivery)
+    function setOrderedDelivery(INonce _nonce) external onlyOwner {
+        _getOrderedDeliveryStorage().nonce = _nonce;
+        emit SetOrderedDeliveryEvent(address(_nonce));
+    }
+
+    /// Return ordered delivery nonce contract
+    /// @return address  Nonce contract address (zero address - ordered delivery is disabled)
+    function getOrderedDelivery() external view returns(address) {
+        return address(_getOrderedDeliveryStorage().nonce);
+    }
+
+    /// Return next executed txId of source path
+    /// @param _srcChainId uint64  Source chain ID
+    /// @param _srcAddress uint  Source address
+    /// @return uint
+    function getNextOrderedTxId(uint64 _srcChainId, uint _srcAddress) public view returns(uint) {
+        INonce nonce = _getOrderedDeliveryStorage().nonce;
+        require(address(nonce) != address(0), "AsterizmOrderedClient: ordered delivery is disabled");
+
+        return nonce.getNonceBase(_srcChainId, _srcAddress, address(this).toUint());
+    }
+
+    /// Return queued transfer hash
+    /// @param _srcChainId uint64  Source chain ID
+    /// @param _srcAddress uint  Source address
+    /// @param _txId uint  Transaction ID
+    /// @return bytes32  Transfer hash (zero hash - transfer is not queued)
+    function getQueuedTransferHash(uint64 _srcChainId, uint _srcAddress, uint _txId) external view returns(bytes32) {
+        return _getOrderedDeliveryStorage().queuedTransfers[_srcChainId][_srcAddress][_txId].transferHash;
+    }
+
+    /// Return skipped transfer flag
+    /// @param _srcChainId uint64  Source chain ID
+    /// @param _srcAddress uint  Source address
+    /// @param _txId uint  Transaction ID
+    /// @return bool
+    function isSkippedTransfer(uint64 _srcChainId, uint _srcAddress, uint _txId) external view returns(bool) {
+        return _getOrderedDeliveryStorage().skippedTransfers[_srcChainId][_srcAddress][_txId];
+    }
+
+    /// Skip permanently failed transfer
+    /// Skipped transfer is never executed, queued transfers after it are executed with processOrderedQueue()
+    /// @param _srcChainId uint64  Source chain ID
+    /// @param _srcAddress uint  Source address
+    /// @param _txId uint  Transaction ID
+    function skipOrderedTransfer(uint64 _srcChainId, uint _srcAddress, uint _txId) external onlyOwner {
+        OrderedDeliveryStorage storage ordered = _getOrderedDeliveryStorage();
+        uint nextTxId = getNextOrderedTxId(_srcChainId, _srcAddress);
+        require(_txId >= nextTxId, "AsterizmOrderedClient: transfer processed already");
+        require(!ordered.skippedTransfers[_srcChainId][_srcAddress][_txId], "AsterizmOrderedClient: transfer skipped already");
+        ordered.skippedTransfers[_srcChainId][_srcAddress][_txId] = true;
+        delete ordered.queuedTransfers[_srcChainId][_srcAddress][_txId];
+        if (_txId == nextTxId) {
+            _moveOrderedTxId(_srcChainId, _srcAddress);
+        }
+
+        emit SkipOrderedTransferEvent(_srcChainId, _srcAddress, _txId);
+    }
+
+    /// Execute queued transfers of source path
+    /// @param _srcChainId uint64  Source chain ID
+    /// @param _srcAddress uint  Source address
+    function processOrderedQueue(uint64 _srcChainId, uint _srcAddress) external onlySender nonReentrant {
+        _processOrderedQueue(_srcChainId, _srcAddress);
+    }
+
+    /// Execute validated transfer in txId order (queue transfer if previous transfers of the path are not executed)
+    /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
+    function _executeAsterizmTransfer(ClAsterizmReceiveRequestDto memory _dto) internal virtual override {
+        OrderedDeliveryStorage storage ordered = _getOrderedDeliveryStorage();
+        if (address(ordered.nonce) == address(0)) {
+            super._executeAsterizmTransfer(_dto);
+            return;
+        }
+
+        uint nextTxId = getNextOrderedTxId(_dto.srcChainId, _dto.srcAddress);
+        require(
+            _dto.txId >= nextTxId && !ordered.skippedTransfers[_dto.srcChainId][_dto.srcAddress][_dto.txId],
+            "AsterizmOrderedClient: transfer skipped"
+        );
+        if (_dto.txId > nextTxId) {
+            QueuedTransfer storage queued = ordered.queuedTransfers[_dto.srcChainId][_dto.srcAddress][_dto.txId];
+            require(queued.transferHash == bytes32(0), "AsterizmOrderedClient: transfer queued already");
+            queued.transferHash = _dto.transferHash;
+            queued.payload = _dto.payload;
+            emit QueueOrderedTransferEvent(_dto.srcChainId, _dto.srcAddress, _dto.txId, _dto.transferHash);
+            return;
+        }
+
+        _executeOrderedTransfer(_dto);
+        _processOrderedQueue(_dto.srcChainId, _dto.srcAddress);
+    }
+
+    /// Execute transfer and move source path to next txId
+    /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
+    function _executeOrderedTransfer(ClAsterizmReceiveRequestDto memory _dto) private {
+        super._executeAsterizmTransfer(_dto);
+        _moveOrderedTxId(_dto.srcChainId, _dto.srcAddress);
+    }
+
+    /// Move source path to next not skipped txId
+    /// @param _srcChainId uint64  Source chain ID
+    /// @param _srcAddress uint  Source address
+    function _moveOrderedTxId(uint64 _srcChainId, uint _srcAddress) private {
+        OrderedDeliveryStorage storage ordered = _getOrderedDeliveryStorage();
+        bytes memory pathData = abi.encodePacked(_srcAddress, address(this).toUint());
+        uint nextTxId = getNextOrderedTxId(_srcChainId, _srcAddress);
+        do {
+            ordered.nonce.increaseNonceWithValidation(_srcChainId, pathData, ++nextTxId);
+        } while (ordered.skippedTransfers[_srcChainId][_srcAddress][nextTxId]);
+    }
+
+    /// Execute queued transfers of source path until the first not queued (or refunded) txId
+    /// @param _srcChainId uint64  Source chain ID
+    /// @param _srcAddress uint  Source address
+    function _processOrderedQueue(uint64 _srcChainId, uint _srcAddress) private {
+        OrderedDeliveryStorage storage ordered = _getOrderedDeliveryStorage();
+        uint nextTxId = getNextOrderedTxId(_srcChainId, _srcAddress);
+        QueuedTransfer memory queued = ordered.queuedTransfers[_srcChainId][_srcAddress][nextTxId];
+        while (queued.transferHash != bytes32(0) && !refundConfirmations[queued.transferHash].exists) {
+            delete ordered.queuedTransfers[_srcChainId][_srcAddress][nextTxId];
+            _executeOrderedTransfer(_buildClAsterizmReceiveRequestDto(
+                _srcChainId, _srcAddress, _getLocalChainId(), address(this).toUint(), nextTxId, queued.transferHash, queued.payload
+            ));
+            nextTxId = getNextOrderedTxId(_srcChainId, _srcAddress);
+            queued = ordered.queuedTransfers[_srcChainId][_srcAddress][nextTxId];
+        }
+    }
+}
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+/// Asterizm emergency pause contract
+/// Guardian and owner can pause outbound and inbound transfers (per chain or on all chains with zero chain ID),
+/// only owner can unpause them
+abstract contract AsterizmPausable is Ownable {
+
+    /// Set guardian event
+    /// @param _guardianAddress address  Guardian address
+    event SetGuardianEvent(address _guardianAddress);
+
+    /// Pause event
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @param _outbound bool  Outbound transfers are paused
+    /// @param _inbound bool  Inbound transfers are paused
+    event PauseEvent(uint64 _chainId, bool _outbound, bool _inbound);
+
+    /// Unpause event
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @param _outbound bool  Outbound transfers are unpaused
+    /// @param _inbound bool  Inbound transfers are unpaused
+    event UnpauseEvent(uint64 _chainId, bool _outbound, bool _inbound);
+
+    struct Pause {
+        bool outbound;
+        bool inbound;
+    }
+
+    address private guardian;
+    mapping(uint64 => Pause) private pauses;
+
+    /// Only owner or guardian modifier
+    modifier onlyOwnerOrGuardian() {
+        require(msg.sender == owner() || msg.sender == guardian, "AsterizmPausable: only owner or guardian");
+        _;
+    }
+
+    /// Only not paused outbound transfers modifier
+    /// @param _dstChainId uint64  Destination chain ID
+    modifier whenOutboundNotPaused(uint64 _dstChainId) {
+        _requireNotPaused(_dstChainId, true);
+        _;
+    }
+
+    /// Only not paused inbound transfers modifier
+    /// @param _srcChainId uint64  Source chain ID
+    modifier whenInboundNotPaused(uint64 _srcChainId) {
+        _requireNotPaused(_srcChainId, false);
+        _;
+    }
+
+    /// Set guardian
+    /// @param _guardian address  Guardian address (zero address - only owner can pause)
+    function setGuardian(address _guardian) external onlyOwner {
+        guardian = _guardian;
+        emit SetGuardianEvent(_guardian);
+    }
+
+    /// Return guardian address
+    /// @return address
+    function getGuardian() external view returns(address) {
+        return guardian;
+    }
+
+    /// Pause transfers
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @param _outbound bool  Pause outbound transfers (to chain)
+    /// @param _inbound bool  Pause inbound transfers (from chain)
+    function pause(uint64 _chainId, bool _outbound, bool _inbound) external onlyOwnerOrGuardian {
+        Pause storage chainPause = pauses[_chainId];
+        chainPause.outbound = chainPause.outbound || _outbound;
+        chainPause.inbound = chainPause.inbound || _inbound;
+        emit PauseEvent(_chainId, _outbound, _inbound);
+    }
+
+    /// Unpause transfers
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @param _outbound bool  Unpause outbound transfers (to chain)
+    /// @param _inbound bool  Unpause inbound transfers (from chain)
+    function unpause(uint64 _chainId, bool _outbound, bool _inbound) external onlyOwner {
+        Pause storage chainPause = pauses[_chainId];
+        chainPause.outbound = chainPause.outbound && !_outbound;
+        chainPause.inbound = chainPause.inbound && !_inbound;
+        emit UnpauseEvent(_chainId, _outbound, _inbound);
+    }
+
+    /// Return chain pause flags (all chains pause is included)
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @return outbound bool  Outbound transfers are paused
+    /// @return inbound bool  Inbound transfers are paused
+    function getPause(uint64 _chainId) external view returns(bool outbound, bool inbound) {
+        return (
+            pauses[0].outbound || pauses[_chainId].outbound,
+            pauses[0].inbound || pauses[_chainId].inbound
+        );
+    }
+
+    /// Revert if transfers are paused
+    /// @param _chainId uint64  Destination chain ID (outbound) or source chain ID (inbound)
+    /// @param _outbound bool  Outbound transfers flag
+    function _requireNotPaused(uint64 _chainId, bool _outbound) internal view {
+        if (_outbound) {
+            require(!pauses[0].outbound && !pauses[_chainId].outbound, "AsterizmPausable: outbound transfers are paused");
+        } else {
+            require(!pauses[0].inbound && !pauses[_chainId].inbound, "AsterizmPausable: inbound transfers are paused");
+        }
+    }
+}
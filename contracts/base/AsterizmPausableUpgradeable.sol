@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import {OwnableUpgradeable} from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+
+/// Asterizm emergency pause contract
+/// Guardian and owner can pause outbound and inbound transfers (per chain or on all chains with zero chain ID),
+/// only owner can unpause them
+abstract contract AsterizmPausableUpgradeable is OwnableUpgradeable {
+
+    /// Set guardian event
+    /// @param _guardianAddress address  Guardian address
+    event SetGuardianEvent(address _guardianAddress);
+
+    /// Pause event
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @param _outbound bool  Outbound transfers are paused
+    /// @param _inbound bool  Inbound transfers are paused
+    event PauseEvent(uint64 _chainId, bool _outbound, bool _inbound);
+
+    /// Unpause event
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @param _outbound bool  Outbound transfers are unpaused
+    /// @param _inbound bool  Inbound transfers are unpaused
+    event UnpauseEvent(uint64 _chainId, bool _outbound, bool _inbound);
+
+    struct Pause {
+        bool outbound;
+        bool inbound;
+    }
+
+    struct PausableStorage {
+        address guardian;
+        mapping(uint64 => Pause) pauses;
+    }
+
+    /// Pause state is stored in separate slot (storage layout of deployed contracts is not changed)
+    /// keccak256(abi.encode(uint(keccak256("asterizm.storage.AsterizmPausable")) - 1)) & ~bytes32(uint(0xff))
+    bytes32 constant private PAUSABLE_STORAGE_LOCATION = 0x6c23a28f760a65b17137e9fa8ed9455283afa7ca21e4bc432cd6d914ffaa5400;
+
+    /// Return pausable storage
+    /// @return pausable PausableStorage
+    function _getPausableStorage() private pure returns(PausableStorage storage pausable) {
+        assembly {
+            pausable.slot := PAUSABLE_STORAGE_LOCATION
+        }
+    }
+
+    /// Only owner or guardian modifier
+    modifier onlyOwnerOrGuardian() {
+        require(msg.sender == owner() || msg.sender == _getPausableStorage().guardian, "AsterizmPausable: only owner or guardian");
+        _;
+    }
+
+    /// Only not paused outbound transfers modifier
+    /// @param _dstChainId uint64  Destination chain ID
+    modifier whenOutboundNotPaused(uint64 _dstChainId) {
+        _requireNotPaused(_dstChainId, true);
+        _;
+    }
+
+    /// Only not paused inbound transfers modifier
+    /// @param _srcChainId uint64  Source chain ID
+    modifier whenInboundNotPaused(uint64 _srcChainId) {
+        _requireNotPaused(_srcChainId, false);
+        _;
+    }
+
+    /// Set guardian
+    /// @param _guardian address  Guardian address (zero address - only owner can pause)
+    function setGuardian(address _guardian) external onlyOwner {
+        _getPausableStorage().guardian = _guardian;
+        emit SetGuardianEvent(_guardian);
+    }
+
+    /// Return guardian address
+    /// @return address
+    function getGuardian() external view returns(address) {
+        return _getPausableStorage().guardian;
+    }
+
+    /// Pause transfers
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @param _outbound bool  Pause outbound transfers (to chain)
+    /// @param _inbound bool  Pause inbound transfers (from chain)
+    function pause(uint64 _chainId, bool _outbound, bool _inbound) external onlyOwnerOrGuardian {
+        Pause storage chainPause = _getPausableStorage().pauses[_chainId];
+        chainPause.outbound = chainPause.outbound || _outbound;
+        chainPause.inbound = chainPause.inbound || _inbound;
+        emit PauseEvent(_chainId, _outbound, _inbound);
+    }
+
+    /// Unpause transfers
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @param _outbound bool  Unpause outbound transfers (to chain)
+    /// @param _inbound bool  Unpause inbound transfers (from chain)
+    function unpause(uint64 _chainId, bool _outbound, bool _inbound) external onlyOwner {
+        Pause storage chainPause = _getPausableStorage().pauses[_chainId];
+        chainPause.outbound = chainPause.outbound && !_outbound;
+        chainPause.inbound = chainPause.inbound && !_inbound;
+        emit UnpauseEvent(_chainId, _outbound, _inbound);
+    }
+
+    /// Return chain pause flags (all chains pause is included)
+    /// @param _chainId uint64  Chain ID (0 - all chains)
+    /// @return outbound bool  Outbound transfers are paused
+    /// @return inbound bool  Inbound transfers are paused
+    function getPause(uint64 _chainId) external view returns(bool outbound, bool inbound) {
+        mapping(uint64 => Pause) storage pauses = _getPausableStorage().pauses;
+        return (
+            pauses[0].outbound || pauses[_chainId].outbound,
+            pauses[0].inbound || pauses[_chainId].inbound
+        );
+    }
+
+    /// Revert if transfers are paused
+    /// @param _chainId uint64  Destination chain ID (outbound) or source chain ID (inbound)
+    /// @param _outbound bool  Outbound transfers flag
+    function _requireNotPaused(uint64 _chainId, bool _outbound) internal view {
+        mapping(uint64 => Pause) storage pauses = _getPausableStorage().pauses;
+        if (_outbound) {
+            require(!pauses[0].outbound && !pauses[_chainId].outbound, "AsterizmPausable: outbound transfers are paused");
+        } else {
+            require(!pauses[0].inbound && !pauses[_chainId].inbound, "AsterizmPausable: inbound transfers are paused");
+        }
+    }
+}
@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import {OwnableUpgradeable} from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+
+/// Asterizm transfers rate limit contract
+/// Amounts are limited per chain and direction with refilled capacity (rolling window),
+/// transfers over the limit are queued for owner release (queue is tracked with QueueTransferEvent and ProcessQueuedTransferEvent)
+abstract contract AsterizmRateLimitUpgradeable is OwnableUpgradeable {
+
+    /// Set rate limit event
+    /// @param _chainId uint64  Chain ID
+    /// @param _outbound bool  Outbound transfers flag
+    /// @param _capacity uint  Max amount (0 - without limit)
+    /// @param _refillRate uint  Refilled amount per second
+    event SetRateLimitEvent(uint64 _chainId, bool _outbound, uint _capacity, uint _refillRate);
+
+    /// Queue transfer event
+    /// @param _id uint  Queued transfer ID
+    /// @param _chainId uint64  Destination chain ID (outbound) or source chain ID (inbound)
+    /// @param _outbound bool  Outbound transfer flag
+    /// @param _account address  Local account (sender of outbound or recipient of inbound transfer)
+    /// @param _remoteAddress uint  Remote address (recipient of outbound or sender of inbound transfer)
+    /// @param _amount uint  Amount
+    event QueueTransferEvent(uint _id, uint64 _chainId, bool _outbound, address _account, uint _remoteAddress, uint _amount);
+
+    /// Process queued transfer event
+    /// @param _id uint  Queued transfer ID
+    /// @param _release bool  Release flag (false - transfer is canceled)
+    event ProcessQueuedTransferEvent(uint _id, bool _release);
+
+    struct RateLimit {
+        uint capacity;
+        uint refillRate;
+        uint available;
+        uint updatedAt;
+    }
+
+    struct QueuedTransfer {
+        bool outbound;
+        uint64 chainId;
+        address account;
+        uint remoteAddress;
+        uint amount;
+    }
+
+    struct RateLimitStorage {
+        mapping(uint64 => mapping(bool => RateLimit)) rateLimits;
+        mapping(uint => QueuedTransfer) queuedTransfers;
+        uint queuedTransfersCount;
+    }
+
+    /// Rate limit state is stored in separate slot (storage layout of deployed contracts is not changed)
+    /// keccak256(abi.encode(uint(keccak256("asterizm.storage.AsterizmRateLimit")) - 1)) & ~bytes32(uint(0xff))
+    bytes32 constant private RATE_LIMIT_STORAGE_LOCATION = 0x8479b25b69838b5d4942714708cfa4c79c25bb52103c448041302dd331512c00;
+
+    /// Return rate limit storage
+    /// @return rateLimit RateLimitStorage
+    function _getRateLimitStorage() private pure returns(RateLimitStorage storage rateLimit) {
+        assembly {
+            rateLimit.slot := RATE_LIMIT_STORAGE_LOCATION
+        }
+    }
+
+    /// Set rate limit (available amount is reset to capacity)
+    /// @param _chainId uint64  Chain ID
+    /// @param _outbound bool  Outbound transfers flag
+    /// @param _capacity uint  Max amount (0 - without limit)
+    /// @param _refillRate uint  Refilled amount per second
+    function setRateLimit(uint64 _chainId, bool _outbound, uint _capacity, uint _refillRate) external onlyOwner {
+        _getRateLimitStorage().rateLimits[_chainId][_outbound] = RateLimit(_capacity, _refillRate, _capacity, block.timestamp);
+        emit SetRateLimitEvent(_chainId, _outbound, _capacity, _refillRate);
+    }
+
+    /// Return rate limit
+    /// @param _chainId uint64  Chain ID
+    /// @param _outbound bool  Outbound transfers flag
+    /// @return capacity uint  Max amount (0 - without limit)
+    /// @return refillRate uint  Refilled amount per second
+    /// @return available uint  Current available amount
+    function getRateLimit(uint64 _chainId, bool _outbound) external view returns(uint capacity, uint refillRate, uint available) {
+        RateLimit storage rateLimit = _getRateLimitStorage().rateLimits[_chainId][_outbound];
+        return (rateLimit.capacity, rateLimit.refillRate, _getAvailableAmount(rateLimit));
+    }
+
+    /// Process queued transfer (rate limit is not applied to released transfers)
+    /// Inbound transfers can't be canceled (tokens are burned on source chain already), they stay queued until release
+    /// @param _id uint  Queued transfer ID
+    /// @param _release bool  Release flag (false - cancel outbound transfer)
+    function processQueuedTransfer(uint _id, bool _release) external onlyOwner {
+        _processQueuedTransfer(_removeQueuedTransfer(_id, _release), _release);
+        emit ProcessQueuedTransferEvent(_id, _release);
+    }
+
+    /// Apply chain rate limit to transfer: consume amount in limit or queue transfer over the limit
+    /// @param _chainId uint64  Destination chain ID (outbound) or source chain ID (inbound)
+    /// @param _outbound bool  Outbound transfer flag
+    /// @param _account address  Local account (sender of outbound or recipient of inbound transfer)
+    /// @param _remoteAddress uint  Remote address (recipient of outbound or sender of inbound transfer)
+    /// @param _amount uint  Amount
+    /// @return bool  Transfer is queued
+    function _applyRateLimit(uint64 _chainId, bool _outbound, address _account, uint _remoteAddress, uint _amount) internal returns(bool) {
+        RateLimitStorage storage rateLimitStorage = _getRateLimitStorage();
+        RateLimit storage rateLimit = rateLimitStorage.rateLimits[_chainId][_outbound];
+        if (rateLimit.capacity == 0) {
+            return false;
+        }
+
+        uint available = _getAvailableAmount(rateLimit);
+        if (_amount <= available) {
+            rateLimit.available = available - _amount;
+            rateLimit.updatedAt = block.timestamp;
+            return false;
+        }
+
+        uint id = rateLimitStorage.queuedTransfersCount++;
+        rateLimitStorage.queuedTransfers[id] = QueuedTransfer(_outbound, _chainId, _account, _remoteAddress, _amount);
+        emit QueueTransferEvent(id, _chainId, _outbound, _account, _remoteAddress, _amount);
+
+        return true;
+    }
+
+    /// Process queued transfer logic (release - send outbound or execute inbound transfer, cancel - return outbound transfer amount to sender)
+    /// @param _transfer QueuedTransfer  Queued transfer
+    /// @param _release bool  Release flag
+    function _processQueuedTransfer(QueuedTransfer memory _transfer, bool _release) internal virtual;
+
+    /// Remove queued transfer
+    /// @param _id uint  Queued transfer ID
+    /// @param _release bool  Release flag
+    /// @return transfer QueuedTransfer
+    function _removeQueuedTransfer(uint _id, bool _release) private returns(QueuedTransfer memory transfer) {
+        mapping(uint => QueuedTransfer) storage queuedTransfers = _getRateLimitStorage().queuedTransfers;
+        transfer = queuedTransfers[_id];
+        require(transfer.amount > 0, "AsterizmRateLimit: not queued");
+        require(_release || transfer.outbound, "AsterizmRateLimit: inbound transfer can't be canceled");
+        delete queuedTransfers[_id];
+    }
+
+    /// Return available amount with refilled amount
+    /// @param _rateLimit RateLimit  Rate limit
+    /// @return uint
+    function _getAvailableAmount(RateLimit storage _rateLimit) private view returns(uint) {
+        uint available = _rateLimit.available + (block.timestamp - _rateLimit.updatedAt) * _rateLimit.refillRate;
+        return available < _rateLimit.capacity ? available : _rateLimit.capacity;
+    }
+}
@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./AsterizmTimelockedUpgradeable.sol";
+
+/// Asterizm roles contract
+/// Administrative methods are split by roles (fee manager, relayer admin, blocklist operator, treasurer, chain manager, upgrader),
+/// owner is roles admin and has all roles
+abstract contract AsterizmRolesUpgradeable is AsterizmTimelockedUpgradeable {
+
+    /// Grant role event
+    /// @param _role bytes32  Role
+    /// @param _account address  Account address
+    event GrantRoleEvent(bytes32 _role, address _account);
+
+    /// Revoke role event
+    /// @param _role bytes32  Role
+    /// @param _account address  Account address
+    event RevokeRoleEvent(bytes32 _role, address _account);
+
+    bytes32 constant public FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 constant public RELAYER_ADMIN_ROLE = keccak256("RELAYER_ADMIN_ROLE");
+    bytes32 constant public BLOCKLIST_OPERATOR_ROLE = keccak256("BLOCKLIST_OPERATOR_ROLE");
+    bytes32 constant public TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 constant public CHAIN_MANAGER_ROLE = keccak256("CHAIN_MANAGER_ROLE");
+    bytes32 constant public UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    struct RolesStorage {
+        mapping(bytes32 => mapping(address => bool)) roles;
+    }
+
+    /// Roles are stored in separate slot (storage layout of deployed contracts is not changed)
+    /// keccak256(abi.encode(uint(keccak256("asterizm.storage.AsterizmRoles")) - 1)) & ~bytes32(uint(0xff))
+    bytes32 constant private ROLES_STORAGE_LOCATION = 0xbfb505600c1f61188aab9daeab0c817acdf8eb49b170e15d651429c3a3eefc00;
+
+    /// Return roles storage
+    /// @return roles RolesStorage
+    function _getRolesStorage() private pure returns(RolesStorage storage roles) {
+        assembly {
+            roles.slot := ROLES_STORAGE_LOCATION
+        }
+    }
+
+    /// Only role modifier
+    /// @param _role bytes32  Role
+    modifier onlyRole(bytes32 _role) {
+        _checkRole(_role);
+        _;
+    }
+
+    /// Only timelock or role modifier (timelocked methods are executed by role only if timelock is not set)
+    /// @param _role bytes32  Role
+    modifier onlyTimelockOrRole(bytes32 _role) {
+        if (_getTimelock() == address(0)) {
+            _checkRole(_role);
+        } else {
+            _checkTimelock();
+        }
+        _;
+    }
+
+    /// Grant role
+    /// @param _role bytes32  Role
+    /// @param _account address  Account address
+    function grantRole(bytes32 _role, address _account) external onlyOwner {
+        _getRolesStorage().roles[_role][_account] = true;
+        emit GrantRoleEvent(_role, _account);
+    }
+
+    /// Revoke role
+    /// @param _role bytes32  Role
+    /// @param _account address  Account address
+    function revokeRole(bytes32 _role, address _account) external onlyOwner {
+        _revokeRole(_role, _account);
+    }
+
+    /// Renounce sender role
+    /// @param _role bytes32  Role
+    function renounceRole(bytes32 _role) external {
+        _revokeRole(_role, msg.sender);
+    }
+
+    /// Return role flag (owner has all roles)
+    /// @param _role bytes32  Role
+    /// @param _account address  Account address
+    /// @return bool
+    function hasRole(bytes32 _role, address _account) public view returns(bool) {
+        return _account == owner() || _getRolesStorage().roles[_role][_account];
+    }
+
+    /// Revert if sender has not role
+    /// @param _role bytes32  Role
+    function _checkRole(bytes32 _role) internal view {
+        require(hasRole(_role, msg.sender), "AsterizmRoles: sender has not role");
+    }
+
+    /// Revoke role
+    /// @param _role bytes32  Role
+    /// @param _account address  Account address
+    function _revokeRole(bytes32 _role, address _account) private {
+        delete _getRolesStorage().roles[_role][_account];
+        emit RevokeRoleEvent(_role, _account);
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../libs/AsterizmHashLib.sol";
+
+contract AsterizmTestHashLib {
+
+    using AsterizmHashLib for bytes;
+
+    /// Build asterizm simple hash
+    /// @param _packed bytes  Packed data
+    /// @return bytes32
+    function buildSimpleHash(bytes memory _packed) external pure returns(bytes32) {
+        return _packed.buildSimpleHash();
+    }
+
+    /// Build asterizm crosschain hash
+    /// @param _packed bytes  Packed data
+    /// @return bytes32
+    function buildCrosschainHash(bytes memory _packed) external pure returns(bytes32) {
+        return _packed.buildCrosschainHash();
+    }
+}
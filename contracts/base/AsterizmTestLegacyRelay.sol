@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../interfaces/IAsterizmEnv.sol";
+
+/// External relay without fee amount method (relays deployed before fee quotes)
+contract AsterizmTestLegacyRelay is IAsterizmEnv {
+
+    event SendMessageEvent(bytes32 _transferHash, uint _feeValue);
+
+    uint64 private localChainId;
+
+    constructor(uint64 _localChainId) {
+        localChainId = _localChainId;
+    }
+
+    function sendMessage(TrSendMessageRequestDto calldata _dto) external payable {
+        emit SendMessageEvent(_dto.transferHash, msg.value);
+    }
+
+    function logExternalMessage(address, TrSendMessageRequestDto calldata) external payable {}
+
+    function resendMessage(bytes32, uint) external payable {}
+
+    function getLocalChainId() external view returns(uint64) {
+        return localChainId;
+    }
+
+    function getChainType(uint64) external pure returns(uint8) {
+        return 1;
+    }
+
+    function getFeeAmountInTokens(TrSendMessageRequestDto calldata) external pure returns(uint) {
+        return 0;
+    }
+}
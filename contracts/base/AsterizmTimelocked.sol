@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+/// Asterizm timelocked administration contract
+/// Critical wiring changes are executed by timelock contract (see AsterizmTimelock) when it is set,
+/// without timelock they are executed by owner
+abstract contract AsterizmTimelocked is Ownable {
+
+    /// Set timelock event
+    /// @param _timelockAddress address  Timelock address
+    event SetTimelockEvent(address _timelockAddress);
+
+    address private timelock;
+
+    /// Only timelock modifier (only owner if timelock is not set)
+    modifier onlyTimelock() {
+        _checkTimelock();
+        _;
+    }
+
+    /// Set timelock (timelock can be changed or removed only with timelocked operation)
+    /// @param _timelock address  Timelock address (zero address - critical changes are executed by owner)
+    function setTimelock(address _timelock) external onlyTimelock {
+        timelock = _timelock;
+        emit SetTimelockEvent(_timelock);
+    }
+
+    /// Return timelock address
+    /// @return address
+    function getTimelock() external view returns(address) {
+        return timelock;
+    }
+
+    /// Revert if sender is not timelock (or owner without timelock)
+    function _checkTimelock() internal view {
+        if (timelock == address(0)) {
+            _checkOwner();
+        } else {
+            require(msg.sender == timelock, "AsterizmTimelock: only timelock");
+        }
+    }
+}
@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import {OwnableUpgradeable} from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+
+/// Asterizm timelocked administration contract
+/// Critical wiring changes and upgrades are executed by timelock contract (see AsterizmTimelock) when it is set,
+/// without timelock they are executed by owner
+abstract contract AsterizmTimelockedUpgradeable is OwnableUpgradeable {
+
+    /// Set timelock event
+    /// @param _timelockAddress address  Timelock address
+    event SetTimelockEvent(address _timelockAddress);
+
+    struct TimelockedStorage {
+        address timelock;
+    }
+
+    /// Timelock address is stored in separate slot (storage layout of deployed contracts is not changed)
+    /// keccak256(abi.encode(uint(keccak256("asterizm.storage.AsterizmTimelocked")) - 1)) & ~bytes32(uint(0xff))
+    bytes32 constant private TIMELOCKED_STORAGE_LOCATION = 0x84af01aca9a2915b853e2857f0829c1eb0e7a0096027e009db093105f6828000;
+
+    /// Return timelocked storage
+    /// @return timelocked TimelockedStorage
+    function _getTimelockedStorage() private pure returns(TimelockedStorage storage timelocked) {
+        assembly {
+            timelocked.slot := TIMELOCKED_STORAGE_LOCATION
+        }
+    }
+
+    /// Only timelock modifier (only owner if timelock is not set)
+    modifier onlyTimelock() {
+        _checkTimelock();
+        _;
+    }
+
+    /// Set timelock (timelock can be changed or removed only with timelocked operation)
+    /// @param _timelock address  Timelock address (zero address - critical changes are executed by owner)
+    function setTimelock(address _timelock) external onlyTimelock {
+        _getTimelockedStorage().timelock = _timelock;
+        emit SetTimelockEvent(_timelock);
+    }
+
+    /// Return timelock address
+    /// @return address
+    function getTimelock() external view returns(address) {
+        return _getTimelock();
+    }
+
+    /// Return timelock address
+    /// @return address
+    function _getTimelock() internal view returns(address) {
+        return _getTimelockedStorage().timelock;
+    }
+
+    /// Revert if sender is not timelock (or owner without timelock)
+    function _checkTimelock() internal view {
+        address timelock = _getTimelock();
+        if (timelock == address(0)) {
+            _checkOwner();
+        } else {
+            require(msg.sender == timelock, "AsterizmTimelock: only timelock");
+        }
+    }
+}
@@ -16,11 +16,15 @@ contract ChainlinkTestRouter is Ownable, IRouter, IRouterClient {
     event AddTokenAddressEvent(address _tokenAddress);
     event SetFeeTokenEvent(address _feeTokenAddress);
     event SetBaseFeeEvent(uint _baseFeeAmount);
+    event SetChainSupportedEvent(uint64 _chainSelector, bool _supported);
+    event SetNativeFeeEvent(uint _nativeFeeAmount);
 
     using SafeERC20 for IERC20;
     address[] private tokens;
     uint private baseFee;
+    uint private nativeFee;
     IERC20 private feeToken;
+    mapping(uint64 => bool) private unsupportedChains;
 
     constructor (IERC20 _feeToken, uint _baseFee) {
         setFeeToken(_feeToken);
@@ -49,11 +53,26 @@ contract ChainlinkTestRouter is Ownable, IRouter, IRouterClient {
         emit SetBaseFeeEvent(_baseFee);
     }
 
+    /// Set native coins fee (messages with zero fee token address)
+    /// @param _nativeFee uint  Native fee amount
+    function setNativeFee(uint _nativeFee) public {
+        nativeFee = _nativeFee;
+        emit SetNativeFeeEvent(_nativeFee);
+    }
+
+    /// Set chain supported flag (lane pausing emulation)
+    /// @param _chainSelector uint64  Chain selector
+    /// @param _supported bool  Chain is supported flag
+    function setChainSupported(uint64 _chainSelector, bool _supported) public {
+        unsupportedChains[_chainSelector] = !_supported;
+        emit SetChainSupportedEvent(_chainSelector, _supported);
+    }
+
     /// @notice Checks if the given chain ID is supported for sending/receiving.
     /// @param chainSelector The chain to check.
     /// @return supported is true if it is supported, false if not.
-    function isChainSupported(uint64 chainSelector) external view returns (bool) {
-        return true;
+    function isChainSupported(uint64 chainSelector) public view returns (bool) {
+        return !unsupportedChains[chainSelector];
     }
 
     /// @notice Gets a list of all supported tokens which can be sent or received
@@ -69,7 +88,7 @@ contract ChainlinkTestRouter is Ownable, IRouter, IRouterClient {
     /// @return uint  Returns guaranteed execution fee for the specified message delivery to destination chain
     /// @dev returns 0 fee on invalid message.
     function getFeePrivate(uint64 _dstChainSelector, Client.EVM2AnyMessage memory _message) private view returns(uint256) {
-        return baseFee;
+        return _message.feeToken == address(0) ? nativeFee : baseFee;
     }
 
     /// @param _dstChainSelector uint64  The destination chainSelector
@@ -86,9 +105,17 @@ contract ChainlinkTestRouter is Ownable, IRouter, IRouterClient {
     /// @return bytes32  The message ID
     /// @dev Note if msg.value is larger than the required fee (from getFee) we accept the overpayment with no refund.
     function ccipSend(uint64 _dstChainSelector, Client.EVM2AnyMessage calldata _message) external payable returns (bytes32) {
+        require(isChainSupported(_dstChainSelector), "ChainlinkRouter: chain is not supported");
         uint messageFee = getFeePrivate(_dstChainSelector, _message);
-        require(feeToken.allowance(msg.sender, address(this)) >= messageFee, "ChainlinkRouter: fee token allowance is not enough");
-        feeToken.transferFrom(msg.sender, address(this), messageFee);
+        if (_message.feeToken == address(0)) {
+            require(msg.value >= messageFee, "ChainlinkRouter: fee not enough");
+        } else {
+            require(feeToken.allowance(msg.sender, address(this)) >= messageFee, "ChainlinkRouter: fee token allowance is not enough");
+            feeToken.transferFrom(msg.sender, address(this), messageFee);
+        }
+        for (uint i = 0; i < _message.tokenAmounts.length; i++) {
+            IERC20(_message.tokenAmounts[i].token).safeTransferFrom(msg.sender, address(this), _message.tokenAmounts[i].amount);
+        }
 
         bytes32 messageId = sha256(abi.encode(_message));
         emit CcipSendEvent(messageId, messageFee);
@@ -104,12 +131,19 @@ contract ChainlinkTestRouter is Ownable, IRouter, IRouterClient {
     /// @dev If we revert instead, then that will never happen.
     /// @dev Separately we capture the return data up to a maximum size to avoid return bombs,
     /// @dev borrowed from https://github.com/nomad-xyz/ExcessivelySafeCall/blob/main/src/ExcessivelySafeCall.sol.
+    /// @dev Message tokens are transferred to receiver from router balance (tokens sent with ccipSend or transferred to router),
+    /// @dev router must be funded with message tokens when message with tokens is routed without ccipSend
     function routeMessage(
         Client.Any2EVMMessage calldata message,
         uint16 gasForCallExactCheck,
         uint256 gasLimit,
         address receiver
     ) external override returns(bool success, bytes memory retData) {
+        for (uint i = 0; i < message.destTokenAmounts.length; i++) {
+            IERC20 token = IERC20(message.destTokenAmounts[i].token);
+            require(token.balanceOf(address(this)) >= message.destTokenAmounts[i].amount, "ChainlinkRouter: token balance is not enough");
+            token.safeTransfer(receiver, message.destTokenAmounts[i].amount);
+        }
         CCIPReceiver(receiver).ccipReceive(message);
         return (true, abi.encode(receiver));
     }
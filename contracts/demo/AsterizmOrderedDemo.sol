@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../base/AsterizmOrderedClient.sol";
+
+/// Ordered delivery demo (received messages are stored in execution order)
+contract AsterizmOrderedDemo is AsterizmOrderedClient {
+
+    event AddExternalChainMessageEvent(string message);
+
+    string[] private externalChainMessages;
+
+    constructor (IInitializerSender _initializerLib) AsterizmClient(_initializerLib, true, false) {}
+
+    /// Send message
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _message string  Message
+    function sendMessage(uint64 _dstChainId, string calldata _message) public payable {
+        _initAsterizmTransferEvent(_dstChainId, abi.encode(_message));
+    }
+
+    /// Return received messages
+    /// @return string[]
+    function getExternalChainMessages() external view returns(string[] memory) {
+        return externalChainMessages;
+    }
+
+    /// Receive non-encoded payload
+    /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
+    function _asterizmReceive(ClAsterizmReceiveRequestDto memory _dto) internal override {
+        string memory message = abi.decode(_dto.payload, (string));
+        externalChainMessages.push(message);
+        emit AddExternalChainMessageEvent(message);
+    }
+
+    /// Build packed payload (abi.encodePacked() result)
+    /// @param _payload bytes  Default payload (abi.encode() result)
+    /// @return bytes  Packed payload (abi.encodePacked() result)
+    function _buildPackedPayload(bytes memory _payload) internal pure override returns(bytes memory) {
+        (string memory message) = abi.decode(_payload, (string));
+
+        return abi.encodePacked(message);
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../base/AsterizmClient.sol";
+
+/// Tokens demo (message is sent with ERC20 tokens by Chainlink translator, received tokens are kept on destination client)
+contract AsterizmTokensDemo is AsterizmClient {
+
+    using SafeERC20 for IERC20;
+
+    event SetExternalChainMessageEvent(string message);
+
+    string public externalChainMessage;
+
+    constructor (IInitializerSender _initializerLib) AsterizmClient(_initializerLib, false, false) {}
+
+    /// Send message with tokens
+    /// Tokens are transferred from sender to client and sent with transfer
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _message string  Message
+    /// @param _tokenAmounts Client.EVMTokenAmount[]  Token amounts
+    function sendMessageWithTokens(uint64 _dstChainId, string calldata _message, Client.EVMTokenAmount[] calldata _tokenAmounts) external {
+        for (uint i = 0; i < _tokenAmounts.length; i++) {
+            IERC20(_tokenAmounts[i].token).safeTransferFrom(msg.sender, address(this), _tokenAmounts[i].amount);
+        }
+
+        bytes32 transferHash = _initAsterizmTransferEvent(_dstChainId, abi.encode(_message));
+        _setTransferTokens(_dstChainId, transferHash, _tokenAmounts);
+    }
+
+    /// Receive non-encoded payload
+    /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
+    function _asterizmReceive(ClAsterizmReceiveRequestDto memory _dto) internal override {
+        externalChainMessage = abi.decode(_dto.payload, (string));
+        emit SetExternalChainMessageEvent(externalChainMessage);
+    }
+
+    /// Build packed payload (abi.encodePacked() result)
+    /// @param _payload bytes  Default payload (abi.encode() result)
+    /// @return bytes  Packed payload (abi.encodePacked() result)
+    function _buildPackedPayload(bytes memory _payload) internal pure override returns(bytes memory) {
+        (string memory message) = abi.decode(_payload, (string));
+
+        return abi.encodePacked(message);
+    }
+}
@@ -5,9 +5,10 @@ import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "../../interfaces/IMultiChainToken.sol";
 import "../../base/AsterizmClientUpgradeable.sol";
+import "../../base/AsterizmRateLimitUpgradeable.sol";
 import "./FeeLogic.sol";
 
-contract NativeSrcMultichainUpgradeableV1 is IMultiChainToken, ERC20Upgradeable, FeeLogic, AsterizmClientUpgradeable {
+contract NativeSrcMultichainUpgradeableV1 is IMultiChainToken, ERC20Upgradeable, FeeLogic, AsterizmClientUpgradeable, AsterizmRateLimitUpgradeable {
 
     using SafeERC20 for IERC20;
     using UintLib for uint;
@@ -40,6 +41,7 @@ contract NativeSrcMultichainUpgradeableV1 is IMultiChainToken, ERC20Upgradeable,
     }
 
     /// Cross-chain transfer
+    /// Transfers over outbound rate limit are queued for owner release (tokens are kept on contract)
     /// @param _dstChainId uint64  Destination chain ID
     /// @param _from address  From address
     /// @param _to uint  To address in uint format
@@ -47,16 +49,53 @@ contract NativeSrcMultichainUpgradeableV1 is IMultiChainToken, ERC20Upgradeable,
         require(_amount > 0, "NSM: amount too small");
         tokenAddress.safeTransferFrom(_from, address(this), _amount);
         uint amount = execFeeLogic(address(tokenAddress), _amount, true);
-        bytes32 transferHash = _initAsterizmTransferEvent(_dstChainId, abi.encode(_to, amount, _getTxId()));
-        _addRefundTransfer(transferHash, _from, amount, address(tokenAddress));
+        if (_applyRateLimit(_dstChainId, true, _from, _to, amount)) {
+            return;
+        }
+
+        _sendCrossChainTransfer(_dstChainId, _from, _to, amount);
+    }
+
+    /// Send cross-chain transfer
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _from address  From address
+    /// @param _to uint  To address in uint format
+    /// @param _amount uint  Amount without fee
+    function _sendCrossChainTransfer(uint64 _dstChainId, address _from, uint _to, uint _amount) private {
+        bytes32 transferHash = _initAsterizmTransferEvent(_dstChainId, abi.encode(_to, _amount, _getTxId()));
+        _addRefundTransfer(transferHash, _from, _amount, address(tokenAddress));
     }
 
     /// Receive non-encoded payload
+    /// Transfers over inbound rate limit are queued for owner release
     /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
     function _asterizmReceive(ClAsterizmReceiveRequestDto memory _dto) internal override {
         (uint dstAddressUint, uint amount, ) = abi.decode(_dto.payload, (uint, uint, uint));
-        require(tokenAddress.balanceOf(address(this)) >= amount, "NSM: insufficient token funds");
-        tokenAddress.safeTransfer(dstAddressUint.toAddress(), amount);
+        address dstAddress = dstAddressUint.toAddress();
+        if (_applyRateLimit(_dto.srcChainId, false, dstAddress, _dto.srcAddress, amount)) {
+            return;
+        }
+
+        _transferTokens(dstAddress, amount);
+    }
+
+    /// Process queued transfer (canceled outbound transfer amount is returned to sender, released inbound transfer tokens are sent)
+    /// @param _transfer QueuedTransfer  Queued transfer
+    /// @param _release bool  Release flag
+    function _processQueuedTransfer(QueuedTransfer memory _transfer, bool _release) internal override {
+        if (_release && _transfer.outbound) {
+            _sendCrossChainTransfer(_transfer.chainId, _transfer.account, _transfer.remoteAddress, _transfer.amount);
+        } else {
+            _transferTokens(_transfer.account, _transfer.amount);
+        }
+    }
+
+    /// Transfer tokens from contract balance
+    /// @param _to address  Target address
+    /// @param _amount uint  Amount
+    function _transferTokens(address _to, uint _amount) private {
+        require(tokenAddress.balanceOf(address(this)) >= _amount, "NSM: insufficient token funds");
+        tokenAddress.safeTransfer(_to, _amount);
     }
 
     /// Build packed payload (abi.encodePacked() result)
@@ -5,9 +5,10 @@ import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "../../interfaces/IMultiChainToken.sol";
 import "../../base/AsterizmClientUpgradeable.sol";
+import "../../base/AsterizmRateLimitUpgradeable.sol";
 import "./FeeLogic.sol";
 
-contract StableDstMultichainUpgradeableV1 is IMultiChainToken, ERC20Upgradeable, FeeLogic, AsterizmClientUpgradeable {
+contract StableDstMultichainUpgradeableV1 is IMultiChainToken, ERC20Upgradeable, FeeLogic, AsterizmClientUpgradeable, AsterizmRateLimitUpgradeable {
 
     using SafeERC20 for IERC20;
     using UintLib for uint;
@@ -37,21 +38,52 @@ contract StableDstMultichainUpgradeableV1 is IMultiChainToken, ERC20Upgradeable,
     }
 
     /// Cross-chain transfer
+    /// Transfers over outbound rate limit are queued for owner release (tokens are debited)
     /// @param _dstChainId uint64  Destination chain ID
     /// @param _from address  From address
     /// @param _to uint  To address in uint format
     function crossChainTransfer(uint64 _dstChainId, address _from, uint _to, uint _amount) public payable {
         uint amount = _debitFrom(_from, _amount); // amount returned should not have dust
         require(amount > 0, "SDM: amount too small");
-        bytes32 transferHash = _initAsterizmTransferEvent(_dstChainId, abi.encode(_to, amount, _getTxId()));
-        _addRefundTransfer(transferHash, _from, amount, address(this));
+        if (_applyRateLimit(_dstChainId, true, _from, _to, amount)) {
+            return;
+        }
+
+        _sendCrossChainTransfer(_dstChainId, _from, _to, amount);
+    }
+
+    /// Send cross-chain transfer
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _from address  From address
+    /// @param _to uint  To address in uint format
+    /// @param _amount uint  Debited amount
+    function _sendCrossChainTransfer(uint64 _dstChainId, address _from, uint _to, uint _amount) private {
+        bytes32 transferHash = _initAsterizmTransferEvent(_dstChainId, abi.encode(_to, _amount, _getTxId()));
+        _addRefundTransfer(transferHash, _from, _amount, address(this));
     }
 
     /// Receive non-encoded payload
+    /// Transfers over inbound rate limit are queued for owner release
     /// @param _dto ClAsterizmReceiveRequestDto  Method DTO
     function _asterizmReceive(ClAsterizmReceiveRequestDto memory _dto) internal override {
         (uint dstAddressUint, uint amount, ) = abi.decode(_dto.payload, (uint, uint, uint));
-        _mint(dstAddressUint.toAddress(), amount);
+        address dstAddress = dstAddressUint.toAddress();
+        if (_applyRateLimit(_dto.srcChainId, false, dstAddress, _dto.srcAddress, amount)) {
+            return;
+        }
+
+        _mint(dstAddress, amount);
+    }
+
+    /// Process queued transfer (canceled outbound transfer amount is returned to sender, released inbound transfer is minted)
+    /// @param _transfer QueuedTransfer  Queued transfer
+    /// @param _release bool  Release flag
+    function _processQueuedTransfer(QueuedTransfer memory _transfer, bool _release) internal override {
+        if (_release && _transfer.outbound) {
+            _sendCrossChainTransfer(_transfer.chainId, _transfer.account, _transfer.remoteAddress, _transfer.amount);
+        } else {
+            _mint(_transfer.account, _transfer.amount);
+        }
     }
 
     /// Build packed payload (abi.encodePacked() result)
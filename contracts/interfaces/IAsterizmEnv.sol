@@ -121,6 +121,22 @@ interface IAsterizmEnv {
         address feeToken;
     }
 
+    /// Initializator fee quote response DTO
+    /// @param nativeFee uint  Native coins fee amount (initTransfer value, overpayment is refunded)
+    /// @param tokenFee uint  Fee token amount (initializer allowance)
+    struct IzFeeQuoteResponseDto {
+        uint nativeFee;
+        uint tokenFee;
+    }
+
+    /// Initializator payload delivery response DTO
+    /// @param status uint8  Delivery status (0 - not received, 1 - delivered, 2 - failed, 3 - abandoned)
+    /// @param attempts uint  Delivery attempts count (including original delivery)
+    struct IzPayloadDeliveryResponseDto {
+        uint8 status;
+        uint attempts;
+    }
+
     /// Initializator receive payload request DTO
     /// @param srcChainId uint64  Source chain ID
     /// @param srcAddress uint  Source address
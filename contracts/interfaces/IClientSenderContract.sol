@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+interface IClientSenderContract {
+
+    /// Return fee token address
+    /// @return address  Fee token address (zero address - fee is paid in native coins)
+    function getFeeToken() external view returns(address);
+}
@@ -8,7 +8,14 @@ interface IInitializerSender is IAsterizmEnv {
 
     /// Initiate asterizm transfer
     /// @param _dto IzInitTransferRequestDto  Method DTO
-    function initTransfer(IzInitTransferRequestDto calldata _dto) external payable;
+    /// @return address  Used relay address (DTO relay or client backup relay, translator address - default translator)
+    function initTransfer(IzInitTransferRequestDto calldata _dto) external payable returns(address);
+
+    /// Initiate asterizm transfer with fee overpayment refund address
+    /// @param _dto IzInitTransferRequestDto  Method DTO
+    /// @param _refundAddress address  Fee overpayment refund address
+    /// @return address  Used relay address (DTO relay or client backup relay, translator address - default translator)
+    function initTransferWithRefund(IzInitTransferRequestDto calldata _dto, address _refundAddress) external payable returns(address);
 
     /// Validate income transfer by hash
     /// @param _transferHash bytes32
@@ -33,4 +40,28 @@ interface IInitializerSender is IAsterizmEnv {
     /// @param _dto IzInitTransferV2RequestDto  Method DTO
     /// @return uint  Token fee amount
     function getFeeAmountInTokens(address _relayAddress, IzInitTransferRequestDto calldata _dto) external view returns(uint);
+
+    /// Return translator address
+    /// @return address
+    function getTranslatorAddress() external view returns(address);
+
+    /// Return transfer fee quote
+    /// @param _relayAddress address  Relay address (zero address - default translator)
+    /// @param _dstChainId uint64  Destination chain ID
+    /// @param _clientAddress address  Client address
+    /// @return IzFeeQuoteResponseDto
+    function getFeeQuote(address _relayAddress, uint64 _dstChainId, address _clientAddress) external view returns(IzFeeQuoteResponseDto memory);
+
+    /// Retry failed payload delivery
+    /// @param _transferHash bytes32  Transfer hash
+    function retryPayload(bytes32 _transferHash) external;
+
+    /// Abandon failed payload delivery
+    /// @param _transferHash bytes32  Transfer hash
+    function abandonPayload(bytes32 _transferHash) external;
+
+    /// Return payload delivery status with attempts count
+    /// @param _transferHash bytes32  Transfer hash
+    /// @return IzPayloadDeliveryResponseDto
+    function getPayloadDelivery(bytes32 _transferHash) external view returns(IzPayloadDeliveryResponseDto memory);
 }
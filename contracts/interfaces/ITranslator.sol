@@ -33,4 +33,9 @@ interface ITranslator is IAsterizmEnv {
     /// @param _dto TrSendMessageRequestDto  Method DTO
     /// @return uint  Token fee amount
     function getFeeAmountInTokens(TrSendMessageRequestDto calldata _dto) external view returns(uint);
+
+    /// Return fee amount in native coins
+    /// @param _dto TrSendMessageRequestDto  Method DTO
+    /// @return uint  Fee amount (0 - fee is not set on chain)
+    function getFeeAmount(TrSendMessageRequestDto calldata _dto) external view returns(uint);
 }
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import {Client} from "@chainlink/contracts-ccip/src/v0.8/ccip/libraries/Client.sol";
+
+/// Translator tokens interface (translators sending ERC20 tokens with transfer, e.g. Chainlink translator)
+interface ITranslatorTokens {
+
+    /// Set transfer tokens
+    /// @param _transferHash bytes32  Transfer hash
+    /// @param _tokenAmounts Client.EVMTokenAmount[]  Token amounts (empty - without tokens)
+    function setTransferTokens(bytes32 _transferHash, Client.EVMTokenAmount[] calldata _tokenAmounts) external;
+
+    /// Return transfer tokens
+    /// @param _clientAddress address  Client address
+    /// @param _transferHash bytes32  Transfer hash
+    /// @return Client.EVMTokenAmount[]  Token amounts
+    function getTransferTokens(address _clientAddress, bytes32 _transferHash) external view returns(Client.EVMTokenAmount[] memory);
+}
@@ -20,6 +20,8 @@ import './tasks/deploy/deploy_trustaddresses_task';
 import './tasks/deploy/deploy_removetrustedaddress_task';
 import './tasks/deploy/deploy_externalrelay_task';
 import './tasks/deploy/deploy_singletrustedaddress_task';
+import './tasks/deploy/deploy_audit_task';
+import './tasks/deploy/deploy_rollout_task';
 import './tasks/gas/gas_withdrawcoins_task';
 import './tasks/gas/gas_withdrawtokens_task';
 import './tasks/gas/gas_removestable_task';
@@ -30,31 +32,65 @@ import './tasks/deploy/upgrade_translator_task';
 import './tasks/deploy/upgrade_initializer_task';
 import './tasks/demo/demo_deploy_task';
 import './tasks/demo/demo_sendmessage_task';
+import './tasks/client/client_server_task';
+import './tasks/client/client_relay_task';
+import './tasks/transfer/transfer_status_task';
+import './tasks/transfer/transfer_quote_task';
+import './tasks/transfer/transfer_retry_task';
+import './tasks/emergency/emergency_pause_task';
+import './tasks/timelock/timelock_task';
+import './tasks/roles/roles_task';
+import './tasks/refund/refund_list_task';
+import './tasks/refund/refund_confirm_task';
+import './tasks/refund/refund_process_task';
 import './tasks/relay/relay_addchain_task';
 import './tasks/relay/relay_deploy_task';
 import './tasks/relay/relay_updatefee_task';
+import './tasks/relay/relay_syncfees_task';
+import './tasks/relay/relay_withdrawtokens_task';
+import './tasks/relay/relay_attestation_task';
 import './tasks/relay/relay_updatesystemfee_task';
 import './tasks/relay/relay_manageexternalrelay_task';
 import './tasks/relay/relay_updatechaintypes_task';
 import './tasks/chainlink/chainlink_deploy_relay_task';
 import './tasks/chainlink/chainlink_chainrelay_task';
+import './tasks/chainlink/chainlink_feetype_task';
 import './tasks/token/token_deploy_task';
 import './tasks/token/token_deploy_upgrade_task';
 import './tasks/token/token_send_task';
+import './tasks/token/token_ratelimit_task';
 import './tasks/venidium/deploy_nativedstmultichain_task';
 import './tasks/venidium/deploy_nativesrcmultichain_task';
 import './tasks/venidium/deploy_stabledstmultichain_task';
 import './tasks/venidium/deploy_stablesrcmultichain_task';
 
+const compilerSettings = {
+  version: "0.8.17",
+  settings: {
+    optimizer: {
+      enabled: true,
+      runs: 200,
+    }
+  },
+};
+
+// Upgradeable clients over contract size limit (24576 bytes) are compiled with IR pipeline (optimized for size)
+const sizeLimitCompilerSettings = {
+  version: compilerSettings.version,
+  settings: {...compilerSettings.settings, optimizer: {enabled: true, runs: 50}, viaIR: true},
+};
+
 const config = {
   solidity: {
-    version: "0.8.17",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200,
-      }
-    },
+    compilers: [compilerSettings],
+    overrides: Object.fromEntries([
+      "contracts/demo/MultiChainTokenUpgradeableV1.sol",
+      "contracts/demo/AsterizmOrderedDemoUpgradeableV1.sol",
+      "contracts/demo/venidium/NativeDstMultichainUpgradeableV1.sol",
+      "contracts/demo/venidium/NativeSrcMultichainUpgradeableV1.sol",
+      "contracts/demo/venidium/StableDstMultichainUpgradeableV1.sol",
+      "contracts/demo/venidium/StableSrcMultichainUpgradeableV1.sol",
+    ].map((sourceName) => [sourceName, sizeLimitCompilerSettings])),
   },
   defaultNetwork: "localhost",
   gasReporter: {
@@ -0,0 +1,338 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { BigNumber, Contract } = require("ethers");
+const { buildTransferHash } = require("./transfer_hash");
+
+const DEFAULT_POLLING_INTERVAL = 5000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const ClientTransferStatus = {
+    INITIATED: 'initiated',
+    SENT: 'sent',
+    RECEIVED: 'received',
+    EXECUTED: 'executed',
+    FAILED: 'failed',
+};
+
+/// Return latest block number
+/// provider.getBlockNumber() never decreases, so it can't be used after chain state revert (evm_revert, Hardhat fixtures)
+/// @param provider Provider
+/// @return number
+async function getBlockNumber(provider) {
+    return (await provider.getBlock('latest')).number;
+}
+
+/// In-memory client server storage
+class MemoryStorage {
+    constructor() {
+        this.state = {cursors: {}, transfers: {}};
+    }
+
+    /// Return storage state
+    /// @return object  {cursors, transfers}
+    load() {
+        return this.state;
+    }
+
+    /// Save storage state
+    /// @param state object  {cursors, transfers}
+    save(state) {
+        this.state = state;
+    }
+}
+
+/// JSON file client server storage
+/// State is written to temporary file first, so interrupted process doesn't break stored progress
+class JsonFileStorage {
+
+    /// @param filePath string  Storage file path
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /// Return storage state
+    /// @return object  {cursors, transfers}
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return {cursors: {}, transfers: {}};
+        }
+
+        const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+        return {cursors: state.cursors || {}, transfers: state.transfers || {}};
+    }
+
+    /// Save storage state
+    /// @param state object  {cursors, transfers}
+    save(state) {
+        fs.mkdirSync(path.dirname(path.resolve(this.filePath)), {recursive: true});
+        const tmpPath = this.filePath + '.tmp';
+        fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+/// Client server
+/// Watches AsterizmClient contracts on source and destination networks and drives non-encoded transfers:
+/// InitiateTransferEvent -> initAsterizmTransfer (with fee) and PayloadReceivedEvent -> asterizmClReceive (with stored payload)
+class ClientServer extends EventEmitter {
+
+    /// @param options object  {storage, feeAmount, maxAttempts}
+    /// feeAmount can be static value or async function (transfer, sourceClient) => value (see quotedFeeAmount in fee_quote.js)
+    constructor(options = {}) {
+        super();
+        this.storage = options.storage || new MemoryStorage();
+        this.feeAmount = options.feeAmount !== undefined ? options.feeAmount : 0;
+        this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.state = this.storage.load();
+        this.clients = [];
+        this.timer = null;
+        this.processing = null;
+    }
+
+    /// Register client contract
+    /// Watching continues from stored block, if client was watched before
+    /// If packPayload encoder is set (see PayloadEncoders in transfer_hash.js), transfer hash is validated before paying fee
+    /// @param chainId number  Client local chain ID
+    /// @param client Contract  AsterizmClient contract (connected to client sender signer)
+    /// @param options object  {fromBlock, packPayload}
+    async addClient(chainId, client, options = {}) {
+        if (this.findClient(chainId, client.address)) {
+            throw new Error(`Client ${client.address} is registered on chain ${chainId} already`);
+        }
+
+        const key = this.buildClientKey(chainId, client.address);
+        if (this.state.cursors[key] === undefined) {
+            this.state.cursors[key] = options.fromBlock !== undefined ?
+                options.fromBlock :
+                await getBlockNumber(client.provider) + 1;
+            this.save();
+        }
+
+        this.clients.push({chainId: Number(chainId), client, key, packPayload: options.packPayload || null});
+
+        return this;
+    }
+
+    /// Return registered client
+    /// @param chainId number  Chain ID
+    /// @param address string  Client address
+    /// @return object|undefined
+    findClient(chainId, address) {
+        return this.clients.find(item => item.chainId == chainId && item.client.address.toLowerCase() == address.toLowerCase());
+    }
+
+    /// Return known transfer
+    /// @param transferHash string  Transfer hash
+    /// @return object|undefined
+    getTransfer(transferHash) {
+        return this.state.transfers[transferHash];
+    }
+
+    /// Process new client events and pending transfers once
+    /// @return object[]  Transfers changed during this call
+    async process() {
+        if (this.processing) {
+            return this.processing;
+        }
+
+        this.processing = this.processPrivate();
+        try {
+            return await this.processing;
+        } finally {
+            this.processing = null;
+        }
+    }
+
+    /// Start polling clients
+    /// @param interval number  Polling interval in ms
+    start(interval = DEFAULT_POLLING_INTERVAL) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.process().catch(error => this.emit('error', error));
+        }, interval);
+    }
+
+    /// Stop polling clients
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async processPrivate() {
+        for (const item of this.clients) {
+            await this.fetchEvents(item);
+        }
+
+        const changed = [];
+        for (const transfer of Object.values(this.state.transfers)) {
+            if (await this.processTransfer(transfer)) {
+                changed.push(transfer);
+            }
+        }
+
+        return changed;
+    }
+
+    async fetchEvents(item) {
+        const fromBlock = this.state.cursors[item.key];
+        const toBlock = await getBlockNumber(item.client.provider);
+        if (toBlock < fromBlock) {
+            return;
+        }
+
+        const events = [
+            ...await item.client.queryFilter(item.client.filters.InitiateTransferEvent(), fromBlock, toBlock),
+            ...await item.client.queryFilter(item.client.filters.PayloadReceivedEvent(), fromBlock, toBlock),
+        ];
+        events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        for (const event of events) {
+            if (event.event == 'InitiateTransferEvent') {
+                this.onInitiateTransfer(item, event);
+            } else {
+                this.onPayloadReceived(item, event);
+            }
+        }
+
+        this.state.cursors[item.key] = toBlock + 1;
+        this.save();
+    }
+
+    onInitiateTransfer(item, event) {
+        const transferHash = event.args._transferHash;
+        const transfer = this.state.transfers[transferHash] || this.buildTransfer(transferHash, ClientTransferStatus.INITIATED);
+        transfer.srcChainId = item.chainId;
+        transfer.srcClientAddress = item.client.address;
+        transfer.dstChainId = event.args._dstChainId.toNumber();
+        transfer.dstAddress = event.args._dstAddress.toString();
+        transfer.txId = event.args._txId.toString();
+        transfer.payload = event.args._payload;
+        this.state.transfers[transferHash] = transfer;
+        this.emit('initiated', transfer);
+    }
+
+    onPayloadReceived(item, event) {
+        const transferHash = event.args._transferHash;
+        const transfer = this.state.transfers[transferHash] || this.buildTransfer(transferHash, ClientTransferStatus.RECEIVED);
+        transfer.srcChainId = event.args._srcChainId.toNumber();
+        transfer.srcAddress = event.args._srcAddress.toString();
+        transfer.dstChainId = item.chainId;
+        transfer.dstClientAddress = item.client.address;
+        transfer.txId = event.args._txId.toString();
+        if (transfer.status != ClientTransferStatus.EXECUTED) {
+            transfer.status = ClientTransferStatus.RECEIVED;
+            transfer.attempts = 0;
+            transfer.error = null;
+        }
+
+        this.state.transfers[transferHash] = transfer;
+        this.emit('received', transfer);
+    }
+
+    async processTransfer(transfer) {
+        if (transfer.status == ClientTransferStatus.INITIATED) {
+            const source = this.findClient(transfer.srcChainId, transfer.srcClientAddress);
+            if (!source) {
+                return false;
+            }
+
+            if (source.packPayload && !await this.validTransferHash(source, transfer)) {
+                transfer.status = ClientTransferStatus.FAILED;
+                transfer.error = 'Transfer hash is invalid';
+                this.emit('failed', transfer);
+                this.save();
+
+                return true;
+            }
+
+            return this.execute(transfer, ClientTransferStatus.SENT, async () => {
+                const feeAmount = typeof this.feeAmount == 'function' ? await this.feeAmount(transfer, source.client) : this.feeAmount;
+                transfer.feeAmount = BigNumber.from(feeAmount).toString();
+
+                return source.client.initAsterizmTransfer(
+                    transfer.dstChainId, transfer.txId, transfer.transferHash, {value: feeAmount}
+                );
+            });
+        }
+
+        if (transfer.status == ClientTransferStatus.RECEIVED && transfer.payload) {
+            const destination = this.findClient(transfer.dstChainId, transfer.dstClientAddress);
+            if (!destination) {
+                return false;
+            }
+
+            return this.execute(transfer, ClientTransferStatus.EXECUTED, () => destination.client.asterizmClReceive(
+                transfer.srcChainId, transfer.srcAddress, transfer.txId, transfer.transferHash, transfer.payload
+            ));
+        }
+
+        return false;
+    }
+
+    async execute(transfer, successStatus, sendTransaction) {
+        transfer.attempts++;
+        try {
+            const tx = await sendTransaction();
+            await tx.wait();
+            transfer.status = successStatus;
+            transfer.attempts = 0;
+            transfer.error = null;
+            transfer.txHashes.push(tx.hash);
+            this.emit(successStatus, transfer);
+        } catch (error) {
+            transfer.error = error.message;
+            if (transfer.attempts >= this.maxAttempts) {
+                transfer.status = ClientTransferStatus.FAILED;
+                this.emit('failed', transfer);
+            }
+        }
+
+        this.save();
+
+        return true;
+    }
+
+    async validTransferHash(source, transfer) {
+        const initializer = new Contract(
+            await source.client.getInitializerAddress(),
+            ['function getChainType(uint64 _chainId) external view returns(uint8)'],
+            source.client.provider
+        );
+        const transferHash = buildTransferHash({
+            srcChainId: transfer.srcChainId,
+            srcAddress: source.client.address,
+            dstChainId: transfer.dstChainId,
+            dstAddress: transfer.dstAddress,
+            txId: transfer.txId,
+            packedPayload: source.packPayload(transfer.payload),
+        }, await initializer.getChainType(transfer.srcChainId), await initializer.getChainType(transfer.dstChainId));
+
+        return transferHash == transfer.transferHash;
+    }
+
+    buildTransfer(transferHash, status) {
+        return {transferHash, status, payload: null, attempts: 0, error: null, txHashes: []};
+    }
+
+    buildClientKey(chainId, address) {
+        return `${chainId}:${address.toLowerCase()}`;
+    }
+
+    save() {
+        this.storage.save(this.state);
+    }
+}
+
+module.exports = {
+    ClientServer,
+    ClientTransferStatus,
+    MemoryStorage,
+    JsonFileStorage,
+};
@@ -0,0 +1,59 @@
+const { BigNumber, Contract, constants } = require("ethers");
+
+const INITIALIZER_ABI = [
+    'function getFeeQuote(address _relayAddress, uint64 _dstChainId, address _clientAddress) external view returns(tuple(uint nativeFee, uint tokenFee))',
+];
+
+const CLIENT_ABI = [
+    'function getInitializerAddress() external view returns(address)',
+    'function getExternalRelay() external view returns(address)',
+    'function getRelay(uint64 _dstChainId) external view returns(address)',
+    'function getFeeToken() external view returns(address)',
+];
+
+/// Return transfer fee quote from initializer
+/// @param providerOrSigner Provider|Signer  Source network provider
+/// @param initializerAddress string  Initializer address
+/// @param relayAddress string  Relay address (zero address - default translator)
+/// @param dstChainId number  Destination chain ID
+/// @param clientAddress string  Client address
+/// @return object  {nativeFee, tokenFee}
+async function getFeeQuote(providerOrSigner, initializerAddress, relayAddress, dstChainId, clientAddress) {
+    const initializer = new Contract(initializerAddress, INITIALIZER_ABI, providerOrSigner);
+    const quote = await initializer.getFeeQuote(relayAddress || constants.AddressZero, dstChainId, clientAddress);
+
+    return {nativeFee: BigNumber.from(quote.nativeFee), tokenFee: BigNumber.from(quote.tokenFee)};
+}
+
+/// Return transfer fee quote of client (initializer, destination chain relay and fee token are read from client contract)
+/// Native fee is initAsterizmTransfer value, token fee must be on client fee token balance
+/// @param providerOrSigner Provider|Signer  Source network provider
+/// @param clientAddress string  Client address
+/// @param dstChainId number  Destination chain ID
+/// @return object  {initializerAddress, relayAddress, feeTokenAddress, nativeFee, tokenFee}
+async function getClientFeeQuote(providerOrSigner, clientAddress, dstChainId) {
+    const client = new Contract(clientAddress, CLIENT_ABI, providerOrSigner);
+    const initializerAddress = await client.getInitializerAddress();
+    const relayAddress = await client.getRelay(dstChainId).catch(() => client.getExternalRelay()); // clients without relay routes
+    const feeTokenAddress = await client.getFeeToken();
+    const quote = await getFeeQuote(providerOrSigner, initializerAddress, relayAddress, dstChainId, clientAddress);
+
+    return {initializerAddress, relayAddress, feeTokenAddress, ...quote};
+}
+
+/// Return ClientServer fee amount function, which pays quoted native fee
+/// @param extraAmount BigNumberish  Amount added to quoted fee (overpayment is refunded to client by initializer)
+/// @return function  async (transfer, client) => fee amount
+function quotedFeeAmount(extraAmount = 0) {
+    return async (transfer, client) => {
+        const quote = await getClientFeeQuote(client.signer || client.provider, client.address, transfer.dstChainId);
+
+        return quote.nativeFee.add(extraAmount);
+    };
+}
+
+module.exports = {
+    getFeeQuote,
+    getClientFeeQuote,
+    quotedFeeAmount,
+};
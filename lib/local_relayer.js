@@ -0,0 +1,289 @@
+const { EventEmitter } = require("events");
+const { utils } = require("ethers");
+
+const TRANSFER_PAYLOAD_TYPES = ['uint64', 'uint', 'uint64', 'uint', 'uint', 'bool', 'bytes32'];
+const DEFAULT_GROUP = 'asterizm';
+const DEFAULT_GAS_LIMIT = 300000;
+const DEFAULT_POLLING_INTERVAL = 1000;
+
+const TransferStatus = {
+    RELAYED: 'relayed',
+    ATTESTED: 'attested',
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+};
+
+const NotificationStatusCode = {
+    SUCCESS: 0,
+    ERROR: 1,
+};
+
+/// Return latest block number
+/// provider.getBlockNumber() never decreases, so it can't be used after chain state revert (evm_revert, Hardhat fixtures)
+/// @param provider Provider
+/// @return number
+async function getBlockNumber(provider) {
+    return (await provider.getBlock('latest')).number;
+}
+
+/// Decode translator transfer payload (abi.encode(srcChainId, srcAddress, dstChainId, dstAddress, txId, notifyFlag, transferHash))
+/// @param payload string  Encoded payload
+/// @return object
+function decodeTransferPayload(payload) {
+    const decoded = utils.defaultAbiCoder.decode(TRANSFER_PAYLOAD_TYPES, payload);
+
+    return {
+        srcChainId: decoded[0].toNumber(),
+        srcAddress: decoded[1],
+        dstChainId: decoded[2].toNumber(),
+        dstAddress: decoded[3],
+        txId: decoded[4],
+        transferResultNotifyFlag: decoded[5],
+        transferHash: decoded[6],
+    };
+}
+
+/// Convert uint address (translator payload format) to EVM address
+/// @param value BigNumber  Uint address
+/// @return string
+function uintToAddress(value) {
+    return utils.getAddress(utils.hexZeroPad(utils.hexlify(value), 20));
+}
+
+/// Local relayer simulator
+/// Watches registered translators and delivers their transfers to the translator of the destination chain,
+/// the same way as Asterizm relayers do between real networks.
+class LocalRelayer extends EventEmitter {
+
+    /// @param options object  {gasLimit, notifyResult}
+    constructor(options = {}) {
+        super();
+        this.gasLimit = options.gasLimit || DEFAULT_GAS_LIMIT;
+        this.notifyResult = options.notifyResult !== undefined ? options.notifyResult : true;
+        this.translators = [];
+        this.transfers = new Map();
+        this.timer = null;
+        this.processing = null;
+    }
+
+    /// Register translator deployment
+    /// External relays must be registered with their own group name, so transfers are delivered between relays of one group
+    /// @param chainId number  Translator local chain ID
+    /// @param translator Contract  AsterizmTranslatorV1 contract (connected to relayer signer)
+    /// @param options object  {group, fromBlock}
+    async addTranslator(chainId, translator, options = {}) {
+        const group = options.group || DEFAULT_GROUP;
+        if (this.findTranslator(group, chainId)) {
+            throw new Error(`Translator for chain ${chainId} is registered in group "${group}" already`);
+        }
+
+        const fromBlock = options.fromBlock !== undefined ?
+            options.fromBlock :
+            await getBlockNumber(translator.provider) + 1;
+
+        this.translators.push({chainId: Number(chainId), group, translator, fromBlock});
+
+        return this;
+    }
+
+    /// Return registered translator
+    /// @param group string  Group name
+    /// @param chainId number  Chain ID
+    /// @return object|undefined
+    findTranslator(group, chainId) {
+        return this.translators.find(item => item.group == group && item.chainId == chainId);
+    }
+
+    /// Return registered translator by contract address
+    /// @param address string  Translator address
+    /// @return object|undefined
+    findTranslatorByAddress(address) {
+        return this.translators.find(item => item.translator.address.toLowerCase() == address.toLowerCase());
+    }
+
+    /// Return known transfer
+    /// @param transferHash string  Transfer hash
+    /// @return object|undefined
+    getTransfer(transferHash) {
+        return this.transfers.get(transferHash);
+    }
+
+    /// Process all new translator events once
+    /// @return object[]  Transfers processed during this call
+    async relay() {
+        if (this.processing) {
+            return this.processing;
+        }
+
+        this.processing = this.relayPrivate();
+        try {
+            return await this.processing;
+        } finally {
+            this.processing = null;
+        }
+    }
+
+    /// Start polling translators
+    /// @param interval number  Polling interval in ms
+    start(interval = DEFAULT_POLLING_INTERVAL) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.relay().catch(error => this.emit('error', error));
+        }, interval);
+    }
+
+    /// Stop polling translators
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async relayPrivate() {
+        const events = [];
+        for (const item of this.translators) {
+            const toBlock = await getBlockNumber(item.translator.provider);
+            if (toBlock < item.fromBlock) {
+                continue;
+            }
+
+            for (const eventName of ['SendMessageEvent', 'LogExternalMessageEvent', 'ResendFailedTransferEvent']) {
+                const logs = await item.translator.queryFilter(item.translator.filters[eventName](), item.fromBlock, toBlock);
+                for (const log of logs) {
+                    events.push({source: item, event: log});
+                }
+            }
+
+            item.fromBlock = toBlock + 1;
+        }
+
+        events.sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex);
+
+        const processed = [];
+        for (const {source, event} of events) {
+            const transfer = await this.processEvent(source, event);
+            if (transfer) {
+                processed.push(transfer);
+            }
+        }
+
+        return processed;
+    }
+
+    async processEvent(source, event) {
+        switch (event.event) {
+            case 'SendMessageEvent':
+                return this.processMessage(source.group, source.translator, event.args._payload, event.args._feeValue);
+            case 'LogExternalMessageEvent': {
+                const relay = this.findTranslatorByAddress(event.args._externalRelayAddress);
+                if (!relay) {
+                    this.emit('skipped', {reason: 'unknown external relay', relayAddress: event.args._externalRelayAddress});
+                    return null;
+                }
+
+                return this.processMessage(relay.group, relay.translator, event.args._payload, event.args._feeValue);
+            }
+            case 'ResendFailedTransferEvent': {
+                const transfer = this.transfers.get(event.args._transferHash);
+                if (!transfer) {
+                    this.emit('skipped', {reason: 'unknown transfer', transferHash: event.args._transferHash});
+                    return null;
+                }
+
+                transfer.feeValue = transfer.feeValue.add(event.args._feeAmount);
+                if (transfer.status != TransferStatus.FAILED) {
+                    return null;
+                }
+
+                return this.deliver(transfer);
+            }
+        }
+
+        return null;
+    }
+
+    async processMessage(group, srcTranslator, payload, feeValue) {
+        const decoded = decodeTransferPayload(payload);
+        if (this.transfers.has(decoded.transferHash)) {
+            return null; // Transfer was relayed through external relay and logged by base translator
+        }
+
+        const transfer = {
+            ...decoded,
+            group,
+            payload,
+            feeValue,
+            srcTranslator,
+            status: TransferStatus.RELAYED,
+            attempts: 0,
+            txHash: null,
+            error: null,
+        };
+        this.transfers.set(decoded.transferHash, transfer);
+
+        return this.deliver(transfer);
+    }
+
+    async deliver(transfer) {
+        const destination = this.findTranslator(transfer.group, transfer.dstChainId);
+        if (!destination) {
+            transfer.status = TransferStatus.FAILED;
+            transfer.error = new Error(`Translator for chain ${transfer.dstChainId} is not registered in group "${transfer.group}"`);
+            this.emit('failed', transfer);
+
+            return transfer;
+        }
+
+        transfer.attempts++;
+        try {
+            const tx = await destination.translator.transferMessage(this.gasLimit, transfer.payload);
+            const receipt = await tx.wait();
+            transfer.txHash = tx.hash;
+            transfer.error = null;
+            if (receipt.events.some(event => event.event == 'TransferSendEvent')) {
+                transfer.status = TransferStatus.DELIVERED;
+                this.emit('delivered', transfer);
+            } else {
+                // Translator quorum mode: attestation is stored, payload is transferred by the relayer which reaches threshold
+                transfer.status = TransferStatus.ATTESTED;
+                this.emit('attested', transfer);
+            }
+        } catch (error) {
+            transfer.status = TransferStatus.FAILED;
+            transfer.error = error;
+            this.emit('failed', transfer);
+        }
+
+        if (this.notifyResult && transfer.transferResultNotifyFlag && transfer.status != TransferStatus.ATTESTED) {
+            await this.notify(transfer);
+        }
+
+        return transfer;
+    }
+
+    async notify(transfer) {
+        const statusCode = transfer.status == TransferStatus.DELIVERED ? NotificationStatusCode.SUCCESS : NotificationStatusCode.ERROR;
+        try {
+            const tx = await transfer.srcTranslator.transferSendingResultNotification(
+                uintToAddress(transfer.srcAddress), transfer.transferHash, statusCode
+            );
+            await tx.wait();
+        } catch (error) {
+            transfer.notificationError = error;
+            this.emit('notificationFailed', transfer);
+        }
+    }
+}
+
+module.exports = {
+    LocalRelayer,
+    TransferStatus,
+    NotificationStatusCode,
+    TRANSFER_PAYLOAD_TYPES,
+    decodeTransferPayload,
+    uintToAddress,
+};
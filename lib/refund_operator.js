@@ -0,0 +1,146 @@
+const { BigNumber, Contract, utils } = require("ethers");
+const { uintToAddress } = require("./local_relayer");
+const { getBlockNumber } = require("./transfer_tracer");
+
+const RefundDecision = {
+    APPROVE: 'approve',
+    REJECT: 'reject',
+    CONFIRM_REQUIRED: 'confirm required',
+    MANUAL_REVIEW: 'manual review',
+};
+
+const REFUND_EVENTS = [
+    'event AddRefundRequestEvent(bytes32 _transferHash, address _userAddress, uint _amount, address _tokenAddress)',
+    'event ProcessRefundRequestEvent(bytes32 _transferHash, bool _status)',
+];
+
+const REFUND_ABI = [
+    'function refundRequests(bytes32) external view returns(bool exists, bool successProcessed, bool rejectProcessed)',
+    'function refundConfirmations(bytes32) external view returns(bool)',
+];
+
+/// Refund operator
+/// Lists client refund requests and checks transfers on destination network (execution and refund confirmation).
+/// Request can be approved only after refund confirmation on destination chain (confirmed transfer can't be executed there),
+/// executed transfers are rejected
+class RefundOperator {
+
+    /// @param tracer TransferTracer  Transfer tracer with registered source network and client (destination networks are resolved by tracer)
+    /// @param chainId number  Source chain ID
+    /// @param clientAddress string  Source client address
+    constructor(tracer, chainId, clientAddress) {
+        if (!tracer.getNetwork(chainId)) {
+            throw new Error(`Network with chain ID ${chainId} is not registered in tracer`);
+        }
+
+        this.tracer = tracer;
+        this.chainId = Number(chainId);
+        this.clientAddress = utils.getAddress(clientAddress);
+        this.iface = new utils.Interface(REFUND_EVENTS);
+    }
+
+    /// Return not processed refund requests of client
+    /// @return array  [{transferHash, userAddress, amount, tokenAddress, blockNumber, txHash}]
+    async listOpenRequests() {
+        const requests = new Map();
+        const processed = new Set();
+        for (const log of await this.tracer.getLogs(this.tracer.getNetwork(this.chainId), this.clientAddress)) {
+            let parsed;
+            try {
+                parsed = this.iface.parseLog(log);
+            } catch (e) {
+                continue; // Not refund event
+            }
+
+            const transferHash = parsed.args._transferHash.toLowerCase();
+            if (parsed.name == 'ProcessRefundRequestEvent') {
+                processed.add(transferHash);
+                continue;
+            }
+
+            requests.set(transferHash, {
+                transferHash,
+                userAddress: parsed.args._userAddress,
+                amount: parsed.args._amount.toString(),
+                tokenAddress: parsed.args._tokenAddress,
+                blockNumber: log.blockNumber,
+                txHash: log.transactionHash,
+            });
+        }
+
+        return [...requests.values()].filter(request => !processed.has(request.transferHash));
+    }
+
+    /// Review refund request
+    /// Evidence contains transfer events from both chains and destination chain checks
+    /// @param transferHash string  Transfer hash
+    /// @return object  {transferHash, decision, reason, executed, confirmed, transfer, evidence}
+    async review(transferHash) {
+        const transfer = await this.tracer.trace(transferHash);
+        const review = {
+            transferHash: transfer.transferHash,
+            decision: RefundDecision.MANUAL_REVIEW,
+            reason: null,
+            executed: null,
+            confirmed: null,
+            transfer,
+            evidence: transfer.timeline.map(item => ({chainId: item.chainId, blockNumber: item.blockNumber, txHash: item.txHash, description: item.event})),
+        };
+
+        const srcNetwork = this.tracer.getNetwork(this.chainId);
+        const request = await new Contract(this.clientAddress, REFUND_ABI, srcNetwork.provider).refundRequests(transfer.transferHash);
+        review.evidence.push(await this.buildCheck(srcNetwork, `refund request exists: ${request.exists}, processed: ${request.successProcessed || request.rejectProcessed}`));
+        if (!request.exists) {
+            review.reason = 'refund request not found on source chain';
+            return review;
+        }
+        if (request.successProcessed || request.rejectProcessed) {
+            review.reason = 'refund request is processed already';
+            return review;
+        }
+        if (transfer.dstChainId === null) {
+            review.reason = 'transfer not found on source chain';
+            return review;
+        }
+
+        const dstNetwork = this.tracer.getNetwork(transfer.dstChainId);
+        if (!dstNetwork) {
+            review.reason = `destination network (chain ID ${transfer.dstChainId}) is not configured`;
+            return review;
+        }
+
+        let dstClient;
+        try {
+            dstClient = new Contract(uintToAddress(BigNumber.from(transfer.dstAddress)), REFUND_ABI, dstNetwork.provider);
+        } catch (e) {
+            review.reason = 'destination client is not EVM contract';
+            return review;
+        }
+
+        review.executed = await this.tracer.isExecuted(transfer);
+        review.confirmed = await dstClient.refundConfirmations(transfer.transferHash);
+        review.evidence.push(await this.buildCheck(dstNetwork, `transfer executed: ${review.executed}, refund confirmed: ${review.confirmed}`));
+
+        if (review.executed) {
+            review.decision = RefundDecision.REJECT;
+            review.reason = 'transfer is executed on destination chain';
+        } else if (review.confirmed) {
+            review.decision = RefundDecision.APPROVE;
+            review.reason = 'refund is confirmed on destination chain, transfer can\'t be executed there';
+        } else {
+            review.decision = RefundDecision.CONFIRM_REQUIRED;
+            review.reason = 'transfer is not executed on destination chain, refund must be confirmed there first';
+        }
+
+        return review;
+    }
+
+    async buildCheck(network, description) {
+        return {chainId: network.chainId, blockNumber: await getBlockNumber(network.provider), txHash: null, description};
+    }
+}
+
+module.exports = {
+    RefundOperator,
+    RefundDecision,
+};
@@ -0,0 +1,117 @@
+const { utils } = require("ethers");
+
+const ChainTypes = {
+    EVM: 1,
+    TVM: 2,
+    TON: 3,
+    SOL: 4,
+};
+
+const STATIC_CHUNK_LENGTH = 112;
+const PAYLOAD_CHUNK_LENGTH = 127;
+
+/// Packed payload encoders (_buildPackedPayload() implementations of project clients)
+/// Each encoder receives default payload (abi.encode() result) and returns packed payload (abi.encodePacked() result)
+const PayloadEncoders = {
+    // AsterizmDemo, AsterizmDemoUpgradeableV1
+    demo: (payload) => packDecoded(['string'], payload),
+    // MultichainToken, MultiChainTokenUpgradeableV1, venidium multichain contracts
+    multichainToken: (payload) => packDecoded(['uint', 'uint', 'uint'], payload),
+    // Checker
+    checker: (payload) => packDecoded(['uint'], payload),
+    // GasStationUpgradeableV1
+    gasStation: (payload) => packDecoded(['uint', 'uint', 'uint', 'uint', 'uint8'], payload),
+};
+
+/// Build packed payload encoder for abi.decode(_payload, (types)) -> abi.encodePacked(values) clients
+/// @param types string[]  Payload types
+/// @return function
+function buildPayloadEncoder(types) {
+    return (payload) => packDecoded(types, payload);
+}
+
+function packDecoded(types, payload) {
+    return utils.solidityPack(types, utils.defaultAbiCoder.decode(types, payload));
+}
+
+/// Build asterizm simple hash (used for transfer within same network types)
+/// @param packed BytesLike
+/// @return string
+function buildSimpleHash(packed) {
+    return utils.sha256(packed);
+}
+
+/// Build asterizm crosschain hash (used for transfer within different network types)
+/// @param packed BytesLike
+/// @return string
+function buildCrosschainHash(packed) {
+    const bytes = utils.arrayify(packed);
+    if (bytes.length < STATIC_CHUNK_LENGTH) {
+        throw new Error(`Packed data must be at least ${STATIC_CHUNK_LENGTH} bytes length`);
+    }
+
+    const payloadChunk = bytes.slice(STATIC_CHUNK_LENGTH);
+    let hash = utils.sha256(bytes.slice(0, STATIC_CHUNK_LENGTH));
+    // Last iteration hashes empty chunk when payload length is multiple of chunk length (same as AsterizmHashLib)
+    for (let i = 0; i <= Math.floor(payloadChunk.length / PAYLOAD_CHUNK_LENGTH); i++) {
+        const chunk = payloadChunk.slice(PAYLOAD_CHUNK_LENGTH * i, PAYLOAD_CHUNK_LENGTH * (i + 1));
+        hash = utils.sha256(utils.defaultAbiCoder.encode(['bytes32', 'bytes32'], [hash, utils.sha256(chunk)]));
+    }
+
+    return hash;
+}
+
+/// Check is simple hash used for chain types pair
+/// @param srcChainType number  Source chain type
+/// @param dstChainType number  Destination chain type
+/// @return bool
+function isSimpleHash(srcChainType, dstChainType) {
+    return srcChainType == dstChainType || srcChainType == ChainTypes.SOL || dstChainType == ChainTypes.SOL;
+}
+
+/// Build transfer packed data (abi.encodePacked(srcChainId, srcAddress, dstChainId, dstAddress, txId, packedPayload))
+/// Addresses can be passed in EVM (hex) or uint format
+/// @param transfer object  {srcChainId, srcAddress, dstChainId, dstAddress, txId, packedPayload}
+/// @return string
+function buildTransferPacked(transfer) {
+    return utils.solidityPack(
+        ['uint64', 'uint', 'uint64', 'uint', 'uint', 'bytes'],
+        [
+            transfer.srcChainId, transfer.srcAddress, transfer.dstChainId,
+            transfer.dstAddress, transfer.txId, transfer.packedPayload,
+        ]
+    );
+}
+
+/// Build transfer hash (AsterizmClient._buildTransferHash())
+/// @param transfer object  {srcChainId, srcAddress, dstChainId, dstAddress, txId, packedPayload}
+/// @param srcChainType number  Source chain type
+/// @param dstChainType number  Destination chain type
+/// @return string
+function buildTransferHash(transfer, srcChainType, dstChainType) {
+    const packed = buildTransferPacked(transfer);
+
+    return isSimpleHash(srcChainType, dstChainType) ? buildSimpleHash(packed) : buildCrosschainHash(packed);
+}
+
+/// Check is transfer hash valid (AsterizmClient._validTransferHash())
+/// @param transfer object  {srcChainId, srcAddress, dstChainId, dstAddress, txId, packedPayload}
+/// @param srcChainType number  Source chain type
+/// @param dstChainType number  Destination chain type
+/// @param transferHash string  Transfer hash
+/// @return bool
+function validTransferHash(transfer, srcChainType, dstChainType, transferHash) {
+    return buildTransferHash(transfer, srcChainType, dstChainType).toLowerCase() == transferHash.toLowerCase();
+}
+
+module.exports = {
+    ChainTypes,
+    PayloadEncoders,
+    buildPayloadEncoder,
+    buildSimpleHash,
+    buildCrosschainHash,
+    isSimpleHash,
+    buildTransferPacked,
+    buildTransferHash,
+    validTransferHash,
+};
@@ -0,0 +1,316 @@
+const { BigNumber, Contract, utils } = require("ethers");
+const { decodeTransferPayload, uintToAddress } = require("./local_relayer");
+
+const TransferState = {
+    NOT_FOUND: 'not found',
+    PENDING_FEE: 'pending fee',
+    SENT: 'sent',
+    RELAYED: 'relayed',
+    FAILED_ON_DESTINATION: 'failed on destination',
+    EXECUTED: 'executed',
+    REFUND_REQUESTED: 'refund requested',
+    REFUNDED: 'refunded',
+};
+
+/// Transfer lifecycle events of clients, translators (V1 and Chainlink) and initializers
+const TRANSFER_EVENTS = [
+    'event InitiateTransferEvent(uint64 _dstChainId, uint _dstAddress, uint _txId, bytes32 _transferHash, bytes _payload)',
+    'event PayloadReceivedEvent(uint64 _srcChainId, uint _srcAddress, uint _txId, bytes32 _transferHash)',
+    'event QueueOrderedTransferEvent(uint64 _srcChainId, uint _srcAddress, uint _txId, bytes32 _transferHash)',
+    'event ResendAsterizmTransferEvent(bytes32 _transferHash, uint _feeAmount)',
+    'event TransferSendingResultNotification(bytes32 indexed _transferHash, uint8 _statusCode)',
+    'event AddTransferEvent(bytes32 _transferHash, address _userAddress, uint _amount, address _tokenAddress)',
+    'event AddRefundRequestEvent(bytes32 _transferHash, address _userAddress, uint _amount, address _tokenAddress)',
+    'event ProcessRefundRequestEvent(bytes32 _transferHash, bool _status)',
+    'event ConfirmRefundEvent(bytes32 _transferHash)',
+    'event SendMessageEvent(uint _feeValue, bytes _payload)',
+    'event SendMessageEvent(bytes32 _transferHash, bytes32 _messageId, bytes _payload)',
+    'event LogExternalMessageEvent(uint _feeValue, address _externalRelayAddress, bytes _payload)',
+    'event ResendFailedTransferEvent(bytes32 _transferHash, uint _senderAddress, uint _feeAmount)',
+    'event SuccessTransferEvent(bytes32 _transferHash)',
+    'event TransferSendEvent(uint64 indexed _srcChainId, uint indexed _srcAddress, uint indexed _dstAddress, bytes32 _transferHash)',
+    'event PayloadErrorEvent(uint64 _srcChainId, uint _srcAddress, uint64 _dstChainId, uint _dstAddress, bytes32 _transferHash, bytes _reason)',
+    'event SentPayloadEvent(bytes32 _transferHash)',
+    'event RetryPayloadEvent(bytes32 _transferHash, uint _attempts, bool _success)',
+    'event RelayFailoverEvent(bytes32 _transferHash, address _relayAddress, bytes _reason)',
+];
+
+const CLIENT_ABI = [
+    'function owner() external view returns(address)',
+    'function asterizmClReceive(uint64 _srcChainId, uint _srcAddress, uint _txId, bytes32 _transferHash, bytes _payload) external',
+];
+
+const ERROR_SELECTOR = '0x08c379a0';
+
+/// Return latest block number
+/// provider.getBlockNumber() never decreases, so it can't be used after chain state revert (evm_revert, Hardhat fixtures)
+/// @param provider Provider
+/// @return number
+async function getBlockNumber(provider) {
+    return (await provider.getBlock('latest')).number;
+}
+
+/// Decode PayloadErrorEvent and RelayFailoverEvent reason (abi.encode(string) for Error(string) reverts, raw revert data otherwise)
+/// @param reason string  Encoded reason
+/// @return string
+function decodeErrorReason(reason) {
+    try {
+        if (reason.startsWith(ERROR_SELECTOR)) {
+            return utils.defaultAbiCoder.decode(['string'], utils.hexDataSlice(reason, 4))[0];
+        }
+
+        return utils.defaultAbiCoder.decode(['string'], reason)[0];
+    } catch (e) {
+        return reason;
+    }
+}
+
+/// Transfer tracer
+/// Collects all lifecycle events of one transfer from source and destination networks and calculates its final state
+class TransferTracer {
+
+    /// @param options object  {blockRange, networkResolver}
+    /// blockRange - max blocks count in one getLogs request (0 - without limit)
+    /// networkResolver - async (chainId) => ({provider, addresses, fromBlock}) | null, is used for networks discovered from transfer data
+    constructor(options = {}) {
+        this.blockRange = options.blockRange || 0;
+        this.networkResolver = options.networkResolver || null;
+        this.networks = new Map();
+        this.iface = new utils.Interface(TRANSFER_EVENTS);
+    }
+
+    /// Register network for tracing
+    /// Client addresses from transfer data are added automatically,
+    /// but source client must be registered for tracing transfers without paid fee (not sent to translator yet)
+    /// @param chainId number  Chain ID
+    /// @param provider Provider  Network provider
+    /// @param options object  {addresses, fromBlock}
+    addNetwork(chainId, provider, options = {}) {
+        if (this.networks.has(Number(chainId))) {
+            throw new Error(`Network with chain ID ${chainId} is registered already`);
+        }
+
+        this.networks.set(Number(chainId), {
+            chainId: Number(chainId),
+            provider,
+            addresses: (options.addresses || []).map(address => utils.getAddress(address)),
+            fromBlock: options.fromBlock || 0,
+        });
+
+        return this;
+    }
+
+    /// Return registered network or null
+    /// @param chainId number  Chain ID
+    getNetwork(chainId) {
+        return this.networks.get(Number(chainId)) || null;
+    }
+
+    /// Return all logs of address from network start block (requests are split by block range)
+    /// @param network object  Registered network
+    /// @param address string  Contract address
+    async getLogs(network, address) {
+        const toBlock = await getBlockNumber(network.provider);
+        const step = this.blockRange || (toBlock - network.fromBlock + 1);
+        const logs = [];
+        for (let fromBlock = network.fromBlock; fromBlock <= toBlock; fromBlock += step) {
+            logs.push(...await network.provider.getLogs({address, fromBlock, toBlock: Math.min(fromBlock + step - 1, toBlock)}));
+        }
+
+        return logs;
+    }
+
+    /// Trace transfer
+    /// @param transferHash string  Transfer hash
+    /// @return object  {transferHash, state, srcChainId, srcAddress, dstChainId, dstAddress, txId, timeline}
+    async trace(transferHash) {
+        transferHash = utils.hexlify(transferHash).toLowerCase();
+        const transfer = {transferHash, state: TransferState.NOT_FOUND, srcChainId: null, srcAddress: null, dstChainId: null, dstAddress: null, txId: null, timeline: []};
+        const queried = new Set();
+
+        let pending = true;
+        while (pending) {
+            pending = false;
+            for (const network of [...this.networks.values()]) {
+                for (const address of [...network.addresses]) {
+                    const key = `${network.chainId}:${address}`;
+                    if (queried.has(key)) {
+                        continue;
+                    }
+
+                    queried.add(key);
+                    pending = true;
+                    for (const item of await this.fetchTransferEvents(network, address, transferHash)) {
+                        transfer.timeline.push(item);
+                        this.fillTransfer(transfer, item);
+                    }
+                }
+            }
+
+            await this.addTransferClient(transfer.srcChainId, transfer.srcAddress);
+            await this.addTransferClient(transfer.dstChainId, transfer.dstAddress);
+        }
+
+        transfer.timeline.sort((a, b) => a.timestamp - b.timestamp || a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        transfer.state = await this.buildState(transfer);
+
+        return transfer;
+    }
+
+    async fetchTransferEvents(network, address, transferHash) {
+        const items = [];
+        for (const log of await this.getLogs(network, address)) {
+            let parsed;
+            try {
+                parsed = this.iface.parseLog(log);
+            } catch (e) {
+                continue; // Not transfer lifecycle event
+            }
+
+            const data = this.parseTransferData(parsed);
+            if (!data || data.transferHash.toLowerCase() != transferHash) {
+                continue;
+            }
+
+            items.push({
+                chainId: network.chainId,
+                address,
+                event: parsed.name,
+                args: this.formatArgs(parsed),
+                data,
+                blockNumber: log.blockNumber,
+                logIndex: log.logIndex,
+                txHash: log.transactionHash,
+                timestamp: (await network.provider.getBlock(log.blockNumber)).timestamp,
+            });
+        }
+
+        return items;
+    }
+
+    parseTransferData(parsed) {
+        if (parsed.args._payload !== undefined && parsed.name != 'InitiateTransferEvent') {
+            try {
+                return decodeTransferPayload(parsed.args._payload);
+            } catch (e) {
+                // Chainlink payload, transfer hash is stored in event args
+            }
+        }
+        if (parsed.args._transferHash === undefined) {
+            return null;
+        }
+
+        return {transferHash: parsed.args._transferHash};
+    }
+
+    formatArgs(parsed) {
+        const args = {};
+        for (const input of parsed.eventFragment.inputs) {
+            const value = parsed.args[input.name];
+            args[input.name] = input.name == '_reason' ? decodeErrorReason(value) : value.toString();
+        }
+
+        return args;
+    }
+
+    fillTransfer(transfer, item) {
+        if (item.data.srcChainId !== undefined) {
+            transfer.srcChainId = item.data.srcChainId;
+            transfer.srcAddress = BigNumber.from(item.data.srcAddress).toString();
+            transfer.dstChainId = item.data.dstChainId;
+            transfer.dstAddress = BigNumber.from(item.data.dstAddress).toString();
+            transfer.txId = item.data.txId.toString();
+        } else if (item.event == 'InitiateTransferEvent') {
+            transfer.srcChainId = item.chainId;
+            transfer.srcAddress = BigNumber.from(item.address).toString();
+            transfer.dstChainId = Number(item.args._dstChainId);
+            transfer.dstAddress = item.args._dstAddress;
+            transfer.txId = item.args._txId;
+        } else if (item.event == 'PayloadReceivedEvent' || item.event == 'PayloadErrorEvent') {
+            transfer.srcChainId = transfer.srcChainId || Number(item.args._srcChainId);
+            transfer.srcAddress = transfer.srcAddress || item.args._srcAddress;
+            transfer.dstChainId = transfer.dstChainId || item.chainId;
+            transfer.dstAddress = transfer.dstAddress || (item.args._dstAddress || BigNumber.from(item.address).toString());
+            transfer.txId = transfer.txId || item.args._txId || null;
+        }
+    }
+
+    async addTransferClient(chainId, uintAddress) {
+        if (chainId === null || uintAddress === null) {
+            return;
+        }
+
+        let address;
+        try {
+            address = uintToAddress(BigNumber.from(uintAddress));
+        } catch (e) {
+            return; // Non-EVM address
+        }
+
+        if (!this.networks.has(chainId)) {
+            const network = this.networkResolver ? await this.networkResolver(chainId) : null;
+            if (!network) {
+                return;
+            }
+
+            this.addNetwork(chainId, network.provider, network);
+        }
+
+        const network = this.networks.get(chainId);
+        if (!network.addresses.includes(address)) {
+            network.addresses.push(address);
+        }
+    }
+
+    async buildState(transfer) {
+        const has = (event, filter = () => true) => transfer.timeline.some(item => item.event == event && filter(item));
+
+        if (has('ProcessRefundRequestEvent', item => item.args._status == 'true')) {
+            return TransferState.REFUNDED;
+        }
+        if (has('PayloadReceivedEvent')) {
+            return await this.isExecuted(transfer) ? TransferState.EXECUTED : TransferState.RELAYED;
+        }
+        if (has('AddRefundRequestEvent') && !has('ProcessRefundRequestEvent')) {
+            return TransferState.REFUND_REQUESTED;
+        }
+        if (has('PayloadErrorEvent')) {
+            return TransferState.FAILED_ON_DESTINATION;
+        }
+        if (has('SendMessageEvent') || has('LogExternalMessageEvent')) {
+            return TransferState.SENT;
+        }
+        if (has('InitiateTransferEvent')) {
+            return TransferState.PENDING_FEE;
+        }
+
+        return TransferState.NOT_FOUND;
+    }
+
+    /// Client doesn't store execution result publicly, so asterizmClReceive is simulated from client owner (sender by default):
+    /// executed transfers are rejected by onlyNonExecuted modifier before payload validation
+    async isExecuted(transfer) {
+        const network = this.networks.get(transfer.dstChainId);
+        if (!network) {
+            return false;
+        }
+
+        const client = new Contract(uintToAddress(BigNumber.from(transfer.dstAddress)), CLIENT_ABI, network.provider);
+        try {
+            await client.callStatic.asterizmClReceive(
+                transfer.srcChainId, transfer.srcAddress, transfer.txId, transfer.transferHash, '0x', {from: await client.owner()}
+            );
+        } catch (error) {
+            return (error.reason || error.message || '').includes('transfer executed already');
+        }
+
+        return false;
+    }
+}
+
+module.exports = {
+    TransferTracer,
+    TransferState,
+    decodeErrorReason,
+    getBlockNumber,
+};
@@ -0,0 +1,334 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { ProviderWrapper } from 'hardhat/plugins';
+import { createProvider } from 'hardhat/internal/core/providers/construction';
+import { BigNumber, Contract, Wallet, providers, utils } from "ethers";
+import { Chains } from './base_chains';
+import { ContractNames, readManifest, setManifestReadOnly } from './base_manifest';
+
+const OPENZEPPELIN_MANIFESTS_DIR = '.openzeppelin';
+
+/// Contract artifacts of deployments from manifest (for state diffs)
+const DeploymentArtifacts = {
+    [ContractNames.TRANSLATOR]: 'AsterizmTranslatorV1',
+    [ContractNames.INITIALIZER]: 'AsterizmInitializerV1',
+    [ContractNames.GAS]: 'GasStationUpgradeableV1',
+    [ContractNames.MULTICHAIN]: 'MultichainToken',
+    [ContractNames.CHECKER]: 'Checker',
+    [ContractNames.EXTERNAL_RELAY]: 'AsterizmTranslatorV1',
+    [ContractNames.CHAINLINK_TRANSLATOR]: 'AsterizmTranslatorChainlink',
+};
+
+/// Format decoded value for printing
+function formatValue(value) {
+    if (BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        const keys = Object.keys(value).filter(key => isNaN(Number(key)));
+        if (keys.length) {
+            return '{' + keys.map(key => `${key}: ${formatValue(value[key])}`).join(', ') + '}';
+        }
+
+        return '[' + value.map(item => formatValue(item)).join(', ') + ']';
+    }
+
+    return String(value);
+}
+
+function formatArgs(fragment, args) {
+    return fragment.inputs.map((input, i) => `${input.name || i}: ${formatValue(args[i])}`).join(', ');
+}
+
+/// Dry run recorder
+/// Decodes transactions sent to fork, prints calls, events and gas used, collects touched contracts state
+class DryRunRecorder {
+    provider;
+    artifacts;
+    networkName;
+    calls;
+    gasUsed;
+    touched;
+    labels;
+    chainIds;
+    startBlock;
+
+    constructor(provider, artifacts, networkName) {
+        this.provider = provider;
+        this.artifacts = artifacts;
+        this.networkName = networkName;
+        this.calls = 0;
+        this.gasUsed = BigNumber.from(0);
+        this.touched = new Map();
+        this.labels = new Map();
+        this.chainIds = new Set([...Chains.mainnet, ...Chains.testnet].map(chain => chain.id.toString()));
+        this.startBlock = null;
+        for (const [contractName, deployment] of Object.entries<any>(readManifest(networkName).contracts)) {
+            this.labels.set(deployment.address.toLowerCase(), contractName);
+        }
+    }
+
+    /// Return artifact of deployed contract (by manifest or by called function selector)
+    findArtifact(address, data) {
+        const contractName = this.labels.get(address.toLowerCase());
+        if (contractName && DeploymentArtifacts[contractName]) {
+            return this.artifacts.find(artifact => artifact.contractName == DeploymentArtifacts[contractName]);
+        }
+
+        const selector = data ? utils.hexDataSlice(data, 0, 4) : null;
+
+        return this.artifacts.find(artifact => selector && artifact.sourceName.startsWith('contracts/') && artifact.iface.functions && Object.keys(artifact.iface.functions).some(signature => artifact.iface.getSighash(signature) == selector));
+    }
+
+    label(address, artifact) {
+        const contractName = this.labels.get(address.toLowerCase());
+
+        return (artifact ? artifact.contractName : 'Contract') + (contractName ? ` (${contractName})` : '') + ` ${address}`;
+    }
+
+    /// Remember called contract and its chain ID and address arguments (for reading state by them)
+    touch(address, artifact, decoded) {
+        if (!this.touched.has(address.toLowerCase())) {
+            this.touched.set(address.toLowerCase(), {address, artifact});
+        }
+        if (!decoded) {
+            return;
+        }
+
+        decoded.functionFragment.inputs.forEach((input, i) => {
+            if (input.type == 'uint64') {
+                this.chainIds.add(decoded.args[i].toString());
+            } else if (input.type == 'uint64[]') {
+                decoded.args[i].forEach(chainId => this.chainIds.add(chainId.toString()));
+            } else if (input.type == 'address' && !this.labels.has(decoded.args[i].toLowerCase())) {
+                this.labels.set(decoded.args[i].toLowerCase(), null);
+            }
+        });
+    }
+
+    async afterTransaction(tx, txHash) {
+        const receipt = await this.provider.request({method: 'eth_getTransactionReceipt', params: [txHash]});
+        this.calls++;
+        this.gasUsed = this.gasUsed.add(receipt.gasUsed);
+
+        if (!tx.to) {
+            const artifact = this.artifacts.find(artifact => artifact.bytecode.length > 2 && tx.data.startsWith(artifact.bytecode));
+            console.log("\n[dry run] Call #%s: deploy %s", this.calls, this.label(receipt.contractAddress, artifact));
+        } else {
+            const artifact = this.touched.has(tx.to.toLowerCase()) ? this.touched.get(tx.to.toLowerCase()).artifact : this.findArtifact(tx.to, tx.data);
+            let call = tx.data && tx.data != '0x' ? `data ${tx.data}` : 'transfer';
+            let decoded = null;
+            if (artifact && tx.data && tx.data != '0x') {
+                try {
+                    decoded = artifact.iface.parseTransaction({data: tx.data});
+                    call = `${decoded.name}(${formatArgs(decoded.functionFragment, decoded.args)})`;
+                } catch (e) {
+                    // Unknown function, raw data is printed
+                }
+            }
+            this.touch(tx.to, artifact, decoded);
+            console.log("\n[dry run] Call #%s: %s.%s", this.calls, this.label(tx.to, artifact), call);
+        }
+        if (tx.value && !BigNumber.from(tx.value).isZero()) {
+            console.log("[dry run]   Value: %s", BigNumber.from(tx.value).toString());
+        }
+        console.log("[dry run]   Gas used: %s", BigNumber.from(receipt.gasUsed).toString());
+        for (const log of receipt.logs) {
+            console.log("[dry run]   Event: %s", this.formatLog(log));
+        }
+    }
+
+    formatLog(log) {
+        for (const artifact of this.artifacts) {
+            try {
+                const parsed = artifact.iface.parseLog(log);
+                return `${parsed.name}(${formatArgs(parsed.eventFragment, parsed.args)}) at ${log.address}`;
+            } catch (e) {
+                // Event is not from this artifact
+            }
+        }
+
+        return `unknown event ${log.topics[0]} at ${log.address}`;
+    }
+
+    /// Read contract state with view functions: without params, with chain ID param (registry chains and called chain IDs)
+    /// and with address param (manifest deployments and called addresses)
+    async readState(address, artifact, blockTag) {
+        const contract = new Contract(address, artifact.abi, new providers.Web3Provider(this.provider));
+        const chainIds = [...this.chainIds];
+        const addresses = [...this.labels.keys()];
+        const state = {};
+        for (const fragment of Object.values(artifact.iface.functions) as any[]) {
+            if (fragment.stateMutability != 'view' || fragment.inputs.length > 1) {
+                continue;
+            }
+
+            let params = [[]];
+            if (fragment.inputs.length == 1) {
+                if (fragment.inputs[0].type == 'uint64') {
+                    params = chainIds.map(chainId => [chainId]);
+                } else if (fragment.inputs[0].type == 'address') {
+                    params = addresses.map(item => [item]);
+                } else {
+                    continue;
+                }
+            }
+
+            for (const param of params) {
+                try {
+                    state[`${fragment.name}(${param.join(', ')})`] = formatValue(await contract[fragment.format()](...param, {blockTag}));
+                } catch (e) {
+                    // Reverted getters (not existing records) are skipped
+                }
+            }
+        }
+
+        return state;
+    }
+
+    /// Print state changes of called contracts (fork start block state against latest state)
+    async printStateDiff() {
+        console.log("\n[dry run] State diff:");
+        for (const item of this.touched.values()) {
+            if (!item.artifact) {
+                console.log("[dry run]   %s: contract ABI not found, state is not compared", item.address);
+                continue;
+            }
+
+            const existed = await this.provider.request({method: 'eth_getCode', params: [item.address, this.startBlock]}) != '0x';
+            const before = existed ? await this.readState(item.address, item.artifact, this.startBlock) : {};
+            const after = await this.readState(item.address, item.artifact, 'latest');
+            const changes = Object.keys({...before, ...after}).filter(key => before[key] !== after[key]);
+            console.log("[dry run]   %s%s", this.label(item.address, item.artifact), changes.length ? '' : ': no changes');
+            for (const key of changes) {
+                console.log("[dry run]     %s: %s -> %s", key, before[key] ?? '(none)', after[key] ?? '(none)');
+            }
+        }
+        console.log("\n[dry run] Transactions: %s, total gas used: %s\n", this.calls, this.gasUsed.toString());
+    }
+}
+
+/// Provider wrapper for recording sent transactions
+class DryRunProvider extends ProviderWrapper {
+    recorder = null;
+
+    async request(args) {
+        const params = this._getParams(args);
+        if (!this.recorder || (args.method != 'eth_sendTransaction' && args.method != 'eth_sendRawTransaction')) {
+            return this._wrappedProvider.request(args);
+        }
+
+        const tx = args.method == 'eth_sendRawTransaction' ? utils.parseTransaction(params[0]) : params[0];
+        const txHash = await this._wrappedProvider.request(args);
+        await this.recorder.afterTransaction(tx, txHash);
+
+        return txHash;
+    }
+}
+
+async function readArtifacts(hre) {
+    const artifacts = [];
+    for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+        const artifact = await hre.artifacts.readArtifact(name);
+        if (artifact.abi.length) {
+            artifacts.push({...artifact, iface: new utils.Interface(artifact.abi)});
+        }
+    }
+
+    return artifacts;
+}
+
+/// Create in-process Hardhat fork of network with the same accounts (transactions are signed locally and never sent)
+async function createForkProvider(hre, networkName) {
+    const networkConfig = hre.config.networks[networkName];
+    if (!networkConfig || !networkConfig.url) {
+        throw new Error(`Network "${networkName}" can't be forked (url is not configured)`);
+    }
+    if (!Array.isArray(networkConfig.accounts) || !networkConfig.accounts.length) {
+        throw new Error(`Network "${networkName}" has no private key accounts, dry run is not supported`);
+    }
+
+    const remoteProvider = new providers.JsonRpcProvider(networkConfig.url, networkConfig.chainId);
+    const accounts = [];
+    for (const privateKey of networkConfig.accounts) {
+        const balance = await remoteProvider.getBalance(new Wallet(privateKey).address);
+        accounts.push({privateKey, balance: balance.toString()});
+    }
+
+    // Fork is pinned to latest block (by default Hardhat forks unknown chains 30 blocks behind, without recent changes)
+    const blockNumber = await remoteProvider.getBlockNumber();
+    let dryRunProvider;
+    const config = {
+        ...hre.config,
+        // Without paths fork responses are not cached on disk (local networks reuse block numbers after restart)
+        paths: undefined,
+        networks: {
+            ...hre.config.networks,
+            hardhat: {
+                ...hre.config.networks.hardhat,
+                chainId: networkConfig.chainId,
+                accounts,
+                forking: {enabled: true, url: networkConfig.url, blockNumber, httpHeaders: {}},
+            },
+        },
+    };
+    // Provider extenders follow Hardhat network message trace hooks
+    const provider = await createProvider(config, 'hardhat', hre.artifacts, [], [(wrappedProvider) => {
+        dryRunProvider = new DryRunProvider(wrappedProvider);
+        return dryRunProvider;
+    }]);
+
+    return {provider, dryRunProvider};
+}
+
+/// Backup upgrades plugin manifests (proxies deployed on fork must not get there)
+function backupOpenzeppelinManifests() {
+    const backup = {};
+    if (fs.existsSync(OPENZEPPELIN_MANIFESTS_DIR)) {
+        for (const file of fs.readdirSync(OPENZEPPELIN_MANIFESTS_DIR)) {
+            backup[file] = fs.readFileSync(path.join(OPENZEPPELIN_MANIFESTS_DIR, file));
+        }
+    }
+
+    return () => {
+        if (!fs.existsSync(OPENZEPPELIN_MANIFESTS_DIR)) {
+            return;
+        }
+        for (const file of fs.readdirSync(OPENZEPPELIN_MANIFESTS_DIR)) {
+            if (backup[file] === undefined) {
+                fs.rmSync(path.join(OPENZEPPELIN_MANIFESTS_DIR, file), {recursive: true, force: true});
+            } else {
+                fs.writeFileSync(path.join(OPENZEPPELIN_MANIFESTS_DIR, file), backup[file]);
+            }
+        }
+    };
+}
+
+/// Run task action on in-process fork of current network
+/// All calls with decoded arguments, events, gas used and state diffs of touched contracts are printed
+/// Must be called before hre.ethers usage (ethers provider is bound to network provider on first usage)
+/// @param hre HardhatRuntimeEnvironment  Hardhat runtime environment
+/// @param action function  Task action
+export async function runDryRun(hre, action) {
+    const networkName = hre.network.name;
+    const {provider, dryRunProvider} = await createForkProvider(hre, networkName);
+    const recorder = new DryRunRecorder(dryRunProvider, await readArtifacts(hre), networkName);
+    dryRunProvider.recorder = recorder;
+
+    const forkBlockNumber = await provider.request({method: 'eth_blockNumber'});
+    // Calls on remote fork block may be executed with remote chain rules, so the state is compared from the first local block
+    await provider.request({method: 'evm_mine'});
+    recorder.startBlock = await provider.request({method: 'eth_blockNumber'});
+    console.log("[dry run] Running on fork of \"%s\" network (block %s), transactions are not sent\n", networkName, BigNumber.from(forkBlockNumber).toString());
+
+    hre.network.provider = provider;
+    setManifestReadOnly(true);
+    const restoreOpenzeppelinManifests = backupOpenzeppelinManifests();
+    try {
+        return await action();
+    } finally {
+        restoreOpenzeppelinManifests();
+        setManifestReadOnly(false);
+        await recorder.printStateDiff();
+    }
+}
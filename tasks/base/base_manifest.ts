@@ -0,0 +1,147 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { BigNumber } from "ethers";
+
+const MANIFESTS_DIR = path.join(__dirname, '../../deployments');
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+let readOnly = false;
+
+export const ContractNames = {
+    TRANSLATOR: 'translator',
+    INITIALIZER: 'initializer',
+    GAS: 'gas',
+    MULTICHAIN: 'multichain',
+    CHECKER: 'checker',
+    EXTERNAL_RELAY: 'externalRelay',
+    CHAINLINK_TRANSLATOR: 'chainlinkTranslator',
+    TIMELOCK: 'timelock',
+};
+
+/// Return deployment manifest file path
+/// @param networkName string  Hardhat network name
+export function getManifestPath(networkName) {
+    return path.join(MANIFESTS_DIR, networkName + '.json');
+}
+
+/// Read network deployment manifest (empty manifest if network has no deployments yet)
+/// @param networkName string  Hardhat network name
+export function readManifest(networkName) {
+    const manifestPath = getManifestPath(networkName);
+    if (!fs.existsSync(manifestPath)) {
+        return {network: networkName, contracts: {}};
+    }
+
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/// Enable or disable manifests writing (manifests are read only in dry run mode)
+/// @param flag bool  Read only flag
+export function setManifestReadOnly(flag) {
+    readOnly = flag;
+}
+
+/// Write network deployment manifest
+/// @param networkName string  Hardhat network name
+/// @param manifest object  Manifest
+/// @return bool  Is manifest written
+export function writeManifest(networkName, manifest) {
+    if (readOnly) {
+        console.log("Deployment manifest is read only, changes are not saved: %s", path.relative(process.cwd(), getManifestPath(networkName)));
+        return false;
+    }
+
+    fs.mkdirSync(MANIFESTS_DIR, {recursive: true});
+    fs.writeFileSync(getManifestPath(networkName), JSON.stringify(manifest, null, 4) + '\n');
+
+    return true;
+}
+
+/// Return contract deployment record or null if contract is not deployed
+/// @param networkName string  Hardhat network name
+/// @param contractName string  Contract name (see ContractNames)
+export function findDeployment(networkName, contractName) {
+    const deployment = readManifest(networkName).contracts[contractName];
+    if (!deployment || deployment.address == ZERO_ADDRESS) {
+        return null;
+    }
+
+    return deployment;
+}
+
+/// Return contract deployment record
+/// @param networkName string  Hardhat network name
+/// @param contractName string  Contract name (see ContractNames)
+export function getDeployment(networkName, contractName) {
+    const deployment = findDeployment(networkName, contractName);
+    if (!deployment) {
+        throw new Error(`Contract "${contractName}" is not deployed on "${networkName}" network (${path.relative(process.cwd(), getManifestPath(networkName))})`);
+    }
+
+    return deployment;
+}
+
+/// Save deployed contract to current network manifest
+/// @param hre HardhatRuntimeEnvironment  Hardhat runtime environment
+/// @param contractName string  Contract name (see ContractNames)
+/// @param contract Contract  Deployed contract (after deployed() call)
+/// @param isProxy bool  UUPS proxy flag
+export async function saveDeployment(hre, contractName, contract, isProxy) {
+    const receipt = await contract.deployTransaction.wait();
+    const manifest = readManifest(hre.network.name);
+    manifest.chainId = hre.network.config.chainId;
+    manifest.contracts[contractName] = {
+        address: contract.address,
+        uint: BigNumber.from(contract.address).toString(),
+        implementation: isProxy ? await hre.upgrades.erc1967.getImplementationAddress(contract.address) : null,
+        blockNumber: receipt.blockNumber,
+        txHash: receipt.transactionHash,
+    };
+    if (writeManifest(hre.network.name, manifest)) {
+        console.log("Deployment manifest updated: %s", path.relative(process.cwd(), getManifestPath(hre.network.name)));
+    }
+
+    return manifest.contracts[contractName];
+}
+
+/// Save upgraded proxy implementation to current network manifest
+/// @param hre HardhatRuntimeEnvironment  Hardhat runtime environment
+/// @param contractName string  Contract name (see ContractNames)
+export async function saveImplementation(hre, contractName) {
+    const manifest = readManifest(hre.network.name);
+    const deployment = getDeployment(hre.network.name, contractName);
+    deployment.implementation = await hre.upgrades.erc1967.getImplementationAddress(deployment.address);
+    manifest.contracts[contractName] = deployment;
+    if (writeManifest(hre.network.name, manifest)) {
+        console.log("Deployment manifest updated: %s", path.relative(process.cwd(), getManifestPath(hre.network.name)));
+    }
+
+    return deployment;
+}
+
+export const RolloutStepStatus = {
+    DONE: 'done',
+    SATISFIED: 'satisfied',
+    FAILED: 'failed',
+};
+
+/// Return rollout step progress from network manifest (null if step wasn't processed yet)
+/// @param networkName string  Hardhat network name
+/// @param stepKey string  Rollout step key
+export function getRolloutStep(networkName, stepKey) {
+    const rollout = readManifest(networkName).rollout || {};
+
+    return rollout[stepKey] || null;
+}
+
+/// Save rollout step progress to network manifest
+/// @param networkName string  Hardhat network name
+/// @param stepKey string  Rollout step key
+/// @param status string  Step status (see RolloutStepStatus)
+/// @param error string|null  Step error
+export function saveRolloutStep(networkName, stepKey, status, error = null) {
+    const manifest = readManifest(networkName);
+    manifest.rollout = manifest.rollout || {};
+    manifest.rollout[stepKey] = {status, error, updatedAt: new Date().toISOString()};
+    writeManifest(networkName, manifest);
+}
@@ -0,0 +1,37 @@
+import { Chains } from './base_chains';
+
+/// Return chain config by hardhat network name
+/// @param networkName string  Hardhat network name
+export function getChainByNetworkName(networkName) {
+    const chain = [...Chains.mainnet, ...Chains.testnet].find(item => item.networkName == networkName);
+    if (!chain) {
+        throw new Error(`Chain for network "${networkName}" not found`);
+    }
+
+    return chain;
+}
+
+/// Return provider for any configured hardhat network (not only the current one)
+/// @param hre HardhatRuntimeEnvironment  Hardhat runtime environment
+/// @param networkName string  Hardhat network name
+export function getNetworkProvider(hre, networkName) {
+    const networkConfig = hre.config.networks[networkName];
+    if (!networkConfig || !networkConfig.url) {
+        throw new Error(`Network "${networkName}" not configured`);
+    }
+
+    return new hre.ethers.providers.JsonRpcProvider(networkConfig.url, networkConfig.chainId);
+}
+
+/// Return signer for any configured hardhat network (not only the current one)
+/// @param hre HardhatRuntimeEnvironment  Hardhat runtime environment
+/// @param networkName string  Hardhat network name
+export function getNetworkSigner(hre, networkName) {
+    const provider = getNetworkProvider(hre, networkName);
+    const accounts = hre.config.networks[networkName].accounts;
+    if (!Array.isArray(accounts) || !accounts.length) {
+        throw new Error(`Network "${networkName}" has no private key accounts`);
+    }
+
+    return new hre.ethers.Wallet(accounts[0], provider);
+}
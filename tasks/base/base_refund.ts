@@ -0,0 +1,31 @@
+import { getChainTitle } from './base_tracer';
+
+const { RefundOperator } = require('../../lib/refund_operator');
+
+/// Return reviews of refund requests (all open requests of client if transfer hashes list is empty)
+/// @param tracer TransferTracer  Tracer with registered source network
+/// @param chainId number  Source chain ID
+/// @param clientAddress string  Source client address
+/// @param transferHashes string  Transfer hashes list (hash,hash) or "all"
+export async function reviewRefundRequests(tracer, chainId, clientAddress, transferHashes) {
+    const operator = new RefundOperator(tracer, chainId, clientAddress);
+    const hashes = transferHashes == 'all'
+        ? (await operator.listOpenRequests()).map(request => request.transferHash)
+        : transferHashes.split(',');
+
+    const reviews = [];
+    for (const transferHash of hashes) {
+        reviews.push(await operator.review(transferHash));
+    }
+
+    return reviews;
+}
+
+/// Print refund request review with evidence
+export function printRefundReview(chains, review) {
+    console.log("\nTransfer: %s", review.transferHash);
+    console.log("Decision: %s (%s)", review.decision, review.reason);
+    for (const item of review.evidence) {
+        console.log("    %s  block %s  %s%s", getChainTitle(chains, item.chainId), item.blockNumber, item.description, item.txHash ? ` (tx: ${item.txHash})` : '');
+    }
+}
@@ -0,0 +1,51 @@
+/// Contract roles (task role name => contract role constant), owner has all roles
+export const Roles = {
+    feeManager: 'FEE_MANAGER_ROLE',
+    relayerAdmin: 'RELAYER_ADMIN_ROLE',
+    blocklistOperator: 'BLOCKLIST_OPERATOR_ROLE',
+    treasurer: 'TREASURER_ROLE',
+    chainManager: 'CHAIN_MANAGER_ROLE',
+    upgrader: 'UPGRADER_ROLE',
+};
+
+/// Return role ID
+/// @param hre HardhatRuntimeEnvironment
+/// @param roleName string  Role name (see Roles)
+export function getRoleId(hre, roleName) {
+    if (!Roles[roleName]) {
+        throw new Error(`Invalid role "${roleName}" (available: ${Object.keys(Roles).join(', ')})`);
+    }
+
+    return hre.ethers.utils.id(Roles[roleName]);
+}
+
+/// Check task sender role before sending transaction (sender must be owner of contracts without roles)
+/// Timelocked methods can't be sent by role if contract timelock is set
+/// @param hre HardhatRuntimeEnvironment
+/// @param contractAddress string  Contract address
+/// @param roleName string  Role name (see Roles)
+/// @param timelocked bool  Timelocked method flag
+export async function checkRole(hre, contractAddress, roleName, timelocked = false) {
+    const [sender] = await hre.ethers.getSigners();
+    const contract = await hre.ethers.getContractAt("AsterizmRolesUpgradeable", contractAddress);
+
+    if (timelocked) {
+        let timelock = hre.ethers.constants.AddressZero;
+        try {
+            timelock = await contract.getTimelock();
+        } catch (e) {}
+        if (timelock != hre.ethers.constants.AddressZero) {
+            throw new Error(`Method of contract ${contractAddress} is timelocked, schedule it with timelock ${timelock} (timelock:schedule task)`);
+        }
+    }
+
+    let hasRole;
+    try {
+        hasRole = await contract.hasRole(getRoleId(hre, roleName), sender.address);
+    } catch (e) {
+        hasRole = (await contract.owner()) == sender.address;
+    }
+    if (!hasRole) {
+        throw new Error(`Sender ${sender.address} has not ${roleName} role on contract ${contractAddress}`);
+    }
+}
@@ -0,0 +1,191 @@
+import { task as hardhatTask } from 'hardhat/config';
+import { BigNumber, PayableOverrides } from "ethers";
+import { spawnSync } from 'child_process';
+import { runDryRun } from './base_dryrun';
+
+export const NetworkSets = ['testnet', 'mainnet'];
+
+/// Chains set param type (testnet, mainnet)
+export const NetworkSetType = {
+    name: 'networkSet',
+    parse: (argName, value) => {
+        NetworkSetType.validate(argName, value);
+        return value;
+    },
+    validate: (argName, value) => {
+        if (!NetworkSets.includes(value)) {
+            throw new Error(`Invalid value "${value}" for --${toCliName(argName)} (available: ${NetworkSets.join(', ')})`);
+        }
+    },
+};
+
+/// Wei amount param type (decimal integer)
+export const WeiType = {
+    name: 'wei',
+    parse: (argName, value) => {
+        if (!/^\d+$/.test(value)) {
+            throw new Error(`Invalid value "${value}" for --${toCliName(argName)} (integer amount in wei expected)`);
+        }
+
+        return BigNumber.from(value);
+    },
+    validate: (argName, value) => {
+        if (!BigNumber.isBigNumber(value) || value.isNegative()) {
+            throw new Error(`Invalid value "${value}" for --${toCliName(argName)} (integer amount in wei expected)`);
+        }
+    },
+};
+
+/// Unsigned integer param type (gas limit, nonce)
+export const UintType = {
+    name: 'uint',
+    parse: (argName, value) => {
+        if (!/^\d+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+            throw new Error(`Invalid value "${value}" for --${toCliName(argName)} (unsigned integer expected)`);
+        }
+
+        return Number(value);
+    },
+    validate: (argName, value) => {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`Invalid value "${value}" for --${toCliName(argName)} (unsigned integer expected)`);
+        }
+    },
+};
+
+function toCliName(argName) {
+    return argName.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+}
+
+/// Transaction options of task (fees, gas limit, nonce) and gas used by sent transactions
+export class TaskTransactions {
+    gasPrice;
+    maxFee;
+    priorityFee;
+    gasLimit;
+    nonce;
+    gasUsed;
+
+    /// @param taskArgs object  Task arguments (gasPrice, maxFee, priorityFee, gasLimit, nonce)
+    constructor(taskArgs) {
+        TaskTransactions.validate(taskArgs);
+
+        this.gasPrice = taskArgs.gasPrice;
+        this.maxFee = taskArgs.maxFee;
+        this.priorityFee = taskArgs.priorityFee;
+        this.gasLimit = taskArgs.gasLimit;
+        this.nonce = taskArgs.nonce;
+        this.gasUsed = BigNumber.from(0);
+    }
+
+    /// Check options combination
+    /// @param taskArgs object  Task arguments
+    static validate(taskArgs) {
+        if (taskArgs.gasPrice !== undefined && (taskArgs.maxFee !== undefined || taskArgs.priorityFee !== undefined)) {
+            throw new Error('--gas-price can\'t be used with --max-fee and --priority-fee');
+        }
+        if (taskArgs.maxFee !== undefined && taskArgs.priorityFee !== undefined && taskArgs.priorityFee.gt(taskArgs.maxFee)) {
+            throw new Error('--priority-fee must not be greater than --max-fee');
+        }
+        if (taskArgs.gasLimit === 0) {
+            throw new Error('--gas-limit must be greater than 0');
+        }
+    }
+
+    /// Return overrides for next transaction (every call takes next nonce if nonce is set)
+    /// @param overrides object  Transaction specific overrides (value etc.)
+    overrides(overrides: PayableOverrides = {}) {
+        const result: PayableOverrides = {...overrides};
+        if (this.gasPrice !== undefined) {
+            result.gasPrice = this.gasPrice;
+        }
+        if (this.maxFee !== undefined) {
+            result.maxFeePerGas = this.maxFee;
+        }
+        if (this.priorityFee !== undefined) {
+            result.maxPriorityFeePerGas = this.priorityFee;
+        }
+        if (this.gasLimit !== undefined) {
+            result.gasLimit = this.gasLimit;
+        }
+        if (this.nonce !== undefined) {
+            result.nonce = this.nonce++;
+        }
+
+        return result;
+    }
+
+    /// Check options before upgrades plugin deployment (plugin sends own transactions without overrides)
+    beforeProxyDeployment() {
+        if (this.nonce !== undefined) {
+            throw new Error('--nonce is not supported by proxy deployments and upgrades');
+        }
+    }
+
+    /// Wait for transaction receipt and add its gas used to the total
+    /// @param tx TransactionResponse  Sent transaction
+    async wait(tx) {
+        const receipt = await tx.wait();
+        this.gasUsed = this.gasUsed.add(receipt.gasUsed);
+
+        return receipt;
+    }
+}
+
+/// Add fee and gas limit options (--gas-price, --max-fee, --priority-fee, --gas-limit)
+/// @param definition ConfigurableTaskDefinition  Task definition
+export function addFeeParams(definition) {
+    return definition
+        .addOptionalParam("gasPrice", "Legacy gas price in wei (for networks without EIP-1559)", undefined, WeiType)
+        .addOptionalParam("maxFee", "EIP-1559 max fee per gas in wei", undefined, WeiType)
+        .addOptionalParam("priorityFee", "EIP-1559 max priority fee per gas in wei", undefined, WeiType)
+        .addOptionalParam("gasLimit", "Gas limit of every sent transaction", undefined, UintType);
+}
+
+/// Return fee and gas limit options as CLI arguments (for running tasks in separate processes)
+/// @param taskArgs object  Task arguments
+export function getFeeCliArgs(taskArgs) {
+    const args = [];
+    for (const argName of ['gasPrice', 'maxFee', 'priorityFee', 'gasLimit']) {
+        if (taskArgs[argName] !== undefined) {
+            args.push('--' + toCliName(argName), taskArgs[argName].toString());
+        }
+    }
+
+    return args;
+}
+
+/// Run hardhat task on network in separate process (hardhat runtime is bound to one network)
+/// @param networkName string  Network name
+/// @param taskName string  Task name
+/// @param args array  Task CLI arguments
+export function runNetworkTask(networkName, taskName, args) {
+    console.log("  > npx hardhat %s %s --network %s", taskName, args.join(' '), networkName);
+    const result = spawnSync('npx', ['hardhat', taskName, ...args.map(arg => String(arg)), '--network', networkName], {stdio: 'inherit'});
+    if (result.status !== 0) {
+        throw new Error(`Task "${taskName}" failed on "${networkName}" network` + (result.error ? `: ${result.error.message}` : ''));
+    }
+}
+
+/// Define task which sends transactions
+/// Adds shared transaction options (fee options, --nonce, see TaskTransactions)
+/// and --dry-run flag (task is executed on in-process fork of target network, see runDryRun)
+/// @param name string  Task name
+/// @param description string  Task description
+export function task(name, description) {
+    const definition = addFeeParams(hardhatTask(name, description))
+        .addOptionalParam("nonce", "Nonce of the first sent transaction (next transactions take next nonces)", undefined, UintType)
+        .addFlag("dryRun", "Run task on in-process fork of the network (print calls, events, gas used and state diffs without sending transactions)");
+
+    const setAction = definition.setAction.bind(definition);
+    definition.setAction = (action) => setAction(async (taskArgs, hre, runSuper) => {
+        TaskTransactions.validate(taskArgs);
+        if (!taskArgs.dryRun) {
+            return action(taskArgs, hre, runSuper);
+        }
+
+        return runDryRun(hre, () => action(taskArgs, hre, runSuper));
+    });
+
+    return definition;
+}
@@ -0,0 +1,76 @@
+import { ContractNames, findDeployment } from './base_manifest';
+import { getNetworkProvider } from './base_networks';
+
+const { TransferTracer } = require('../../lib/transfer_tracer');
+
+const BLOCK_RANGE = 5000;
+
+/// Return network contracts for tracing (all deployed system contracts and clients from manifest)
+export function getNetworkAddresses(networkName) {
+    const addresses = [];
+    for (const contractName of Object.values(ContractNames)) {
+        const deployment = findDeployment(networkName, contractName);
+        if (deployment) {
+            addresses.push(deployment.address);
+        }
+    }
+
+    return addresses;
+}
+
+async function getFromBlock(provider, blocksDepth) {
+    return Math.max((await provider.getBlock('latest')).number - blocksDepth, 0);
+}
+
+/// Create transfer tracer for chains set
+/// Current network is registered with manifest contracts and additional client addresses,
+/// other networks are resolved from transfer data (networks without hardhat config are skipped)
+/// @param hre HardhatRuntimeEnvironment
+/// @param chains array  Chains set
+/// @param blocksDepth number  Scanned blocks count (from the latest block of every network)
+/// @param clientAddresses array  Current network clients (not stored in manifest)
+export async function createTransferTracer(hre, chains, blocksDepth, clientAddresses = []) {
+    const currentChain = chains.find(chain => chain.networkName == hre.network.name);
+    if (!currentChain) {
+        throw new Error('Chain not supported!');
+    }
+
+    const tracer = new TransferTracer({
+        blockRange: BLOCK_RANGE,
+        networkResolver: async (chainId) => {
+            const chain = chains.find(item => item.id == chainId);
+            if (!chain || !hre.config.networks[chain.networkName]) {
+                console.log("Network for chain ID %s is not configured, its events are skipped", chainId);
+                return null;
+            }
+
+            const provider = getNetworkProvider(hre, chain.networkName);
+
+            return {provider, addresses: getNetworkAddresses(chain.networkName), fromBlock: await getFromBlock(provider, blocksDepth)};
+        },
+    });
+
+    await addTracerNetwork(tracer, currentChain, hre.ethers.provider, blocksDepth, clientAddresses);
+
+    return {tracer, currentChain};
+}
+
+/// Register network in transfer tracer
+/// @param tracer TransferTracer
+/// @param chain object  Chain from chains set
+/// @param provider Provider  Network provider
+/// @param blocksDepth number  Scanned blocks count
+/// @param clientAddresses array  Network clients (not stored in manifest)
+export async function addTracerNetwork(tracer, chain, provider, blocksDepth, clientAddresses = []) {
+    tracer.addNetwork(chain.id, provider, {
+        addresses: [...getNetworkAddresses(chain.networkName), ...clientAddresses],
+        fromBlock: await getFromBlock(provider, blocksDepth),
+    });
+}
+
+/// Return chain title with ID
+export function getChainTitle(chains, chainId) {
+    const chain = chains.find(item => item.id == chainId);
+
+    return chain ? `${chain.title} (${chainId})` : chainId;
+}
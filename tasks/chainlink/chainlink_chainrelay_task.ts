@@ -1,13 +1,13 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from '../base/base_chains';
+import { ContractNames, findDeployment, getDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, isTestnet, gasPrice) {
+async function deployBase(hre, networkSet) {
     const [owner] = await ethers.getSigners();
     const TranslatorChainlink = await ethers.getContractFactory("AsterizmTranslatorChainlink");
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let chainIds = [];
     let chainRelays = [];
@@ -17,39 +17,41 @@ async function deployBase(hre, isTestnet, gasPrice) {
             continue;
         }
 
-        chainIds.push(chains[i].id);
-        chainRelays.push(chains[i].chainlink.asterizmRouter);
         if (chains[i].networkName == hre.network.name) {
             currentChain = chains[i];
         }
+
+        const deployment = findDeployment(chains[i].networkName, ContractNames.CHAINLINK_TRANSLATOR);
+        if (!deployment) {
+            continue;
+        }
+
+        chainIds.push(chains[i].id);
+        chainRelays.push(deployment.address);
     }
     if (!currentChain) {
         throw new Error('Chain not supported!');
     }
-    if (currentChain.chainlink.asterizmRouter == '0x0000000000000000000000000000000000000000') {
-        throw new Error('Chain has not Asterizm router!');
-    }
 
-    const translatorChainlink = await TranslatorChainlink.attach(currentChain?.chainlink.asterizmRouter);
+    const translatorChainlink = await TranslatorChainlink.attach(getDeployment(hre.network.name, ContractNames.CHAINLINK_TRANSLATOR).address);
 
     return {translatorChainlink, owner, currentChain, chainIds, chainRelays};
 }
 
 task("chainlink:fillChainRelays", "Fill Cainlink cain relays")
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {translatorChainlink, owner, currentChain, chainIds, chainRelays} = await deployBase(hre, taskArgs.isTestnet, parseInt(taskArgs.gasPrice));
+        let {translatorChainlink, owner, currentChain, chainIds, chainRelays} = await deployBase(hre, taskArgs.networkSet);
 
-        let gasLimit = BigNumber.from(0);
         let tx;
+        const txs = new TaskTransactions(taskArgs);
 
-        tx = await translatorChainlink.addChainRelays(chainIds, chainRelays);
-        gasLimit = gasLimit.add(tx.gasLimit);
+        tx = await translatorChainlink.addChainRelays(chainIds, chainRelays, txs.overrides());
+        await txs.wait(tx);
 
         console.log("Chain relays set successfully\n");
 
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Chainlink translator address: %s", translatorChainlink.address);
         console.log("Transaction hash: %s\n", tx.hash);
     });
@@ -1,14 +1,14 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from '../base/base_chains';
+import { ContractNames, getDeployment, saveDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, isTestnet, gasPrice) {
+async function deployBase(hre, networkSet, txs) {
     const [owner] = await ethers.getSigners();
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
     const TranslatorChainlink = await ethers.getContractFactory("AsterizmTranslatorChainlink");
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let chainIds = [];
     let chainTypes = [];
@@ -30,51 +30,50 @@ async function deployBase(hre, isTestnet, gasPrice) {
         throw new Error('Chain not supported!');
     }
 
-    let gasLimit = BigNumber.from(0);
     let tx;
     console.log("Deploying Chainlink translator...");
     // const translatorChainlink = await TranslatorChainlink.attach('0x...');
     const translatorChainlink = await TranslatorChainlink.deploy(
         currentChain.id, currentChain.chainType, currentChain.chainlink.chainSelector,
         currentChain.chainlink.baseRouter, currentChain.chainlink.feeToken,
-        gasPrice > 0 ? {gasPrice: gasPrice} : {}
+        txs.overrides()
     );
     tx = await translatorChainlink.deployed();
-    gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+    await txs.wait(tx.deployTransaction);
     console.log("Chainlink translator was deployed with address: %s", translatorChainlink.address);
-    tx = await translatorChainlink.addChains(chainIds, chainTypes, chainSelectors);
-    gasLimit = gasLimit.add(tx.gasLimit);
+    await saveDeployment(hre, ContractNames.CHAINLINK_TRANSLATOR, translatorChainlink, false);
+    tx = await translatorChainlink.addChains(chainIds, chainTypes, chainSelectors, txs.overrides());
+    await txs.wait(tx);
     console.log("Chains set successfully");
 
-    const initializer = await Initializer.attach(currentChain?.contractAddresses.initializer.address);
+    const initializer = await Initializer.attach(getDeployment(hre.network.name, ContractNames.INITIALIZER).address);
 
-    return {initializer, translatorChainlink, owner, gasLimit};
+    return {initializer, translatorChainlink, owner};
 }
 
 task("chainlink:deploy", "Deploy Chainlink translator")
     .addPositionalParam("systemFee", "System Chainlink relay system fee")
     .addPositionalParam("baseGasLimit", "Chainlink relay base gas limit", '200000')
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        const gasPrice = parseInt(taskArgs.gasPrice);
-        let {initializer, translatorChainlink, owner, gasLimit} = await deployBase(hre, taskArgs.isTestnet, gasPrice);
+        const txs = new TaskTransactions(taskArgs);
+        let {initializer, translatorChainlink, owner} = await deployBase(hre, taskArgs.networkSet, txs);
 
         let tx;
         console.log("Setting initializer for translator contract...");
-        tx = await translatorChainlink.setInitializer(initializer.address, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-        gasLimit = gasLimit.add(tx.gasLimit);
+        tx = await translatorChainlink.setInitializer(initializer.address, txs.overrides());
+        await txs.wait(tx);
         console.log("Initializer has been set. Tx: %s", tx.hash);
 
-        tx = await initializer.manageTrustedRelay(translatorChainlink.address, 0, taskArgs.systemFee); // mb we should set relayFee
-        gasLimit = gasLimit.add(tx.gasLimit);
+        tx = await initializer.manageTrustedRelay(translatorChainlink.address, 0, taskArgs.systemFee, txs.overrides()); // mb we should set relayFee
+        await txs.wait(tx);
         console.log("Trusted relay set successfully");
 
-        tx = await translatorChainlink.setBaseGasLimit(taskArgs.baseGasLimit, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-        gasLimit = gasLimit.add(tx.gasLimit);
+        tx = await translatorChainlink.setBaseGasLimit(taskArgs.baseGasLimit, txs.overrides());
+        await txs.wait(tx);
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Initializer address: %s", initializer.address);
         console.log("Chainlink translator address: %s\n", translatorChainlink.address);
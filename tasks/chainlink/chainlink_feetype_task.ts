@@ -0,0 +1,42 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { ContractNames, getDeployment } from '../base/base_manifest';
+
+const FeeTypes = {token: 1, native: 2};
+
+async function deployBase(hre) {
+    const TranslatorChainlink = await ethers.getContractFactory("AsterizmTranslatorChainlink");
+    const translatorChainlink = await TranslatorChainlink.attach(getDeployment(hre.network.name, ContractNames.CHAINLINK_TRANSLATOR).address);
+
+    return {translatorChainlink};
+}
+
+task("chainlink:setFeeType", "Set Chainlink CCIP fee type of client or client transfer (fee token or native coins)")
+    .addPositionalParam("clientAddress", "Client contract address")
+    .addPositionalParam("feeType", `Fee type (${Object.keys(FeeTypes).join(', ')}, default - client fee type for transfer)`)
+    .addOptionalParam("transferHash", "Transfer hash (empty - client fee type)", '')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {translatorChainlink} = await deployBase(hre);
+        if (taskArgs.feeType != 'default' && !FeeTypes[taskArgs.feeType]) {
+            throw new Error(`Invalid fee type "${taskArgs.feeType}" (available: ${Object.keys(FeeTypes).join(', ')}, default)`);
+        }
+        const feeType = FeeTypes[taskArgs.feeType] || 0;
+
+        let tx;
+        const txs = new TaskTransactions(taskArgs);
+        if (taskArgs.transferHash) {
+            tx = await translatorChainlink.setTransferFeeType(taskArgs.clientAddress, taskArgs.transferHash, feeType, txs.overrides());
+        } else {
+            tx = await translatorChainlink.setClientFeeType(taskArgs.clientAddress, feeType, txs.overrides());
+        }
+        await txs.wait(tx);
+
+        console.log("Fee type was set\n");
+
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Chainlink translator address: %s", translatorChainlink.address);
+        console.log("Client address: %s", taskArgs.clientAddress);
+        console.log("Fee type: %s", taskArgs.feeType);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
@@ -0,0 +1,192 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task as hardhatTask } from 'hardhat/config';
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { Chains } from '../base/base_chains';
+import { ContractNames, findDeployment } from '../base/base_manifest';
+import { checkRole } from '../base/base_roles';
+
+async function deployBase(hre, clientAddress) {
+    // Relay methods of upgradeable clients have the same ABI
+    const client = await ethers.getContractAt("contracts/base/AsterizmClient.sol:AsterizmClient", clientAddress);
+    const initializer = await ethers.getContractAt("AsterizmInitializerV1", await client.getInitializerAddress());
+
+    return {client, initializer};
+}
+
+/// Return route relay address
+/// @param hre HardhatRuntimeEnvironment  Hardhat runtime environment
+/// @param relay string  Relay address or manifest contract name (externalRelay, chainlinkTranslator, translator - default translator), 0 - route removing
+/// @return string
+function getRouteRelayAddress(hre, relay) {
+    if (relay == '0') {
+        return ethers.constants.AddressZero;
+    }
+    if (ethers.utils.isAddress(relay)) {
+        return relay;
+    }
+    if (![ContractNames.EXTERNAL_RELAY, ContractNames.CHAINLINK_TRANSLATOR, ContractNames.TRANSLATOR].includes(relay)) {
+        throw new Error(`Invalid relay "${relay}" (available: address, 0, ${ContractNames.EXTERNAL_RELAY}, ${ContractNames.CHAINLINK_TRANSLATOR}, ${ContractNames.TRANSLATOR})`);
+    }
+
+    const deployment = findDeployment(hre.network.name, relay);
+    if (!deployment) {
+        throw new Error(`Relay "${relay}" is not deployed on "${hre.network.name}" network`);
+    }
+
+    return deployment.address;
+}
+
+/// Return route destination chains from chain registry
+/// Chainlink translator routes are set to chains with Chainlink config only
+/// @param hre HardhatRuntimeEnvironment  Hardhat runtime environment
+/// @param networkSet string  Chains set (testnet, mainnet)
+/// @param networkNames string  Destination network names (comma separated, empty - all chains)
+/// @param relay string  Relay task param
+/// @return array  Chains
+function getRouteChains(hre, networkSet, networkNames, relay) {
+    const names = networkNames ? networkNames.split(',') : [];
+    const chains = Chains[networkSet].filter(chain => chain.networkName != hre.network.name && (names.length ? names.includes(chain.networkName) : true));
+    for (const name of names) {
+        if (!chains.find(chain => chain.networkName == name)) {
+            throw new Error(`Chain "${name}" not found in ${networkSet} chains set`);
+        }
+    }
+
+    return relay == ContractNames.CHAINLINK_TRANSLATOR && !names.length ? chains.filter(chain => chain.chainlink) : chains;
+}
+
+task("client:setRelay", "Set client external relay (before the first transfer) or propose relay changing (activated after delay)")
+    .addPositionalParam("clientAddress", "Client contract address")
+    .addPositionalParam("relayAddress", "External relay address (0 - default translator)")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {client} = await deployBase(hre, taskArgs.clientAddress);
+        const relayAddress = taskArgs.relayAddress != '0' ? taskArgs.relayAddress : ethers.constants.AddressZero;
+        // Relay changes are timelocked (client has no roles, sender is checked as owner)
+        await checkRole(hre, client.address, 'relayerAdmin', true);
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Setting external relay...");
+        let tx = await client.setExternalRelay(relayAddress, txs.overrides());
+        const receipt = await txs.wait(tx);
+
+        const proposeEvent = receipt.events.find(event => event.event == 'ProposeExternalRelayEvent');
+        if (proposeEvent) {
+            console.log("\nRelay changing was proposed, activate it with client:activateRelay after %s\n", new Date(proposeEvent.args._activationTime.toNumber() * 1000).toISOString());
+        } else {
+            console.log("\nExternal relay was set\n");
+        }
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Client address: %s", client.address);
+        console.log("Relay address: %s", relayAddress);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
+
+task("client:activateRelay", "Activate proposed client external relay (previous relay transfers are resent with it until cutoff)")
+    .addPositionalParam("clientAddress", "Client contract address")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {client} = await deployBase(hre, taskArgs.clientAddress);
+        await checkRole(hre, client.address, 'relayerAdmin', true);
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Activating external relay...");
+        let tx = await client.activateExternalRelay(txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nExternal relay was activated\n");
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Client address: %s", client.address);
+        console.log("Relay address: %s", await client.getExternalRelay());
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
+
+hardhatTask("client:relayMigration", "Show client external relay migrations (read-only)")
+    .addPositionalParam("clientAddress", "Client contract address")
+    .addPositionalParam("blocksDepth", "Scanned blocks count (from the latest block)", '50000')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {client} = await deployBase(hre, taskArgs.clientAddress);
+
+        const toBlock = await ethers.provider.getBlockNumber();
+        const fromBlock = Math.max(toBlock - parseInt(taskArgs.blocksDepth), 0);
+        const events = [
+            ...await client.queryFilter(client.filters.ProposeExternalRelayEvent(), fromBlock, toBlock),
+            ...await client.queryFilter(client.filters.ActivateExternalRelayEvent(), fromBlock, toBlock),
+        ].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        const formatTime = (timestamp) => new Date(timestamp.toNumber() * 1000).toISOString();
+        console.log("\nClient: %s", client.address);
+        console.log("External relay: %s\n", await client.getExternalRelay());
+        for (const event of events) {
+            if (event.event == 'ProposeExternalRelayEvent') {
+                console.log("Proposed %s -> %s, activation after %s (tx %s)", event.args._externalRelayAddress, event.args._proposedRelayAddress, formatTime(event.args._activationTime), event.transactionHash);
+            } else {
+                console.log("Activated %s -> %s, previous relay resends until %s (tx %s)", event.args._previousRelayAddress, event.args._externalRelayAddress, formatTime(event.args._resendCutoffTime), event.transactionHash);
+            }
+        }
+        console.log();
+    });
+
+task("client:setRoutes", "Set client relay routes to destination chains from chain registry (transfers to chains are sent with route relay, then with backup relays on relay failure)")
+    .addPositionalParam("clientAddress", "Client contract address")
+    .addPositionalParam("relay", `Relay address or manifest name (${ContractNames.EXTERNAL_RELAY}, ${ContractNames.CHAINLINK_TRANSLATOR}, ${ContractNames.TRANSLATOR} - default translator), 0 - remove routes`)
+    .addPositionalParam("networkNames", "Destination network names (comma separated, empty - all chains)", '')
+    .addOptionalParam("backupRelays", "Backup relays in failover order (relay,relay), relay is address, manifest name or 0 - default translator (empty - no backup relays)", '')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {client, initializer} = await deployBase(hre, taskArgs.clientAddress);
+        const relayAddress = getRouteRelayAddress(hre, taskArgs.relay);
+        const backupRelayAddresses = taskArgs.backupRelays ? taskArgs.backupRelays.split(',').map(relay => getRouteRelayAddress(hre, relay)) : [];
+        const chains = getRouteChains(hre, taskArgs.networkSet, taskArgs.networkNames, taskArgs.relay);
+        // Routes are timelocked (client has no roles, sender is checked as owner)
+        await checkRole(hre, client.address, 'relayerAdmin', true);
+
+        const txs = new TaskTransactions(taskArgs);
+        for (const chain of chains) {
+            let tx = await client.setRelayRoute(chain.id, relayAddress, txs.overrides());
+            await txs.wait(tx);
+            console.log("Route to %s (%s) was set, transaction hash: %s", chain.networkName, chain.id, tx.hash);
+
+            // Backup relays are stored on initializer, unchanged backup relays are skipped
+            const currentBackupRelays = await initializer.getBackupRelays(client.address, chain.id);
+            if (currentBackupRelays.join(',') == backupRelayAddresses.join(',')) {
+                continue;
+            }
+
+            tx = await initializer.setBackupRelays(client.address, chain.id, backupRelayAddresses, txs.overrides());
+            await txs.wait(tx);
+            console.log("Backup relays to %s (%s) were set, transaction hash: %s", chain.networkName, chain.id, tx.hash);
+        }
+
+        console.log("\nRoutes were set\n");
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Client address: %s", client.address);
+        console.log("Relay address: %s", relayAddress);
+        console.log("Backup relay addresses: %s\n", backupRelayAddresses.join(', ') || '-');
+    });
+
+hardhatTask("client:routes", "Show client relays and backup relays of destination chains from chain registry (read-only)")
+    .addPositionalParam("clientAddress", "Client contract address")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {client, initializer} = await deployBase(hre, taskArgs.clientAddress);
+
+        const relayNames = {[ethers.constants.AddressZero]: 'default translator'};
+        for (const contractName of [ContractNames.EXTERNAL_RELAY, ContractNames.CHAINLINK_TRANSLATOR, ContractNames.TRANSLATOR]) {
+            const deployment = findDeployment(hre.network.name, contractName);
+            if (deployment) {
+                relayNames[deployment.address] = contractName;
+            }
+        }
+
+        console.log("\nClient: %s", client.address);
+        console.log("External relay: %s\n", await client.getExternalRelay());
+        const formatRelay = (relayAddress) => relayNames[relayAddress] ? `${relayAddress} (${relayNames[relayAddress]})` : relayAddress;
+        for (const chain of getRouteChains(hre, taskArgs.networkSet, '', '')) {
+            const backupRelayAddresses = await initializer.getBackupRelays(client.address, chain.id);
+            console.log("%s (%s): %s%s", chain.networkName, chain.id, formatRelay(await client.getRelay(chain.id)),
+                backupRelayAddresses.length ? `, backup relays: ${backupRelayAddresses.map(formatRelay).join(', ')}` : '');
+        }
+        console.log();
+    });
@@ -0,0 +1,48 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task } from 'hardhat/config';
+import { getChainByNetworkName, getNetworkSigner } from '../base/base_networks';
+
+const { ClientServer, JsonFileStorage } = require('../../lib/client_server');
+const { PayloadEncoders } = require('../../lib/transfer_hash');
+const { quotedFeeAmount } = require('../../lib/fee_quote');
+
+async function deployBase(hre, clients, storagePath, feeAmount, payloadEncoder) {
+    if (payloadEncoder && !PayloadEncoders[payloadEncoder]) {
+        throw new Error(`Payload encoder "${payloadEncoder}" not found (available: ${Object.keys(PayloadEncoders).join(', ')})`);
+    }
+
+    const server = new ClientServer({storage: new JsonFileStorage(storagePath), feeAmount: feeAmount == 'quote' ? quotedFeeAmount() : feeAmount});
+
+    for (const client of clients.split(',')) {
+        const [networkName, clientAddress] = client.split(':');
+        const chain = getChainByNetworkName(networkName);
+        const signer = getNetworkSigner(hre, networkName);
+        const clientContract = await hre.ethers.getContractAt("contracts/base/AsterizmClient.sol:AsterizmClient", clientAddress, signer);
+        await server.addClient(chain.id, clientContract, payloadEncoder ? {packPayload: PayloadEncoders[payloadEncoder]} : {});
+        console.log("Watching client %s on %s (chain ID: %s)", clientAddress, networkName, chain.id);
+    }
+
+    return {server};
+}
+
+task("client:server", "Run client server (initAsterizmTransfer and asterizmClReceive automation)")
+    .addPositionalParam("clients", "Client contracts list (networkName:address,networkName:address)")
+    .addPositionalParam("storagePath", "Client server progress storage file", './client_server_storage.json')
+    .addPositionalParam("feeAmount", "Fee amount for initAsterizmTransfer (in wei, quote - initializer fee quote)", '0')
+    .addPositionalParam("pollingInterval", "Polling interval (ms)", '5000')
+    .addPositionalParam("payloadEncoder", "Packed payload encoder for transfer hash validation (demo, multichainToken, checker, gasStation)", '')
+    .setAction(async (taskArgs, hre) => {
+        let {server} = await deployBase(hre, taskArgs.clients, taskArgs.storagePath, taskArgs.feeAmount, taskArgs.payloadEncoder);
+
+        server.on('sent', (transfer) => console.log("Transfer %s initiated, tx: %s", transfer.transferHash, transfer.txHashes[transfer.txHashes.length - 1]));
+        server.on('executed', (transfer) => console.log("Transfer %s executed, tx: %s", transfer.transferHash, transfer.txHashes[transfer.txHashes.length - 1]));
+        server.on('failed', (transfer) => console.log("Transfer %s failed: %s", transfer.transferHash, transfer.error));
+        server.on('error', (error) => console.log("Processing error: %s", error.message));
+
+        console.log("\nClient server started\n");
+        server.start(parseInt(taskArgs.pollingInterval));
+
+        await new Promise(resolve => process.once('SIGINT', resolve));
+        server.stop();
+        console.log("\nClient server stopped");
+    });
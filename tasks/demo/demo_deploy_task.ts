@@ -1,45 +1,43 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, TaskTransactions } from '../base/base_task';
+import { ContractNames, getDeployment } from '../base/base_manifest';
 
 async function deployBase(hre, initializerAddress) {
     const [owner] = await ethers.getSigners();
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
 
-    let gasLimit = BigNumber.from(0);
-    const initializer = await Initializer.attach(initializerAddress);
+    const initializer = await Initializer.attach(initializerAddress != '0' ? initializerAddress : getDeployment(hre.network.name, ContractNames.INITIALIZER).address);
 
-    return {initializer, owner, gasLimit};
+    return {initializer, owner};
 }
 
 task("demo:deploy", "Deploy AsterizmDemo contract")
-    .addPositionalParam("initializerAddress", "Initializer contract address")
+    .addPositionalParam("initializerAddress", "Initializer contract address (0 - from deployment manifest)", '0')
     .addPositionalParam("relayAddress", "Config contract address", '0')
     .addPositionalParam("feeTokenAddress", "Chainlink fee token address", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
     .setAction(async (taskArgs, hre) => {
-        let {initializer, owner, gasLimit} = await deployBase(hre, taskArgs.initializerAddress);
+        let {initializer, owner} = await deployBase(hre, taskArgs.initializerAddress);
 
         let tx;
-        const gasPrice = parseInt(taskArgs.gasPrice);
+        const txs = new TaskTransactions(taskArgs);
         console.log("Deploying demo contract...");
         const Demo = await ethers.getContractFactory("AsterizmDemo");
-        const demo = await Demo.deploy(initializer.address, gasPrice > 0 ? {gasPrice: gasPrice} : {});
+        const demo = await Demo.deploy(initializer.address, txs.overrides());
         tx = await demo.deployed();
-        gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+        await txs.wait(tx.deployTransaction);
         if (taskArgs.relayAddress != '0') {
-            tx = await demo.setExternalRelay(taskArgs.relayAddress, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await demo.setExternalRelay(taskArgs.relayAddress, txs.overrides());
+            await txs.wait(tx);
             console.log("Set external relay successfully. Address: %s", taskArgs.relayAddress);
         }
         if (taskArgs.feeTokenAddress != '0') {
-            tx = await demo.setFeeToken(taskArgs.feeTokenAddress, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await demo.setFeeToken(taskArgs.feeTokenAddress, txs.overrides());
+            await txs.wait(tx);
             console.log("Set external relay successfully. Address: %s", taskArgs.relayAddress);
         }
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Initializer address: %s", initializer.address);
         if (taskArgs.relayAddress != '0') {
@@ -0,0 +1,146 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task } from 'hardhat/config';
+import { BigNumber } from "ethers";
+import { Chains } from '../base/base_chains';
+import { ContractNames, findDeployment } from '../base/base_manifest';
+import { NetworkSetType } from '../base/base_task';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+async function deployBase(hre, networkSet) {
+    const chains = Chains[networkSet];
+
+    let currentChain = null;
+    for (let i = 0; i < chains.length; i++) {
+        if (chains[i].networkName == hre.network.name) {
+            currentChain = chains[i];
+            break;
+        }
+    }
+    if (!currentChain) {
+        throw new Error('Chain not supported!');
+    }
+
+    return {chains, currentChain};
+}
+
+/// Compare expected and actual values and store mismatch
+function compare(diffs, contractName, key, expected, actual) {
+    const normalize = (value) => BigNumber.isBigNumber(value) ? value.toString() : String(value).toLowerCase();
+    if (normalize(expected) != normalize(actual)) {
+        diffs.push({contractName, key, expected: String(expected), actual: String(actual)});
+    }
+}
+
+/// Read value from contract, errors are returned as values (for printing in diff)
+async function read(call) {
+    try {
+        return await call();
+    } catch (e) {
+        return 'call error (' + (e.reason || e.message) + ')';
+    }
+}
+
+async function auditTranslator(diffs, contractName, translator, chains, currentChain) {
+    compare(diffs, contractName, 'getLocalChainId()', currentChain.id, await read(() => translator.getLocalChainId()));
+    for (let i = 0; i < chains.length; i++) {
+        const chain = await read(() => translator.chains(chains[i].id));
+        compare(diffs, contractName, `chains(${chains[i].id}).exists`, true, chain.exists);
+        compare(diffs, contractName, `chains(${chains[i].id}).chainType`, chains[i].chainType, chain.chainType);
+    }
+}
+
+async function auditInitializer(hre, diffs, initializer, currentChain) {
+    const translator = findDeployment(hre.network.name, ContractNames.TRANSLATOR);
+    compare(diffs, ContractNames.INITIALIZER, 'getTranslatorAddress()', translator ? translator.address : ZERO_ADDRESS, await read(() => initializer.getTranslatorAddress()));
+    compare(diffs, ContractNames.INITIALIZER, 'getLocalChainId()', currentChain.id, await read(() => initializer.getLocalChainId()));
+
+    for (const relayName of [ContractNames.EXTERNAL_RELAY, ContractNames.CHAINLINK_TRANSLATOR]) {
+        const relay = findDeployment(hre.network.name, relayName);
+        if (!relay) {
+            continue;
+        }
+
+        const relayData = await read(() => initializer.getRelayData(relay.address));
+        compare(diffs, ContractNames.INITIALIZER, `getRelayData(${relay.address}).externalRelayExists (${relayName})`, true, relayData.externalRelayExists);
+    }
+}
+
+async function auditChainlinkTranslator(diffs, translatorChainlink, chains, currentChain) {
+    compare(diffs, ContractNames.CHAINLINK_TRANSLATOR, 'localChainId()', currentChain.id, await read(() => translatorChainlink.localChainId()));
+    for (let i = 0; i < chains.length; i++) {
+        if (!chains[i].chainlink || chains[i].chainlink.chainSelector == '0') {
+            continue;
+        }
+
+        const chain = await read(() => translatorChainlink.chains(chains[i].id));
+        const relay = findDeployment(chains[i].networkName, ContractNames.CHAINLINK_TRANSLATOR);
+        compare(diffs, ContractNames.CHAINLINK_TRANSLATOR, `chains(${chains[i].id}).exists`, true, chain.exists);
+        compare(diffs, ContractNames.CHAINLINK_TRANSLATOR, `chains(${chains[i].id}).chainType`, chains[i].chainType, chain.chainType);
+        compare(diffs, ContractNames.CHAINLINK_TRANSLATOR, `chains(${chains[i].id}).chainSelector`, chains[i].chainlink.chainSelector, chain.chainSelector);
+        compare(diffs, ContractNames.CHAINLINK_TRANSLATOR, `chains(${chains[i].id}).relayAddress`, relay ? relay.address : ZERO_ADDRESS, chain.relayAddress);
+    }
+}
+
+async function auditClient(diffs, contractName, client, chains) {
+    for (let i = 0; i < chains.length; i++) {
+        const trustedClient = findDeployment(chains[i].networkName, contractName);
+        if (!trustedClient) {
+            continue;
+        }
+
+        const trustedAddress = await read(() => client.getTrustedAddresses(chains[i].id));
+        compare(diffs, contractName, `getTrustedAddresses(${chains[i].id}).exists`, true, trustedAddress.exists);
+        compare(diffs, contractName, `getTrustedAddresses(${chains[i].id}).trustedAddress`, trustedClient.uint, trustedAddress.trustedAddress);
+    }
+}
+
+task("deploy:audit", "Check deployed contracts topology against chains registry and deployment manifests (read only)")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {chains, currentChain} = await deployBase(hre, taskArgs.networkSet);
+
+        let diffs = [];
+        let audited = [];
+        const translator = findDeployment(hre.network.name, ContractNames.TRANSLATOR);
+        if (translator) {
+            await auditTranslator(diffs, ContractNames.TRANSLATOR, await ethers.getContractAt("AsterizmTranslatorV1", translator.address), chains, currentChain);
+            audited.push(ContractNames.TRANSLATOR);
+        }
+        const externalRelay = findDeployment(hre.network.name, ContractNames.EXTERNAL_RELAY);
+        if (externalRelay) {
+            await auditTranslator(diffs, ContractNames.EXTERNAL_RELAY, await ethers.getContractAt("AsterizmTranslatorV1", externalRelay.address), chains, currentChain);
+            audited.push(ContractNames.EXTERNAL_RELAY);
+        }
+        const initializer = findDeployment(hre.network.name, ContractNames.INITIALIZER);
+        if (initializer) {
+            await auditInitializer(hre, diffs, await ethers.getContractAt("AsterizmInitializerV1", initializer.address), currentChain);
+            audited.push(ContractNames.INITIALIZER);
+        }
+        const translatorChainlink = findDeployment(hre.network.name, ContractNames.CHAINLINK_TRANSLATOR);
+        if (translatorChainlink) {
+            await auditChainlinkTranslator(diffs, await ethers.getContractAt("AsterizmTranslatorChainlink", translatorChainlink.address), chains, currentChain);
+            audited.push(ContractNames.CHAINLINK_TRANSLATOR);
+        }
+        for (const clientName of [ContractNames.GAS, ContractNames.MULTICHAIN, ContractNames.CHECKER]) {
+            const client = findDeployment(hre.network.name, clientName);
+            if (client) {
+                await auditClient(diffs, clientName, await ethers.getContractAt("contracts/base/AsterizmClient.sol:AsterizmClient", client.address), chains);
+                audited.push(clientName);
+            }
+        }
+
+        console.log("Audited contracts: %s\n", audited.join(', '));
+        if (!diffs.length) {
+            console.log("No drift found\n");
+            return;
+        }
+
+        for (const diff of diffs) {
+            console.log("[%s] %s", diff.contractName, diff.key);
+            console.log("  - expected: %s", diff.expected);
+            console.log("  + actual:   %s", diff.actual);
+        }
+        console.log("\nDrift found: %s mismatched entries\n", diffs.length);
+        process.exitCode = 1;
+    });
@@ -1,14 +1,14 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from '../base/base_chains';
+import { ContractNames, saveDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, isTestnet, gasPrice) {
+async function deployBase(hre, networkSet, txs) {
     const [owner] = await ethers.getSigners();
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
     const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let chainIds = [];
     let chainTypes = [];
@@ -25,49 +25,51 @@ async function deployBase(hre, isTestnet, gasPrice) {
     }
 
 
-    let gasLimit = BigNumber.from(0);
     let tx;
     console.log("Deploying translator...");
     // const translator = await Transalor.attach('0x...');
-    // const translator = await Transalor.deploy(currentChain.id, currentChain.chainType, gasPrice > 0 ? {gasPrice: gasPrice} : {});
+    // const translator = await Transalor.deploy(currentChain.id, currentChain.chainType, txs.overrides());
+    txs.beforeProxyDeployment();
     const translator = await upgrades.deployProxy(Transalor, [currentChain.id, currentChain.chainType], {
         initialize: 'initialize',
         kind: 'uups',
     });
     tx = await translator.deployed();
-    gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+    await txs.wait(tx.deployTransaction);
     console.log("Translator was deployed with address: %s", translator.address);
-    tx = await translator.addChains(chainIds, chainTypes);
-    gasLimit = gasLimit.add(tx.gasLimit);
+    await saveDeployment(hre, ContractNames.TRANSLATOR, translator, true);
+    tx = await translator.addChains(chainIds, chainTypes, txs.overrides());
+    await txs.wait(tx);
     console.log("Chains is set");
 
     console.log("Deploying initializer...");
     // const initializer = await Initializer.attach('0x...');
-    // const initializer = await Initializer.deploy(translator.address, gasPrice > 0 ? {gasPrice: gasPrice} : {});
+    // const initializer = await Initializer.deploy(translator.address, txs.overrides());
     const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
         initialize: 'initialize',
         kind: 'uups',
     });
     tx = await initializer.deployed();
-    gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+    await txs.wait(tx.deployTransaction);
     console.log("Initializer was deployed with address: %s", initializer.address);
+    await saveDeployment(hre, ContractNames.INITIALIZER, initializer, true);
 
     console.log("Setting initializer for translator contract...");
-    tx = await translator.setInitializer(initializer.address, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-    gasLimit = gasLimit.add(tx.gasLimit);
+    tx = await translator.setInitializer(initializer.address, txs.overrides());
+    await txs.wait(tx);
     console.log("Initializer has been set: %s", initializer.address);
 
-    return {initializer, translator, owner, gasLimit};
+    return {initializer, translator, owner};
 }
 
 task("deploy:base", "Deploy base Asterizm contracts")
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {initializer, translator, owner, gasLimit} = await deployBase(hre, taskArgs.isTestnet, parseInt(taskArgs.gasPrice));
+        const txs = new TaskTransactions(taskArgs);
+        let {initializer, translator, owner} = await deployBase(hre, taskArgs.networkSet, txs);
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Translator address: %s", translator.address);
         console.log("Initializer address: %s\n", initializer.address);
@@ -1,13 +1,13 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from "../base/base_chains";
+import { ContractNames, getDeployment, saveDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, isTestnet) {
+async function deployBase(hre, networkSet) {
     const [owner] = await ethers.getSigners();
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let chainIds = [];
     let chainTypes = [];
@@ -23,35 +23,34 @@ async function deployBase(hre, isTestnet) {
         throw new Error('Chain not supported!');
     }
 
-    let gasLimit = BigNumber.from(0);
-    const initializer = await Initializer.attach(currentChain?.contractAddresses.initializer.address);
+    const initializer = await Initializer.attach(getDeployment(hre.network.name, ContractNames.INITIALIZER).address);
 
-    return {initializer, owner, gasLimit};
+    return {initializer, owner};
 }
 
 task("deploy:checker", "Deploy Asterizm checker contract")
     .addPositionalParam("relayAddress", "Config contract address", '0')
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {initializer, owner, gasLimit} = await deployBase(hre, taskArgs.isTestnet);
+        let {initializer, owner} = await deployBase(hre, taskArgs.networkSet);
 
         let tx;
-        const gasPrice = parseInt(taskArgs.gasPrice);
+        const txs = new TaskTransactions(taskArgs);
         console.log("Deploying checker contract...");
         const Checker = await ethers.getContractFactory("Checker");
         // const checker = await Checker.attach('0x...');
-        const checker = await Checker.deploy(initializer.address, gasPrice > 0 ? {gasPrice: gasPrice} : {});
+        const checker = await Checker.deploy(initializer.address, txs.overrides());
         tx = await checker.deployed();
-        gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+        await txs.wait(tx.deployTransaction);
+        await saveDeployment(hre, ContractNames.CHECKER, checker, false);
         if (taskArgs.relayAddress != '0') {
-            tx = await checker.setExternalRelay(taskArgs.relayAddress, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await checker.setExternalRelay(taskArgs.relayAddress, txs.overrides());
+            await txs.wait(tx);
             console.log("Set external relay successfully. Address: %s", taskArgs.relayAddress);
         }
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Initializer address: %s", initializer.address);
         if (taskArgs.relayAddress != '0') {
@@ -1,6 +1,5 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, TaskTransactions } from '../base/base_task';
 
 async function deployBase(translatorAddress, initializerAddress) {
     const [owner] = await ethers.getSigners();
@@ -9,40 +8,40 @@ async function deployBase(translatorAddress, initializerAddress) {
     const translator = await Transalor.attach(translatorAddress);
     const initializer = await Initializer.attach(initializerAddress);
 
-    let gasLimit = BigNumber.from(0);
-    return {initializer, translator, owner, gasLimit};
+    return {initializer, translator, owner};
 }
 
 task("deploy:claim", "Deploy Asterizm claim contracts")
     .addPositionalParam("translatorAddress", "Translator contract address")
     .addPositionalParam("initializerAddress", "Initializer contract address")
     .setAction(async (taskArgs) => {
-        let {initializer, translator, owner, gasLimit} = await deployBase(taskArgs.translatorAddress, taskArgs.initializerAddress);
+        let {initializer, translator, owner} = await deployBase(taskArgs.translatorAddress, taskArgs.initializerAddress);
 
         let tx;
+        const txs = new TaskTransactions(taskArgs);
         console.log("Deployig multichain token...");
         const Token = await ethers.getContractFactory("MultichainToken");
-        const token = await Token.deploy(initializer.address, ethers.utils.parseEther("1000000"));
+        const token = await Token.deploy(initializer.address, ethers.utils.parseEther("1000000"), txs.overrides());
         tx = await token.deployed();
-        gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+        await txs.wait(tx.deployTransaction);
         console.log("Token was deployed with address: ", token.address);
 
         console.log("Deployig claimer contract...");
         const Claimer = await ethers.getContractFactory("Claimer");
-        const claimer = await Claimer.deploy(token.address);
+        const claimer = await Claimer.deploy(token.address, txs.overrides());
         tx = await claimer.deployed();
-        gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+        await txs.wait(tx.deployTransaction);
         console.log("Claimer was deployed with address: ", claimer.address);
 
         console.log("Providing claimer contract with funds...");
-        tx = await token.transfer(claimer.address, ethers.utils.parseEther("100000"));
-        gasLimit = gasLimit.add(tx.gasLimit);
+        tx = await token.transfer(claimer.address, ethers.utils.parseEther("100000"), txs.overrides());
+        await txs.wait(tx);
         console.log("Funds has been sent to", claimer.address);
         console.log("Claimer balance: ", await token.balanceOf(claimer.address));
         console.log("Deployer balance: ", await token.balanceOf(owner.address));
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Translator address: %s", translator.address);
         console.log("Initializer address: %s", initializer.address);
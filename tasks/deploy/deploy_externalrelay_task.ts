@@ -1,14 +1,14 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from '../base/base_chains';
+import { ContractNames, getDeployment, saveDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, relayFee, systemFee, isTestnet, gasPrice) {
+async function deployBase(hre, relayFee, systemFee, networkSet, txs) {
     const [owner] = await ethers.getSigners();
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
     const Translator = await ethers.getContractFactory("AsterizmTranslatorV1");
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let chainIds = [];
     let chainTypes = [];
@@ -24,41 +24,43 @@ async function deployBase(hre, relayFee, systemFee, isTestnet, gasPrice) {
         throw new Error('Chain not supported!');
     }
 
-    const initializer = await Initializer.attach(currentChain?.contractAddresses.initializer.address);
-    let gasLimit = BigNumber.from(0);
+    const initializer = await Initializer.attach(getDeployment(hre.network.name, ContractNames.INITIALIZER).address);
     let tx;
     console.log("Deploying translator...");
     // const translator = await Transalor.attach('0x...');
+    txs.beforeProxyDeployment();
     const translator = await upgrades.deployProxy(Translator, [currentChain.id, currentChain.chainType], {
         initialize: 'initialize',
         kind: 'uups',
     });
     tx = await translator.deployed();
-    gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+    await txs.wait(tx.deployTransaction);
     console.log("Translator was deployed with address: %s", translator.address);
-    tx = await translator.addChains(chainIds, chainTypes);
-    gasLimit = gasLimit.add(tx.gasLimit);
+    await saveDeployment(hre, ContractNames.EXTERNAL_RELAY, translator, true);
+    tx = await translator.addChains(chainIds, chainTypes, txs.overrides());
+    await txs.wait(tx);
     console.log("Chains is set");
     console.log("Setting endpoint for translator contract...");
-    tx = await translator.setInitializer(initializer.address, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-    gasLimit = gasLimit.add(tx.gasLimit);
+    tx = await translator.setInitializer(initializer.address, txs.overrides());
+    await txs.wait(tx);
     console.log("Initializer has been set: %s", initializer.address);
 
-    await initializer.manageTrustedRelay(translator.address, relayFee, systemFee);
+    tx = await initializer.manageTrustedRelay(translator.address, relayFee, systemFee, txs.overrides());
+    await txs.wait(tx);
 
-    return {initializer, translator, owner, gasLimit};
+    return {initializer, translator, owner};
 }
 
 task("deploy:externalRelay", "Deploy external relay contracts (internal protocol task, only with Asterizm Protocol pk)")
     .addPositionalParam("relayFee", "External relay fee", '0')
     .addPositionalParam("systemFee", "System fee", '0')
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {initializer, translator, owner, gasLimit} = await deployBase(hre, taskArgs.relayFee, taskArgs.systemFee, taskArgs.isTestnet, parseInt(taskArgs.gasPrice));
+        const txs = new TaskTransactions(taskArgs);
+        let {initializer, translator, owner} = await deployBase(hre, taskArgs.relayFee, taskArgs.systemFee, taskArgs.networkSet, txs);
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Initializer address: %s", initializer.address);
         console.log("External relay address: %s\n", translator.address);
@@ -1,13 +1,13 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from '../base/base_chains';
+import { ContractNames, getDeployment, saveDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, isTestnet) {
+async function deployBase(hre, networkSet) {
     const [owner] = await ethers.getSigners();
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let currentChain;
     for (let i = 0; i < chains.length; i++) {
@@ -19,10 +19,9 @@ async function deployBase(hre, isTestnet) {
         throw new Error('Chain not supported!');
     }
 
-    let gasLimit = BigNumber.from(0);
-    const initializer = await Initializer.attach(currentChain?.contractAddresses.initializer.address);
+    const initializer = await Initializer.attach(getDeployment(hre.network.name, ContractNames.INITIALIZER).address);
 
-    return {initializer, owner, currentChain, gasLimit};
+    return {initializer, owner, currentChain};
 }
 
 task("deploy:gas", "Deploy Asterizm gassender contracts")
@@ -31,53 +30,54 @@ task("deploy:gas", "Deploy Asterizm gassender contracts")
     .addPositionalParam("minUsdAmountPerChain", "Min transfer amount in USD per chain", '0')
     .addPositionalParam("maxUsdAmountPerChain", "Max transfer amount in USD per chain", '0')
     .addPositionalParam("relayAddress", "Config contract address", '0')
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {initializer, owner, currentChain, gasLimit} = await deployBase(hre, taskArgs.isTestnet);
+        let {initializer, owner, currentChain} = await deployBase(hre, taskArgs.networkSet);
 
         let tx;
-        const gasPrice = parseInt(taskArgs.gasPrice);
+        const txs = new TaskTransactions(taskArgs);
         console.log("Deploying gas station contract...");
         const GasStation = await ethers.getContractFactory("GasStationUpgradeableV1");
         // const gasStation = await GasStation.attach('0x...');
-        // const gasStation = await GasStation.deploy(initializer.address, useForceOrder, gasPrice > 0 ? {gasPrice: gasPrice} : {});
+        // const gasStation = await GasStation.deploy(initializer.address, useForceOrder, txs.overrides());
+        txs.beforeProxyDeployment();
         const gasStation = await upgrades.deployProxy(GasStation, [initializer.address], {
             initialize: 'initialize',
             kind: 'uups',
         });
         tx = await gasStation.deployed();
-        gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+        await txs.wait(tx.deployTransaction);
         console.log("Gas station was deployed with address: %s", gasStation.address);
+        await saveDeployment(hre, ContractNames.GAS, gasStation, true);
         if (taskArgs.minUsdAmount != '0') {
-            tx = await gasStation.setMinUsdAmount(taskArgs.minUsdAmount, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.setMinUsdAmount(taskArgs.minUsdAmount, txs.overrides());
+            await txs.wait(tx);
         }
         if (taskArgs.maxUsdAmount != '0') {
-            tx = await gasStation.setMaxUsdAmount(taskArgs.maxUsdAmount, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.setMaxUsdAmount(taskArgs.maxUsdAmount, txs.overrides());
+            await txs.wait(tx);
         }
         if (taskArgs.minUsdAmountPerChain != '0') {
-            tx = await gasStation.setMinUsdAmountPerChain(taskArgs.minUsdAmountPerChain, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.setMinUsdAmountPerChain(taskArgs.minUsdAmountPerChain, txs.overrides());
+            await txs.wait(tx);
         }
         if (taskArgs.maxUsdAmountPerChain != '0') {
-            tx = await gasStation.setMaxUsdAmountPerChain(taskArgs.maxUsdAmountPerChain, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.setMaxUsdAmountPerChain(taskArgs.maxUsdAmountPerChain, txs.overrides());
+            await txs.wait(tx);
         }
         for (let i = 0; i < currentChain.stableCoins.length; i++) {
-            tx = await gasStation.addStableCoin(currentChain.stableCoins[i], gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.addStableCoin(currentChain.stableCoins[i], txs.overrides());
+            await txs.wait(tx);
         }
         console.log("Added stable coins");
         if (taskArgs.relayAddress != '0') {
-            tx = await gasStation.setExternalRelay(taskArgs.relayAddress, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.setExternalRelay(taskArgs.relayAddress, txs.overrides());
+            await txs.wait(tx);
             console.log("Set external relay successfully. Address: %s", taskArgs.relayAddress);
         }
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Initializer address: %s", initializer.address);
         if (taskArgs.relayAddress != '0') {
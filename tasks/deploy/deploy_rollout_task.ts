@@ -0,0 +1,238 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task } from 'hardhat/config';
+import * as fs from 'fs';
+import { Chains } from '../base/base_chains';
+import { ContractNames, findDeployment, getRolloutStep, saveRolloutStep, RolloutStepStatus } from '../base/base_manifest';
+import { getNetworkProvider } from '../base/base_networks';
+import { NetworkSetType, TaskTransactions, addFeeParams, getFeeCliArgs, runNetworkTask } from '../base/base_task';
+
+/// Full stack rollout plan (steps are executed one by one on all networks)
+const DEFAULT_PLAN = [
+    {name: 'base'},
+    {name: 'addChains'},
+    {name: 'externalRelay', relayFee: '0', systemFee: '0'},
+    {name: 'manageExternalRelay', relayFee: '0', systemFee: '0'},
+    {name: 'chainlink', systemFee: '0', baseGasLimit: '200000'},
+    {name: 'chainlinkRelays'},
+    {name: 'gas', minUsdAmount: '0', maxUsdAmount: '0', minUsdAmountPerChain: '0', maxUsdAmountPerChain: '0'},
+    {name: 'checker'},
+    {name: 'trustedAddresses', contractType: 'gas'},
+    {name: 'trustedAddresses', contractType: 'checker'},
+];
+
+async function getContract(ctx, contractName, address) {
+    const artifact = await ctx.hre.artifacts.readArtifact(contractName);
+
+    return new ctx.hre.ethers.Contract(address, artifact.abi, ctx.provider);
+}
+
+/// Return deployment if contract code exists on chain
+async function findDeployed(ctx, contractName) {
+    const deployment = findDeployment(ctx.networkName, contractName);
+    if (!deployment || await ctx.provider.getCode(deployment.address) == '0x') {
+        return null;
+    }
+
+    return deployment;
+}
+
+/// Chains set option for tasks using chains list
+function networkSetArgs(ctx) {
+    return ['--network-set', ctx.networkSet];
+}
+
+function hasChainlink(chain) {
+    return !!chain.chainlink && chain.chainlink.chainSelector != '0';
+}
+
+/// Client contract deployment step
+function clientStep(contractName, taskName, args) {
+    return {
+        supported: () => true,
+        satisfied: async (ctx) => !!await findDeployed(ctx, contractName),
+        invocations: async (ctx) => [[taskName, args(ctx)]],
+    };
+}
+
+/// Rollout steps
+/// satisfied - step result exists on chain already, invocations - tasks (with CLI arguments) for step execution,
+/// recheck - step result depends on other networks or chains registry, so it is checked on chain even if it was done before
+const Steps = {
+    base: {
+        supported: () => true,
+        satisfied: async (ctx) => {
+            const translator = await findDeployed(ctx, ContractNames.TRANSLATOR);
+            const initializer = await findDeployed(ctx, ContractNames.INITIALIZER);
+            if (!translator || !initializer) {
+                return false;
+            }
+
+            const initializerContract = await getContract(ctx, "AsterizmInitializerV1", initializer.address);
+
+            return (await initializerContract.getTranslatorAddress()).toLowerCase() == translator.address.toLowerCase();
+        },
+        invocations: async (ctx) => [['deploy:base', networkSetArgs(ctx)]],
+    },
+    addChains: {
+        recheck: true,
+        supported: () => true,
+        satisfied: async (ctx) => !(await Steps.addChains.invocations(ctx)).length,
+        invocations: async (ctx) => {
+            const translator = await getContract(ctx, "AsterizmTranslatorV1", findDeployment(ctx.networkName, ContractNames.TRANSLATOR).address);
+            const invocations = [];
+            for (const chain of ctx.chains) {
+                const translatorChain = await translator.chains(chain.id);
+                if (!translatorChain.exists || translatorChain.chainType != chain.chainType) {
+                    invocations.push(['relay:addChain', [chain.id, chain.chainType, ...networkSetArgs(ctx)]]);
+                }
+            }
+
+            return invocations;
+        },
+    },
+    externalRelay: {
+        supported: () => true,
+        satisfied: async (ctx) => !!await findDeployed(ctx, ContractNames.EXTERNAL_RELAY),
+        invocations: async (ctx) => [['deploy:externalRelay', [ctx.step.relayFee, ctx.step.systemFee, ...networkSetArgs(ctx)]]],
+    },
+    manageExternalRelay: {
+        supported: (ctx) => !!findDeployment(ctx.networkName, ContractNames.EXTERNAL_RELAY),
+        satisfied: async (ctx) => {
+            const initializer = await getContract(ctx, "AsterizmInitializerV1", findDeployment(ctx.networkName, ContractNames.INITIALIZER).address);
+
+            return (await initializer.getRelayData(findDeployment(ctx.networkName, ContractNames.EXTERNAL_RELAY).address)).externalRelayExists;
+        },
+        invocations: async (ctx) => [['relay:manageExternalRelay', [
+            findDeployment(ctx.networkName, ContractNames.INITIALIZER).address,
+            findDeployment(ctx.networkName, ContractNames.EXTERNAL_RELAY).address,
+            ctx.step.relayFee, ctx.step.systemFee,
+        ]]],
+    },
+    chainlink: {
+        supported: (ctx) => hasChainlink(ctx.chain),
+        satisfied: async (ctx) => !!await findDeployed(ctx, ContractNames.CHAINLINK_TRANSLATOR),
+        invocations: async (ctx) => [['chainlink:deploy', [ctx.step.systemFee, ctx.step.baseGasLimit, ...networkSetArgs(ctx)]]],
+    },
+    chainlinkRelays: {
+        recheck: true,
+        supported: (ctx) => hasChainlink(ctx.chain) && !!findDeployment(ctx.networkName, ContractNames.CHAINLINK_TRANSLATOR),
+        satisfied: async (ctx) => {
+            const translator = await getContract(ctx, "AsterizmTranslatorChainlink", findDeployment(ctx.networkName, ContractNames.CHAINLINK_TRANSLATOR).address);
+            for (const chain of ctx.chains.filter(hasChainlink)) {
+                const relay = findDeployment(chain.networkName, ContractNames.CHAINLINK_TRANSLATOR);
+                if (relay && (await translator.chains(chain.id)).relayAddress.toLowerCase() != relay.address.toLowerCase()) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+        invocations: async (ctx) => [['chainlink:fillChainRelays', networkSetArgs(ctx)]],
+    },
+    gas: clientStep(ContractNames.GAS, 'deploy:gas', (ctx) => [
+        ctx.step.minUsdAmount, ctx.step.maxUsdAmount, ctx.step.minUsdAmountPerChain, ctx.step.maxUsdAmountPerChain,
+        ctx.step.relayAddress || '0', ...networkSetArgs(ctx),
+    ]),
+    checker: clientStep(ContractNames.CHECKER, 'deploy:checker', (ctx) => [ctx.step.relayAddress || '0', ...networkSetArgs(ctx)]),
+    multichain: clientStep(ContractNames.MULTICHAIN, 'token:deploy', (ctx) => [
+        '0', ctx.step.initSupply || '0', ctx.step.relayAddress || '0', ctx.step.feeTokenAddress || '0', ctx.step.refundFee || '0',
+    ]),
+    trustedAddresses: {
+        recheck: true,
+        supported: (ctx) => !!findDeployment(ctx.networkName, ctx.step.contractType),
+        satisfied: async (ctx) => {
+            const client = await getContract(ctx, "contracts/base/AsterizmClient.sol:AsterizmClient", findDeployment(ctx.networkName, ctx.step.contractType).address);
+            for (const chain of ctx.chains) {
+                const trustedClient = findDeployment(chain.networkName, ctx.step.contractType);
+                if (trustedClient && (await client.getTrustedAddresses(chain.id)).trustedAddress.toString() != trustedClient.uint) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+        invocations: async (ctx) => [['deploy:fillTrustedAddresses', [ctx.step.contractType, ...networkSetArgs(ctx)]]],
+    },
+};
+
+/// Return plan steps (from JSON file with steps list or default plan)
+function readPlan(planPath) {
+    const plan = planPath ? JSON.parse(fs.readFileSync(planPath, 'utf8')) : DEFAULT_PLAN;
+    const steps = Array.isArray(plan) ? plan : plan.steps;
+    for (const step of steps) {
+        if (!Steps[step.name]) {
+            throw new Error(`Rollout step "${step.name}" not found (available: ${Object.keys(Steps).join(', ')})`);
+        }
+    }
+
+    return steps;
+}
+
+function getStepKey(step) {
+    return step.contractType ? `${step.name}:${step.contractType}` : step.name;
+}
+
+async function deployBase(hre, networks, planPath, networkSet) {
+    const chains = Chains[networkSet];
+    const targets = [];
+    for (const networkName of networks.split(',')) {
+        const chain = chains.find(item => item.networkName == networkName);
+        if (!chain) {
+            throw new Error(`Chain for network "${networkName}" not found`);
+        }
+
+        targets.push({networkName, chain, provider: getNetworkProvider(hre, networkName)});
+    }
+
+    return {chains, targets, steps: readPlan(planPath)};
+}
+
+addFeeParams(task("deploy:rollout", "Roll out Asterizm contracts stack on networks list by plan (resumable, progress is stored in deployment manifests)"))
+    .addPositionalParam("networks", "Networks list (networkName,networkName)")
+    .addPositionalParam("planPath", "Rollout plan JSON file (steps list, empty - full stack plan)", '')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        TaskTransactions.validate(taskArgs);
+        let {chains, targets, steps} = await deployBase(hre, taskArgs.networks, taskArgs.planPath, taskArgs.networkSet);
+        const feeArgs = getFeeCliArgs(taskArgs);
+
+        for (const step of steps) {
+            const stepKey = getStepKey(step);
+            console.log("\nStep: %s", stepKey);
+            for (const target of targets) {
+                const ctx = {hre, chains, step, ...target, networkSet: taskArgs.networkSet};
+                const progress = getRolloutStep(target.networkName, stepKey);
+                if (progress && progress.status != RolloutStepStatus.FAILED && !Steps[step.name].recheck) {
+                    console.log("[%s] skipped (%s at %s)", target.networkName, progress.status, progress.updatedAt);
+                    continue;
+                }
+                if (!Steps[step.name].supported(ctx)) {
+                    console.log("[%s] skipped (not supported on network)", target.networkName);
+                    continue;
+                }
+                if (await Steps[step.name].satisfied(ctx)) {
+                    saveRolloutStep(target.networkName, stepKey, RolloutStepStatus.SATISFIED);
+                    console.log("[%s] skipped (satisfied on chain)", target.networkName);
+                    continue;
+                }
+
+                console.log("[%s] running...", target.networkName);
+                try {
+                    for (const [taskName, args] of await Steps[step.name].invocations(ctx)) {
+                        runNetworkTask(target.networkName, taskName, [...args, ...feeArgs]);
+                    }
+                } catch (e) {
+                    saveRolloutStep(target.networkName, stepKey, RolloutStepStatus.FAILED, e.message);
+                    console.log("[%s] failed: %s", target.networkName, e.message);
+                    console.log("\nRollout stopped, run the same command to resume\n");
+                    process.exitCode = 1;
+                    return;
+                }
+
+                saveRolloutStep(target.networkName, stepKey, RolloutStepStatus.DONE);
+                console.log("[%s] done", target.networkName);
+            }
+        }
+
+        console.log("\nRollout was done\n");
+    });
@@ -1,10 +1,10 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from "../base/base_chains";
+import { getDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, contractAddress, contractType, isTestnet) {
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+async function deployBase(hre, contractAddress, contractType, networkSet) {
+    const chains = Chains[networkSet];
 
     let TargetContract;
     if (contractType == "multichain") {
@@ -29,10 +29,9 @@ async function deployBase(hre, contractAddress, contractType, isTestnet) {
         }
     }
 
-    let gasLimit = BigNumber.from(0);
-    const targetContract = await TargetContract.attach(currentChain?.trustAddresses[contractType].address);
+    const targetContract = await TargetContract.attach(getDeployment(hre.network.name, contractType).address);
 
-    return {targetContract, gasLimit};
+    return {targetContract};
 }
 
 task("deploy:addTrustedAddress", "Adding trusted address to client contract")
@@ -40,19 +39,18 @@ task("deploy:addTrustedAddress", "Adding trusted address to client contract")
     .addPositionalParam("trustedChainId", "Trusted chain ID")
     .addPositionalParam("trustedAddress", "Trusted address")
     .addPositionalParam("contractType", "Target contract type (gas - gassender contract, claim - claim contract, checker - checker contract, demo - demo contract, multichain - multichain token contract)", "gas")
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {targetContract, gasLimit} = await deployBase(hre, taskArgs.contractAddress, taskArgs.contractType, taskArgs.isTestnet);
+        let {targetContract} = await deployBase(hre, taskArgs.contractAddress, taskArgs.contractType, taskArgs.networkSet);
 
-        const gasPrice = parseInt(taskArgs.gasPrice);
+        const txs = new TaskTransactions(taskArgs);
         console.log("Adding contract trusted address...");
-        let tx = await targetContract.addTrustedAddresses([taskArgs.trustedChainId], [taskArgs.trustedAddress], gasPrice > 0 ? {gasPrice: gasPrice} : {});
-        gasLimit = gasLimit.add(tx.gasLimit);
+        let tx = await targetContract.addTrustedAddresses([taskArgs.trustedChainId], [taskArgs.trustedAddress], txs.overrides());
+        await txs.wait(tx);
 
         console.log("Added trusted address successfully\n");
 
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Target contract address: %s", targetContract.address);
         console.log("Transaction hash: %s\n", tx.hash);
     })
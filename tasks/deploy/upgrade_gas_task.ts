@@ -1,14 +1,13 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import {Chains} from "../base/base_chains";
+import { ContractNames, getDeployment, saveImplementation } from '../base/base_manifest';
 
-async function deployBase(hre, implementationVersion, isTestnet) {
+async function deployBase(hre, implementationVersion, networkSet) {
     const [owner] = await ethers.getSigners();
     const GasStation = await ethers.getContractFactory("GasStationUpgradeableV" + implementationVersion);
-    let gasLimit = BigNumber.from(0);
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let currentChain = null;
     for (let i = 0; i < chains.length; i++) {
@@ -21,24 +20,26 @@ async function deployBase(hre, implementationVersion, isTestnet) {
         throw new Error('Chain not supported!');
     }
 
-    return {owner, GasStation, gasLimit, currentChain};
+    return {owner, GasStation, currentChain};
 }
 
 task("upgrade:gas", "Update Asterizm GasSender contracts")
     .addPositionalParam("implementationVersion", "Implementation version", '1')
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {owner, GasStation, gasLimit, currentChain} = await deployBase(hre, taskArgs.implementationVersion, taskArgs.isTestnet);
+        let {owner, GasStation, currentChain} = await deployBase(hre, taskArgs.implementationVersion, taskArgs.networkSet);
 
         console.log("Upgrading gas station implementation...");
 
-        const gasStation = await upgrades.upgradeProxy(currentChain.trustAddresses.gas.address, GasStation);
-        gasLimit = gasLimit.add(gasStation.deployTransaction.gasLimit);
+        const txs = new TaskTransactions(taskArgs);
+        txs.beforeProxyDeployment();
+        const gasStation = await upgrades.upgradeProxy(getDeployment(hre.network.name, ContractNames.GAS).address, GasStation);
+        await txs.wait(gasStation.deployTransaction);
         console.log("GasStation implementation upgrade successfully");
+        await saveImplementation(hre, ContractNames.GAS);
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Gas station address: %s", gasStation.address);
         console.log("Transaction hash: %s\n", gasStation.deployTransaction.hash);
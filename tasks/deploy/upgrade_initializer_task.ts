@@ -1,14 +1,14 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from '../base/base_chains';
+import { ContractNames, getDeployment, saveImplementation } from '../base/base_manifest';
+import { checkRole } from '../base/base_roles';
 
-async function deployBase(hre, implementationVersion, isTestnet) {
+async function deployBase(hre, implementationVersion, networkSet) {
     const [owner] = await ethers.getSigners();
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV" + implementationVersion);
-    let gasLimit = BigNumber.from(0);
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let currentChain = null;
     for (let i = 0; i < chains.length; i++) {
@@ -21,24 +21,29 @@ async function deployBase(hre, implementationVersion, isTestnet) {
         throw new Error('Chain not supported!');
     }
 
-    return {owner, Initializer, gasLimit, currentChain};
+    return {owner, Initializer, currentChain};
 }
 
 task("upgrade:initializer", "Update Asterizm Initialozer contracts")
     .addPositionalParam("implementationVersion", "Implementation version", '1')
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {owner, Initializer, gasLimit, currentChain} = await deployBase(hre, taskArgs.implementationVersion, taskArgs.isTestnet);
+        let {owner, Initializer, currentChain} = await deployBase(hre, taskArgs.implementationVersion, taskArgs.networkSet);
+
+        const initializerAddress = getDeployment(hre.network.name, ContractNames.INITIALIZER).address;
+        await checkRole(hre, initializerAddress, 'upgrader', true);
 
         console.log("Upgrading initializer implementation...");
 
-        const initializer = await upgrades.upgradeProxy(currentChain.contractAddresses.initializer.address, Initializer);
-        gasLimit = gasLimit.add(initializer.deployTransaction.gasLimit);
+        const txs = new TaskTransactions(taskArgs);
+        txs.beforeProxyDeployment();
+        const initializer = await upgrades.upgradeProxy(initializerAddress, Initializer);
+        await txs.wait(initializer.deployTransaction);
         console.log("Initializer implementation upgrade successfully");
+        await saveImplementation(hre, ContractNames.INITIALIZER);
 
         console.log("Updating was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Initializer address: %s", initializer.address);
         console.log("Transaction hash: %s\n", initializer.deployTransaction.hash);
@@ -0,0 +1,172 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task as hardhatTask } from 'hardhat/config';
+import { task, NetworkSetType, TaskTransactions, addFeeParams, getFeeCliArgs, runNetworkTask } from '../base/base_task';
+import { ContractNames, findDeployment } from '../base/base_manifest';
+
+/// Pause directions (outbound - sending transfers, inbound - receiving transfers)
+const Directions = {
+    all: {outbound: true, inbound: true},
+    outbound: {outbound: true, inbound: false},
+    inbound: {outbound: false, inbound: true},
+};
+
+/// Pausable protocol contracts from deployment manifest
+const ManifestContracts = [
+    ContractNames.INITIALIZER,
+    ContractNames.TRANSLATOR,
+    ContractNames.EXTERNAL_RELAY,
+    ContractNames.CHAINLINK_TRANSLATOR,
+    ContractNames.MULTICHAIN,
+];
+
+async function deployBase(hre, clients, direction = 'all') {
+    if (!Directions[direction]) {
+        throw new Error(`Invalid direction "${direction}" (available: ${Object.keys(Directions).join(', ')})`);
+    }
+
+    const targets = [];
+    for (const contractName of ManifestContracts) {
+        const deployment = findDeployment(hre.network.name, contractName);
+        if (deployment) {
+            targets.push({title: contractName, address: deployment.address});
+        }
+    }
+    for (const address of clients ? clients.split(',') : []) {
+        targets.push({title: 'client', address});
+    }
+
+    const contracts = [];
+    for (const target of targets) {
+        const contract = await ethers.getContractAt("AsterizmPausable", target.address);
+        try {
+            await contract.getPause(0);
+        } catch (e) {
+            console.log("%s (%s) skipped: pause is not supported", target.title, target.address);
+            continue;
+        }
+
+        contracts.push({...target, contract});
+    }
+
+    return {contracts, ...Directions[direction]};
+}
+
+function addPauseParams(definition) {
+    return definition
+        .addOptionalParam("chainId", "Chain ID (0 - all chains)", '0')
+        .addOptionalParam("direction", "Transfers direction (all, outbound, inbound)", 'all')
+        .addOptionalParam("clients", "Client contract addresses list (address,address)", '')
+        .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType);
+}
+
+addPauseParams(task("emergency:pause", "Pause transfers on network protocol contracts and clients (owner or guardian)"))
+    .setAction(async (taskArgs, hre) => {
+        let {contracts, outbound, inbound} = await deployBase(hre, taskArgs.clients, taskArgs.direction);
+
+        const txs = new TaskTransactions(taskArgs);
+        for (const item of contracts) {
+            const pause = await item.contract.getPause(taskArgs.chainId);
+            if ((pause.outbound || !outbound) && (pause.inbound || !inbound)) {
+                console.log("%s (%s) skipped: paused already", item.title, item.address);
+                continue;
+            }
+
+            let tx = await item.contract.pause(taskArgs.chainId, outbound, inbound, txs.overrides());
+            await txs.wait(tx);
+            console.log("%s (%s) paused: %s", item.title, item.address, tx.hash);
+        }
+
+        console.log("\nTotal gas used: %s\n", txs.gasUsed);
+    });
+
+addPauseParams(task("emergency:unpause", "Unpause transfers on network protocol contracts and clients (owner only)"))
+    .setAction(async (taskArgs, hre) => {
+        let {contracts, outbound, inbound} = await deployBase(hre, taskArgs.clients, taskArgs.direction);
+
+        const txs = new TaskTransactions(taskArgs);
+        for (const item of contracts) {
+            const pause = await item.contract.getPause(taskArgs.chainId);
+            if (!(pause.outbound && outbound) && !(pause.inbound && inbound)) {
+                console.log("%s (%s) skipped: not paused", item.title, item.address);
+                continue;
+            }
+
+            let tx = await item.contract.unpause(taskArgs.chainId, outbound, inbound, txs.overrides());
+            await txs.wait(tx);
+            console.log("%s (%s) unpaused: %s", item.title, item.address, tx.hash);
+        }
+
+        console.log("\nTotal gas used: %s\n", txs.gasUsed);
+    });
+
+task("emergency:setGuardian", "Set guardian (account which can pause transfers) of network protocol contracts and clients (owner only)")
+    .addPositionalParam("guardian", "Guardian address (zero address - remove guardian)")
+    .addOptionalParam("clients", "Client contract addresses list (address,address)", '')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {contracts} = await deployBase(hre, taskArgs.clients);
+
+        const txs = new TaskTransactions(taskArgs);
+        for (const item of contracts) {
+            if ((await item.contract.getGuardian()).toLowerCase() == taskArgs.guardian.toLowerCase()) {
+                console.log("%s (%s) skipped: guardian is set already", item.title, item.address);
+                continue;
+            }
+
+            let tx = await item.contract.setGuardian(taskArgs.guardian, txs.overrides());
+            await txs.wait(tx);
+            console.log("%s (%s) guardian was set: %s", item.title, item.address, tx.hash);
+        }
+
+        console.log("\nTotal gas used: %s\n", txs.gasUsed);
+    });
+
+/// Run pause task on every network of environment
+/// Networks are processed independently: failure on one network doesn't stop others
+function runOnNetworks(taskName, taskArgs) {
+    TaskTransactions.validate(taskArgs);
+    const args = ['--chain-id', taskArgs.chainId, '--direction', taskArgs.direction, '--network-set', taskArgs.networkSet, ...getFeeCliArgs(taskArgs)];
+    const clients = {};
+    for (const item of taskArgs.clients ? taskArgs.clients.split(',') : []) {
+        const [networkName, address] = item.split(':');
+        if (!address) {
+            throw new Error(`Invalid client "${item}" (networkName:address expected)`);
+        }
+
+        clients[networkName] = [...(clients[networkName] || []), address];
+    }
+
+    const failed = [];
+    for (const networkName of taskArgs.networks.split(',')) {
+        console.log("\n[%s] running...", networkName);
+        try {
+            runNetworkTask(networkName, taskName, clients[networkName] ? [...args, '--clients', clients[networkName].join(',')] : args);
+        } catch (e) {
+            failed.push(networkName);
+            console.log("[%s] failed: %s", networkName, e.message);
+        }
+    }
+
+    if (failed.length) {
+        console.log("\nFailed networks: %s\n", failed.join(','));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log("\nAll networks were processed\n");
+}
+
+function addEnvironmentParams(definition) {
+    return addFeeParams(definition)
+        .addPositionalParam("networks", "Networks list (networkName,networkName)")
+        .addOptionalParam("chainId", "Chain ID (0 - all chains)", '0')
+        .addOptionalParam("direction", "Transfers direction (all, outbound, inbound)", 'all')
+        .addOptionalParam("clients", "Client contracts list (networkName:address,networkName:address)", '')
+        .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType);
+}
+
+addEnvironmentParams(hardhatTask("emergency:pauseAll", "Pause transfers on all networks of environment"))
+    .setAction(async (taskArgs) => runOnNetworks("emergency:pause", taskArgs));
+
+addEnvironmentParams(hardhatTask("emergency:unpauseAll", "Unpause transfers on all networks of environment"))
+    .setAction(async (taskArgs) => runOnNetworks("emergency:unpause", taskArgs));
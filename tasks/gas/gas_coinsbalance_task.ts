@@ -1,21 +1,19 @@
 import "@nomicfoundation/hardhat-toolbox";
 import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
 
 async function deployBase(hre, contractAddress) {
     const GasContract = await ethers.getContractFactory("GasStationUpgradeableV1");
 
-    let gasLimit = BigNumber.from(0);
     const gasContract = await GasContract.attach(contractAddress);
 
-    return {gasContract, gasLimit};
+    return {gasContract};
 }
 
 task("gas:coinsBalance", "Return gassender contract coins balance")
     .addPositionalParam("contractAddress", "GasSender address")
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+
     .setAction(async (taskArgs, hre) => {
-        let {gasContract, gasLimit} = await deployBase(hre, taskArgs.contractAddress);
+        let {gasContract} = await deployBase(hre, taskArgs.contractAddress);
 
         const balance = await ethers.provider.getBalance(gasContract.address);
 
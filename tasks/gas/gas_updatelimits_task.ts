@@ -1,12 +1,12 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from '../base/base_chains';
+import { ContractNames, getDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, isTestnet) {
+async function deployBase(hre, networkSet) {
     const GasContract = await ethers.getContractFactory("GasStationUpgradeableV1");
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
     let currentChain = null;
     for (let i = 0; i < chains.length; i++) {
         if (chains[i].networkName == hre.network.name) {
@@ -15,10 +15,9 @@ async function deployBase(hre, isTestnet) {
         }
     }
 
-    let gasLimit = BigNumber.from(0);
-    const gasStation = await GasContract.attach(currentChain?.trustAddresses.gas.address);
+    const gasStation = await GasContract.attach(getDeployment(hre.network.name, ContractNames.GAS).address);
 
-    return {gasStation, gasLimit};
+    return {gasStation};
 }
 
 task("gas:updateLimits", "Update GasSender limits")
@@ -26,43 +25,42 @@ task("gas:updateLimits", "Update GasSender limits")
     .addPositionalParam("maxUsdAmount", "Maximum transfer amount in USD", '0')
     .addPositionalParam("minUsdAmountPerChain", "Minimum transfer amount in USD per chain", '0')
     .addPositionalParam("maxUsdAmountPerChain", "Minimum transfer amount in USD per chain", '0')
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {gasStation, gasLimit} = await deployBase(hre, taskArgs.isTestnet);
+        let {gasStation} = await deployBase(hre, taskArgs.networkSet);
 
         console.log("Updating gas limits...");
         let tx;
-        const gasPrice = parseInt(taskArgs.gasPrice);
+        const txs = new TaskTransactions(taskArgs);
         if (taskArgs.minUsdAmount != '0') {
-            tx = await gasStation.setMinUsdAmount(taskArgs.minUsdAmount, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.setMinUsdAmount(taskArgs.minUsdAmount, txs.overrides());
+            await txs.wait(tx);
             console.log("MinUsdAmount updated successfully");
             console.log("Transaction hash: %s", tx.hash);
         }
 
         if (taskArgs.maxUsdAmount != '0') {
-            tx = await gasStation.setMaxUsdAmount(taskArgs.maxUsdAmount, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.setMaxUsdAmount(taskArgs.maxUsdAmount, txs.overrides());
+            await txs.wait(tx);
             console.log("MaxUsdAmount updated successfully",);
             console.log("Transaction hash: %s", tx.hash);
         }
 
         if (taskArgs.minUsdAmountPerChain != '0') {
-            tx = await gasStation.setMinUsdAmountPerChain(taskArgs.minUsdAmountPerChain, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.setMinUsdAmountPerChain(taskArgs.minUsdAmountPerChain, txs.overrides());
+            await txs.wait(tx);
             console.log("MinUsdAmountPerChain updated successfully",);
             console.log("Transaction hash: %s", tx.hash);
         }
 
         if (taskArgs.maxUsdAmountPerChain != '0') {
-            tx = await gasStation.setMaxUsdAmountPerChain(taskArgs.maxUsdAmountPerChain, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await gasStation.setMaxUsdAmountPerChain(taskArgs.maxUsdAmountPerChain, txs.overrides());
+            await txs.wait(tx);
             console.log("MaxUsdAmountPerChain updated successfully",);
             console.log("Transaction hash: %s", tx.hash);
         }
 
         console.log("Updating was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Gas station address: %s\n", gasStation.address);
     })
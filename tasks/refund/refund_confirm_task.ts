@@ -0,0 +1,55 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { BigNumber } from "ethers";
+import { Chains } from '../base/base_chains';
+import { getNetworkProvider } from '../base/base_networks';
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { addTracerNetwork, createTransferTracer } from '../base/base_tracer';
+import { printRefundReview, reviewRefundRequests } from '../base/base_refund';
+
+const { RefundDecision } = require('../../lib/refund_operator');
+const { uintToAddress } = require('../../lib/local_relayer');
+
+async function deployBase(hre, networkSet, srcNetwork, srcClientAddress, blocksDepth) {
+    const chains = Chains[networkSet];
+    const srcChain = chains.find(chain => chain.networkName == srcNetwork);
+    if (!srcChain || srcNetwork == hre.network.name) {
+        throw new Error('Source chain not supported!');
+    }
+
+    const {tracer, currentChain} = await createTransferTracer(hre, chains, blocksDepth);
+    await addTracerNetwork(tracer, srcChain, getNetworkProvider(hre, srcNetwork), blocksDepth, [srcClientAddress]);
+
+    return {tracer, srcChain, currentChain, chains};
+}
+
+task("refund:confirm", "Confirm refunds on destination chain for refund requests of not executed transfers (executed on destination network)")
+    .addPositionalParam("srcNetwork", "Source network name")
+    .addPositionalParam("srcClientAddress", "Source client address")
+    .addPositionalParam("transferHashes", "Transfer hashes list (hash,hash), all - all open requests", 'all')
+    .addPositionalParam("blocksDepth", "Scanned blocks count (from the latest block of every network)", '50000')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {tracer, srcChain, currentChain, chains} = await deployBase(hre, taskArgs.networkSet, taskArgs.srcNetwork, taskArgs.srcClientAddress, parseInt(taskArgs.blocksDepth));
+
+        const txs = new TaskTransactions(taskArgs);
+        let confirmedCount = 0;
+        for (const review of await reviewRefundRequests(tracer, srcChain.id, taskArgs.srcClientAddress, taskArgs.transferHashes)) {
+            printRefundReview(chains, review);
+            if (review.decision != RefundDecision.CONFIRM_REQUIRED || review.transfer.dstChainId != currentChain.id) {
+                console.log("Skipped");
+                continue;
+            }
+
+            const client = await hre.ethers.getContractAt(
+                "contracts/base/AsterizmRefund.sol:AsterizmRefund", uintToAddress(BigNumber.from(review.transfer.dstAddress))
+            );
+            console.log("Confirming refund...");
+            const tx = await client.confirmRefund(review.transferHash, txs.overrides());
+            await txs.wait(tx);
+            console.log("Transaction hash: %s", tx.hash);
+            confirmedCount++;
+        }
+
+        console.log("\nConfirmed refunds: %s", confirmedCount);
+        console.log("Total gas used: %s\n", txs.gasUsed);
+    });
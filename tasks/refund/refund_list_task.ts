@@ -0,0 +1,28 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task } from 'hardhat/config';
+import { Chains } from '../base/base_chains';
+import { NetworkSetType } from '../base/base_task';
+import { createTransferTracer } from '../base/base_tracer';
+import { printRefundReview, reviewRefundRequests } from '../base/base_refund';
+
+async function deployBase(hre, networkSet, clientAddress, blocksDepth) {
+    const chains = Chains[networkSet];
+    const {tracer, currentChain} = await createTransferTracer(hre, chains, blocksDepth, [clientAddress]);
+
+    return {tracer, currentChain, chains};
+}
+
+task("refund:list", "List open refund requests of client with decisions and cross-chain evidence (read-only)")
+    .addPositionalParam("clientAddress", "Source client address")
+    .addPositionalParam("blocksDepth", "Scanned blocks count (from the latest block of every network)", '50000')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {tracer, currentChain, chains} = await deployBase(hre, taskArgs.networkSet, taskArgs.clientAddress, parseInt(taskArgs.blocksDepth));
+
+        const reviews = await reviewRefundRequests(tracer, currentChain.id, taskArgs.clientAddress, 'all');
+        for (const review of reviews) {
+            printRefundReview(chains, review);
+        }
+
+        console.log("\nOpen refund requests: %s\n", reviews.length);
+    });
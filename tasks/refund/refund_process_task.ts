@@ -0,0 +1,43 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { Chains } from '../base/base_chains';
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { createTransferTracer } from '../base/base_tracer';
+import { printRefundReview, reviewRefundRequests } from '../base/base_refund';
+
+const { RefundDecision } = require('../../lib/refund_operator');
+
+async function deployBase(hre, networkSet, clientAddress, blocksDepth) {
+    const chains = Chains[networkSet];
+    const {tracer, currentChain} = await createTransferTracer(hre, chains, blocksDepth, [clientAddress]);
+    const client = await hre.ethers.getContractAt("contracts/base/AsterizmRefund.sol:AsterizmRefund", clientAddress);
+
+    return {tracer, currentChain, chains, client};
+}
+
+task("refund:process", "Process refund requests on source chain (approve refunds confirmed on destination chain, reject executed transfers)")
+    .addPositionalParam("clientAddress", "Source client address")
+    .addPositionalParam("transferHashes", "Transfer hashes list (hash,hash), all - all open requests", 'all')
+    .addPositionalParam("blocksDepth", "Scanned blocks count (from the latest block of every network)", '50000')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {tracer, currentChain, chains, client} = await deployBase(hre, taskArgs.networkSet, taskArgs.clientAddress, parseInt(taskArgs.blocksDepth));
+
+        const txs = new TaskTransactions(taskArgs);
+        let processedCount = 0;
+        for (const review of await reviewRefundRequests(tracer, currentChain.id, taskArgs.clientAddress, taskArgs.transferHashes)) {
+            printRefundReview(chains, review);
+            if (review.decision != RefundDecision.APPROVE && review.decision != RefundDecision.REJECT) {
+                console.log("Skipped");
+                continue;
+            }
+
+            console.log(review.decision == RefundDecision.APPROVE ? "Approving refund..." : "Rejecting refund...");
+            const tx = await client.processRefundRequest(review.transferHash, review.decision == RefundDecision.APPROVE, txs.overrides());
+            await txs.wait(tx);
+            console.log("Transaction hash: %s", tx.hash);
+            processedCount++;
+        }
+
+        console.log("\nProcessed refund requests: %s", processedCount);
+        console.log("Total gas used: %s\n", txs.gasUsed);
+    });
@@ -1,11 +1,12 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from "../base/base_chains";
+import { ContractNames, getDeployment } from '../base/base_manifest';
+import { checkRole } from '../base/base_roles';
 
-async function deployBase(hre, isTestnet) {
+async function deployBase(hre, networkSet) {
     const TranslatorContract = await ethers.getContractFactory("AsterizmTranslatorV1");
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let currentChain = null;
     for (let i = 0; i < chains.length; i++) {
@@ -18,27 +19,26 @@ async function deployBase(hre, isTestnet) {
         throw new Error('Chain not supported!');
     }
 
-    let gasLimit = BigNumber.from(0);
-    const translatorContract = await TranslatorContract.attach(currentChain?.contractAddresses.translator.address);
+    const translatorContract = await TranslatorContract.attach(getDeployment(hre.network.name, ContractNames.TRANSLATOR).address);
 
-    return {translatorContract, gasLimit};
+    return {translatorContract};
 }
 
 task("relay:addChain", "Add chain to relay (translator) contract")
     .addPositionalParam("chainId", "Chain ID")
     .addPositionalParam("chainType", "Chain type (see ChainTypes)")
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {translatorContract, gasLimit} = await deployBase(hre, taskArgs.isTestnet);
+        let {translatorContract} = await deployBase(hre, taskArgs.networkSet);
+        await checkRole(hre, translatorContract.address, 'chainManager');
 
-        const gasPrice = parseInt(taskArgs.gasPrice);
+        const txs = new TaskTransactions(taskArgs);
         console.log("Adding contract trusted address...");
-        let tx = await translatorContract.addChain(taskArgs.chainId, taskArgs.chainType, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-        gasLimit = gasLimit.add(tx.gasLimit);
+        let tx = await translatorContract.addChain(taskArgs.chainId, taskArgs.chainType, txs.overrides());
+        await txs.wait(tx);
 
         console.log("\nChain added successfully\n");
 
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Transaction hash: %s\n", tx.hash);
     });
@@ -0,0 +1,53 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task as hardhatTask } from 'hardhat/config';
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { ContractNames, getDeployment } from '../base/base_manifest';
+import { checkRole } from '../base/base_roles';
+
+async function deployBase(hre, contractAddress) {
+    const TranslatorContract = await ethers.getContractFactory("AsterizmTranslatorV1");
+
+    // Attestation methods of Chainlink translator have the same ABI
+    const translatorContract = await TranslatorContract.attach(
+        contractAddress != '0' ? contractAddress : getDeployment(hre.network.name, ContractNames.TRANSLATOR).address
+    );
+
+    return {translatorContract};
+}
+
+task("relay:setAttestationThreshold", "Set relayers attestations threshold of relay (translator) contract (0 - quorum mode is disabled)")
+    .addPositionalParam("threshold", "Attestations threshold")
+    .addPositionalParam("contractAddress", "Relay contract address (0 - translator from manifest)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {translatorContract} = await deployBase(hre, taskArgs.contractAddress);
+        await checkRole(hre, translatorContract.address, 'relayerAdmin');
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Setting attestations threshold...");
+        let tx = await translatorContract.setAttestationThreshold(taskArgs.threshold, txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nAttestations threshold was set\n");
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Relay address: %s", translatorContract.address);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
+
+hardhatTask("relay:attestations", "Print pending relayers attestations of relay (translator) contract")
+    .addPositionalParam("contractAddress", "Relay contract address (0 - translator from manifest)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {translatorContract} = await deployBase(hre, taskArgs.contractAddress);
+
+        const threshold = await translatorContract.getAttestationThreshold();
+        console.log("\nRelay: %s", translatorContract.address);
+        console.log("Attestations threshold: %s%s", threshold.toString(), threshold.isZero() ? ' (quorum mode is disabled)' : '');
+
+        const payloadHashes = await translatorContract.getPendingAttestations();
+        console.log("Pending payloads: %s\n", payloadHashes.length);
+        for (const payloadHash of payloadHashes) {
+            const attestation = await translatorContract.getAttestation(payloadHash);
+            console.log("%s  %s/%s  %s", payloadHash, attestation.attestationsCount.toString(), threshold.toString(), attestation.relayers.join(','));
+        }
+    });
@@ -1,16 +1,16 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import { Chains } from '../base/base_chains';
+import { ContractNames, getDeployment, saveDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, initializerAddress, isTestnet, gasPrice) {
+async function deployBase(hre, initializerAddress, networkSet, txs) {
     const [owner] = await ethers.getSigners();
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
     const Translator = await ethers.getContractFactory("AsterizmTranslatorV1");
 
-    const initializer = await Initializer.attach(initializerAddress);
+    const initializer = await Initializer.attach(initializerAddress != '0' ? initializerAddress : getDeployment(hre.network.name, ContractNames.INITIALIZER).address);
 
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let chainIds = [];
     let chainTypes = [];
@@ -27,37 +27,38 @@ async function deployBase(hre, initializerAddress, isTestnet, gasPrice) {
     }
 
 
-    let gasLimit = BigNumber.from(0);
     let tx;
     console.log("Deploying translator...");
     // const translator = await Transalor.attach('0x...');
+    txs.beforeProxyDeployment();
     const translator = await upgrades.deployProxy(Translator, [currentChain.id, currentChain.chainType], {
         initialize: 'initialize',
         kind: 'uups',
     });
     tx = await translator.deployed();
-    gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+    await txs.wait(tx.deployTransaction);
     console.log("Translator was deployed with address: %s", translator.address);
-    tx = await translator.addChains(chainIds, chainTypes);
-    gasLimit = gasLimit.add(tx.gasLimit);
+    await saveDeployment(hre, ContractNames.EXTERNAL_RELAY, translator, true);
+    tx = await translator.addChains(chainIds, chainTypes, txs.overrides());
+    await txs.wait(tx);
     console.log("Chains is set");
     console.log("Setting endpoint for translator contract...");
-    tx = await translator.setInitializer(initializer.address, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-    gasLimit = gasLimit.add(tx.gasLimit);
+    tx = await translator.setInitializer(initializer.address, txs.overrides());
+    await txs.wait(tx);
     console.log("Initializer has been set: %s", initializer.address);
 
-    return {initializer, translator, owner, gasLimit};
+    return {initializer, translator, owner};
 }
 
 task("relay:deploy", "Deploy external relay contracts (for external relays)")
-    .addPositionalParam("initializerAddress", "Initializer contract address")
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addPositionalParam("initializerAddress", "Initializer contract address (0 - from deployment manifest)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {initializer, translator, owner, gasLimit} = await deployBase(hre, taskArgs.initializerAddress, taskArgs.isTestnet, parseInt(taskArgs.gasPrice));
+        const txs = new TaskTransactions(taskArgs);
+        let {initializer, translator, owner} = await deployBase(hre, taskArgs.initializerAddress, taskArgs.networkSet, txs);
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Initializer address: %s", initializer.address);
         console.log("External relay address: %s\n", translator.address);
@@ -0,0 +1,85 @@
+import "@nomicfoundation/hardhat-toolbox";
+import * as fs from 'fs';
+import { BigNumber } from 'ethers';
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { Chains } from '../base/base_chains';
+import { ContractNames, getDeployment } from '../base/base_manifest';
+import { getChainTitle } from '../base/base_tracer';
+import { checkRole } from '../base/base_roles';
+
+/// Fee schedule fields (see AsterizmTranslatorV1.setChainFee)
+const FEE_FIELDS = ['baseFee', 'gasPrice', 'gasLimit', 'bytePrice'];
+
+/// Return current network fees from config file
+/// Config format: {"<networkName>": {"<dstChainId>": {"baseFee": "0", "gasPrice": "0", "gasLimit": "0", "bytePrice": "0", "tokenFees": {"<tokenAddress>": "0"}}}}
+/// (missing fields are zero, destination chains and tokens not listed in config are not changed)
+function readFees(configPath, networkName) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!config[networkName]) {
+        throw new Error(`Fees for network "${networkName}" not found in config`);
+    }
+
+    return Object.entries(config[networkName]).map(([chainId, fee]: [string, any]) => ({
+        chainId,
+        fee: FEE_FIELDS.map(field => BigNumber.from(fee[field] || 0)),
+        tokenFees: Object.entries(fee.tokenFees || {}).map(([tokenAddress, amount]: [string, any]) => ({tokenAddress, amount: BigNumber.from(amount)})),
+    }));
+}
+
+async function deployBase(hre, configPath, networkSet) {
+    const TranslatorContract = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const chains = Chains[networkSet];
+    if (!chains.find(chain => chain.networkName == hre.network.name)) {
+        throw new Error('Chain not supported!');
+    }
+
+    const translatorContract = await TranslatorContract.attach(getDeployment(hre.network.name, ContractNames.TRANSLATOR).address);
+
+    return {translatorContract, chains, fees: readFees(configPath, hre.network.name)};
+}
+
+task("relay:syncFees", "Sync translator destination chain fees with config file (changed fees only)")
+    .addPositionalParam("configPath", "Fees config JSON file")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {translatorContract, chains, fees} = await deployBase(hre, taskArgs.configPath, taskArgs.networkSet);
+        await checkRole(hre, translatorContract.address, 'feeManager');
+
+        const txs = new TaskTransactions(taskArgs);
+        let updated = 0;
+        for (const {chainId, fee, tokenFees} of fees) {
+            const currentFee = await translatorContract.chainFees(chainId);
+            if (FEE_FIELDS.every((field, i) => currentFee[field].eq(fee[i]))) {
+                console.log("%s: fee is up to date", getChainTitle(chains, chainId));
+            } else {
+                console.log("%s: updating fee (%s)", getChainTitle(chains, chainId), FEE_FIELDS.map((field, i) => `${field}: ${fee[i]}`).join(', '));
+                const tx = await translatorContract.setChainFee(chainId, ...fee, txs.overrides());
+                await txs.wait(tx);
+                console.log("Transaction hash: %s", tx.hash);
+                updated++;
+            }
+
+            for (const {tokenAddress, amount} of tokenFees) {
+                if (!await translatorContract.isFeeToken(tokenAddress)) {
+                    console.log("Adding fee token %s", tokenAddress);
+                    const tx = await translatorContract.addFeeToken(tokenAddress, txs.overrides());
+                    await txs.wait(tx);
+                    console.log("Transaction hash: %s", tx.hash);
+                }
+
+                if ((await translatorContract.getTokenFee(tokenAddress, chainId)).eq(amount)) {
+                    console.log("%s: token %s fee is up to date", getChainTitle(chains, chainId), tokenAddress);
+                    continue;
+                }
+
+                console.log("%s: updating token %s fee (%s)", getChainTitle(chains, chainId), tokenAddress, amount.toString());
+                const tx = await translatorContract.setTokenFee(tokenAddress, chainId, amount, txs.overrides());
+                await txs.wait(tx);
+                console.log("Transaction hash: %s", tx.hash);
+                updated++;
+            }
+        }
+
+        console.log("\nFees synced successfully (%s updated)\n", updated);
+        console.log("Total gas used: %s", txs.gasUsed);
+    });
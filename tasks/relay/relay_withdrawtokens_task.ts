@@ -0,0 +1,35 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { ContractNames, getDeployment } from '../base/base_manifest';
+import { checkRole } from '../base/base_roles';
+
+async function deployBase(hre, contractAddress) {
+    const TranslatorContract = await ethers.getContractFactory("AsterizmTranslatorV1");
+
+    const translatorContract = await TranslatorContract.attach(
+        contractAddress != '0' ? contractAddress : getDeployment(hre.network.name, ContractNames.TRANSLATOR).address
+    );
+
+    return {translatorContract};
+}
+
+task("relay:withdrawTokens", "Withdraw fee tokens from relay (translator) contract")
+    .addPositionalParam("tokenAddress", "Token address")
+    .addPositionalParam("targetAddress", "Target address")
+    .addPositionalParam("amount", "Withdrawal amount")
+    .addPositionalParam("contractAddress", "Relay contract address (0 - translator from manifest)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {translatorContract} = await deployBase(hre, taskArgs.contractAddress);
+        await checkRole(hre, translatorContract.address, 'treasurer');
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Withdrawing tokens...");
+        let tx = await translatorContract.withdrawTokens(taskArgs.tokenAddress, taskArgs.targetAddress, taskArgs.amount, txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nTokens withdrawal successfully\n");
+
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
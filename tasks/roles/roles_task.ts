@@ -0,0 +1,92 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task as hardhatTask } from 'hardhat/config';
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { getDeployment } from '../base/base_manifest';
+import { Roles, getRoleId } from '../base/base_roles';
+
+async function deployBase(hre, contract) {
+    const contractAddress = ethers.utils.isAddress(contract) ? contract : getDeployment(hre.network.name, contract).address;
+    const rolesContract = await ethers.getContractAt("AsterizmRolesUpgradeable", contractAddress);
+
+    return {rolesContract};
+}
+
+/// Throw error if task sender is not contract owner (roles admin)
+/// @param rolesContract Contract  Contract with roles
+async function checkOwner(rolesContract) {
+    const [sender] = await ethers.getSigners();
+    if ((await rolesContract.owner()) != sender.address) {
+        throw new Error(`Sender ${sender.address} is not owner (roles admin) of contract ${rolesContract.address}`);
+    }
+}
+
+task("roles:grant", "Grant role on translator or initializer contract (only owner)")
+    .addPositionalParam("contract", "Contract address or manifest contract name (translator, initializer)")
+    .addPositionalParam("role", `Role (${Object.keys(Roles).join(', ')})`)
+    .addPositionalParam("account", "Account address")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {rolesContract} = await deployBase(hre, taskArgs.contract);
+        const roleId = getRoleId(hre, taskArgs.role);
+        await checkOwner(rolesContract);
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Granting role...");
+        let tx = await rolesContract.grantRole(roleId, taskArgs.account, txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nRole %s was granted to %s\n", taskArgs.role, taskArgs.account);
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Contract address: %s", rolesContract.address);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
+
+task("roles:revoke", "Revoke role on translator or initializer contract (only owner)")
+    .addPositionalParam("contract", "Contract address or manifest contract name (translator, initializer)")
+    .addPositionalParam("role", `Role (${Object.keys(Roles).join(', ')})`)
+    .addPositionalParam("account", "Account address")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {rolesContract} = await deployBase(hre, taskArgs.contract);
+        const roleId = getRoleId(hre, taskArgs.role);
+        await checkOwner(rolesContract);
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Revoking role...");
+        let tx = await rolesContract.revokeRole(roleId, taskArgs.account, txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nRole %s was revoked from %s\n", taskArgs.role, taskArgs.account);
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Contract address: %s", rolesContract.address);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
+
+hardhatTask("roles:list", "List role holders of translator or initializer contract (read-only)")
+    .addPositionalParam("contract", "Contract address or manifest contract name (translator, initializer)")
+    .addPositionalParam("blocksDepth", "Scanned blocks count (from the latest block)", '50000')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {rolesContract} = await deployBase(hre, taskArgs.contract);
+
+        const toBlock = await ethers.provider.getBlockNumber();
+        const fromBlock = Math.max(toBlock - parseInt(taskArgs.blocksDepth), 0);
+        const accounts = new Set<string>();
+        for (const event of await rolesContract.queryFilter(rolesContract.filters.GrantRoleEvent(), fromBlock, toBlock)) {
+            accounts.add(event.args._account);
+        }
+
+        console.log("\nContract: %s", rolesContract.address);
+        console.log("Owner (all roles): %s\n", await rolesContract.owner());
+        for (const roleName of Object.keys(Roles)) {
+            const holders = [];
+            for (const account of accounts) {
+                if (await rolesContract.hasRole(getRoleId(hre, roleName), account)) {
+                    holders.push(account);
+                }
+            }
+
+            console.log("%s: %s", roleName, holders.length ? holders.join(',') : '-');
+        }
+        console.log();
+    });
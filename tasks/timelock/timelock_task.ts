@@ -0,0 +1,259 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task as hardhatTask } from 'hardhat/config';
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { ContractNames, findDeployment, getDeployment, saveDeployment } from '../base/base_manifest';
+
+const ZERO_BYTES32 = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+/// Timelocked protocol contracts from deployment manifest
+const ManifestContracts = [
+    ContractNames.INITIALIZER,
+    ContractNames.TRANSLATOR,
+    ContractNames.CHAINLINK_TRANSLATOR,
+    ContractNames.MULTICHAIN,
+];
+
+/// Contracts with timelocked methods (for scheduled calls decoding)
+const DescribedContracts = [
+    "AsterizmInitializerV1",
+    "AsterizmTranslatorV1",
+    "AsterizmTranslatorChainlink",
+    "MultiChainTokenUpgradeableV1",
+    "AsterizmTimelock",
+];
+
+async function deployBase(hre, timelockAddress) {
+    const Timelock = await ethers.getContractFactory("AsterizmTimelock");
+    const timelock = await Timelock.attach(timelockAddress != '0' ? timelockAddress : getDeployment(hre.network.name, ContractNames.TIMELOCK).address);
+
+    return {timelock};
+}
+
+/// Return target address (manifest contract name or address)
+/// @param hre HardhatRuntimeEnvironment
+/// @param target string  Contract name (see ContractNames) or address
+function resolveTarget(hre, target) {
+    return ethers.utils.isAddress(target) ? target : getDeployment(hre.network.name, target).address;
+}
+
+/// Return human readable call description
+/// @param data string  Call data
+async function describeCall(data) {
+    for (const contractName of DescribedContracts) {
+        try {
+            const call = (await ethers.getContractFactory(contractName)).interface.parseTransaction({data});
+            return `${call.signature} [${call.args.map(arg => arg.toString()).join(', ')}]`;
+        } catch (e) {}
+    }
+
+    return data;
+}
+
+/// Return scheduled operations (index 0 calls of operations scheduled in scanned blocks)
+/// @param timelock Contract  Timelock contract
+/// @param blocksDepth number  Scanned blocks count (from the latest block)
+async function getScheduledOperations(timelock, blocksDepth) {
+    const toBlock = await ethers.provider.getBlockNumber();
+    const fromBlock = Math.max(toBlock - blocksDepth, 0);
+    const operations = [];
+    for (const event of await timelock.queryFilter(timelock.filters.CallScheduled(null, 0), fromBlock, toBlock)) {
+        operations.push({
+            id: event.args.id,
+            target: event.args.target,
+            value: event.args.value,
+            data: event.args.data,
+            predecessor: event.args.predecessor,
+            transactionHash: event.transactionHash,
+        });
+    }
+
+    return operations;
+}
+
+task("timelock:deploy", "Deploy timelock contract for critical wiring changes and upgrades")
+    .addPositionalParam("delay", "Operations delay in seconds")
+    .addOptionalParam("proposers", "Proposers list (address,address), proposers can cancel operations (default - sender)", '')
+    .addOptionalParam("executors", "Executors list (address,address), zero address - anyone can execute ready operations (default - sender)", '')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        const [owner] = await ethers.getSigners();
+        const Timelock = await ethers.getContractFactory("AsterizmTimelock");
+        const proposers = taskArgs.proposers ? taskArgs.proposers.split(',') : [owner.address];
+        const executors = taskArgs.executors ? taskArgs.executors.split(',') : [owner.address];
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Deploying timelock contract...");
+        const timelock = await Timelock.deploy(taskArgs.delay, proposers, executors, ethers.constants.AddressZero, txs.overrides());
+        await timelock.deployed();
+        await txs.wait(timelock.deployTransaction);
+        await saveDeployment(hre, ContractNames.TIMELOCK, timelock, false);
+
+        console.log("\nTimelock was deployed\n");
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Timelock address: %s", timelock.address);
+        console.log("Delay: %s sec", taskArgs.delay);
+        console.log("Proposers: %s", proposers.join(','));
+        console.log("Executors: %s\n", executors.join(','));
+    });
+
+task("timelock:attach", "Set timelock for critical wiring changes and upgrades of manifest contracts and clients (changes are scheduled with timelock after that)")
+    .addPositionalParam("timelockAddress", "Timelock address (0 - timelock from manifest)", '0')
+    .addOptionalParam("clients", "Client contract addresses list (address,address)", '')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {timelock} = await deployBase(hre, taskArgs.timelockAddress);
+
+        const targets = [];
+        for (const contractName of ManifestContracts) {
+            const deployment = findDeployment(hre.network.name, contractName);
+            if (deployment) {
+                targets.push({title: contractName, address: deployment.address});
+            }
+        }
+        for (const address of taskArgs.clients ? taskArgs.clients.split(',') : []) {
+            targets.push({title: 'client', address});
+        }
+
+        const txs = new TaskTransactions(taskArgs);
+        for (const target of targets) {
+            const contract = await ethers.getContractAt("AsterizmTimelocked", target.address);
+            let currentTimelock;
+            try {
+                currentTimelock = await contract.getTimelock();
+            } catch (e) {
+                console.log("%s (%s) skipped: timelock is not supported", target.title, target.address);
+                continue;
+            }
+            if (currentTimelock == timelock.address) {
+                console.log("%s (%s) skipped: timelock is set already", target.title, target.address);
+                continue;
+            }
+            if (currentTimelock != ethers.constants.AddressZero) {
+                console.log("%s (%s) skipped: other timelock is set (%s), schedule setTimelock with it", target.title, target.address, currentTimelock);
+                continue;
+            }
+
+            const tx = await contract.setTimelock(timelock.address, txs.overrides());
+            await txs.wait(tx);
+            console.log("%s (%s) timelock was set. Tx: %s", target.title, target.address, tx.hash);
+        }
+
+        console.log("\nTotal gas used: %s", txs.gasUsed);
+        console.log("Timelock address: %s\n", timelock.address);
+    });
+
+task("timelock:schedule", "Schedule timelocked call (setTransalor, setInitializer, manageTrustedRelay, addRelayer, addTrustedAddress, setRelayRoute, upgradeTo etc.)")
+    .addPositionalParam("target", "Target contract address or manifest contract name (initializer, translator etc.)")
+    .addPositionalParam("signature", "Method signature, e.g. \"addTrustedAddress(uint64,uint256)\"")
+    .addPositionalParam("args", "Method arguments JSON array, e.g. '[\"80001\", \"0x...\"]'", '[]')
+    .addOptionalParam("timelockAddress", "Timelock address (0 - timelock from manifest)", '0')
+    .addOptionalParam("delay", "Operation delay in seconds (default - timelock min delay)", '')
+    .addOptionalParam("salt", "Operation salt (default - random)", '')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {timelock} = await deployBase(hre, taskArgs.timelockAddress);
+
+        const target = resolveTarget(hre, taskArgs.target);
+        const data = new ethers.utils.Interface([`function ${taskArgs.signature}`]).encodeFunctionData(taskArgs.signature, JSON.parse(taskArgs.args));
+        const delay = taskArgs.delay !== '' ? taskArgs.delay : await timelock.getMinDelay();
+        const salt = taskArgs.salt !== '' ? ethers.utils.hexZeroPad(taskArgs.salt, 32) : ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        const id = await timelock.hashOperation(target, 0, data, ZERO_BYTES32, salt);
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Scheduling operation...");
+        let tx = await timelock.schedule(target, 0, data, ZERO_BYTES32, salt, delay, txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nOperation was scheduled\n");
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Operation ID: %s", id);
+        console.log("Call: %s -> %s", target, await describeCall(data));
+        console.log("Ready at: %s", new Date((await timelock.getTimestamp(id)).toNumber() * 1000).toISOString());
+        console.log("Salt: %s", salt);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
+
+hardhatTask("timelock:list", "List pending timelocked operations (read-only)")
+    .addPositionalParam("timelockAddress", "Timelock address (0 - timelock from manifest)", '0')
+    .addPositionalParam("blocksDepth", "Scanned blocks count (from the latest block)", '50000')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {timelock} = await deployBase(hre, taskArgs.timelockAddress);
+
+        const now = (await ethers.provider.getBlock('latest')).timestamp;
+        console.log("\nTimelock: %s", timelock.address);
+        console.log("Delay: %s sec\n", (await timelock.getMinDelay()).toString());
+
+        let count = 0;
+        for (const operation of await getScheduledOperations(timelock, parseInt(taskArgs.blocksDepth))) {
+            const timestamp = (await timelock.getTimestamp(operation.id)).toNumber();
+            if (timestamp <= 1) { // 0 - canceled, 1 - executed
+                continue;
+            }
+
+            count++;
+            console.log(
+                "%s  %s  %s -> %s  (tx %s)",
+                operation.id, timestamp <= now ? 'ready' : 'pending until ' + new Date(timestamp * 1000).toISOString(),
+                operation.target, await describeCall(operation.data), operation.transactionHash
+            );
+        }
+
+        console.log("\nPending operations: %s\n", count);
+    });
+
+task("timelock:execute", "Execute ready timelocked operation")
+    .addPositionalParam("id", "Operation ID")
+    .addPositionalParam("timelockAddress", "Timelock address (0 - timelock from manifest)", '0')
+    .addPositionalParam("blocksDepth", "Scanned blocks count (from the latest block)", '50000')
+    .addOptionalParam("salt", "Operation salt (default - salt of schedule transaction)", '')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {timelock} = await deployBase(hre, taskArgs.timelockAddress);
+
+        const operation = (await getScheduledOperations(timelock, parseInt(taskArgs.blocksDepth))).find(operation => operation.id == taskArgs.id);
+        if (!operation) {
+            throw new Error(`Operation "${taskArgs.id}" not found (increase blocks depth)`);
+        }
+        if (!await timelock.isOperationReady(operation.id)) {
+            throw new Error(`Operation "${taskArgs.id}" is not ready (pending, executed or canceled)`);
+        }
+
+        let salt = taskArgs.salt !== '' ? ethers.utils.hexZeroPad(taskArgs.salt, 32) : null;
+        if (!salt) {
+            // Salt is not logged by timelock, it is taken from schedule transaction (use --salt for operations scheduled by multisig)
+            const scheduleTx = await ethers.provider.getTransaction(operation.transactionHash);
+            try {
+                salt = timelock.interface.decodeFunctionData('schedule', scheduleTx.data).salt;
+            } catch (e) {
+                throw new Error('Operation salt not found in schedule transaction, use --salt param');
+            }
+        }
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Executing operation...");
+        let tx = await timelock.execute(operation.target, operation.value, operation.data, operation.predecessor, salt, txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nOperation was executed\n");
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Call: %s -> %s", operation.target, await describeCall(operation.data));
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
+
+task("timelock:cancel", "Cancel pending timelocked operation")
+    .addPositionalParam("id", "Operation ID")
+    .addPositionalParam("timelockAddress", "Timelock address (0 - timelock from manifest)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {timelock} = await deployBase(hre, taskArgs.timelockAddress);
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Canceling operation...");
+        let tx = await timelock.cancel(taskArgs.id, txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nOperation was canceled\n");
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
@@ -1,56 +1,56 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
+import { task, TaskTransactions } from '../base/base_task';
 import { BigNumber } from "ethers";
+import { ContractNames, getDeployment } from '../base/base_manifest';
 
 async function deployBase(hre, initializerAddress) {
     const [owner] = await ethers.getSigners();
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
 
-    let gasLimit = BigNumber.from(0);
-    const initializer = await Initializer.attach(initializerAddress);
+    const initializer = await Initializer.attach(initializerAddress != '0' ? initializerAddress : getDeployment(hre.network.name, ContractNames.INITIALIZER).address);
 
-    return {initializer, owner, gasLimit};
+    return {initializer, owner};
 }
 
 task("token:deploy-upgrade", "Deploy Multichain token contract (upgradeable)")
-    .addPositionalParam("initializerAddress", "Initializer contract address")
+    .addPositionalParam("initializerAddress", "Initializer contract address (0 - from deployment manifest)", '0')
     .addPositionalParam("initSupply", "Initial token supply", '0')
     .addPositionalParam("relayAddress", "Config contract address", '0')
     .addPositionalParam("feeTokenAddress", "Chainlink fee token address", '0')
     .addPositionalParam("refundFee", "Refund fee in native coins", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
     .setAction(async (taskArgs, hre) => {
-        let {initializer, owner, gasLimit} = await deployBase(hre, taskArgs.initializerAddress);
+        let {initializer, owner} = await deployBase(hre, taskArgs.initializerAddress);
 
         let tx;
-        const gasPrice = parseInt(taskArgs.gasPrice);
+        const txs = new TaskTransactions(taskArgs);
         console.log("Deploying token contract...");
         const Token = await ethers.getContractFactory("MultiChainTokenUpgradeableV1");
+        txs.beforeProxyDeployment();
         const token = await upgrades.deployProxy(Token, [initializer.address, BigNumber.from(taskArgs.initSupply)], {
             initialize: 'initialize',
             kind: 'uups',
         });
         tx = await token.deployed();
-        gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+        await txs.wait(tx.deployTransaction);
         if (taskArgs.relayAddress != '0') {
-            tx = await token.setExternalRelay(taskArgs.relayAddress, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await token.setExternalRelay(taskArgs.relayAddress, txs.overrides());
+            await txs.wait(tx);
             console.log("Set external relay successfully. Address: %s", taskArgs.relayAddress);
         }
         if (taskArgs.feeTokenAddress != '0') {
-            tx = await token.setFeeToken(taskArgs.feeTokenAddress, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await token.setFeeToken(taskArgs.feeTokenAddress, txs.overrides());
+            await txs.wait(tx);
             console.log("Set fee token successfully. Address: %s", taskArgs.feeTokenAddress);
         }
 
         if (taskArgs.refundFee != '0') {
-            tx = await token.setRefundFee(taskArgs.refundFee, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-            gasLimit = gasLimit.add(tx.gasLimit);
+            tx = await token.setRefundFee(taskArgs.refundFee, txs.overrides());
+            await txs.wait(tx);
             console.log("Set refund fee successfully. Hash: %s", tx.hash);
         }
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Initializer address: %s", initializer.address);
         if (taskArgs.relayAddress != '0') {
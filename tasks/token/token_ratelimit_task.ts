@@ -0,0 +1,91 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task as hardhatTask } from 'hardhat/config';
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { ContractNames, getDeployment } from '../base/base_manifest';
+
+/// Transfer directions (outbound - sending, inbound - receiving)
+const Directions = ['outbound', 'inbound'];
+
+async function deployBase(hre, tokenAddress) {
+    const Token = await ethers.getContractFactory("MultichainToken");
+
+    // Rate limit methods of MultiChainTokenUpgradeableV1 and Venidium multichain contracts have the same ABI
+    const token = await Token.attach(tokenAddress != '0' ? tokenAddress : getDeployment(hre.network.name, ContractNames.MULTICHAIN).address);
+
+    return {token};
+}
+
+task("token:setRateLimit", "Set Multichain token rate limit of chain and direction (queued transfers over the limit are released by owner)")
+    .addPositionalParam("chainId", "Chain ID")
+    .addPositionalParam("direction", "Transfers direction (outbound, inbound)")
+    .addPositionalParam("capacity", "Max amount (with decimals, 0 - without limit)")
+    .addPositionalParam("refillRate", "Refilled amount per second (with decimals)")
+    .addPositionalParam("tokenAddress", "Token address (0 - Multichain token from manifest)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        if (!Directions.includes(taskArgs.direction)) {
+            throw new Error(`Invalid direction "${taskArgs.direction}" (available: ${Directions.join(', ')})`);
+        }
+
+        let {token} = await deployBase(hre, taskArgs.tokenAddress);
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Setting rate limit...");
+        let tx = await token.setRateLimit(taskArgs.chainId, taskArgs.direction == 'outbound', taskArgs.capacity, taskArgs.refillRate, txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nRate limit was set\n");
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Multichain token address: %s", token.address);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
+
+hardhatTask("token:queue", "List Multichain token transfers queued by rate limits (read-only)")
+    .addPositionalParam("tokenAddress", "Token address (0 - Multichain token from manifest)", '0')
+    .addPositionalParam("blocksDepth", "Scanned blocks count (from the latest block)", '50000')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {token} = await deployBase(hre, taskArgs.tokenAddress);
+
+        const toBlock = await hre.ethers.provider.getBlockNumber();
+        const fromBlock = Math.max(toBlock - parseInt(taskArgs.blocksDepth), 0);
+        const processed = new Set();
+        for (const event of await token.queryFilter(token.filters.ProcessQueuedTransferEvent(), fromBlock, toBlock)) {
+            processed.add(event.args._id.toString());
+        }
+
+        let count = 0;
+        for (const event of await token.queryFilter(token.filters.QueueTransferEvent(), fromBlock, toBlock)) {
+            if (processed.has(event.args._id.toString())) {
+                continue;
+            }
+
+            count++;
+            console.log(
+                "#%s  %s chain %s  account %s  remote address %s  amount %s  (tx %s)",
+                event.args._id.toString(), event.args._outbound ? 'to' : 'from', event.args._chainId.toString(),
+                event.args._account, event.args._remoteAddress.toString(), event.args._amount.toString(), event.transactionHash
+            );
+        }
+
+        console.log("\nQueued transfers: %s\n", count);
+    });
+
+task("token:processQueued", "Release or cancel Multichain token transfer queued by rate limit (canceled outbound transfers are returned to sender, inbound transfers can only be released)")
+    .addPositionalParam("id", "Queued transfer ID")
+    .addPositionalParam("release", "Release flag (true - release, false - cancel outbound transfer)")
+    .addPositionalParam("tokenAddress", "Token address (0 - Multichain token from manifest)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {token} = await deployBase(hre, taskArgs.tokenAddress);
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Processing queued transfer...");
+        let tx = await token.processQueuedTransfer(taskArgs.id, taskArgs.release == 'true', txs.overrides());
+        await txs.wait(tx);
+
+        console.log("\nQueued transfer was %s\n", taskArgs.release == 'true' ? 'released' : 'canceled');
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Multichain token address: %s", token.address);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
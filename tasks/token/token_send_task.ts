@@ -1,12 +1,12 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
-import { BigNumber } from "ethers";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
 import {Chains} from "../base/base_chains";
+import { ContractNames, getDeployment } from '../base/base_manifest';
 
-async function deployBase(hre, isTestnet: number) {
+async function deployBase(hre, networkSet) {
     const [owner] = await ethers.getSigners();
     const Token = await ethers.getContractFactory("MultichainToken");
-    const chains = isTestnet == 1 ? Chains.testnet : Chains.mainnet;
+    const chains = Chains[networkSet];
 
     let currentChain = null;
     for (let i = 0; i < chains.length; i++) {
@@ -19,30 +19,28 @@ async function deployBase(hre, isTestnet: number) {
         throw new Error('Chain not supported!');
     }
 
-    let gasLimit = BigNumber.from(0);
-    const token = await Token.attach(currentChain?.trustAddresses.multichain.address);
+    const token = await Token.attach(getDeployment(hre.network.name, ContractNames.MULTICHAIN).address);
 
-    return {Token, token, owner, currentChain, gasLimit};
+    return {Token, token, owner, currentChain};
 }
 
 task("token:send", "Send Multichain token")
     .addPositionalParam("dstChainId", "Destination chain ID")
     .addPositionalParam("dstAddress", "Destination address (in uint)")
     .addPositionalParam("amount", "Token transfer amount (with decimals)")
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
     .setAction(async (taskArgs, hre) => {
-        let {Token, token, owner, currentChain, gasLimit} = await deployBase(hre, taskArgs.isTestnet);
+        let {Token, token, owner, currentChain} = await deployBase(hre, taskArgs.networkSet);
 
         let tx;
-        const gasPrice = parseInt(taskArgs.gasPrice);
+        const txs = new TaskTransactions(taskArgs);
         console.log("Sending tokens...");
 
-        tx = await token.crossChainTransfer(taskArgs.dstChainId, owner.address, taskArgs.dstAddress, taskArgs.amount, gasPrice > 0 ? {gasPrice: gasPrice} : {});
-        gasLimit = gasLimit.add(tx.gasLimit);
+        tx = await token.crossChainTransfer(taskArgs.dstChainId, owner.address, taskArgs.dstAddress, taskArgs.amount, txs.overrides());
+        await txs.wait(tx);
 
         console.log("Tokens sending was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Multichain token address: %s", token.address);
         console.log("Transaction hash: %s\n", tx.hash);
@@ -0,0 +1,23 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task } from 'hardhat/config';
+import { Chains } from '../base/base_chains';
+import { NetworkSetType } from '../base/base_task';
+import { getChainTitle } from '../base/base_tracer';
+
+const { getClientFeeQuote } = require('../../lib/fee_quote');
+
+task("transfer:quote", "Print client transfer fee quote (initAsterizmTransfer value and fee token amount)")
+    .addPositionalParam("clientAddress", "Source client address")
+    .addPositionalParam("dstChainId", "Destination chain ID")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        const chains = Chains[taskArgs.networkSet];
+        const quote = await getClientFeeQuote(hre.ethers.provider, taskArgs.clientAddress, taskArgs.dstChainId);
+
+        console.log("\nClient: %s", taskArgs.clientAddress);
+        console.log("Destination: %s", getChainTitle(chains, taskArgs.dstChainId));
+        console.log("Initializer: %s", quote.initializerAddress);
+        console.log("Relay: %s", quote.relayAddress == hre.ethers.constants.AddressZero ? 'default translator' : quote.relayAddress);
+        console.log("Native fee: %s wei", quote.nativeFee.toString());
+        console.log("Token fee: %s%s", quote.tokenFee.toString(), quote.feeTokenAddress == hre.ethers.constants.AddressZero ? '' : ` (token ${quote.feeTokenAddress})`);
+    });
@@ -0,0 +1,53 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task, NetworkSetType, TaskTransactions } from '../base/base_task';
+import { ContractNames, getDeployment } from '../base/base_manifest';
+
+/// Payload delivery statuses (see AsterizmInitializerV1.getPayloadDelivery)
+const DeliveryStatuses = ['not received', 'delivered', 'failed', 'abandoned'];
+
+async function deployBase(hre) {
+    const InitializerContract = await ethers.getContractFactory("AsterizmInitializerV1");
+
+    const initializerContract = await InitializerContract.attach(getDeployment(hre.network.name, ContractNames.INITIALIZER).address);
+
+    return {initializerContract};
+}
+
+task("transfer:retry", "Retry failed payload delivery to destination client (run on destination network)")
+    .addPositionalParam("transferHash", "Transfer hash")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {initializerContract} = await deployBase(hre);
+
+        let delivery = await initializerContract.getPayloadDelivery(taskArgs.transferHash);
+        console.log("Delivery status: %s (attempts: %s)", DeliveryStatuses[delivery.status], delivery.attempts.toString());
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Retrying payload delivery...");
+        let tx = await initializerContract.retryPayload(taskArgs.transferHash, txs.overrides());
+        await txs.wait(tx);
+
+        delivery = await initializerContract.getPayloadDelivery(taskArgs.transferHash);
+        console.log("\nDelivery status: %s (attempts: %s)\n", DeliveryStatuses[delivery.status], delivery.attempts.toString());
+
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
+
+task("transfer:abandon", "Abandon failed payload delivery to destination client, payload can't be retried after it (run on destination network)")
+    .addPositionalParam("transferHash", "Transfer hash")
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {initializerContract} = await deployBase(hre);
+
+        const txs = new TaskTransactions(taskArgs);
+        console.log("Abandoning payload delivery...");
+        let tx = await initializerContract.abandonPayload(taskArgs.transferHash, txs.overrides());
+        await txs.wait(tx);
+
+        const delivery = await initializerContract.getPayloadDelivery(taskArgs.transferHash);
+        console.log("\nDelivery status: %s (attempts: %s)\n", DeliveryStatuses[delivery.status], delivery.attempts.toString());
+
+        console.log("Total gas used: %s", txs.gasUsed);
+        console.log("Transaction hash: %s\n", tx.hash);
+    });
@@ -0,0 +1,43 @@
+import "@nomicfoundation/hardhat-toolbox";
+import { task } from 'hardhat/config';
+import { Chains } from '../base/base_chains';
+import { NetworkSetType } from '../base/base_task';
+import { createTransferTracer, getChainTitle } from '../base/base_tracer';
+
+async function deployBase(hre, networkSet, clientAddress, blocksDepth) {
+    const chains = Chains[networkSet];
+    const {tracer} = await createTransferTracer(hre, chains, blocksDepth, clientAddress != '0' ? [clientAddress] : []);
+
+    return {tracer, chains};
+}
+
+task("transfer:status", "Trace transfer by hash across source and destination networks")
+    .addPositionalParam("transferHash", "Transfer hash")
+    .addPositionalParam("clientAddress", "Source client address (for transfers without paid fee, 0 - manifest clients only)", '0')
+    .addPositionalParam("blocksDepth", "Scanned blocks count (from the latest block of every network)", '50000')
+    .addOptionalParam("networkSet", "Chains set (testnet, mainnet)", 'mainnet', NetworkSetType)
+    .setAction(async (taskArgs, hre) => {
+        let {tracer, chains} = await deployBase(hre, taskArgs.networkSet, taskArgs.clientAddress, parseInt(taskArgs.blocksDepth));
+
+        const chainTitle = (chainId) => getChainTitle(chains, chainId);
+
+        const transfer = await tracer.trace(taskArgs.transferHash);
+
+        console.log("\nTransfer: %s", transfer.transferHash);
+        if (transfer.srcChainId !== null) {
+            console.log("Source: %s, client %s", chainTitle(transfer.srcChainId), transfer.srcAddress);
+            console.log("Destination: %s, client %s", chainTitle(transfer.dstChainId), transfer.dstAddress);
+            console.log("Transaction ID: %s", transfer.txId);
+        }
+
+        console.log("\nTimeline:");
+        for (const item of transfer.timeline) {
+            console.log("%s  %s  block %s  %s (%s)", new Date(item.timestamp * 1000).toISOString(), chainTitle(item.chainId), item.blockNumber, item.event, item.address);
+            console.log("    tx: %s", item.txHash);
+            for (const [name, value] of Object.entries(item.args)) {
+                console.log("    %s: %s", name, value);
+            }
+        }
+
+        console.log("\nState: %s\n", transfer.state);
+    });
@@ -1,5 +1,5 @@
 import "@nomicfoundation/hardhat-toolbox";
-import { task } from 'hardhat/config';
+import { task, TaskTransactions } from '../base/base_task';
 import { BigNumber } from "ethers";
 
 async function deployBase(hre, initializerAddress) {
@@ -7,10 +7,9 @@ async function deployBase(hre, initializerAddress) {
     const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
     const Token = await ethers.getContractFactory("NativeDstMultichainUpgradeableV1");
 
-    let gasLimit = BigNumber.from(0);
     const initializer = await Initializer.attach(initializerAddress);
 
-    return {initializer, Token, owner, gasLimit};
+    return {initializer, Token, owner};
 }
 
 task("venidium:deployNativeDst", "Deploy venidium native dst contract")
@@ -20,26 +19,25 @@ task("venidium:deployNativeDst", "Deploy venidium native dst contract")
     .addPositionalParam("feeMul", "Fee multiplier param", '2')
     .addPositionalParam("initSupply", "Initial token supply", '0')
     .addPositionalParam("decimals", "Token decimals", '18')
-    .addPositionalParam("isTestnet", "Is testnet flag (1 - testnet, 0 - mainnet)", '0')
-    .addPositionalParam("gasPrice", "Gas price (for some networks)", '0')
     .setAction(async (taskArgs, hre) => {
-        let {initializer, Token, owner, gasLimit} = await deployBase(hre, taskArgs.initializerAddress);
+        let {initializer, Token, owner} = await deployBase(hre, taskArgs.initializerAddress);
 
         let tx;
-        const gasPrice = parseInt(taskArgs.gasPrice);
+        const txs = new TaskTransactions(taskArgs);
         console.log("Deploying venidium native dst contract...");
+        txs.beforeProxyDeployment();
         const token = await upgrades.deployProxy(Token, [initializer.address, BigNumber.from(taskArgs.initSupply), taskArgs.decimals, taskArgs.feeBaseAddress], {
             initialize: 'initialize',
             kind: 'uups',
         });
         tx = await token.deployed();
-        gasLimit = gasLimit.add(tx.deployTransaction.gasLimit);
+        await txs.wait(tx.deployTransaction);
 
-        tx = await token.setFeeParams(taskArgs.feeBase, taskArgs.feeMul);
-        gasLimit = gasLimit.add(tx.gasLimit);
+        tx = await token.setFeeParams(taskArgs.feeBase, taskArgs.feeMul, txs.overrides());
+        await txs.wait(tx);
 
         console.log("Deployment was done\n");
-        console.log("Total gas limit: %s", gasLimit);
+        console.log("Total gas used: %s", txs.gasUsed);
         console.log("Owner address: %s", owner.address);
         console.log("Initializer address: %s", initializer.address);
         console.log("Venidium native dst token address: %s\n", token.address);
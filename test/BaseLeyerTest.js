@@ -140,6 +140,8 @@ describe("Base layer test", function () {
       Demo, demo1, demo2, chainlinkDemo1, chainlinkDemo2, owner1, owner2, currentChainIds,
       externalFees, systemFees, chainSelectors
     } = await loadFixture(deployContractsFixture);
+    expect(await initializer1.getTranslatorAddress()).to.equal(translator1.address);
+    expect(await initializer2.getTranslatorAddress()).to.equal(translator2.address);
   });
 
   it("Should successfully send message", async function () {
@@ -813,6 +815,8 @@ describe("Base layer test", function () {
     expect(await chainlinkToken1.balanceOf(chainlinkRouter1.address)).to.equal(baseTokenFeeAmount.toString());
 
     let chainlinkSrcChainId, chainlinkSrcAddress, chainlinkTsId, chainlinkTransferhash;
+    // Destination router delivers message tokens from its balance
+    await chainlinkToken1.transfer(chainlinkRouter2.address, 100000);
     await expect(chainlinkRouter2.routeMessage(
         {
           messageId: chainlinkMessageId,
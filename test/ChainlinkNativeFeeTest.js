@@ -0,0 +1,183 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+
+describe("Chainlink native fee", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const TransalorChainlink = await ethers.getContractFactory("AsterizmTranslatorChainlink");
+    const ChainlinkRouter = await ethers.getContractFactory("ChainlinkTestRouter");
+    const ChainlinkToken = await ethers.getContractFactory("ChainlinkTestToken");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const [owner, srcClient] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainSelectors = [11, 12];
+    const feeTypes = {DEFAULT: 0, TOKEN: 1, NATIVE: 2};
+    const chainlinkFee = 10;
+    const nativeFee = 20;
+
+    const chainlinkToken = await ChainlinkToken.deploy(1000000000, 18);
+    await chainlinkToken.deployed();
+    const router = await ChainlinkRouter.deploy(chainlinkToken.address, chainlinkFee);
+    await router.deployed();
+    await router.setNativeFee(nativeFee);
+
+    const translator = await TransalorChainlink.deploy(currentChainIds[0], 1, chainSelectors[0], router.address, chainlinkToken.address);
+    await translator.deployed();
+    await translator.addChain(currentChainIds[1], 1, chainSelectors[1]);
+    await translator.addChainRelay(currentChainIds[1], translator.address);
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer.deployed();
+    await translator.setInitializer(initializer.address);
+
+    const dstClient = await Token.deploy(initializer.address, 1000000);
+    await dstClient.deployed();
+
+    await chainlinkToken.transfer(srcClient.address, 1000);
+
+    return { translator, initializer, router, chainlinkToken, dstClient, owner, srcClient, currentChainIds, feeTypes, chainlinkFee, nativeFee };
+  }
+
+  /// Build transfer DTO of source client account (client calls initializer directly)
+  function buildTransferDto(fixture, transferHash) {
+    const { dstClient, chainlinkToken, currentChainIds } = fixture;
+
+    return {
+      dstChainId: currentChainIds[1],
+      dstAddress: BigNumber.from(dstClient.address),
+      transferHash,
+      txId: 0,
+      relay: ethers.constants.AddressZero,
+      transferResultNotifyFlag: false,
+      feeToken: chainlinkToken.address,
+    };
+  }
+
+  async function sendTransfer(fixture, transferHash, value = 0) {
+    const { initializer, srcClient } = fixture;
+
+    return initializer.connect(srcClient).initTransfer(buildTransferDto(fixture, transferHash), {value});
+  }
+
+  it("Should set fee types by client or client owner only", async function () {
+    const { translator, dstClient, owner, srcClient, feeTypes } = await loadFixture(deployContractsFixture);
+    const transferHash = ethers.utils.formatBytes32String('transfer');
+    await expect(translator.connect(srcClient).setClientFeeType(dstClient.address, feeTypes.NATIVE))
+        .to.be.revertedWith("TranslatorChainlink: only client or client owner");
+    await expect(translator.connect(srcClient).setTransferFeeType(dstClient.address, transferHash, feeTypes.NATIVE))
+        .to.be.revertedWith("TranslatorChainlink: only client or client owner");
+    await expect(translator.setClientFeeType(srcClient.address, feeTypes.NATIVE)).to.be.reverted;
+    await expect(translator.setClientFeeType(dstClient.address, 3)).to.be.revertedWith("TranslatorChainlink: wrong fee type");
+
+    await expect(translator.setClientFeeType(dstClient.address, feeTypes.NATIVE))
+        .to.emit(translator, 'SetClientFeeTypeEvent')
+        .withArgs(dstClient.address, feeTypes.NATIVE);
+    await expect(translator.connect(owner).setTransferFeeType(dstClient.address, transferHash, feeTypes.TOKEN))
+        .to.emit(translator, 'SetTransferFeeTypeEvent')
+        .withArgs(dstClient.address, transferHash, feeTypes.TOKEN);
+    await expect(translator.connect(srcClient).setClientFeeType(srcClient.address, feeTypes.NATIVE))
+        .to.emit(translator, 'SetClientFeeTypeEvent');
+
+    expect(await translator.getFeeType(dstClient.address, ethers.constants.HashZero)).to.equal(feeTypes.NATIVE);
+    expect(await translator.getFeeType(dstClient.address, transferHash)).to.equal(feeTypes.TOKEN);
+    expect(await translator.getFeeType(owner.address, transferHash)).to.equal(feeTypes.TOKEN);
+  });
+
+  it("Should pay CCIP fee in fee tokens by default", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { initializer, router, chainlinkToken, srcClient, currentChainIds, chainlinkFee } = fixture;
+    const quote = await initializer.getFeeQuote(ethers.constants.AddressZero, currentChainIds[1], srcClient.address);
+    expect(quote.nativeFee).to.equal(0);
+    expect(quote.tokenFee).to.equal(chainlinkFee);
+
+    await expect(sendTransfer(fixture, ethers.utils.formatBytes32String('transfer')))
+        .to.be.revertedWith("TranslatorChainlink: fee token allowance is not enough");
+    await chainlinkToken.connect(srcClient).approve(initializer.address, chainlinkFee);
+    await expect(sendTransfer(fixture, ethers.utils.formatBytes32String('transfer')))
+        .to.emit(router, 'CcipSendEvent')
+        .withArgs((value) => value.length == 66, chainlinkFee);
+    expect(await chainlinkToken.balanceOf(router.address)).to.equal(chainlinkFee);
+    expect(await ethers.provider.getBalance(router.address)).to.equal(0);
+  });
+
+  it("Should pay client CCIP fee in native coins and refund overpayment", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator, initializer, router, chainlinkToken, owner, srcClient, currentChainIds, feeTypes, nativeFee } = fixture;
+    await translator.connect(srcClient).setClientFeeType(srcClient.address, feeTypes.NATIVE);
+    const quote = await initializer.getFeeQuote(ethers.constants.AddressZero, currentChainIds[1], srcClient.address);
+    expect(quote.nativeFee).to.equal(nativeFee);
+    expect(quote.tokenFee).to.equal(0);
+
+    const transferHash = ethers.utils.formatBytes32String('transfer');
+    await expect(sendTransfer(fixture, transferHash, nativeFee - 1)).to.be.revertedWith("AsterizmInitializer: fee not enough");
+    await expect(sendTransfer(fixture, transferHash, nativeFee + 5))
+        .to.emit(router, 'CcipSendEvent')
+        .withArgs((value) => value.length == 66, nativeFee)
+        .and.to.emit(initializer, 'RefundFeeEvent')
+        .withArgs(transferHash, srcClient.address, 5)
+        .and.to.emit(translator, 'SendMessageEvent');
+    expect(await ethers.provider.getBalance(router.address)).to.equal(nativeFee);
+    expect(await ethers.provider.getBalance(translator.address)).to.equal(0);
+    expect(await chainlinkToken.balanceOf(router.address)).to.equal(0);
+
+    // Overpayment is refunded to fee payer
+    const refundTransferHash = ethers.utils.formatBytes32String('refundTransfer');
+    await expect(initializer.connect(srcClient).initTransferWithRefund(buildTransferDto(fixture, refundTransferHash), owner.address, {value: nativeFee + 5}))
+        .to.emit(initializer, 'RefundFeeEvent')
+        .withArgs(refundTransferHash, owner.address, 5)
+        .and.to.emit(router, 'CcipSendEvent')
+        .withArgs((value) => value.length == 66, nativeFee);
+  });
+
+  it("Should return CCIP native fee surplus by translator", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator, initializer, router, srcClient, feeTypes } = fixture;
+    await translator.connect(srcClient).setClientFeeType(srcClient.address, feeTypes.NATIVE);
+    // Zero relay fee is not exact, all transfer value is sent to translator
+    await router.setNativeFee(0);
+
+    const transferHash = ethers.utils.formatBytes32String('transfer');
+    await expect(sendTransfer(fixture, transferHash, 7))
+        .to.emit(initializer, 'RefundFeeEvent')
+        .withArgs(transferHash, srcClient.address, 7)
+        .to.emit(router, 'CcipSendEvent')
+        .withArgs((value) => value.length == 66, 0);
+    expect(await ethers.provider.getBalance(translator.address)).to.equal(0);
+    expect(await ethers.provider.getBalance(initializer.address)).to.equal(0);
+    expect(await ethers.provider.getBalance(router.address)).to.equal(0);
+  });
+
+  it("Should choose CCIP fee type per transfer", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator, router, chainlinkToken, initializer, srcClient, feeTypes, chainlinkFee, nativeFee } = fixture;
+    const tokenTransferHash = ethers.utils.formatBytes32String('tokenTransfer');
+    const nativeTransferHash = ethers.utils.formatBytes32String('nativeTransfer');
+    await translator.connect(srcClient).setClientFeeType(srcClient.address, feeTypes.NATIVE);
+    await translator.connect(srcClient).setTransferFeeType(srcClient.address, tokenTransferHash, feeTypes.TOKEN);
+    await translator.connect(srcClient).setTransferFeeType(srcClient.address, nativeTransferHash, feeTypes.TOKEN);
+    await translator.connect(srcClient).setTransferFeeType(srcClient.address, nativeTransferHash, feeTypes.DEFAULT);
+
+    await chainlinkToken.connect(srcClient).approve(initializer.address, chainlinkFee);
+    await expect(sendTransfer(fixture, tokenTransferHash))
+        .to.emit(router, 'CcipSendEvent')
+        .withArgs((value) => value.length == 66, chainlinkFee);
+    await expect(sendTransfer(fixture, nativeTransferHash, nativeFee))
+        .to.emit(router, 'CcipSendEvent')
+        .withArgs((value) => value.length == 66, nativeFee);
+    expect(await chainlinkToken.balanceOf(router.address)).to.equal(chainlinkFee);
+    expect(await ethers.provider.getBalance(router.address)).to.equal(nativeFee);
+
+    // Client fee token, transfer native coins
+    const transferHash = ethers.utils.formatBytes32String('transfer');
+    await translator.connect(srcClient).setClientFeeType(srcClient.address, feeTypes.TOKEN);
+    await translator.connect(srcClient).setTransferFeeType(srcClient.address, transferHash, feeTypes.NATIVE);
+    await expect(sendTransfer(fixture, transferHash, nativeFee))
+        .to.emit(router, 'CcipSendEvent')
+        .withArgs((value) => value.length == 66, nativeFee);
+    expect(await ethers.provider.getBalance(router.address)).to.equal(nativeFee * 2);
+    expect(await chainlinkToken.balanceOf(router.address)).to.equal(chainlinkFee);
+  });
+});
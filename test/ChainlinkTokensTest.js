@@ -0,0 +1,311 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+
+describe("Chainlink token transfers", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const TransalorChainlink = await ethers.getContractFactory("AsterizmTranslatorChainlink");
+    const ChainlinkRouter = await ethers.getContractFactory("ChainlinkTestRouter");
+    const ChainlinkToken = await ethers.getContractFactory("ChainlinkTestToken");
+    const TestToken = await ethers.getContractFactory("AsterizmTestToken");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const [owner, srcClient] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainSelectors = [11, 12];
+    const chainlinkFee = 10;
+
+    const chainlinkToken = await ChainlinkToken.deploy(1000000000, 18);
+    await chainlinkToken.deployed();
+    const testToken = await TestToken.deploy(1000000, 18);
+    await testToken.deployed();
+    const router = await ChainlinkRouter.deploy(chainlinkToken.address, chainlinkFee);
+    await router.deployed();
+
+    // Source and destination chains are emulated with translators of different local chains
+    const deployChain = async (chainIndex) => {
+      const translator = await TransalorChainlink.deploy(currentChainIds[chainIndex], 1, chainSelectors[chainIndex], router.address, chainlinkToken.address);
+      await translator.deployed();
+      await translator.addChain(currentChainIds[1 - chainIndex], 1, chainSelectors[1 - chainIndex]);
+      const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+        initialize: 'initialize',
+        kind: 'uups',
+      });
+      await initializer.deployed();
+      await translator.setInitializer(initializer.address);
+
+      return { translator, initializer };
+    };
+    const src = await deployChain(0);
+    const dst = await deployChain(1);
+    await src.translator.addChainRelay(currentChainIds[1], dst.translator.address);
+    await dst.translator.addChainRelay(currentChainIds[0], src.translator.address);
+
+    const dstClient = await Token.deploy(dst.initializer.address, 1000000);
+    await dstClient.deployed();
+    await dstClient.addTrustedAddress(currentChainIds[0], srcClient.address);
+
+    await testToken.transfer(srcClient.address, 1000);
+    await chainlinkToken.transfer(srcClient.address, 1000);
+    const tokenAmounts = [
+      {token: testToken.address, amount: BigNumber.from(100)},
+      {token: chainlinkToken.address, amount: BigNumber.from(50)},
+    ];
+
+    return { src, dst, router, chainlinkToken, testToken, dstClient, owner, srcClient, currentChainIds, chainSelectors, chainlinkFee, tokenAmounts };
+  }
+
+  /// Send transfer from source client account (client calls initializer directly)
+  async function sendTransfer(fixture, transferHash) {
+    const { src, dstClient, chainlinkToken, srcClient, currentChainIds, chainlinkFee } = fixture;
+    await chainlinkToken.connect(srcClient).approve(src.initializer.address, chainlinkFee);
+
+    return src.initializer.connect(srcClient).initTransfer({
+      dstChainId: currentChainIds[1],
+      dstAddress: BigNumber.from(dstClient.address),
+      transferHash,
+      txId: 0,
+      relay: ethers.constants.AddressZero,
+      transferResultNotifyFlag: false,
+      feeToken: chainlinkToken.address,
+    });
+  }
+
+  async function sendTransferWithTokens(fixture) {
+    const { src, chainlinkToken, testToken, srcClient, tokenAmounts } = fixture;
+    const transferHash = ethers.utils.formatBytes32String('transfer');
+    await testToken.connect(srcClient).approve(src.translator.address, tokenAmounts[0].amount);
+    await chainlinkToken.connect(srcClient).approve(src.translator.address, tokenAmounts[1].amount);
+    await src.translator.connect(srcClient).setTransferTokens(transferHash, tokenAmounts);
+
+    const receipt = await (await sendTransfer(fixture, transferHash)).wait();
+    const payload = src.translator.interface.parseLog(receipt.events.find(event => event.address == src.translator.address && event.topics[0] == src.translator.interface.getEventTopic('SendMessageEvent'))).args._payload;
+
+    return { transferHash, payload };
+  }
+
+  function routeMessage(fixture, payload, destTokenAmounts) {
+    const { src, dst, router, chainSelectors } = fixture;
+
+    return router.routeMessage({
+      messageId: ethers.utils.keccak256(payload),
+      sourceChainSelector: chainSelectors[0],
+      sender: ethers.utils.defaultAbiCoder.encode(['address'], [src.translator.address]),
+      data: payload,
+      destTokenAmounts,
+    }, 0, 0, dst.translator.address);
+  }
+
+  it("Should send transfer tokens with CCIP message", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { src, router, chainlinkToken, testToken, srcClient, chainlinkFee, tokenAmounts } = fixture;
+    const transferHash = ethers.utils.formatBytes32String('transfer');
+    await expect(src.translator.connect(srcClient).setTransferTokens(transferHash, tokenAmounts))
+        .to.emit(src.translator, 'SetTransferTokensEvent')
+        .withArgs(srcClient.address, transferHash, (value) => value.length == 2 && value[0].token == testToken.address);
+    expect((await src.translator.getTransferTokens(srcClient.address, transferHash)).map(item => item.amount)).to.deep.equal([100, 50]);
+
+    // Tokens are transferred from client when transfer is sent
+    await expect(sendTransfer(fixture, transferHash)).to.be.revertedWith("ERC20: insufficient allowance");
+
+    await testToken.connect(srcClient).approve(src.translator.address, tokenAmounts[0].amount);
+    await chainlinkToken.connect(srcClient).approve(src.translator.address, tokenAmounts[1].amount);
+    await expect(sendTransfer(fixture, transferHash))
+        .to.emit(router, 'CcipSendEvent')
+        .withArgs((value) => value.length == 66, chainlinkFee)
+        .and.to.emit(src.translator, 'SendMessageEvent');
+    expect(await testToken.balanceOf(router.address)).to.equal(100);
+    expect(await chainlinkToken.balanceOf(router.address)).to.equal(chainlinkFee + 50);
+    expect(await testToken.balanceOf(srcClient.address)).to.equal(900);
+    expect(await chainlinkToken.balanceOf(srcClient.address)).to.equal(1000 - chainlinkFee - 50);
+  });
+
+  it("Should send transfer without tokens", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { src, router, testToken, srcClient, tokenAmounts } = fixture;
+    const transferHash = ethers.utils.formatBytes32String('transfer');
+    await src.translator.connect(srcClient).setTransferTokens(transferHash, tokenAmounts);
+    await src.translator.connect(srcClient).setTransferTokens(transferHash, []);
+    expect(await src.translator.getTransferTokens(srcClient.address, transferHash)).to.be.empty;
+
+    await expect(sendTransfer(fixture, transferHash)).to.emit(router, 'CcipSendEvent');
+    expect(await testToken.balanceOf(router.address)).to.equal(0);
+  });
+
+  it("Should forward received tokens to destination client with payload", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { dst, chainlinkToken, testToken, dstClient, tokenAmounts } = fixture;
+    const { transferHash, payload } = await sendTransferWithTokens(fixture);
+
+    await expect(routeMessage(fixture, payload, tokenAmounts))
+        .to.emit(dst.translator, 'ForwardTokenEvent')
+        .withArgs(transferHash, testToken.address, dstClient.address, 100)
+        .and.to.emit(dst.translator, 'ForwardTokenEvent')
+        .withArgs(transferHash, chainlinkToken.address, dstClient.address, 50)
+        .and.to.emit(dst.translator, 'TransferSendEvent')
+        .and.to.emit(dstClient, 'PayloadReceivedEvent');
+    expect(await testToken.balanceOf(dstClient.address)).to.equal(100);
+    expect(await chainlinkToken.balanceOf(dstClient.address)).to.equal(50);
+    expect(await testToken.balanceOf(dst.translator.address)).to.equal(0);
+  });
+
+  it("Should send message with tokens through client and remove sent transfer tokens", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { src, dst, router, chainlinkToken, testToken, currentChainIds, chainlinkFee } = fixture;
+    const TokensDemo = await ethers.getContractFactory("AsterizmTokensDemo");
+    const srcDemo = await TokensDemo.deploy(src.initializer.address);
+    await srcDemo.deployed();
+    const dstDemo = await TokensDemo.deploy(dst.initializer.address);
+    await dstDemo.deployed();
+    await srcDemo.addTrustedAddress(currentChainIds[1], dstDemo.address);
+    await dstDemo.addTrustedAddress(currentChainIds[0], srcDemo.address);
+    await srcDemo.setFeeToken(chainlinkToken.address);
+    await chainlinkToken.transfer(srcDemo.address, chainlinkFee);
+
+    const message = "Message with tokens";
+    const tokenAmounts = [{token: testToken.address, amount: BigNumber.from(100)}];
+    await testToken.approve(srcDemo.address, 100);
+    const receipt = await (await srcDemo.sendMessageWithTokens(currentChainIds[1], message, tokenAmounts)).wait();
+    const { _txId: txId, _transferHash: transferHash, _payload: payload } = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+    expect((await src.translator.getTransferTokens(srcDemo.address, transferHash)).map(item => item.amount)).to.deep.equal([100]);
+    expect(await testToken.allowance(srcDemo.address, src.translator.address)).to.equal(100);
+
+    let ccipPayload;
+    await expect(srcDemo.initAsterizmTransfer(currentChainIds[1], txId, transferHash))
+        .to.emit(router, 'CcipSendEvent')
+        .and.to.emit(src.translator, 'SendMessageEvent')
+        .withArgs(transferHash, (value) => value.length == 66, (value) => {ccipPayload = value; return true;});
+    expect(await src.translator.getTransferTokens(srcDemo.address, transferHash)).to.be.empty;
+    expect(await testToken.balanceOf(srcDemo.address)).to.equal(0);
+    expect(await testToken.balanceOf(router.address)).to.equal(100);
+
+    await expect(routeMessage(fixture, ccipPayload, tokenAmounts))
+        .to.emit(dst.translator, 'ForwardTokenEvent')
+        .withArgs(transferHash, testToken.address, dstDemo.address, 100)
+        .and.to.emit(dstDemo, 'PayloadReceivedEvent');
+    expect(await testToken.balanceOf(dstDemo.address)).to.equal(100);
+
+    await expect(dstDemo.asterizmClReceive(currentChainIds[0], srcDemo.address, txId, transferHash, payload))
+        .to.emit(dstDemo, 'SetExternalChainMessageEvent')
+        .withArgs(message);
+    expect(await dstDemo.externalChainMessage()).to.equal(message);
+  });
+
+  it("Should revert client transfer with tokens when it is sent with backup relay", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { src, router, chainlinkToken, testToken, currentChainIds, chainSelectors, chainlinkFee } = fixture;
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const backupRelay = await upgrades.deployProxy(Transalor, [currentChainIds[0], 1], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await backupRelay.deployed();
+    await backupRelay.addChains(currentChainIds, [1, 1]);
+    await backupRelay.setInitializer(src.initializer.address);
+    await src.initializer.manageTrustedRelay(backupRelay.address, 0, 0);
+
+    const TokensDemo = await ethers.getContractFactory("AsterizmTokensDemo");
+    const srcDemo = await TokensDemo.deploy(src.initializer.address);
+    await srcDemo.deployed();
+    await srcDemo.addTrustedAddress(currentChainIds[1], srcDemo.address);
+    await srcDemo.setFeeToken(chainlinkToken.address);
+    await chainlinkToken.transfer(srcDemo.address, chainlinkFee);
+    await src.initializer.setBackupRelays(srcDemo.address, currentChainIds[1], [backupRelay.address]);
+
+    const tokenAmounts = [{token: testToken.address, amount: BigNumber.from(100)}];
+    await testToken.approve(srcDemo.address, 100);
+    const receipt = await (await srcDemo.sendMessageWithTokens(currentChainIds[1], "Message with tokens", tokenAmounts)).wait();
+    const { _txId: txId, _transferHash: transferHash } = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+
+    await router.setChainSupported(chainSelectors[1], false);
+    await expect(srcDemo.initAsterizmTransfer(currentChainIds[1], txId, transferHash))
+        .to.be.revertedWith("AsterizmClient: transfer tokens relay is not used");
+
+    await router.setChainSupported(chainSelectors[1], true);
+    await expect(srcDemo.initAsterizmTransfer(currentChainIds[1], txId, transferHash))
+        .to.emit(src.translator, 'SendMessageEvent')
+        .and.not.to.emit(src.initializer, 'RelayFailoverEvent');
+    expect(await testToken.balanceOf(router.address)).to.equal(100);
+  });
+
+  it("Should remove local chain transfer tokens without sending", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { src, chainlinkToken, testToken, srcClient, currentChainIds, tokenAmounts } = fixture;
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const localClient = await Token.deploy(src.initializer.address, 1000000);
+    await localClient.deployed();
+    await localClient.addTrustedAddress(currentChainIds[0], srcClient.address);
+
+    const transferHash = ethers.utils.formatBytes32String('transfer');
+    await testToken.connect(srcClient).approve(src.translator.address, tokenAmounts[0].amount);
+    await src.translator.connect(srcClient).setTransferTokens(transferHash, tokenAmounts);
+    await expect(src.initializer.connect(srcClient).initTransfer({
+      dstChainId: currentChainIds[0],
+      dstAddress: BigNumber.from(localClient.address),
+      transferHash,
+      txId: 0,
+      relay: ethers.constants.AddressZero,
+      transferResultNotifyFlag: false,
+      feeToken: chainlinkToken.address,
+    }))
+        .to.emit(src.translator, 'SuccessTransferEvent')
+        .and.not.to.emit(src.translator, 'ForwardTokenEvent');
+    expect(await src.translator.getTransferTokens(srcClient.address, transferHash)).to.be.empty;
+    expect(await testToken.balanceOf(srcClient.address)).to.equal(1000);
+  });
+
+  it("Should forward received tokens after attestations threshold in quorum mode", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { dst, testToken, dstClient, tokenAmounts } = fixture;
+    const { transferHash, payload } = await sendTransferWithTokens(fixture);
+    await dst.translator.setAttestationThreshold(1);
+
+    await expect(routeMessage(fixture, payload, tokenAmounts)).not.to.emit(dst.translator, 'ForwardTokenEvent');
+    expect(await testToken.balanceOf(dst.translator.address)).to.equal(100);
+
+    await expect(dst.translator.transferMessage(300000, payload))
+        .to.emit(dst.translator, 'ForwardTokenEvent')
+        .withArgs(transferHash, testToken.address, dstClient.address, 100)
+        .and.to.emit(dstClient, 'PayloadReceivedEvent');
+    expect(await testToken.balanceOf(dstClient.address)).to.equal(100);
+    expect(await testToken.balanceOf(dst.translator.address)).to.equal(0);
+  });
+
+  it("Should forward received tokens by anyone after attestation threshold lowering", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { dst, testToken, dstClient, srcClient, tokenAmounts } = fixture;
+    const { transferHash, payload } = await sendTransferWithTokens(fixture);
+    await dst.translator.setAttestationThreshold(2);
+
+    await routeMessage(fixture, payload, tokenAmounts);
+    await dst.translator.transferMessage(300000, payload);
+    await expect(dst.translator.connect(srcClient).transferAttestedMessage(payload)).to.be.revertedWith("TranslatorChainlink: attestations quorum not reached");
+    await dst.translator.setAttestationThreshold(1);
+    await expect(dst.translator.connect(srcClient).transferAttestedMessage(payload))
+        .to.emit(dst.translator, 'ForwardTokenEvent')
+        .withArgs(transferHash, testToken.address, dstClient.address, 100)
+        .and.to.emit(dstClient, 'PayloadReceivedEvent');
+    expect(await testToken.balanceOf(dstClient.address)).to.equal(100);
+  });
+
+  it("Should refund received tokens of rejected payload by owner", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { dst, chainlinkToken, testToken, owner, srcClient, tokenAmounts } = fixture;
+    const { payload } = await sendTransferWithTokens(fixture);
+    const payloadHash = ethers.utils.keccak256(payload);
+    await dst.translator.setAttestationThreshold(2);
+
+    await routeMessage(fixture, payload, tokenAmounts);
+    await expect(dst.translator.refundCcipTokens(payloadHash, owner.address)).to.be.revertedWith("TranslatorChainlink: payload is not rejected");
+    await dst.translator.rejectAttestation(payloadHash);
+    await expect(dst.translator.connect(srcClient).refundCcipTokens(payloadHash, srcClient.address)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(dst.translator.refundCcipTokens(payloadHash, srcClient.address))
+        .to.emit(dst.translator, 'RefundCcipTokenEvent')
+        .withArgs(payloadHash, testToken.address, srcClient.address, 100)
+        .and.to.emit(dst.translator, 'RefundCcipTokenEvent')
+        .withArgs(payloadHash, chainlinkToken.address, srcClient.address, 50);
+    expect(await testToken.balanceOf(dst.translator.address)).to.equal(0);
+    expect(await testToken.balanceOf(srcClient.address)).to.equal(1000);
+    await expect(dst.translator.connect(srcClient).transferAttestedMessage(payload)).to.be.revertedWith("TranslatorChainlink: attestations quorum not reached");
+  });
+});
@@ -0,0 +1,163 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LocalRelayer } = require("../lib/local_relayer");
+const { ClientServer, ClientTransferStatus, JsonFileStorage } = require("../lib/client_server");
+const { PayloadEncoders } = require("../lib/transfer_hash");
+
+describe("Client server", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Demo = await ethers.getContractFactory("AsterizmDemo");
+    const [owner1, owner2] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator1 = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator1.deployed();
+    await translator1.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const translator2 = await upgrades.deployProxy(Transalor, [currentChainIds[1], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator2.deployed();
+    await translator2.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+    const initializer1 = await upgrades.deployProxy(Initializer, [translator1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer1.deployed();
+    const initializer2 = await upgrades.deployProxy(Initializer, [translator2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer2.deployed();
+    await translator1.setInitializer(initializer1.address);
+    await translator2.setInitializer(initializer2.address);
+
+    const demo1 = await Demo.deploy(initializer1.address);
+    await demo1.deployed();
+    const demo2 = await Demo.deploy(initializer2.address);
+    await demo2.deployed();
+    await demo1.addTrustedAddresses(currentChainIds, [demo1.address, demo2.address]);
+    await demo2.addTrustedAddresses(currentChainIds, [demo1.address, demo2.address]);
+
+    return { translator1, translator2, demo1, demo2, owner1, owner2, currentChainIds };
+  }
+
+  async function createRelayer(translator1, translator2, currentChainIds) {
+    const relayer = new LocalRelayer({notifyResult: false});
+    await relayer.addTranslator(currentChainIds[0], translator1);
+    await relayer.addTranslator(currentChainIds[1], translator2);
+
+    return relayer;
+  }
+
+  async function createClientServer(demo1, demo2, currentChainIds, options = {}) {
+    const server = new ClientServer(options);
+    await server.addClient(currentChainIds[0], demo1);
+    await server.addClient(currentChainIds[1], demo2);
+
+    return server;
+  }
+
+  it("Should initiate and complete transfer automatically", async function () {
+    const { demo1, demo2, translator1, translator2, currentChainIds } = await loadFixture(deployContractsFixture);
+    const relayer = await createRelayer(translator1, translator2, currentChainIds);
+    const feeAmount = 100;
+    const server = await createClientServer(demo1, demo2, currentChainIds, {feeAmount: feeAmount});
+    const newMessage = "New message through client server";
+    await demo1.sendMessage(currentChainIds[1], newMessage);
+
+    let transfers = await server.process();
+    expect(transfers.length).to.equal(1);
+    const transferHash = transfers[0].transferHash;
+    expect(server.getTransfer(transferHash).status).to.equal(ClientTransferStatus.SENT);
+    expect(server.getTransfer(transferHash).feeAmount).to.equal(feeAmount.toString());
+    const sendEvents = await translator1.queryFilter(translator1.filters.SendMessageEvent());
+    expect(sendEvents.length).to.equal(1);
+    expect(sendEvents[0].args._feeValue).to.equal(feeAmount);
+
+    await relayer.relay();
+    transfers = await server.process();
+    expect(transfers.length).to.equal(1);
+    expect(server.getTransfer(transferHash).status).to.equal(ClientTransferStatus.EXECUTED);
+    expect(await demo2.externalChainMessage()).to.equal(newMessage);
+    expect(await server.process()).to.be.empty;
+  });
+
+  it("Should calculate fee amount with resolver", async function () {
+    const { demo1, demo2, translator1, currentChainIds } = await loadFixture(deployContractsFixture);
+    const server = await createClientServer(demo1, demo2, currentChainIds, {
+      feeAmount: async (transfer) => transfer.dstChainId * 10,
+    });
+    await demo1.sendMessage(currentChainIds[1], "New message");
+
+    await server.process();
+    const sendEvents = await translator1.queryFilter(translator1.filters.SendMessageEvent());
+    expect(sendEvents[0].args._feeValue).to.equal(currentChainIds[1] * 10);
+  });
+
+  it("Should resume progress after restart", async function () {
+    const { demo1, demo2, translator1, translator2, currentChainIds } = await loadFixture(deployContractsFixture);
+    const relayer = await createRelayer(translator1, translator2, currentChainIds);
+    const storagePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'asterizm-')), 'client_server.json');
+    const newMessage = "New message after restart";
+    let server = await createClientServer(demo1, demo2, currentChainIds, {storage: new JsonFileStorage(storagePath)});
+    await demo1.sendMessage(currentChainIds[1], newMessage);
+    const [transfer] = await server.process();
+    await relayer.relay();
+
+    server = await createClientServer(demo1, demo2, currentChainIds, {storage: new JsonFileStorage(storagePath)});
+    expect(server.getTransfer(transfer.transferHash).status).to.equal(ClientTransferStatus.SENT);
+    await server.process();
+    expect(server.getTransfer(transfer.transferHash).status).to.equal(ClientTransferStatus.EXECUTED);
+    expect(server.getTransfer(transfer.transferHash).txHashes.length).to.equal(2);
+    expect(await demo2.externalChainMessage()).to.equal(newMessage);
+
+    fs.rmSync(path.dirname(storagePath), {recursive: true});
+  });
+
+  it("Should mark transfer as failed after max attempts", async function () {
+    const { demo1, demo2, owner2, currentChainIds } = await loadFixture(deployContractsFixture);
+    const server = new ClientServer({maxAttempts: 2});
+    await server.addClient(currentChainIds[0], demo1.connect(owner2));
+    await demo1.sendMessage(currentChainIds[1], "New message");
+
+    const [transfer] = await server.process();
+    expect(transfer.status).to.equal(ClientTransferStatus.INITIATED);
+    expect(transfer.error).to.contain("AsterizmSender: only sender");
+    await server.process();
+    expect(transfer.status).to.equal(ClientTransferStatus.FAILED);
+    expect(transfer.attempts).to.equal(2);
+  });
+
+  it("Should validate transfer hash before paying fee", async function () {
+    const { demo1, currentChainIds } = await loadFixture(deployContractsFixture);
+    const server = new ClientServer();
+    await server.addClient(currentChainIds[0], demo1, {packPayload: PayloadEncoders.demo});
+    await demo1.sendMessage(currentChainIds[1], "New message");
+
+    const [transfer] = await server.process();
+    expect(transfer.status).to.equal(ClientTransferStatus.SENT);
+  });
+
+  it("Should not pay fee for transfer with invalid hash", async function () {
+    const { demo1, translator1, currentChainIds } = await loadFixture(deployContractsFixture);
+    const server = new ClientServer();
+    await server.addClient(currentChainIds[0], demo1, {packPayload: PayloadEncoders.checker});
+    await demo1.sendMessage(currentChainIds[1], "New message");
+
+    const [transfer] = await server.process();
+    expect(transfer.status).to.equal(ClientTransferStatus.FAILED);
+    expect(transfer.error).to.equal("Transfer hash is invalid");
+    expect(await translator1.queryFilter(translator1.filters.SendMessageEvent())).to.be.empty;
+  });
+});
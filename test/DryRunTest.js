@@ -0,0 +1,73 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+
+describe("Dry run", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const [owner] = await ethers.getSigners();
+
+    const deployTranslator = async () => {
+      const translator = await upgrades.deployProxy(Transalor, [1, 1], {
+        initialize: 'initialize',
+        kind: 'uups',
+      });
+      await translator.deployed();
+
+      return translator;
+    };
+    const translator = await deployTranslator();
+    const externalRelay = await deployTranslator();
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer.deployed();
+    await translator.setInitializer(initializer.address);
+    await initializer.manageTrustedRelay(externalRelay.address, 0, 0);
+
+    const token = await Token.deploy(initializer.address, 1000000);
+    await token.deployed();
+
+    return { externalRelay, token, owner };
+  }
+
+  /// Run task in separate hardhat process with --dry-run flag on localhost network
+  /// Localhost network is JSON-RPC server of in-process test network (forked by dry run)
+  async function runDryRunTask(taskName, args) {
+    const server = await hre.run(TASK_NODE_CREATE_SERVER, {hostname: '127.0.0.1', port: 0, provider: network.provider});
+    const { port } = await server.listen();
+    const accounts = network.config.accounts;
+    const env = {...process.env, NETWORK_HOST_LOCALHOST: `http://127.0.0.1:${port}`};
+    for (let i = 0; i < 5; i++) {
+      env[`OWNER_${i + 1}_PK_LOCALHOST`] = ethers.Wallet.fromMnemonic(accounts.mnemonic, `${accounts.path}/${i}`).privateKey;
+    }
+
+    try {
+      const { stdout } = await promisify(execFile)('npx', ['hardhat', taskName, ...args, '--dry-run', '--network', 'localhost'], {env});
+      return stdout;
+    } finally {
+      await server.close();
+    }
+  }
+
+  it("Should run task on network fork without sending transactions", async function () {
+    this.timeout(300000);
+    const { externalRelay, token } = await loadFixture(deployContractsFixture);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const output = await runDryRunTask('client:setRelay', [token.address, externalRelay.address, '--network-set', 'testnet']);
+    expect(output).to.contain('[dry run] Running on fork of "localhost" network');
+    expect(output).to.contain(`[dry run] Call #1: AsterizmClient ${token.address.toLowerCase()}.setExternalRelay(_externalRelay: ${externalRelay.address})`);
+    expect(output).to.contain(`[dry run]   Event: SetExternalRelayEvent(_externalRelayAddress: ${externalRelay.address})`);
+    expect(output).to.contain(`[dry run]     getExternalRelay(): ${ethers.constants.AddressZero} -> ${externalRelay.address}`);
+    expect(output).to.contain('[dry run] Transactions: 1');
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await token.getExternalRelay()).to.equal(ethers.constants.AddressZero);
+  });
+});
@@ -0,0 +1,176 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { LocalRelayer } = require("../lib/local_relayer");
+const { ClientServer } = require("../lib/client_server");
+
+describe("Emergency pause", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const [owner, user, guardian] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator1 = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator1.deployed();
+    await translator1.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const translator2 = await upgrades.deployProxy(Transalor, [currentChainIds[1], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator2.deployed();
+    await translator2.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+    const initializer1 = await upgrades.deployProxy(Initializer, [translator1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer1.deployed();
+    const initializer2 = await upgrades.deployProxy(Initializer, [translator2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer2.deployed();
+    await translator1.setInitializer(initializer1.address);
+    await translator2.setInitializer(initializer2.address);
+
+    const token1 = await Token.deploy(initializer1.address, 1000000);
+    await token1.deployed();
+    const token2 = await Token.deploy(initializer2.address, 1000000);
+    await token2.deployed();
+    await token1.addTrustedAddresses(currentChainIds, [token1.address, token2.address]);
+    await token2.addTrustedAddresses(currentChainIds, [token1.address, token2.address]);
+
+    return { translator1, translator2, initializer1, initializer2, token1, token2, owner, user, guardian, currentChainIds };
+  }
+
+  async function loadRelayFixture() {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator1, translator2, token1, currentChainIds } = fixture;
+    const relayer = new LocalRelayer({notifyResult: false});
+    await relayer.addTranslator(currentChainIds[0], translator1);
+    await relayer.addTranslator(currentChainIds[1], translator2);
+    const server = new ClientServer();
+    await server.addClient(currentChainIds[0], token1);
+
+    return {...fixture, relayer, server};
+  }
+
+  async function sendTokens(fixture, amount) {
+    const { token1, owner, user, currentChainIds } = fixture;
+    const receipt = await (await token1.crossChainTransfer(currentChainIds[1], owner.address, user.address, amount)).wait();
+
+    return receipt.events.find(event => event.event == 'InitiateTransferEvent').args._transferHash;
+  }
+
+  it("Should pause by owner or guardian and unpause by owner only", async function () {
+    const { initializer1, translator1, token1, user, guardian, currentChainIds } = await loadFixture(deployContractsFixture);
+    for (const contract of [initializer1, translator1, token1]) {
+      await expect(contract.connect(user).setGuardian(guardian.address)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(contract.setGuardian(guardian.address))
+          .to.emit(contract, 'SetGuardianEvent')
+          .withArgs(guardian.address);
+      expect(await contract.getGuardian()).to.equal(guardian.address);
+
+      await expect(contract.connect(user).pause(currentChainIds[1], true, false)).to.be.revertedWith("AsterizmPausable: only owner or guardian");
+      await expect(contract.connect(guardian).pause(currentChainIds[1], true, false))
+          .to.emit(contract, 'PauseEvent')
+          .withArgs(currentChainIds[1], true, false);
+      let pause = await contract.getPause(currentChainIds[1]);
+      expect(pause.outbound).to.equal(true);
+      expect(pause.inbound).to.equal(false);
+
+      await expect(contract.connect(guardian).unpause(currentChainIds[1], true, true)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(contract.unpause(currentChainIds[1], true, true))
+          .to.emit(contract, 'UnpauseEvent')
+          .withArgs(currentChainIds[1], true, true);
+      pause = await contract.getPause(currentChainIds[1]);
+      expect(pause.outbound).to.equal(false);
+    }
+  });
+
+  it("Should pause client outbound transfers per chain and globally", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { token1, owner, user, currentChainIds } = fixture;
+    await token1.pause(currentChainIds[1], true, false);
+    await expect(sendTokens(fixture, 100)).to.be.revertedWith("AsterizmPausable: outbound transfers are paused");
+    await token1.unpause(currentChainIds[1], true, false);
+    await sendTokens(fixture, 100);
+
+    await token1.pause(0, false, true);
+    expect((await token1.getPause(currentChainIds[1])).inbound).to.equal(true);
+    await sendTokens(fixture, 100);
+    await token1.pause(0, true, false);
+    expect((await token1.getPause(currentChainIds[1])).outbound).to.equal(true);
+    await expect(sendTokens(fixture, 100)).to.be.revertedWith("AsterizmPausable: outbound transfers are paused");
+    expect(await token1.balanceOf(owner.address)).to.equal(1000000 - 200);
+    expect(await token1.balanceOf(user.address)).to.equal(0);
+  });
+
+  it("Should pause initializer and translator outbound transfers", async function () {
+    const fixture = await loadRelayFixture();
+    const { initializer1, translator1, server, relayer, currentChainIds } = fixture;
+    for (const contract of [initializer1, translator1]) {
+      await contract.pause(currentChainIds[1], true, false);
+      await sendTokens(fixture, 100);
+      const [transfer] = await server.process();
+      expect(transfer.status).to.equal('initiated');
+      expect(transfer.error).to.include("AsterizmPausable: outbound transfers are paused");
+      expect(await relayer.relay()).to.be.empty;
+
+      await contract.unpause(currentChainIds[1], true, false);
+      await server.process();
+      expect(transfer.status).to.equal('sent');
+      const [relayed] = await relayer.relay();
+      expect(relayed.status).to.equal('delivered');
+    }
+  });
+
+  it("Should pause initializer and translator inbound transfers", async function () {
+    const fixture = await loadRelayFixture();
+    const { initializer2, translator2, token2, server, relayer, user, currentChainIds } = fixture;
+    for (const contract of [initializer2, translator2]) {
+      await contract.pause(currentChainIds[0], false, true);
+      await sendTokens(fixture, 100);
+      await server.process();
+      const [transfer] = await relayer.relay();
+      expect(transfer.status).to.equal('failed');
+      expect(transfer.error.message).to.include("AsterizmPausable: inbound transfers are paused");
+
+      await contract.unpause(currentChainIds[0], false, true);
+      await relayer.deliver(transfer);
+      expect(transfer.status).to.equal('delivered');
+    }
+    expect(await token2.balanceOf(user.address)).to.equal(0); // Transfers are not executed by destination client server
+  });
+
+  it("Should store payload rejected by paused client and retry it after unpause", async function () {
+    const fixture = await loadRelayFixture();
+    const { initializer2, token1, token2, server, relayer, currentChainIds } = fixture;
+    await token2.pause(currentChainIds[0], false, true);
+    const transferHash = await sendTokens(fixture, 100);
+    await server.process();
+    await relayer.relay();
+
+    const delivery = await initializer2.getPayloadDelivery(transferHash);
+    expect(delivery.status).to.equal(2);
+    await expect(initializer2.retryPayload(transferHash))
+        .to.emit(initializer2, 'RetryPayloadEvent')
+        .withArgs(transferHash, 2, false);
+
+    await initializer2.pause(0, false, true);
+    await expect(initializer2.retryPayload(transferHash)).to.be.revertedWith("AsterizmPausable: inbound transfers are paused");
+    await initializer2.unpause(0, false, true);
+
+    await token2.unpause(currentChainIds[0], false, true);
+    await expect(initializer2.retryPayload(transferHash))
+        .to.emit(token2, 'PayloadReceivedEvent')
+        .and.to.emit(initializer2, 'RetryPayloadEvent')
+        .withArgs(transferHash, 3, true);
+    expect((await token1.getPause(currentChainIds[1])).outbound).to.equal(false);
+  });
+});
@@ -0,0 +1,220 @@
+const { loadFixture, impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ClientServer } = require("../lib/client_server");
+const { getFeeQuote, getClientFeeQuote, quotedFeeAmount } = require("../lib/fee_quote");
+
+describe("Fee quote", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const [owner, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+    const relayFee = 5;
+    const systemFee = 3;
+
+    const translator = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator.deployed();
+    await translator.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const externalTranslator = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await externalTranslator.deployed();
+    await externalTranslator.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer.deployed();
+    await translator.setInitializer(initializer.address);
+    await externalTranslator.setInitializer(initializer.address);
+    await initializer.manageTrustedRelay(externalTranslator.address, relayFee, systemFee);
+
+    const token = await Token.deploy(initializer.address, 1000000);
+    await token.deployed();
+    await token.addTrustedAddresses(currentChainIds, [token.address, token.address]);
+
+    return { initializer, translator, externalTranslator, token, owner, user, currentChainIds, relayFee, systemFee };
+  }
+
+  it("Should quote default translator and external relay fees", async function () {
+    const { initializer, externalTranslator, token, currentChainIds, relayFee, systemFee } = await loadFixture(deployContractsFixture);
+    let quote = await initializer.getFeeQuote(ethers.constants.AddressZero, currentChainIds[1], token.address);
+    expect(quote.nativeFee).to.equal(0);
+    expect(quote.tokenFee).to.equal(0);
+
+    quote = await initializer.getFeeQuote(externalTranslator.address, currentChainIds[1], token.address);
+    expect(quote.nativeFee).to.equal(relayFee + systemFee);
+    expect(quote.tokenFee).to.equal(0);
+
+    quote = await getFeeQuote(ethers.provider, initializer.address, externalTranslator.address, currentChainIds[1], token.address);
+    expect(quote.nativeFee).to.equal(relayFee + systemFee);
+
+    quote = await getClientFeeQuote(ethers.provider, token.address, currentChainIds[1]);
+    expect(quote.initializerAddress).to.equal(initializer.address);
+    expect(quote.relayAddress).to.equal(ethers.constants.AddressZero);
+    expect(quote.nativeFee).to.equal(0);
+
+    await token.setExternalRelay(externalTranslator.address);
+    quote = await getClientFeeQuote(ethers.provider, token.address, currentChainIds[1]);
+    expect(quote.relayAddress).to.equal(externalTranslator.address);
+    expect(quote.nativeFee).to.equal(relayFee + systemFee);
+  });
+
+  it("Should pay quoted fee with client server", async function () {
+    const { externalTranslator, token, owner, user, currentChainIds, relayFee, systemFee } = await loadFixture(deployContractsFixture);
+    await token.setExternalRelay(externalTranslator.address);
+    const receipt = await (await token.crossChainTransfer(currentChainIds[1], owner.address, user.address, 100)).wait();
+    const args = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+
+    await expect(token.initAsterizmTransfer(currentChainIds[1], args._txId, args._transferHash, {value: relayFee + systemFee - 1}))
+        .to.be.revertedWith("AsterizmInitializer: fee not enough");
+
+    const server = new ClientServer({feeAmount: quotedFeeAmount(1)});
+    await server.addClient(currentChainIds[0], token, {fromBlock: receipt.blockNumber});
+    await server.process();
+    const transfer = server.getTransfer(args._transferHash);
+    expect(transfer.feeAmount).to.equal(String(relayFee + systemFee + 1));
+
+    const events = await externalTranslator.queryFilter(externalTranslator.filters.SendMessageEvent());
+    expect(events.length).to.equal(1);
+    expect(events[0].args._feeValue).to.equal(relayFee + 1);
+  });
+
+  it("Should send transfer with relay without fee amount method", async function () {
+    const { initializer, token, owner, user, currentChainIds, relayFee, systemFee } = await loadFixture(deployContractsFixture);
+    const LegacyRelay = await ethers.getContractFactory("AsterizmTestLegacyRelay");
+    const legacyRelay = await LegacyRelay.deploy(currentChainIds[0]);
+    await legacyRelay.deployed();
+    await initializer.manageTrustedRelay(legacyRelay.address, relayFee, systemFee);
+    await token.setExternalRelay(legacyRelay.address);
+    expect((await initializer.getFeeQuote(legacyRelay.address, currentChainIds[1], token.address)).nativeFee).to.equal(relayFee + systemFee);
+
+    const receipt = await (await token.crossChainTransfer(currentChainIds[1], owner.address, user.address, 100)).wait();
+    const args = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+    await expect(token.initAsterizmTransfer(currentChainIds[1], args._txId, args._transferHash, {value: relayFee + systemFee - 1}))
+        .to.be.revertedWith("AsterizmInitializer: fee not enough");
+
+    // Relay fee is not set on chain, all value is sent to relay
+    await expect(token.initAsterizmTransfer(currentChainIds[1], args._txId, args._transferHash, {value: relayFee + systemFee + 1}))
+        .to.emit(legacyRelay, 'SendMessageEvent')
+        .withArgs(args._transferHash, relayFee + 1)
+        .and.not.to.emit(initializer, 'RefundFeeEvent');
+  });
+
+  it("Should reject underpaid transfer and refund overpayment with chain fee schedule", async function () {
+    const { initializer, translator, token, owner, user, currentChainIds } = await loadFixture(deployContractsFixture);
+    const payloadLength = 7 * 32;
+    const feeAmount = 100 + 2 * 50 + payloadLength;
+    await expect(translator.connect(user).setChainFee(currentChainIds[1], 100, 2, 50, 1)).to.be.revertedWith("AsterizmRoles: sender has not role");
+    await expect(translator.setChainFee(3, 100, 2, 50, 1)).to.be.revertedWith("Translator: chain not found");
+    await expect(translator.setChainFee(currentChainIds[1], 100, 2, 50, 1))
+        .to.emit(translator, 'SetChainFeeEvent')
+        .withArgs(currentChainIds[1], 100, 2, 50, 1);
+    expect((await initializer.getFeeQuote(ethers.constants.AddressZero, currentChainIds[1], token.address)).nativeFee).to.equal(feeAmount);
+    expect((await initializer.getFeeQuote(ethers.constants.AddressZero, currentChainIds[0], token.address)).nativeFee).to.equal(0);
+
+    const receipt = await (await token.crossChainTransfer(currentChainIds[1], owner.address, user.address, 100)).wait();
+    const args = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+    await expect(token.initAsterizmTransfer(currentChainIds[1], args._txId, args._transferHash, {value: feeAmount - 1}))
+        .to.be.revertedWith("AsterizmInitializer: fee not enough");
+
+    await expect(token.initAsterizmTransfer(currentChainIds[1], args._txId, args._transferHash, {value: feeAmount + 10}))
+        .to.emit(initializer, 'RefundFeeEvent')
+        .withArgs(args._transferHash, owner.address, 10)
+        .and.to.emit(translator, 'SendMessageEvent')
+        .withArgs(feeAmount, (value) => value.length == 2 + payloadLength * 2);
+    expect(await ethers.provider.getBalance(token.address)).to.equal(0);
+
+    await expect(token.resendAsterizmTransfer(args._transferHash, {value: 5}))
+        .to.emit(translator, 'ResendFailedTransferEvent')
+        .withArgs(args._transferHash, token.address, 5);
+  });
+
+  it("Should charge fee in tokens", async function () {
+    const { initializer, translator, token, owner, user, currentChainIds } = await loadFixture(deployContractsFixture);
+    const FeeToken = await ethers.getContractFactory("AsterizmTestToken");
+    const feeToken = await FeeToken.deploy(1000000, 18);
+    await feeToken.deployed();
+    const tokenFeeAmount = 50;
+    await expect(translator.setTokenFee(feeToken.address, currentChainIds[1], tokenFeeAmount)).to.be.revertedWith("Translator: fee token not found");
+    await expect(translator.addFeeToken(feeToken.address))
+        .to.emit(translator, 'AddFeeTokenEvent')
+        .withArgs(feeToken.address);
+    await expect(translator.setTokenFee(feeToken.address, currentChainIds[1], tokenFeeAmount))
+        .to.emit(translator, 'SetTokenFeeEvent')
+        .withArgs(feeToken.address, currentChainIds[1], tokenFeeAmount);
+    expect((await initializer.getFeeQuote(ethers.constants.AddressZero, currentChainIds[1], token.address)).tokenFee).to.equal(0);
+
+    await token.setFeeToken(feeToken.address);
+    expect((await initializer.getFeeQuote(ethers.constants.AddressZero, currentChainIds[1], token.address)).tokenFee).to.equal(tokenFeeAmount);
+    expect((await getClientFeeQuote(ethers.provider, token.address, currentChainIds[1])).feeTokenAddress).to.equal(feeToken.address);
+
+    let receipt = await (await token.crossChainTransfer(currentChainIds[1], owner.address, user.address, 100)).wait();
+    let args = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+    await expect(token.initAsterizmTransfer(currentChainIds[1], args._txId, args._transferHash))
+        .to.be.revertedWith("AsterizmClient: fee token balance is not enough");
+
+    await feeToken.transfer(token.address, tokenFeeAmount * 2);
+    await expect(token.initAsterizmTransfer(currentChainIds[1], args._txId, args._transferHash))
+        .to.emit(translator, 'ChargeTokenFeeEvent')
+        .withArgs(args._transferHash, feeToken.address, tokenFeeAmount);
+    expect(await feeToken.balanceOf(token.address)).to.equal(tokenFeeAmount);
+    expect(await feeToken.balanceOf(translator.address)).to.equal(tokenFeeAmount);
+
+    await expect(translator.withdrawTokens(feeToken.address, user.address, tokenFeeAmount))
+        .to.emit(translator, 'WithdrawTokensEvent')
+        .withArgs(feeToken.address, user.address, tokenFeeAmount);
+    expect(await feeToken.balanceOf(user.address)).to.equal(tokenFeeAmount);
+
+    await expect(translator.removeFeeToken(feeToken.address))
+        .to.emit(translator, 'RemoveFeeTokenEvent')
+        .withArgs(feeToken.address);
+    expect((await initializer.getFeeQuote(ethers.constants.AddressZero, currentChainIds[1], token.address)).tokenFee).to.equal(0);
+    receipt = await (await token.crossChainTransfer(currentChainIds[1], owner.address, user.address, 100)).wait();
+    args = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+    await expect(token.initAsterizmTransfer(currentChainIds[1], args._txId, args._transferHash))
+        .to.not.emit(translator, 'ChargeTokenFeeEvent');
+    expect(await feeToken.balanceOf(token.address)).to.equal(tokenFeeAmount);
+  });
+
+  it("Should refund fee tokens approval surplus to client", async function () {
+    const { initializer, translator, token, currentChainIds } = await loadFixture(deployContractsFixture);
+    const FeeToken = await ethers.getContractFactory("AsterizmTestToken");
+    const feeToken = await FeeToken.deploy(1000000, 18);
+    await feeToken.deployed();
+    const tokenFeeAmount = 50;
+    await translator.addFeeToken(feeToken.address);
+    await translator.setTokenFee(feeToken.address, currentChainIds[1], tokenFeeAmount);
+    await token.setFeeToken(feeToken.address);
+    await feeToken.transfer(token.address, tokenFeeAmount * 3);
+
+    await impersonateAccount(token.address);
+    await setBalance(token.address, ethers.utils.parseEther("1"));
+    const client = await ethers.getSigner(token.address);
+    await feeToken.connect(client).approve(initializer.address, tokenFeeAmount * 3);
+    const transferHash = ethers.utils.formatBytes32String('transfer');
+    await expect(initializer.connect(client).initTransfer({
+      dstChainId: currentChainIds[1],
+      dstAddress: token.address,
+      transferHash,
+      txId: 0,
+      relay: ethers.constants.AddressZero,
+      transferResultNotifyFlag: false,
+      feeToken: feeToken.address,
+    }))
+        .to.emit(translator, 'ChargeTokenFeeEvent')
+        .withArgs(transferHash, feeToken.address, tokenFeeAmount)
+        .and.to.emit(initializer, 'RefundFeeTokenEvent')
+        .withArgs(transferHash, token.address, feeToken.address, tokenFeeAmount * 2);
+    expect(await feeToken.balanceOf(token.address)).to.equal(tokenFeeAmount * 2);
+    expect(await feeToken.balanceOf(initializer.address)).to.equal(0);
+    expect(await feeToken.allowance(initializer.address, translator.address)).to.equal(0);
+  });
+});
@@ -0,0 +1,168 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { LocalRelayer, TransferStatus, uintToAddress } = require("../lib/local_relayer");
+
+describe("Local relayer simulator", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Demo = await ethers.getContractFactory("AsterizmDemo");
+    const [owner1, owner2] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+    const externalFee = 1;
+    const systemFee = 2;
+
+    const deployTranslator = async (chainId) => {
+      const translator = await upgrades.deployProxy(Transalor, [chainId, chainTypes.EVM], {
+        initialize: 'initialize',
+        kind: 'uups',
+      });
+      await translator.deployed();
+      await translator.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+      await translator.addRelayer(owner1.address);
+
+      return translator;
+    };
+
+    const translator1 = await deployTranslator(currentChainIds[0]);
+    const translator2 = await deployTranslator(currentChainIds[1]);
+    const externalTranslator1 = await deployTranslator(currentChainIds[0]);
+    const externalTranslator2 = await deployTranslator(currentChainIds[1]);
+
+    const initializer1 = await upgrades.deployProxy(Initializer, [translator1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer1.deployed();
+    await initializer1.manageTrustedRelay(externalTranslator1.address, externalFee, systemFee);
+    const initializer2 = await upgrades.deployProxy(Initializer, [translator2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer2.deployed();
+    await initializer2.manageTrustedRelay(externalTranslator2.address, externalFee, systemFee);
+
+    await translator1.setInitializer(initializer1.address);
+    await translator2.setInitializer(initializer2.address);
+    await externalTranslator1.setInitializer(initializer1.address);
+    await externalTranslator2.setInitializer(initializer2.address);
+
+    const demo1 = await Demo.deploy(initializer1.address);
+    await demo1.deployed();
+    const demo2 = await Demo.deploy(initializer2.address);
+    await demo2.deployed();
+    await demo1.addTrustedAddresses(currentChainIds, [demo1.address, demo2.address]);
+    await demo2.addTrustedAddresses(currentChainIds, [demo1.address, demo2.address]);
+
+    return {
+      initializer1, initializer2, translator1, translator2, externalTranslator1, externalTranslator2,
+      demo1, demo2, owner1, owner2, currentChainIds, externalFee, systemFee
+    };
+  }
+
+  async function loadRelayerFixture() {
+    const fixture = await loadFixture(deployContractsFixture);
+    const relayer = new LocalRelayer();
+    await relayer.addTranslator(fixture.currentChainIds[0], fixture.translator1);
+    await relayer.addTranslator(fixture.currentChainIds[1], fixture.translator2);
+    await relayer.addTranslator(fixture.currentChainIds[0], fixture.externalTranslator1, {group: 'external'});
+    await relayer.addTranslator(fixture.currentChainIds[1], fixture.externalTranslator2, {group: 'external'});
+
+    return {...fixture, relayer};
+  }
+
+  async function sendMessage(demo, dstChainId, message, value = 0) {
+    let txId, transferHash, payload;
+    await expect(demo.sendMessage(dstChainId, message))
+        .to.emit(demo, 'InitiateTransferEvent')
+        .withArgs(
+            () => true,
+            () => true,
+            (value) => {txId = value; return true;},
+            (value) => {transferHash = value; return true;},
+            (value) => {payload = value; return true;},
+        );
+    await demo.initAsterizmTransfer(dstChainId, txId, transferHash, {value: value});
+
+    return {txId, transferHash, payload};
+  }
+
+  it("Should deliver transfer to destination translator", async function () {
+    const { demo1, demo2, currentChainIds, relayer } = await loadRelayerFixture();
+    const newMessage = "New message through local relayer";
+    const {txId, transferHash, payload} = await sendMessage(demo1, currentChainIds[1], newMessage);
+
+    const transfers = await relayer.relay();
+    expect(transfers.length).to.equal(1);
+    expect(transfers[0].status).to.equal(TransferStatus.DELIVERED);
+    expect(transfers[0].transferHash).to.equal(transferHash);
+    expect(transfers[0].srcChainId).to.equal(currentChainIds[0]);
+    expect(transfers[0].dstChainId).to.equal(currentChainIds[1]);
+    expect(uintToAddress(transfers[0].dstAddress)).to.equal(demo2.address);
+
+    await expect(demo2.asterizmClReceive(currentChainIds[0], demo1.address, txId, transferHash, payload)).to.not.reverted;
+    expect(await demo2.externalChainMessage()).to.equal(newMessage);
+    expect(await relayer.relay()).to.be.empty;
+  });
+
+  it("Should notify source client about transfer sending result", async function () {
+    const { demo1, currentChainIds, relayer } = await loadRelayerFixture();
+    const {transferHash} = await sendMessage(demo1, currentChainIds[1], "New message");
+
+    await relayer.relay();
+    const notifications = await demo1.queryFilter(demo1.filters.TransferSendingResultNotification(transferHash));
+    expect(notifications.length).to.equal(1);
+    expect(notifications[0].args._statusCode).to.equal(0);
+  });
+
+  it("Should deliver transfer through external relays group only once", async function () {
+    const { demo1, demo2, externalTranslator1, currentChainIds, relayer } = await loadRelayerFixture();
+    await demo1.setExternalRelay(externalTranslator1.address);
+    const feeAmount = ethers.utils.parseEther("1");
+    const {transferHash} = await sendMessage(demo1, currentChainIds[1], "New external message", feeAmount);
+
+    const transfers = await relayer.relay();
+    expect(transfers.length).to.equal(1);
+    const transfer = relayer.getTransfer(transferHash);
+    expect(transfer.status).to.equal(TransferStatus.DELIVERED);
+    expect(transfer.group).to.equal('external');
+    expect(transfer.attempts).to.equal(1);
+    expect(transfer.srcTranslator.address).to.equal(externalTranslator1.address);
+    expect((await demo2.queryFilter(demo2.filters.PayloadReceivedEvent())).length).to.equal(1);
+  });
+
+  it("Should retry failed delivery after resend event", async function () {
+    const { demo1, demo2, translator2, owner1, currentChainIds, relayer } = await loadRelayerFixture();
+    await translator2.removeRelayer(owner1.address);
+    const {transferHash} = await sendMessage(demo1, currentChainIds[1], "New message");
+
+    const transfers = await relayer.relay();
+    expect(transfers[0].status).to.equal(TransferStatus.FAILED);
+    expect(transfers[0].error.message).to.contain("Translator: only relayer");
+
+    await translator2.addRelayer(owner1.address);
+    const resendFeeAmount = 10;
+    await demo1.resendAsterizmTransfer(transferHash, {value: resendFeeAmount});
+    await relayer.relay();
+    const transfer = relayer.getTransfer(transferHash);
+    expect(transfer.status).to.equal(TransferStatus.DELIVERED);
+    expect(transfer.attempts).to.equal(2);
+    expect(transfer.feeValue).to.equal(resendFeeAmount);
+    expect((await demo2.queryFilter(demo2.filters.PayloadReceivedEvent())).length).to.equal(1);
+  });
+
+  it("Should fail transfer to chain without registered translator", async function () {
+    const { demo1, currentChainIds, translator1 } = await loadFixture(deployContractsFixture);
+    const relayer = new LocalRelayer();
+    await relayer.addTranslator(currentChainIds[0], translator1);
+    const {transferHash} = await sendMessage(demo1, currentChainIds[1], "New message");
+
+    await relayer.relay();
+    const transfer = relayer.getTransfer(transferHash);
+    expect(transfer.status).to.equal(TransferStatus.FAILED);
+    expect(transfer.attempts).to.equal(0);
+    await expect(relayer.addTranslator(currentChainIds[0], translator1))
+        .to.be.rejectedWith("is registered in group");
+  });
+});
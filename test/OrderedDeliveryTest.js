@@ -0,0 +1,160 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { LocalRelayer } = require("../lib/local_relayer");
+const { ClientServer } = require("../lib/client_server");
+
+describe("Ordered delivery", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Demo = await ethers.getContractFactory("AsterizmOrderedDemo");
+    const DemoUpgrade = await ethers.getContractFactory("AsterizmOrderedDemoUpgradeableV1");
+    const Nonce = await ethers.getContractFactory("AsterizmNonce");
+    const [owner, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator1 = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator1.deployed();
+    await translator1.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const translator2 = await upgrades.deployProxy(Transalor, [currentChainIds[1], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator2.deployed();
+    await translator2.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+    const initializer1 = await upgrades.deployProxy(Initializer, [translator1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer1.deployed();
+    const initializer2 = await upgrades.deployProxy(Initializer, [translator2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer2.deployed();
+    await translator1.setInitializer(initializer1.address);
+    await translator2.setInitializer(initializer2.address);
+
+    const demo1 = await Demo.deploy(initializer1.address);
+    await demo1.deployed();
+    const demo2 = await Demo.deploy(initializer2.address);
+    await demo2.deployed();
+    await demo1.addTrustedAddresses(currentChainIds, [demo1.address, demo2.address]);
+    await demo2.addTrustedAddresses(currentChainIds, [demo1.address, demo2.address]);
+    const nonce2 = await Nonce.deploy(demo2.address);
+    await nonce2.deployed();
+    await demo2.setOrderedDelivery(nonce2.address);
+
+    const demoUpgrade1 = await upgrades.deployProxy(DemoUpgrade, [initializer1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await demoUpgrade1.deployed();
+    const demoUpgrade2 = await upgrades.deployProxy(DemoUpgrade, [initializer2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await demoUpgrade2.deployed();
+    await demoUpgrade1.addTrustedAddresses(currentChainIds, [demoUpgrade1.address, demoUpgrade2.address]);
+    await demoUpgrade2.addTrustedAddresses(currentChainIds, [demoUpgrade1.address, demoUpgrade2.address]);
+    const nonceUpgrade2 = await Nonce.deploy(demoUpgrade2.address);
+    await nonceUpgrade2.deployed();
+    await demoUpgrade2.setOrderedDelivery(nonceUpgrade2.address);
+
+    return { translator1, translator2, demo1, demo2, demoUpgrade1, demoUpgrade2, owner, user, currentChainIds };
+  }
+
+  /// Send transfers and deliver them to destination client without execution
+  async function sendTransfers(fixture, srcDemo, messages) {
+    const { translator1, translator2, currentChainIds } = fixture;
+    const relayer = new LocalRelayer({notifyResult: false});
+    await relayer.addTranslator(currentChainIds[0], translator1);
+    await relayer.addTranslator(currentChainIds[1], translator2);
+    const server = new ClientServer();
+    await server.addClient(currentChainIds[0], srcDemo);
+
+    const transfers = [];
+    for (const message of messages) {
+      const receipt = await (await srcDemo.sendMessage(currentChainIds[1], message)).wait();
+      const args = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+      transfers.push({txId: args._txId, transferHash: args._transferHash, payload: args._payload});
+    }
+    await server.process();
+    await relayer.relay();
+
+    return transfers;
+  }
+
+  function receive(fixture, srcDemo, dstDemo, transfer) {
+    return dstDemo.asterizmClReceive(fixture.currentChainIds[0], BigNumber.from(srcDemo.address), transfer.txId, transfer.transferHash, transfer.payload);
+  }
+
+  it("Should queue out-of-order transfers and execute them by txId", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { demo1, demo2, demoUpgrade1, demoUpgrade2, currentChainIds } = fixture;
+    for (const [srcDemo, dstDemo] of [[demo1, demo2], [demoUpgrade1, demoUpgrade2]]) {
+      const srcAddress = BigNumber.from(srcDemo.address);
+      const transfers = await sendTransfers(fixture, srcDemo, ["First", "Second", "Third"]);
+      expect(await dstDemo.getNextOrderedTxId(currentChainIds[0], srcAddress)).to.equal(0);
+
+      await expect(receive(fixture, srcDemo, dstDemo, transfers[2]))
+          .to.emit(dstDemo, 'QueueOrderedTransferEvent')
+          .withArgs(currentChainIds[0], srcAddress, 2, transfers[2].transferHash);
+      await receive(fixture, srcDemo, dstDemo, transfers[1]);
+      await expect(receive(fixture, srcDemo, dstDemo, transfers[1])).to.be.revertedWith("AsterizmOrderedClient: transfer queued already");
+      expect(await dstDemo.getExternalChainMessages()).to.be.empty;
+      expect(await dstDemo.getQueuedTransferHash(currentChainIds[0], srcAddress, 1)).to.equal(transfers[1].transferHash);
+
+      await receive(fixture, srcDemo, dstDemo, transfers[0]);
+      expect(await dstDemo.getExternalChainMessages()).to.deep.equal(["First", "Second", "Third"]);
+      expect(await dstDemo.getNextOrderedTxId(currentChainIds[0], srcAddress)).to.equal(3);
+      expect(await dstDemo.getQueuedTransferHash(currentChainIds[0], srcAddress, 1)).to.equal(ethers.constants.HashZero);
+      await expect(receive(fixture, srcDemo, dstDemo, transfers[2])).to.be.revertedWith("AsterizmClient: transfer executed already");
+    }
+  });
+
+  it("Should skip failed transfer and process queue", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { demo1, demo2, user, currentChainIds } = fixture;
+    const srcAddress = BigNumber.from(demo1.address);
+    const transfers = await sendTransfers(fixture, demo1, ["First", "Second", "Third"]);
+    await receive(fixture, demo1, demo2, transfers[2]);
+
+    await expect(demo2.connect(user).skipOrderedTransfer(currentChainIds[0], srcAddress, 0)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(demo2.skipOrderedTransfer(currentChainIds[0], srcAddress, 1))
+        .to.emit(demo2, 'SkipOrderedTransferEvent')
+        .withArgs(currentChainIds[0], srcAddress, 1);
+    await expect(demo2.skipOrderedTransfer(currentChainIds[0], srcAddress, 1)).to.be.revertedWith("AsterizmOrderedClient: transfer skipped already");
+    await expect(receive(fixture, demo1, demo2, transfers[1])).to.be.revertedWith("AsterizmOrderedClient: transfer skipped");
+
+    await demo2.skipOrderedTransfer(currentChainIds[0], srcAddress, 0);
+    expect(await demo2.getNextOrderedTxId(currentChainIds[0], srcAddress)).to.equal(2);
+    expect(await demo2.isSkippedTransfer(currentChainIds[0], srcAddress, 0)).to.equal(true);
+    await expect(receive(fixture, demo1, demo2, transfers[0])).to.be.revertedWith("AsterizmOrderedClient: transfer skipped");
+    await expect(demo2.skipOrderedTransfer(currentChainIds[0], srcAddress, 1)).to.be.revertedWith("AsterizmOrderedClient: transfer processed already");
+
+    await demo2.processOrderedQueue(currentChainIds[0], srcAddress);
+    expect(await demo2.getExternalChainMessages()).to.deep.equal(["Third"]);
+    expect(await demo2.getNextOrderedTxId(currentChainIds[0], srcAddress)).to.equal(3);
+  });
+
+  it("Should execute transfers in any order without ordered delivery", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { demo1, demo2, currentChainIds } = fixture;
+    await expect(demo2.setOrderedDelivery(ethers.constants.AddressZero))
+        .to.emit(demo2, 'SetOrderedDeliveryEvent')
+        .withArgs(ethers.constants.AddressZero);
+    const transfers = await sendTransfers(fixture, demo1, ["First", "Second"]);
+
+    await receive(fixture, demo1, demo2, transfers[1]);
+    await receive(fixture, demo1, demo2, transfers[0]);
+    expect(await demo2.getExternalChainMessages()).to.deep.equal(["Second", "First"]);
+    await expect(demo2.getNextOrderedTxId(currentChainIds[0], BigNumber.from(demo1.address))).to.be.revertedWith("AsterizmOrderedClient: ordered delivery is disabled");
+  });
+});
@@ -0,0 +1,198 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { LocalRelayer } = require("../lib/local_relayer");
+const { ClientServer } = require("../lib/client_server");
+
+describe("Token rate limits", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const TokenUpgrade = await ethers.getContractFactory("MultiChainTokenUpgradeableV1");
+    const [owner, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator1 = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator1.deployed();
+    await translator1.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const translator2 = await upgrades.deployProxy(Transalor, [currentChainIds[1], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator2.deployed();
+    await translator2.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+    const initializer1 = await upgrades.deployProxy(Initializer, [translator1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer1.deployed();
+    const initializer2 = await upgrades.deployProxy(Initializer, [translator2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer2.deployed();
+    await translator1.setInitializer(initializer1.address);
+    await translator2.setInitializer(initializer2.address);
+
+    const token1 = await Token.deploy(initializer1.address, 1000000);
+    await token1.deployed();
+    const token2 = await Token.deploy(initializer2.address, 1000000);
+    await token2.deployed();
+    await token1.addTrustedAddresses(currentChainIds, [token1.address, token2.address]);
+    await token2.addTrustedAddresses(currentChainIds, [token1.address, token2.address]);
+
+    const tokenUpgrade1 = await upgrades.deployProxy(TokenUpgrade, [initializer1.address, 1000000], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await tokenUpgrade1.deployed();
+    const tokenUpgrade2 = await upgrades.deployProxy(TokenUpgrade, [initializer2.address, 1000000], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await tokenUpgrade2.deployed();
+    await tokenUpgrade1.addTrustedAddresses(currentChainIds, [tokenUpgrade1.address, tokenUpgrade2.address]);
+    await tokenUpgrade2.addTrustedAddresses(currentChainIds, [tokenUpgrade1.address, tokenUpgrade2.address]);
+
+    return { translator1, translator2, token1, token2, tokenUpgrade1, tokenUpgrade2, owner, user, currentChainIds };
+  }
+
+  async function loadTokensFixture() {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { token1, token2, tokenUpgrade1, tokenUpgrade2 } = fixture;
+
+    return {...fixture, pairs: [[token1, token2], [tokenUpgrade1, tokenUpgrade2]]};
+  }
+
+  function sendTokens(fixture, token, amount) {
+    const { owner, user, currentChainIds } = fixture;
+    return token.crossChainTransfer(currentChainIds[1], owner.address, user.address, amount);
+  }
+
+  it("Should queue outbound transfers over the limit and release them by owner", async function () {
+    const fixture = await loadTokensFixture();
+    const { owner, user, currentChainIds } = fixture;
+    for (const [srcToken] of fixture.pairs) {
+      await expect(srcToken.connect(user).setRateLimit(currentChainIds[1], true, 100, 0)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(srcToken.setRateLimit(currentChainIds[1], true, 100, 0))
+          .to.emit(srcToken, 'SetRateLimitEvent')
+          .withArgs(currentChainIds[1], true, 100, 0);
+
+      await expect(sendTokens(fixture, srcToken, 60)).to.emit(srcToken, 'InitiateTransferEvent');
+      await expect(sendTokens(fixture, srcToken, 60))
+          .to.emit(srcToken, 'QueueTransferEvent')
+          .withArgs(0, currentChainIds[1], true, owner.address, BigNumber.from(user.address), 60)
+          .and.not.to.emit(srcToken, 'InitiateTransferEvent');
+      expect(await srcToken.balanceOf(owner.address)).to.equal(1000000 - 120);
+      const rateLimit = await srcToken.getRateLimit(currentChainIds[1], true);
+      expect(rateLimit.capacity).to.equal(100);
+      expect(rateLimit.available).to.equal(40);
+      expect((await srcToken.getRateLimit(currentChainIds[0], true)).capacity).to.equal(0);
+      expect((await srcToken.getRateLimit(currentChainIds[1], false)).capacity).to.equal(0);
+
+      await expect(srcToken.connect(user).processQueuedTransfer(0, true)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(srcToken.processQueuedTransfer(0, true))
+          .to.emit(srcToken, 'InitiateTransferEvent')
+          .and.to.emit(srcToken, 'ProcessQueuedTransferEvent')
+          .withArgs(0, true);
+      await expect(srcToken.processQueuedTransfer(0, true)).to.be.revertedWith("AsterizmRateLimit: not queued");
+      expect((await srcToken.getRateLimit(currentChainIds[1], true)).available).to.equal(40);
+    }
+  });
+
+  it("Should refill rate limit with time", async function () {
+    const fixture = await loadTokensFixture();
+    const { currentChainIds } = fixture;
+    for (const [srcToken] of fixture.pairs) {
+      await srcToken.setRateLimit(currentChainIds[1], true, 100, 10);
+      await sendTokens(fixture, srcToken, 100);
+      await expect(sendTokens(fixture, srcToken, 50)).to.emit(srcToken, 'QueueTransferEvent');
+
+      await time.increase(4); // Queued transfer block + 4 seconds after consumption
+      expect((await srcToken.getRateLimit(currentChainIds[1], true)).available).to.equal(50);
+      await expect(sendTokens(fixture, srcToken, 50)).to.emit(srcToken, 'InitiateTransferEvent');
+
+      await time.increase(1000);
+      expect((await srcToken.getRateLimit(currentChainIds[1], true)).available).to.equal(100);
+    }
+  });
+
+  it("Should cancel queued outbound transfer and return tokens to sender", async function () {
+    const fixture = await loadTokensFixture();
+    const { owner, currentChainIds } = fixture;
+    for (const [srcToken] of fixture.pairs) {
+      await srcToken.setRateLimit(currentChainIds[1], true, 10, 0);
+      await sendTokens(fixture, srcToken, 50);
+      expect(await srcToken.balanceOf(owner.address)).to.equal(1000000 - 50);
+
+      await expect(srcToken.processQueuedTransfer(0, false))
+          .to.emit(srcToken, 'ProcessQueuedTransferEvent')
+          .withArgs(0, false)
+          .and.not.to.emit(srcToken, 'InitiateTransferEvent');
+      expect(await srcToken.balanceOf(owner.address)).to.equal(1000000);
+    }
+  });
+
+  it("Should queue inbound transfers over the limit and mint them after release", async function () {
+    const fixture = await loadTokensFixture();
+    const { translator1, translator2, user, currentChainIds } = fixture;
+    for (const [srcToken, dstToken] of fixture.pairs) {
+      const relayer = new LocalRelayer({notifyResult: false});
+      await relayer.addTranslator(currentChainIds[0], translator1);
+      await relayer.addTranslator(currentChainIds[1], translator2);
+      const server = new ClientServer();
+      await server.addClient(currentChainIds[0], srcToken);
+      await server.addClient(currentChainIds[1], dstToken);
+      await dstToken.setRateLimit(currentChainIds[0], false, 150, 0);
+
+      for (const amount of [100, 100, 30]) {
+        await sendTokens(fixture, srcToken, amount);
+        await server.process();
+        await relayer.relay();
+        await server.process();
+      }
+      expect(await dstToken.balanceOf(user.address)).to.equal(130);
+      const queued = await dstToken.queryFilter(dstToken.filters.QueueTransferEvent());
+      expect(queued.length).to.equal(1);
+      expect(queued[0].args._chainId).to.equal(currentChainIds[0]);
+      expect(queued[0].args._outbound).to.equal(false);
+      expect(queued[0].args._account).to.equal(user.address);
+      expect(queued[0].args._remoteAddress).to.equal(BigNumber.from(srcToken.address));
+      expect(queued[0].args._amount).to.equal(100);
+
+      await dstToken.processQueuedTransfer(queued[0].args._id, true);
+      expect(await dstToken.balanceOf(user.address)).to.equal(230);
+    }
+  });
+
+  it("Should keep inbound transfer queued until release", async function () {
+    const fixture = await loadTokensFixture();
+    const { translator1, translator2, user, currentChainIds } = fixture;
+    const [srcToken, dstToken] = fixture.pairs[0];
+    const relayer = new LocalRelayer({notifyResult: false});
+    await relayer.addTranslator(currentChainIds[0], translator1);
+    await relayer.addTranslator(currentChainIds[1], translator2);
+    const server = new ClientServer();
+    await server.addClient(currentChainIds[0], srcToken);
+    await server.addClient(currentChainIds[1], dstToken);
+    await dstToken.setRateLimit(currentChainIds[0], false, 1, 0);
+
+    await sendTokens(fixture, srcToken, 100);
+    await server.process();
+    await relayer.relay();
+    await server.process();
+    await expect(dstToken.processQueuedTransfer(0, false)).to.be.revertedWith("AsterizmRateLimit: inbound transfer can't be canceled");
+    expect(await dstToken.balanceOf(user.address)).to.equal(0);
+
+    await expect(dstToken.processQueuedTransfer(0, true))
+        .to.emit(dstToken, 'ProcessQueuedTransferEvent')
+        .withArgs(0, true);
+    expect(await dstToken.balanceOf(user.address)).to.equal(100);
+  });
+});
@@ -0,0 +1,139 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { LocalRelayer } = require("../lib/local_relayer");
+const { ClientServer } = require("../lib/client_server");
+const { TransferTracer } = require("../lib/transfer_tracer");
+const { RefundOperator, RefundDecision } = require("../lib/refund_operator");
+
+describe("Refund operator", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const [owner, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator1 = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator1.deployed();
+    await translator1.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const translator2 = await upgrades.deployProxy(Transalor, [currentChainIds[1], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator2.deployed();
+    await translator2.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+    const initializer1 = await upgrades.deployProxy(Initializer, [translator1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer1.deployed();
+    const initializer2 = await upgrades.deployProxy(Initializer, [translator2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer2.deployed();
+    await translator1.setInitializer(initializer1.address);
+    await translator2.setInitializer(initializer2.address);
+
+    const token1 = await Token.deploy(initializer1.address, 1000000);
+    await token1.deployed();
+    const token2 = await Token.deploy(initializer2.address, 1000000);
+    await token2.deployed();
+    await token1.addTrustedAddresses(currentChainIds, [token1.address, token2.address]);
+    await token2.addTrustedAddresses(currentChainIds, [token1.address, token2.address]);
+
+    return { translator1, translator2, initializer1, initializer2, token1, token2, owner, user, currentChainIds };
+  }
+
+  async function loadOperatorFixture() {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator1, translator2, initializer1, initializer2, token1, token2, currentChainIds } = fixture;
+    const relayer = new LocalRelayer({notifyResult: false});
+    await relayer.addTranslator(currentChainIds[0], translator1);
+    await relayer.addTranslator(currentChainIds[1], translator2);
+    const server = new ClientServer();
+    await server.addClient(currentChainIds[0], token1);
+    await server.addClient(currentChainIds[1], token2);
+    const tracer = new TransferTracer();
+    tracer.addNetwork(currentChainIds[0], ethers.provider, {addresses: [translator1.address, initializer1.address, token1.address]});
+    tracer.addNetwork(currentChainIds[1], ethers.provider, {addresses: [translator2.address, initializer2.address]});
+    const operator = new RefundOperator(tracer, currentChainIds[0], token1.address);
+
+    return {...fixture, relayer, server, tracer, operator};
+  }
+
+  async function sendTokens(token, dstChainId, from, to, amount) {
+    const receipt = await (await token.crossChainTransfer(dstChainId, from.address, to.address, amount)).wait();
+
+    return receipt.events.find(event => event.event == 'InitiateTransferEvent').args._transferHash;
+  }
+
+  it("Should approve refund after confirmation on destination chain", async function () {
+    const { token1, token2, owner, user, operator, currentChainIds } = await loadOperatorFixture();
+    const transferHash = await sendTokens(token1, currentChainIds[1], owner, user, 100);
+    await token1.addRefundRequest(transferHash);
+
+    const requests = await operator.listOpenRequests();
+    expect(requests.length).to.equal(1);
+    expect(requests[0].transferHash).to.equal(transferHash);
+    expect(requests[0].userAddress).to.equal(owner.address);
+    expect(requests[0].amount).to.equal('100');
+    expect(requests[0].tokenAddress).to.equal(token1.address);
+
+    let review = await operator.review(transferHash);
+    expect(review.decision).to.equal(RefundDecision.CONFIRM_REQUIRED);
+    expect(review.executed).to.equal(false);
+    expect(review.confirmed).to.equal(false);
+
+    await token2.confirmRefund(transferHash);
+    review = await operator.review(transferHash);
+    expect(review.decision).to.equal(RefundDecision.APPROVE);
+    expect(review.confirmed).to.equal(true);
+    expect(review.evidence.map(item => item.chainId)).to.include.members(currentChainIds);
+    expect(review.evidence.map(item => item.description)).to.include.members(['InitiateTransferEvent', 'AddRefundRequestEvent', 'ConfirmRefundEvent']);
+
+    await token1.processRefundRequest(transferHash, true);
+    expect(await operator.listOpenRequests()).to.be.empty;
+    review = await operator.review(transferHash);
+    expect(review.decision).to.equal(RefundDecision.MANUAL_REVIEW);
+    expect(review.reason).to.equal('refund request is processed already');
+  });
+
+  it("Should reject refund of executed transfer", async function () {
+    const { token1, owner, user, relayer, server, operator, currentChainIds } = await loadOperatorFixture();
+    const transferHash = await sendTokens(token1, currentChainIds[1], owner, user, 100);
+    await server.process();
+    await relayer.relay();
+    await server.process();
+    await token1.addRefundRequest(transferHash);
+
+    const review = await operator.review(transferHash);
+    expect(review.decision).to.equal(RefundDecision.REJECT);
+    expect(review.executed).to.equal(true);
+    expect(review.evidence.map(item => item.description)).to.include('TransferSendEvent');
+  });
+
+  it("Should require manual review without refund request or destination network", async function () {
+    const { token1, owner, user, tracer, currentChainIds } = await loadOperatorFixture();
+    const transferHash = await sendTokens(token1, currentChainIds[1], owner, user, 100);
+    const operator = new RefundOperator(tracer, currentChainIds[0], token1.address);
+
+    let review = await operator.review(transferHash);
+    expect(review.decision).to.equal(RefundDecision.MANUAL_REVIEW);
+    expect(review.reason).to.equal('refund request not found on source chain');
+
+    await token1.addRefundRequest(transferHash);
+    const srcTracer = new TransferTracer();
+    srcTracer.addNetwork(currentChainIds[0], ethers.provider, {addresses: [token1.address]});
+    review = await new RefundOperator(srcTracer, currentChainIds[0], token1.address).review(transferHash);
+    expect(review.decision).to.equal(RefundDecision.MANUAL_REVIEW);
+    expect(review.reason).to.equal(`destination network (chain ID ${currentChainIds[1]}) is not configured`);
+
+    expect(() => new RefundOperator(srcTracer, currentChainIds[1], token1.address)).to.throw('not registered in tracer');
+  });
+});
@@ -0,0 +1,196 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+
+describe("Relay failover", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const TransalorChainlink = await ethers.getContractFactory("AsterizmTranslatorChainlink");
+    const ChainlinkRouter = await ethers.getContractFactory("ChainlinkTestRouter");
+    const ChainlinkToken = await ethers.getContractFactory("ChainlinkTestToken");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const TokenUpgradeable = await ethers.getContractFactory("MultiChainTokenUpgradeableV1");
+    const [owner, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainSelectors = [11, 12];
+    const chainTypes = {EVM: 1, TVM: 2};
+    const backupRelayFee = 5;
+
+    const deployTranslator = async () => {
+      const translator = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+        initialize: 'initialize',
+        kind: 'uups',
+      });
+      await translator.deployed();
+      await translator.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+      return translator;
+    };
+    const translator = await deployTranslator();
+    const backupRelay = await deployTranslator();
+
+    const chainlinkToken = await ChainlinkToken.deploy(1000000000, 18);
+    await chainlinkToken.deployed();
+    const router = await ChainlinkRouter.deploy(chainlinkToken.address, 0);
+    await router.deployed();
+    const chainlinkTranslator = await TransalorChainlink.deploy(currentChainIds[0], chainTypes.EVM, chainSelectors[0], router.address, chainlinkToken.address);
+    await chainlinkTranslator.deployed();
+    await chainlinkTranslator.addChain(currentChainIds[1], chainTypes.EVM, chainSelectors[1]);
+    await chainlinkTranslator.addChainRelay(currentChainIds[1], chainlinkTranslator.address);
+
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer.deployed();
+    for (const relay of [translator, backupRelay, chainlinkTranslator]) {
+      await relay.setInitializer(initializer.address);
+    }
+    await initializer.manageTrustedRelay(chainlinkTranslator.address, 0, 0);
+    await initializer.manageTrustedRelay(backupRelay.address, backupRelayFee, 0);
+
+    const token = await Token.deploy(initializer.address, 1000000);
+    await token.deployed();
+    await token.addTrustedAddresses(currentChainIds, [token.address, token.address]);
+    await token.setRelayRoute(currentChainIds[1], chainlinkTranslator.address);
+
+    const tokenUpgradeable = await upgrades.deployProxy(TokenUpgradeable, [initializer.address, 1000000], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await tokenUpgradeable.deployed();
+    await tokenUpgradeable.addTrustedAddresses(currentChainIds, [tokenUpgradeable.address, tokenUpgradeable.address]);
+    await tokenUpgradeable.setRelayRoute(currentChainIds[1], chainlinkTranslator.address);
+
+    return { translator, backupRelay, chainlinkTranslator, router, initializer, token, tokenUpgradeable, owner, user, currentChainIds, chainSelectors, backupRelayFee };
+  }
+
+  async function initTransfer(token, owner, user, dstChainId, feeAmount = 0) {
+    const receipt = await (await token.crossChainTransfer(dstChainId, owner.address, user.address, 100)).wait();
+    const args = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+
+    return {
+      transferHash: args._transferHash,
+      send: () => token.initAsterizmTransfer(dstChainId, args._txId, args._transferHash, {value: feeAmount}),
+    };
+  }
+
+  it("Should set client backup relays by client owner only", async function () {
+    const { backupRelay, initializer, token, user, currentChainIds } = await loadFixture(deployContractsFixture);
+    const backupRelays = [backupRelay.address, ethers.constants.AddressZero];
+    await expect(initializer.connect(user).setBackupRelays(token.address, currentChainIds[1], backupRelays))
+        .to.be.revertedWith("AsterizmInitializer: only client or client admin");
+    await expect(initializer.setBackupRelays(user.address, currentChainIds[1], backupRelays)).to.be.reverted;
+    await expect(initializer.setBackupRelays(token.address, currentChainIds[1], [user.address]))
+        .to.be.revertedWith("AsterizmInitializer: backup relay is not trusted");
+    await expect(initializer.setBackupRelays(token.address, currentChainIds[1], [backupRelay.address, backupRelay.address]))
+        .to.be.revertedWith("AsterizmInitializer: backup relay duplicate");
+
+    await expect(initializer.setBackupRelays(token.address, currentChainIds[1], backupRelays))
+        .to.emit(initializer, 'SetBackupRelaysEvent')
+        .withArgs(token.address, currentChainIds[1], backupRelays);
+    expect(await initializer.getBackupRelays(token.address, currentChainIds[1])).to.deep.equal(backupRelays);
+    expect(await initializer.getBackupRelays(token.address, currentChainIds[0])).to.be.empty;
+
+    const dto = {srcAddress: token.address, dstChainId: currentChainIds[1], dstAddress: token.address, txId: 0, transferHash: ethers.constants.HashZero, transferResultNotifyFlag: false};
+    await expect(initializer.sendRelayMessage(backupRelay.address, dto, ethers.constants.AddressZero, 0))
+        .to.be.revertedWith("AsterizmInitializer: only initializer");
+  });
+
+  for (const tokenName of ['token', 'tokenUpgradeable']) {
+    it(`Should send transfer with backup relay when lane is not supported and resend it with used relay (${tokenName})`, async function () {
+      const fixture = await loadFixture(deployContractsFixture);
+      const { backupRelay, chainlinkTranslator, router, initializer, owner, user, currentChainIds, chainSelectors, backupRelayFee } = fixture;
+      const token = fixture[tokenName];
+      await initializer.setBackupRelays(token.address, currentChainIds[1], [backupRelay.address]);
+
+      let transfer = await initTransfer(token, owner, user, currentChainIds[1]);
+      await expect(transfer.send())
+          .to.emit(chainlinkTranslator, 'SendMessageEvent')
+          .and.not.to.emit(initializer, 'RelayFailoverEvent');
+
+      await router.setChainSupported(chainSelectors[1], false);
+      transfer = await initTransfer(token, owner, user, currentChainIds[1], backupRelayFee);
+      const reason = ethers.utils.id('Error(string)').slice(0, 10) + ethers.utils.defaultAbiCoder.encode(['string'], ['TranslatorChainlink: chain is not supported']).slice(2);
+      await expect(transfer.send())
+          .to.emit(initializer, 'RelayFailoverEvent')
+          .withArgs(transfer.transferHash, chainlinkTranslator.address, reason)
+          .and.to.emit(backupRelay, 'SendMessageEvent');
+
+      await expect(token.resendAsterizmTransfer(transfer.transferHash, {value: 1}))
+          .to.emit(backupRelay, 'ResendFailedTransferEvent')
+          .withArgs(transfer.transferHash, token.address, 1);
+    });
+  }
+
+  it("Should resend transfer sent with default translator backup relay by default translator", async function () {
+    const { translator, chainlinkTranslator, router, initializer, token, owner, user, currentChainIds, chainSelectors } = await loadFixture(deployContractsFixture);
+    await token.setRelayRoute(currentChainIds[1], ethers.constants.AddressZero);
+    await token.setExternalRelay(chainlinkTranslator.address);
+    await initializer.setBackupRelays(token.address, currentChainIds[1], [ethers.constants.AddressZero]);
+    await router.setChainSupported(chainSelectors[1], false);
+
+    const transfer = await initTransfer(token, owner, user, currentChainIds[1]);
+    await expect(transfer.send())
+        .to.emit(initializer, 'RelayFailoverEvent')
+        .withArgs(transfer.transferHash, chainlinkTranslator.address, (reason) => reason.length > 2)
+        .and.to.emit(translator, 'SendMessageEvent');
+
+    await expect(token.resendAsterizmTransfer(transfer.transferHash, {value: 1}))
+        .to.emit(translator, 'ResendFailedTransferEvent')
+        .withArgs(transfer.transferHash, token.address, 1);
+  });
+
+  it("Should send transfer with backup relay when relay fee tokens are not enough and refund backup relay fee overpayment", async function () {
+    const { translator, backupRelay, chainlinkTranslator, router, initializer, token, owner, user, currentChainIds, backupRelayFee } = await loadFixture(deployContractsFixture);
+    await router.setBaseFee(100);
+    await backupRelay.setChainFee(currentChainIds[1], backupRelayFee, 0, 0, 0);
+    await initializer.setBackupRelays(token.address, currentChainIds[1], [backupRelay.address, ethers.constants.AddressZero]);
+
+    const transfer = await initTransfer(token, owner, user, currentChainIds[1], backupRelayFee + 10);
+    await expect(transfer.send())
+        .to.emit(initializer, 'RelayFailoverEvent')
+        .withArgs(transfer.transferHash, chainlinkTranslator.address, (reason) => reason.length > 2)
+        .and.to.emit(initializer, 'RefundFeeEvent')
+        .withArgs(transfer.transferHash, owner.address, 10)
+        .and.to.emit(backupRelay, 'SendMessageEvent');
+    expect((await translator.queryFilter(translator.filters.SendMessageEvent())).length).to.equal(0);
+    expect(await ethers.provider.getBalance(token.address)).to.equal(0);
+  });
+
+  it("Should refund CCIP native fee surplus when trusted relay fee is greater than CCIP fee", async function () {
+    const { chainlinkTranslator, router, initializer, token, owner, user, currentChainIds } = await loadFixture(deployContractsFixture);
+    await router.setNativeFee(20);
+    await initializer.manageTrustedRelay(chainlinkTranslator.address, 50, 0);
+    await chainlinkTranslator.setClientFeeType(token.address, 2);
+
+    const transfer = await initTransfer(token, owner, user, currentChainIds[1], 60);
+    await expect(transfer.send())
+        .to.emit(router, 'CcipSendEvent')
+        .withArgs((value) => value.length == 66, 20)
+        .and.to.emit(initializer, 'RefundFeeEvent')
+        .withArgs(transfer.transferHash, owner.address, 40)
+        .and.not.to.emit(initializer, 'RelayFailoverEvent');
+    expect(await ethers.provider.getBalance(chainlinkTranslator.address)).to.equal(0);
+    expect(await ethers.provider.getBalance(initializer.address)).to.equal(0);
+  });
+
+  it("Should revert transfer with the last relay error when all relays failed", async function () {
+    const { translator, backupRelay, chainlinkTranslator, router, initializer, token, owner, user, currentChainIds, chainSelectors } = await loadFixture(deployContractsFixture);
+    await router.setChainSupported(chainSelectors[1], false);
+    let transfer = await initTransfer(token, owner, user, currentChainIds[1]);
+    await expect(transfer.send()).to.be.revertedWith("TranslatorChainlink: chain is not supported");
+
+    await initializer.setBackupRelays(token.address, currentChainIds[1], [ethers.constants.AddressZero, backupRelay.address]);
+    await translator.removeChainById(currentChainIds[1]);
+    await expect(transfer.send()).to.be.revertedWith("AsterizmInitializer: fee not enough");
+
+    // Reverted relays changes are rolled back
+    await initializer.setBackupRelays(token.address, currentChainIds[1], []);
+    await router.setChainSupported(chainSelectors[1], true);
+    await translator.addChain(currentChainIds[1], 1);
+    await expect(transfer.send())
+        .to.emit(chainlinkTranslator, 'SendMessageEvent')
+        .and.not.to.emit(initializer, 'RelayFailoverEvent');
+  });
+});
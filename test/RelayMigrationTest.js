@@ -0,0 +1,142 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+
+describe("External relay migration", function () {
+  const ACTIVATION_DELAY = 2 * 24 * 3600;
+  const RESEND_PERIOD = 14 * 24 * 3600;
+
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const TokenUpgradeable = await ethers.getContractFactory("MultiChainTokenUpgradeableV1");
+    const [owner, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const deployTranslator = async () => {
+      const translator = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+        initialize: 'initialize',
+        kind: 'uups',
+      });
+      await translator.deployed();
+      await translator.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+      return translator;
+    };
+    const translator = await deployTranslator();
+    const oldRelay = await deployTranslator();
+    const newRelay = await deployTranslator();
+
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer.deployed();
+    for (const relay of [translator, oldRelay, newRelay]) {
+      await relay.setInitializer(initializer.address);
+    }
+    await initializer.manageTrustedRelay(oldRelay.address, 0, 0);
+    await initializer.manageTrustedRelay(newRelay.address, 0, 0);
+
+    const token = await Token.deploy(initializer.address, 1000000);
+    await token.deployed();
+    await token.addTrustedAddresses(currentChainIds, [token.address, token.address]);
+    await token.setExternalRelay(oldRelay.address);
+
+    const tokenUpgradeable = await upgrades.deployProxy(TokenUpgradeable, [initializer.address, 1000000], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await tokenUpgradeable.deployed();
+    await tokenUpgradeable.addTrustedAddresses(currentChainIds, [tokenUpgradeable.address, tokenUpgradeable.address]);
+    await tokenUpgradeable.setExternalRelay(oldRelay.address);
+
+    return { translator, oldRelay, newRelay, token, tokenUpgradeable, owner, user, currentChainIds };
+  }
+
+  async function sendTransfer(token, owner, user, dstChainId) {
+    const receipt = await (await token.crossChainTransfer(dstChainId, owner.address, user.address, 100)).wait();
+    const args = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+    await token.initAsterizmTransfer(dstChainId, args._txId, args._transferHash);
+
+    return args._transferHash;
+  }
+
+  it("Should set relay immediately only before the first transfer", async function () {
+    const { oldRelay, newRelay, token, owner, user, currentChainIds } = await loadFixture(deployContractsFixture);
+    await expect(token.connect(user).setExternalRelay(newRelay.address)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(token.setExternalRelay(oldRelay.address))
+        .to.emit(token, 'SetExternalRelayEvent')
+        .withArgs(oldRelay.address);
+
+    await sendTransfer(token, owner, user, currentChainIds[1]);
+    const tx = await token.setExternalRelay(newRelay.address);
+    const activationTime = (await ethers.provider.getBlock(tx.blockNumber)).timestamp + ACTIVATION_DELAY;
+    await expect(tx)
+        .to.emit(token, 'ProposeExternalRelayEvent')
+        .withArgs(oldRelay.address, newRelay.address, activationTime);
+    expect(await token.getExternalRelay()).to.equal(oldRelay.address);
+
+    await expect(token.activateExternalRelay()).to.be.revertedWith("AsterizmClient: relay not ready");
+    await time.increase(ACTIVATION_DELAY);
+    await expect(token.connect(user).activateExternalRelay()).to.be.revertedWith("Ownable: caller is not the owner");
+  });
+
+  for (const tokenName of ['token', 'tokenUpgradeable']) {
+    it(`Should send transfers with activated relay and resend old transfers with previous relay until cutoff (${tokenName})`, async function () {
+      const fixture = await loadFixture(deployContractsFixture);
+      const { oldRelay, newRelay, owner, user, currentChainIds } = fixture;
+      const token = fixture[tokenName];
+      const oldTransferHash = await sendTransfer(token, owner, user, currentChainIds[1]);
+      expect((await oldRelay.queryFilter(oldRelay.filters.SendMessageEvent())).length).to.equal(1);
+
+      await token.setExternalRelay(newRelay.address);
+      await time.increase(ACTIVATION_DELAY);
+      const tx = await token.activateExternalRelay();
+      const resendCutoffTime = (await ethers.provider.getBlock(tx.blockNumber)).timestamp + RESEND_PERIOD;
+      await expect(tx)
+          .to.emit(token, 'ActivateExternalRelayEvent')
+          .withArgs(oldRelay.address, newRelay.address, resendCutoffTime);
+      expect(await token.getExternalRelay()).to.equal(newRelay.address);
+      await expect(token.activateExternalRelay()).to.be.revertedWith("AsterizmClient: relay not ready");
+
+      const newTransferHash = await sendTransfer(token, owner, user, currentChainIds[1]);
+      expect((await oldRelay.queryFilter(oldRelay.filters.SendMessageEvent())).length).to.equal(1);
+      expect((await newRelay.queryFilter(newRelay.filters.SendMessageEvent())).length).to.equal(1);
+
+      await expect(token.resendAsterizmTransfer(oldTransferHash))
+          .to.emit(oldRelay, 'ResendFailedTransferEvent')
+          .withArgs(oldTransferHash, token.address, 0);
+      await expect(token.resendAsterizmTransfer(newTransferHash))
+          .to.emit(newRelay, 'ResendFailedTransferEvent')
+          .withArgs(newTransferHash, token.address, 0);
+
+      await time.increase(RESEND_PERIOD);
+      await expect(token.resendAsterizmTransfer(oldTransferHash))
+          .to.emit(newRelay, 'ResendFailedTransferEvent')
+          .withArgs(oldTransferHash, token.address, 0);
+    });
+  }
+
+  it("Should replace proposal and migrate to default translator", async function () {
+    const { translator, oldRelay, newRelay, token, owner, user, currentChainIds } = await loadFixture(deployContractsFixture);
+    const oldTransferHash = await sendTransfer(token, owner, user, currentChainIds[1]);
+    await token.setExternalRelay(newRelay.address);
+    await time.increase(ACTIVATION_DELAY / 2);
+    await token.setExternalRelay(ethers.constants.AddressZero);
+    await time.increase(ACTIVATION_DELAY / 2);
+    await expect(token.activateExternalRelay()).to.be.revertedWith("AsterizmClient: relay not ready");
+
+    await time.increase(ACTIVATION_DELAY / 2);
+    await expect(token.activateExternalRelay())
+        .to.emit(token, 'ActivateExternalRelayEvent');
+    expect(await token.getExternalRelay()).to.equal(ethers.constants.AddressZero);
+
+    await sendTransfer(token, owner, user, currentChainIds[1]);
+    expect((await translator.queryFilter(translator.filters.SendMessageEvent())).length).to.equal(1);
+    expect((await newRelay.queryFilter(newRelay.filters.SendMessageEvent())).length).to.equal(0);
+    await expect(token.resendAsterizmTransfer(oldTransferHash))
+        .to.emit(oldRelay, 'ResendFailedTransferEvent');
+  });
+});
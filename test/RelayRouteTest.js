@@ -0,0 +1,159 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { getClientFeeQuote } = require("../lib/fee_quote");
+
+describe("Relay routes", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const TokenUpgradeable = await ethers.getContractFactory("MultiChainTokenUpgradeableV1");
+    const FeeToken = await ethers.getContractFactory("AsterizmTestToken");
+    const [owner, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2, 3];
+    const chainTypes = {EVM: 1, TVM: 2};
+    const routeRelayFee = 7;
+
+    const deployTranslator = async () => {
+      const translator = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+        initialize: 'initialize',
+        kind: 'uups',
+      });
+      await translator.deployed();
+      await translator.addChains(currentChainIds, currentChainIds.map(() => chainTypes.EVM));
+
+      return translator;
+    };
+    const translator = await deployTranslator();
+    const externalRelay = await deployTranslator();
+    const routeRelay = await deployTranslator();
+
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer.deployed();
+    for (const relay of [translator, externalRelay, routeRelay]) {
+      await relay.setInitializer(initializer.address);
+    }
+    await initializer.manageTrustedRelay(externalRelay.address, 0, 0);
+    await initializer.manageTrustedRelay(routeRelay.address, routeRelayFee, 0);
+
+    const token = await Token.deploy(initializer.address, 1000000);
+    await token.deployed();
+    await token.addTrustedAddresses(currentChainIds, currentChainIds.map(() => token.address));
+
+    const tokenUpgradeable = await upgrades.deployProxy(TokenUpgradeable, [initializer.address, 1000000], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await tokenUpgradeable.deployed();
+    await tokenUpgradeable.addTrustedAddresses(currentChainIds, currentChainIds.map(() => tokenUpgradeable.address));
+
+    const feeToken = await FeeToken.deploy(1000000, 18);
+    await feeToken.deployed();
+
+    return { translator, externalRelay, routeRelay, token, tokenUpgradeable, feeToken, owner, user, currentChainIds, routeRelayFee };
+  }
+
+  async function sendTransfer(token, owner, user, dstChainId, feeAmount = 0) {
+    const receipt = await (await token.crossChainTransfer(dstChainId, owner.address, user.address, 100)).wait();
+    const args = receipt.events.find(event => event.event == 'InitiateTransferEvent').args;
+    await token.initAsterizmTransfer(dstChainId, args._txId, args._transferHash, {value: feeAmount});
+
+    return args._transferHash;
+  }
+
+  async function sentMessagesCount(relay) {
+    return (await relay.queryFilter(relay.filters.SendMessageEvent())).length;
+  }
+
+  for (const tokenName of ['token', 'tokenUpgradeable']) {
+    it(`Should send and resend transfers with destination chain relay (${tokenName})`, async function () {
+      const fixture = await loadFixture(deployContractsFixture);
+      const { translator, externalRelay, routeRelay, owner, user, currentChainIds, routeRelayFee } = fixture;
+      const token = fixture[tokenName];
+      await token.setExternalRelay(externalRelay.address);
+      await expect(token.connect(user).setRelayRoute(currentChainIds[2], routeRelay.address)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(token.setRelayRoute(currentChainIds[2], routeRelay.address))
+          .to.emit(token, 'SetRelayRouteEvent')
+          .withArgs(currentChainIds[2], routeRelay.address);
+      expect(await token.getRelay(currentChainIds[1])).to.equal(externalRelay.address);
+      expect(await token.getRelay(currentChainIds[2])).to.equal(routeRelay.address);
+
+      const externalTransferHash = await sendTransfer(token, owner, user, currentChainIds[1]);
+      const routeTransferHash = await sendTransfer(token, owner, user, currentChainIds[2], routeRelayFee);
+      expect(await sentMessagesCount(externalRelay)).to.equal(1);
+      expect(await sentMessagesCount(routeRelay)).to.equal(1);
+      expect(await sentMessagesCount(translator)).to.equal(0);
+
+      // Resends are sent with relay of transfer after route changing
+      await expect(token.setRelayRoute(currentChainIds[2], ethers.constants.AddressZero))
+          .to.emit(token, 'SetRelayRouteEvent')
+          .withArgs(currentChainIds[2], ethers.constants.AddressZero);
+      expect(await token.getRelay(currentChainIds[2])).to.equal(externalRelay.address);
+      await expect(token.resendAsterizmTransfer(routeTransferHash))
+          .to.emit(routeRelay, 'ResendFailedTransferEvent')
+          .withArgs(routeTransferHash, token.address, 0);
+      await expect(token.resendAsterizmTransfer(externalTransferHash))
+          .to.emit(externalRelay, 'ResendFailedTransferEvent')
+          .withArgs(externalTransferHash, token.address, 0);
+
+      await sendTransfer(token, owner, user, currentChainIds[2]);
+      expect(await sentMessagesCount(externalRelay)).to.equal(2);
+      expect(await sentMessagesCount(routeRelay)).to.equal(1);
+    });
+  }
+
+  it("Should route chain to default translator without external relay", async function () {
+    const { translator, routeRelay, token, owner, user, currentChainIds, routeRelayFee } = await loadFixture(deployContractsFixture);
+    await token.setRelayRoute(currentChainIds[2], routeRelay.address);
+    expect(await token.getRelay(currentChainIds[1])).to.equal(ethers.constants.AddressZero);
+
+    await sendTransfer(token, owner, user, currentChainIds[1]);
+    await sendTransfer(token, owner, user, currentChainIds[2], routeRelayFee);
+    expect(await sentMessagesCount(translator)).to.equal(1);
+    expect(await sentMessagesCount(routeRelay)).to.equal(1);
+  });
+
+  it("Should route chain to default translator with translator address when external relay is set", async function () {
+    const { translator, externalRelay, token, owner, user, currentChainIds } = await loadFixture(deployContractsFixture);
+    await token.setExternalRelay(externalRelay.address);
+    await token.setRelayRoute(currentChainIds[2], translator.address);
+    expect(await token.getRelay(currentChainIds[1])).to.equal(externalRelay.address);
+    expect(await token.getRelay(currentChainIds[2])).to.equal(translator.address);
+
+    await sendTransfer(token, owner, user, currentChainIds[1]);
+    const transferHash = await sendTransfer(token, owner, user, currentChainIds[2]);
+    expect(await sentMessagesCount(externalRelay)).to.equal(1);
+    expect(await sentMessagesCount(translator)).to.equal(1);
+    await expect(token.resendAsterizmTransfer(transferHash))
+        .to.emit(translator, 'ResendFailedTransferEvent')
+        .withArgs(transferHash, token.address, 0);
+  });
+
+  it("Should quote and charge fee in tokens with destination chain relay", async function () {
+    const { translator, routeRelay, token, feeToken, owner, user, currentChainIds, routeRelayFee } = await loadFixture(deployContractsFixture);
+    await token.setRelayRoute(currentChainIds[2], routeRelay.address);
+    await routeRelay.addFeeToken(feeToken.address);
+    await routeRelay.setTokenFee(feeToken.address, currentChainIds[2], 50);
+    await translator.addFeeToken(feeToken.address);
+    await translator.setTokenFee(feeToken.address, currentChainIds[1], 30);
+    await token.setFeeToken(feeToken.address);
+    await feeToken.transfer(token.address, 1000);
+
+    let quote = await getClientFeeQuote(ethers.provider, token.address, currentChainIds[2]);
+    expect(quote.relayAddress).to.equal(routeRelay.address);
+    expect(quote.nativeFee).to.equal(routeRelayFee);
+    expect(quote.tokenFee).to.equal(50);
+    quote = await getClientFeeQuote(ethers.provider, token.address, currentChainIds[1]);
+    expect(quote.relayAddress).to.equal(ethers.constants.AddressZero);
+    expect(quote.tokenFee).to.equal(30);
+
+    await sendTransfer(token, owner, user, currentChainIds[2], routeRelayFee);
+    expect(await feeToken.balanceOf(routeRelay.address)).to.equal(50);
+    await sendTransfer(token, owner, user, currentChainIds[1]);
+    expect(await feeToken.balanceOf(translator.address)).to.equal(30);
+    expect(await feeToken.balanceOf(token.address)).to.equal(1000 - 50 - 30);
+  });
+});
@@ -0,0 +1,260 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { LocalRelayer, TRANSFER_PAYLOAD_TYPES } = require("../lib/local_relayer");
+const { ClientServer } = require("../lib/client_server");
+
+describe("Relayer attestation", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const [owner, user, relayer1, relayer2, relayer3, forger] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator1 = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator1.deployed();
+    await translator1.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const translator2 = await upgrades.deployProxy(Transalor, [currentChainIds[1], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator2.deployed();
+    await translator2.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    for (const relayer of [relayer1, relayer2, relayer3, forger]) {
+      await translator2.addRelayer(relayer.address);
+    }
+    await translator2.removeRelayer(owner.address);
+    await translator2.setAttestationThreshold(2);
+
+    const initializer1 = await upgrades.deployProxy(Initializer, [translator1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer1.deployed();
+    const initializer2 = await upgrades.deployProxy(Initializer, [translator2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer2.deployed();
+    await translator1.setInitializer(initializer1.address);
+    await translator2.setInitializer(initializer2.address);
+
+    const token1 = await Token.deploy(initializer1.address, 1000000);
+    await token1.deployed();
+    const token2 = await Token.deploy(initializer2.address, 1000000);
+    await token2.deployed();
+    await token1.addTrustedAddresses(currentChainIds, [token1.address, token2.address]);
+    await token2.addTrustedAddresses(currentChainIds, [token1.address, token2.address]);
+
+    return { translator1, translator2, initializer2, token1, token2, owner, user, relayer1, relayer2, relayer3, forger, currentChainIds };
+  }
+
+  /// Send tokens and return transfer payload of translator
+  async function sendTokens(fixture, amount) {
+    const { translator1, token1, owner, user, currentChainIds } = fixture;
+    const server = new ClientServer();
+    await server.addClient(currentChainIds[0], token1);
+    await token1.crossChainTransfer(currentChainIds[1], owner.address, user.address, amount);
+    const [transfer] = await server.process();
+    const receipt = await ethers.provider.getTransactionReceipt(transfer.txHashes[0]);
+    const log = receipt.logs.find(log => log.address == translator1.address);
+
+    return translator1.interface.parseLog(log).args._payload;
+  }
+
+  /// Create local relayer which delivers transfers with relayer signer
+  async function createRelayer(fixture, signer) {
+    const { translator1, translator2, currentChainIds } = fixture;
+    const relayer = new LocalRelayer({notifyResult: false});
+    await relayer.addTranslator(currentChainIds[0], translator1.connect(signer));
+    await relayer.addTranslator(currentChainIds[1], translator2.connect(signer));
+
+    return relayer;
+  }
+
+  function forgePayload(payload, dstAddress) {
+    const decoded = ethers.utils.defaultAbiCoder.decode(TRANSFER_PAYLOAD_TYPES, payload);
+    return ethers.utils.defaultAbiCoder.encode(TRANSFER_PAYLOAD_TYPES, [decoded[0], decoded[1], decoded[2], dstAddress, decoded[4], decoded[5], decoded[6]]);
+  }
+
+  it("Should transfer payload after attestations threshold is reached", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator2, initializer2, relayer1, relayer2, relayer3 } = fixture;
+    const relayers = [];
+    for (const signer of [relayer1, relayer2, relayer3]) {
+      relayers.push(await createRelayer(fixture, signer));
+    }
+    const payload = await sendTokens(fixture, 100);
+    const payloadHash = ethers.utils.keccak256(payload);
+
+    const [transfer1] = await relayers[0].relay();
+    expect(transfer1.status).to.equal('attested');
+    let attestation = await translator2.getAttestation(payloadHash);
+    expect(attestation.status).to.equal(0);
+    expect(attestation.attestationsCount).to.equal(1);
+    expect(attestation.relayers).to.deep.equal([relayer1.address]);
+    expect(await translator2.getPendingAttestations()).to.deep.equal([payloadHash]);
+    expect((await initializer2.getPayloadDelivery(transfer1.transferHash)).status).to.equal(0);
+    await expect(translator2.connect(relayer1).transferMessage(300000, payload)).to.be.revertedWith("AsterizmAttestation: payload attested already");
+
+    const [transfer2] = await relayers[1].relay();
+    expect(transfer2.status).to.equal('delivered');
+    attestation = await translator2.getAttestation(payloadHash);
+    expect(attestation.status).to.equal(1);
+    expect(attestation.attestationsCount).to.equal(2);
+    expect(await translator2.getPendingAttestations()).to.be.empty;
+    expect((await initializer2.getPayloadDelivery(transfer2.transferHash)).status).to.equal(1);
+
+    const [transfer3] = await relayers[2].relay();
+    expect(transfer3.status).to.equal('attested'); // Late attestation is ignored
+    expect((await translator2.getAttestation(payloadHash)).relayers).to.deep.equal([relayer1.address, relayer2.address]);
+  });
+
+  it("Should not transfer payload attested by single relayer on disagreement", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator2, token1, token2, relayer1, relayer2, relayer3, forger } = fixture;
+    const relayer = await createRelayer(fixture, relayer1);
+    const payload = await sendTokens(fixture, 100);
+    const payloadHash = ethers.utils.keccak256(payload);
+    const forgedPayload = forgePayload(payload, BigNumber.from(token1.address)); // Any contract address
+    const forgedPayloadHash = ethers.utils.keccak256(forgedPayload);
+
+    await expect(translator2.connect(forger).transferMessage(300000, forgedPayload))
+        .to.emit(translator2, 'AttestPayloadEvent')
+        .withArgs(forgedPayloadHash, forger.address, 1)
+        .and.not.to.emit(translator2, 'TransferSendEvent');
+    const [transfer1] = await relayer.relay();
+    expect(transfer1.status).to.equal('attested');
+    expect(await translator2.getPendingAttestations()).to.have.members([payloadHash, forgedPayloadHash]);
+
+    await expect(translator2.connect(relayer2).transferMessage(300000, payload))
+        .to.emit(translator2, 'AttestationQuorumEvent')
+        .withArgs(payloadHash, 2)
+        .and.to.emit(translator2, 'TransferSendEvent')
+        .withArgs(fixture.currentChainIds[0], BigNumber.from(token1.address), BigNumber.from(token2.address), transfer1.transferHash);
+    expect(await translator2.getPendingAttestations()).to.deep.equal([forgedPayloadHash]);
+
+    await expect(translator2.connect(relayer1).rejectAttestation(forgedPayloadHash)).to.be.revertedWith("AsterizmRoles: sender has not role");
+    await expect(translator2.rejectAttestation(forgedPayloadHash))
+        .to.emit(translator2, 'RejectAttestationEvent')
+        .withArgs(forgedPayloadHash);
+    expect(await translator2.getPendingAttestations()).to.be.empty;
+    expect((await translator2.getAttestation(forgedPayloadHash)).status).to.equal(2);
+    await expect(translator2.connect(relayer3).transferMessage(300000, forgedPayload)).to.be.revertedWith("AsterizmAttestation: payload is rejected");
+    await expect(translator2.rejectAttestation(payloadHash)).to.be.revertedWith("AsterizmAttestation: pending attestation not exists");
+  });
+
+  it("Should not count attestations of removed relayers", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator2, relayer1, relayer2, relayer3 } = fixture;
+    const payload = await sendTokens(fixture, 100);
+    const payloadHash = ethers.utils.keccak256(payload);
+
+    await translator2.connect(relayer1).transferMessage(300000, payload);
+    await translator2.removeRelayer(relayer1.address);
+    await expect(translator2.connect(relayer2).transferMessage(300000, payload))
+        .to.emit(translator2, 'AttestPayloadEvent')
+        .withArgs(payloadHash, relayer2.address, 1)
+        .and.not.to.emit(translator2, 'TransferSendEvent');
+    await expect(translator2.connect(relayer3).transferMessage(300000, payload))
+        .to.emit(translator2, 'TransferSendEvent');
+    expect((await translator2.getAttestation(payloadHash)).attestationsCount).to.equal(2);
+  });
+
+  it("Should transfer pending payload by anyone after attestation threshold lowering", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator2, initializer2, user, relayer1 } = fixture;
+    const payload = await sendTokens(fixture, 100);
+    const payloadHash = ethers.utils.keccak256(payload);
+    await expect(translator2.connect(user).transferAttestedMessage(payload)).to.be.revertedWith("Translator: attestations quorum not reached");
+
+    await translator2.connect(relayer1).transferMessage(300000, payload);
+    await expect(translator2.connect(user).transferAttestedMessage(payload)).to.be.revertedWith("Translator: attestations quorum not reached");
+    await translator2.setAttestationThreshold(1);
+    await expect(translator2.connect(user).transferAttestedMessage(payload))
+        .to.emit(translator2, 'AttestationQuorumEvent')
+        .withArgs(payloadHash, 1)
+        .and.to.emit(translator2, 'TransferSendEvent');
+    expect((await translator2.getAttestation(payloadHash)).status).to.equal(1);
+    expect(await translator2.getPendingAttestations()).to.be.empty;
+    const [, , , , , , transferHash] = ethers.utils.defaultAbiCoder.decode(TRANSFER_PAYLOAD_TYPES, payload);
+    expect((await initializer2.getPayloadDelivery(transferHash)).status).to.not.equal(0);
+    await expect(translator2.connect(user).transferAttestedMessage(payload)).to.be.revertedWith("Translator: attestations quorum not reached");
+  });
+
+  it("Should transfer payload by any relayer without quorum mode", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator2, relayer1 } = fixture;
+    await expect(translator2.connect(relayer1).setAttestationThreshold(0)).to.be.revertedWith("AsterizmRoles: sender has not role");
+    await expect(translator2.setAttestationThreshold(0))
+        .to.emit(translator2, 'SetAttestationThresholdEvent')
+        .withArgs(0);
+    const relayer = await createRelayer(fixture, relayer1);
+    const payload = await sendTokens(fixture, 100);
+
+    const [transfer] = await relayer.relay();
+    expect(transfer.status).to.equal('delivered');
+    expect((await translator2.getAttestation(ethers.utils.keccak256(payload))).relayers).to.be.empty;
+  });
+
+  it("Should transfer Chainlink payload after CCIP message and attestations threshold", async function () {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const TransalorChainlink = await ethers.getContractFactory("AsterizmTranslatorChainlink");
+    const ChainlinkRouter = await ethers.getContractFactory("ChainlinkTestRouter");
+    const ChainlinkToken = await ethers.getContractFactory("ChainlinkTestToken");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const [owner, relayer1, relayer2, srcClient] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainSelectors = [11, 12];
+
+    const chainlinkToken = await ChainlinkToken.deploy(1000000000, 18);
+    const router = await ChainlinkRouter.deploy(chainlinkToken.address, 0);
+    const translator = await TransalorChainlink.deploy(currentChainIds[1], 1, chainSelectors[1], router.address, chainlinkToken.address);
+    await translator.addChains(currentChainIds, [1, 1], chainSelectors);
+    await translator.addRelayer(relayer1.address);
+    await translator.addRelayer(relayer2.address);
+    await translator.setAttestationThreshold(2);
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator.setInitializer(initializer.address);
+    const token = await Token.deploy(initializer.address, 1000000);
+    await token.addTrustedAddress(currentChainIds[0], srcClient.address);
+
+    const routeMessage = (payload) => router.routeMessage({
+      messageId: ethers.utils.keccak256(payload),
+      sourceChainSelector: chainSelectors[0],
+      sender: ethers.utils.defaultAbiCoder.encode(['address'], [translator.address]),
+      data: payload,
+      destTokenAmounts: [],
+    }, 0, 0, translator.address);
+    const buildPayload = (txId) => ethers.utils.defaultAbiCoder.encode(TRANSFER_PAYLOAD_TYPES, [
+      currentChainIds[0], BigNumber.from(srcClient.address), currentChainIds[1], BigNumber.from(token.address), txId, false, ethers.utils.formatBytes32String('transfer' + txId),
+    ]);
+
+    // CCIP message first
+    const payload1 = buildPayload(0);
+    await expect(routeMessage(payload1)).not.to.emit(translator, 'TransferSendEvent');
+    expect(await translator.isCcipPayloadReceived(ethers.utils.keccak256(payload1))).to.equal(true);
+    expect(await translator.getPendingAttestations()).to.deep.equal([ethers.utils.keccak256(payload1)]);
+    await expect(translator.connect(relayer1).transferMessage(300000, payload1)).not.to.emit(translator, 'TransferSendEvent');
+    await expect(translator.connect(relayer2).transferMessage(300000, payload1)).to.emit(translator, 'TransferSendEvent');
+
+    // Attestations first
+    const payload2 = buildPayload(1);
+    await translator.connect(relayer1).transferMessage(300000, payload2);
+    await expect(translator.connect(relayer2).transferMessage(300000, payload2)).not.to.emit(translator, 'TransferSendEvent');
+    expect((await translator.getAttestation(ethers.utils.keccak256(payload2))).status).to.equal(0);
+    await expect(routeMessage(payload2))
+        .to.emit(translator, 'AttestationQuorumEvent')
+        .and.to.emit(translator, 'TransferSendEvent');
+    expect(await translator.getPendingAttestations()).to.be.empty;
+    await expect(routeMessage(payload2)).not.to.emit(translator, 'TransferSendEvent');
+  });
+});
@@ -0,0 +1,144 @@
+const { loadFixture, impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { LocalRelayer } = require("../lib/local_relayer");
+const { ClientServer } = require("../lib/client_server");
+
+describe("Retry payload", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const [owner, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator1 = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator1.deployed();
+    await translator1.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const translator2 = await upgrades.deployProxy(Transalor, [currentChainIds[1], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator2.deployed();
+    await translator2.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+    const initializer1 = await upgrades.deployProxy(Initializer, [translator1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer1.deployed();
+    const initializer2 = await upgrades.deployProxy(Initializer, [translator2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer2.deployed();
+    await translator1.setInitializer(initializer1.address);
+    await translator2.setInitializer(initializer2.address);
+
+    const token1 = await Token.deploy(initializer1.address, 1000000);
+    await token1.deployed();
+    const token2 = await Token.deploy(initializer2.address, 1000000);
+    await token2.deployed();
+    await token1.addTrustedAddresses(currentChainIds, [token1.address, token2.address]);
+    await token2.addTrustedAddress(currentChainIds[1], token2.address); // Source chain trusted address is missing
+
+    return { translator1, translator2, initializer1, initializer2, token1, token2, owner, user, currentChainIds };
+  }
+
+  /// Send tokens and relay transfer to destination initializer
+  async function sendAndRelay(fixture, amount) {
+    const { translator1, translator2, token1, owner, user, currentChainIds } = fixture;
+    const relayer = new LocalRelayer({notifyResult: false});
+    await relayer.addTranslator(currentChainIds[0], translator1);
+    await relayer.addTranslator(currentChainIds[1], translator2);
+    const server = new ClientServer();
+    await server.addClient(currentChainIds[0], token1);
+
+    const receipt = await (await token1.crossChainTransfer(currentChainIds[1], owner.address, user.address, amount)).wait();
+    await server.process();
+    await relayer.relay();
+
+    return receipt.events.find(event => event.event == 'InitiateTransferEvent').args._transferHash;
+  }
+
+  it("Should store failed delivery and retry it after fixing trusted address", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { initializer2, token1, token2, user, currentChainIds } = fixture;
+    const transferHash = await sendAndRelay(fixture, 100);
+
+    let delivery = await initializer2.getPayloadDelivery(transferHash);
+    expect(delivery.status).to.equal(2);
+    expect(delivery.attempts).to.equal(1);
+    expect(await initializer2.validIncomeTransferHash(transferHash)).to.equal(true);
+
+    await expect(initializer2.connect(user).retryPayload(transferHash)).to.be.revertedWith("AsterizmInitializer: only owner or destination client");
+    await expect(initializer2.retryPayload(transferHash))
+        .to.emit(initializer2, 'PayloadErrorEvent')
+        .and.to.emit(initializer2, 'RetryPayloadEvent')
+        .withArgs(transferHash, 2, false);
+
+    await token2.addTrustedAddress(currentChainIds[0], token1.address);
+    await expect(initializer2.retryPayload(transferHash))
+        .to.emit(token2, 'PayloadReceivedEvent')
+        .and.to.emit(initializer2, 'RetryPayloadEvent')
+        .withArgs(transferHash, 3, true);
+    delivery = await initializer2.getPayloadDelivery(transferHash);
+    expect(delivery.status).to.equal(1);
+    expect(delivery.attempts).to.equal(3);
+    await expect(initializer2.retryPayload(transferHash)).to.be.revertedWith("AsterizmInitializer: failed payload not exists");
+  });
+
+  it("Should retry failed delivery by destination client", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { initializer2, token1, token2, currentChainIds } = fixture;
+    const transferHash = await sendAndRelay(fixture, 100);
+    await token2.addTrustedAddress(currentChainIds[0], token1.address);
+
+    await impersonateAccount(token2.address);
+    await setBalance(token2.address, ethers.utils.parseEther("1"));
+    const client = await ethers.getSigner(token2.address);
+    await expect(initializer2.connect(client).retryPayload(transferHash))
+        .to.emit(initializer2, 'RetryPayloadEvent')
+        .withArgs(transferHash, 2, true);
+  });
+
+  it("Should abandon failed delivery", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { initializer2, token1, token2, user, currentChainIds } = fixture;
+    const transferHash = await sendAndRelay(fixture, 100);
+    await expect(initializer2.retryPayload(transferHash))
+        .to.emit(initializer2, 'RetryPayloadEvent')
+        .withArgs(transferHash, 2, false);
+
+    await expect(initializer2.connect(user).abandonPayload(transferHash)).to.be.revertedWith("AsterizmInitializer: only owner or destination client");
+    await expect(initializer2.abandonPayload(transferHash))
+        .to.emit(initializer2, 'AbandonPayloadEvent')
+        .withArgs(transferHash, 2);
+    const delivery = await initializer2.getPayloadDelivery(transferHash);
+    expect(delivery.status).to.equal(3);
+    expect(delivery.attempts).to.equal(2);
+
+    await token2.addTrustedAddress(currentChainIds[0], token1.address);
+    await expect(initializer2.retryPayload(transferHash)).to.be.revertedWith("AsterizmInitializer: failed payload not exists");
+    await expect(initializer2.abandonPayload(transferHash)).to.be.revertedWith("AsterizmInitializer: failed payload not exists");
+  });
+
+  it("Should return delivery status of successful and unknown transfers", async function () {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { initializer2, token1, token2, currentChainIds } = fixture;
+    await token2.addTrustedAddress(currentChainIds[0], token1.address);
+    const transferHash = await sendAndRelay(fixture, 100);
+
+    let delivery = await initializer2.getPayloadDelivery(transferHash);
+    expect(delivery.status).to.equal(1);
+    expect(delivery.attempts).to.equal(1);
+    await expect(initializer2.retryPayload(transferHash)).to.be.revertedWith("AsterizmInitializer: failed payload not exists");
+
+    delivery = await initializer2.getPayloadDelivery(ethers.constants.HashZero);
+    expect(delivery.status).to.equal(0);
+    expect(delivery.attempts).to.equal(0);
+  });
+});
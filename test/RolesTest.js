@@ -0,0 +1,129 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+
+describe("Roles", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Timelock = await ethers.getContractFactory("AsterizmTimelock");
+    const [owner, feeManager, relayerAdmin, blocklistOperator, treasurer, upgrader, chainManager, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator.deployed();
+    await translator.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer.deployed();
+    await translator.setInitializer(initializer.address);
+
+    const roles = {
+      feeManager: [await translator.FEE_MANAGER_ROLE(), feeManager],
+      relayerAdmin: [await translator.RELAYER_ADMIN_ROLE(), relayerAdmin],
+      blocklistOperator: [await translator.BLOCKLIST_OPERATOR_ROLE(), blocklistOperator],
+      treasurer: [await translator.TREASURER_ROLE(), treasurer],
+      upgrader: [await translator.UPGRADER_ROLE(), upgrader],
+      chainManager: [await translator.CHAIN_MANAGER_ROLE(), chainManager],
+    };
+    for (const contract of [translator, initializer]) {
+      for (const [role, account] of Object.values(roles)) {
+        await contract.grantRole(role, account.address);
+      }
+    }
+
+    const timelock = await Timelock.deploy(3600, [owner.address], [owner.address], ethers.constants.AddressZero);
+    await timelock.deployed();
+
+    return { Initializer, Transalor, translator, initializer, timelock, roles, owner, feeManager, relayerAdmin, blocklistOperator, treasurer, upgrader, chainManager, user, currentChainIds };
+  }
+
+  it("Should grant, revoke and renounce roles", async function () {
+    const { translator, owner, feeManager, user, roles, currentChainIds } = await loadFixture(deployContractsFixture);
+    const [feeManagerRole] = roles.feeManager;
+    expect(await translator.hasRole(feeManagerRole, feeManager.address)).to.equal(true);
+    expect(await translator.hasRole(feeManagerRole, owner.address)).to.equal(true);
+    expect(await translator.hasRole(feeManagerRole, user.address)).to.equal(false);
+
+    await expect(translator.connect(feeManager).grantRole(feeManagerRole, user.address)).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(translator.grantRole(feeManagerRole, user.address))
+        .to.emit(translator, 'GrantRoleEvent')
+        .withArgs(feeManagerRole, user.address);
+    await expect(translator.connect(user).renounceRole(feeManagerRole))
+        .to.emit(translator, 'RevokeRoleEvent')
+        .withArgs(feeManagerRole, user.address);
+    expect(await translator.hasRole(feeManagerRole, user.address)).to.equal(false);
+
+    await expect(translator.connect(feeManager).revokeRole(feeManagerRole, feeManager.address)).to.be.revertedWith("Ownable: caller is not the owner");
+    await translator.revokeRole(feeManagerRole, feeManager.address);
+    await expect(translator.connect(feeManager).setChainFee(currentChainIds[1], 100, 0, 0, 0)).to.be.revertedWith("AsterizmRoles: sender has not role");
+  });
+
+  it("Should split translator and initializer methods by roles", async function () {
+    const { translator, initializer, feeManager, relayerAdmin, blocklistOperator, treasurer, chainManager, user, currentChainIds } = await loadFixture(deployContractsFixture);
+    const denied = "AsterizmRoles: sender has not role";
+
+    await expect(translator.connect(treasurer).setChainFee(currentChainIds[1], 100, 0, 0, 0)).to.be.revertedWith(denied);
+    await expect(translator.connect(feeManager).setChainFee(currentChainIds[1], 100, 0, 0, 0)).to.emit(translator, 'SetChainFeeEvent');
+    await expect(translator.connect(feeManager).addFeeToken(user.address)).to.emit(translator, 'AddFeeTokenEvent');
+
+    await expect(translator.connect(feeManager).addRelayer(user.address)).to.be.revertedWith(denied);
+    await expect(translator.connect(relayerAdmin).addRelayer(user.address)).to.emit(translator, 'AddRelayerEvent');
+    await expect(translator.connect(relayerAdmin).removeRelayer(user.address)).to.emit(translator, 'RemoveRelayerEvent');
+    await expect(initializer.connect(relayerAdmin).manageTrustedRelay(user.address, 0, 0)).to.emit(initializer, 'TrustedRelayEvent');
+    await expect(initializer.connect(relayerAdmin).removeTrustedRelay(user.address)).to.emit(initializer, 'RemoveTrustedRelayEvent');
+
+    await expect(initializer.connect(relayerAdmin).addBlockAddress(currentChainIds[1], 1)).to.be.revertedWith(denied);
+    await expect(initializer.connect(blocklistOperator).addBlockAddress(currentChainIds[1], 1)).to.emit(initializer, 'AddBlockAddressEvent');
+    await expect(initializer.connect(blocklistOperator).removeBlockAddress(currentChainIds[1], 1)).to.emit(initializer, 'RemoveBlockAddressEvent');
+
+    await user.sendTransaction({to: translator.address, value: 100});
+    await expect(translator.connect(blocklistOperator).withdrawCoins(user.address, 100)).to.be.revertedWith(denied);
+    await expect(translator.connect(treasurer).withdrawCoins(user.address, 100))
+        .to.emit(translator, 'WithdrawCoinsEvent')
+        .withArgs(user.address, 100);
+
+    await expect(translator.connect(relayerAdmin).addChain(3, 1)).to.be.revertedWith(denied);
+    await expect(translator.connect(chainManager).addChain(3, 1)).to.emit(translator, 'AddChainEvent').withArgs(3, 1);
+    await expect(translator.connect(chainManager).addChains([4], [1])).to.emit(translator, 'AddChainEvent').withArgs(4, 1);
+    await expect(translator.connect(chainManager).removeChainById(4)).to.emit(translator, 'RemoveChainEvent').withArgs(4);
+    await expect(translator.connect(relayerAdmin).updateChainTypes()).to.be.revertedWith(denied);
+    await expect(translator.connect(chainManager).updateChainTypes()).to.emit(translator, 'UpdateChainTypesEvent');
+
+    await expect(translator.connect(chainManager).setAttestationThreshold(2)).to.be.revertedWith(denied);
+    await expect(translator.connect(relayerAdmin).setAttestationThreshold(2)).to.emit(translator, 'SetAttestationThresholdEvent').withArgs(2);
+    await expect(translator.connect(chainManager).rejectAttestation(ethers.constants.HashZero)).to.be.revertedWith(denied);
+    await expect(translator.connect(relayerAdmin).rejectAttestation(ethers.constants.HashZero)).to.be.revertedWith("AsterizmAttestation: pending attestation not exists");
+
+    // Wiring is managed by owner
+    await expect(initializer.connect(relayerAdmin).setTransalor(user.address)).to.be.revertedWith("Ownable: caller is not the owner");
+  });
+
+  it("Should upgrade contracts by upgrader and keep roles", async function () {
+    const { Transalor, translator, upgrader, feeManager, user, roles } = await loadFixture(deployContractsFixture);
+    await expect(upgrades.upgradeProxy(translator.address, Transalor.connect(user), {kind: 'uups'})).to.be.revertedWith("AsterizmRoles: sender has not role");
+
+    const upgraded = await upgrades.upgradeProxy(translator.address, Transalor.connect(upgrader), {kind: 'uups'});
+    expect(upgraded.address).to.equal(translator.address);
+    expect(await translator.hasRole(roles.feeManager[0], feeManager.address)).to.equal(true);
+    expect(await translator.hasRole(roles.upgrader[0], upgrader.address)).to.equal(true);
+  });
+
+  it("Should execute timelocked methods only by timelock if it is set", async function () {
+    const { translator, initializer, timelock, relayerAdmin, user } = await loadFixture(deployContractsFixture);
+    await translator.setTimelock(timelock.address);
+    await initializer.setTimelock(timelock.address);
+
+    await expect(translator.connect(relayerAdmin).addRelayer(user.address)).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(translator.addRelayer(user.address)).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(initializer.connect(relayerAdmin).manageTrustedRelay(user.address, 0, 0)).to.be.revertedWith("AsterizmTimelock: only timelock");
+
+    // Not timelocked methods are executed by role
+    await expect(translator.connect(relayerAdmin).removeRelayer(user.address)).to.emit(translator, 'RemoveRelayerEvent');
+  });
+});
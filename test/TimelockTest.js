@@ -0,0 +1,148 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+
+describe("Timelocked administration", function () {
+  const DELAY = 3600;
+  const ZERO_BYTES32 = ethers.constants.HashZero;
+
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Token = await ethers.getContractFactory("MultichainToken");
+    const Timelock = await ethers.getContractFactory("AsterizmTimelock");
+    const [owner, user] = await ethers.getSigners();
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator.deployed();
+    await translator.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer.deployed();
+    await translator.setInitializer(initializer.address);
+    const token = await Token.deploy(initializer.address, 1000000);
+    await token.deployed();
+
+    const timelock = await Timelock.deploy(DELAY, [owner.address], [owner.address], ethers.constants.AddressZero);
+    await timelock.deployed();
+
+    return { Transalor, translator, initializer, token, timelock, owner, user, currentChainIds };
+  }
+
+  async function loadTimelockedFixture() {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator, initializer, token, timelock } = fixture;
+    for (const contract of [translator, initializer, token]) {
+      await contract.setTimelock(timelock.address);
+    }
+
+    return fixture;
+  }
+
+  async function schedule(timelock, target, data, salt = ZERO_BYTES32) {
+    await timelock.schedule(target.address, 0, data, ZERO_BYTES32, salt, DELAY);
+
+    return {
+      id: await timelock.hashOperation(target.address, 0, data, ZERO_BYTES32, salt),
+      execute: () => timelock.execute(target.address, 0, data, ZERO_BYTES32, salt),
+    };
+  }
+
+  it("Should execute critical changes by owner without timelock", async function () {
+    const { translator, initializer, token, user, currentChainIds } = await loadFixture(deployContractsFixture);
+    expect(await translator.getTimelock()).to.equal(ethers.constants.AddressZero);
+    await expect(translator.connect(user).addRelayer(user.address)).to.be.revertedWith("AsterizmRoles: sender has not role");
+    await expect(initializer.connect(user).manageTrustedRelay(user.address, 0, 0)).to.be.revertedWith("AsterizmRoles: sender has not role");
+    await expect(token.connect(user).addTrustedAddress(currentChainIds[1], user.address)).to.be.revertedWith("Ownable: caller is not the owner");
+
+    await expect(translator.addRelayer(user.address)).to.emit(translator, 'AddRelayerEvent');
+    await expect(initializer.manageTrustedRelay(user.address, 0, 0)).to.emit(initializer, 'TrustedRelayEvent');
+    await expect(token.addTrustedAddress(currentChainIds[1], user.address)).to.emit(token, 'AddTrustedAddressEvent');
+  });
+
+  it("Should execute critical changes only with timelocked operations after delay", async function () {
+    const { translator, initializer, token, timelock, owner, user, currentChainIds } = await loadTimelockedFixture();
+    await expect(translator.addRelayer(user.address)).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(translator.setInitializer(user.address)).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(initializer.setTransalor(user.address)).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(initializer.manageTrustedRelay(user.address, 0, 0)).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(token.addTrustedAddress(currentChainIds[1], user.address)).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(token.addTrustedAddresses([currentChainIds[1]], [user.address])).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(token.setRelayRoute(currentChainIds[1], user.address)).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(token.setExternalRelay(user.address)).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(token.activateExternalRelay()).to.be.revertedWith("AsterizmTimelock: only timelock");
+    await expect(initializer.setBackupRelays(token.address, currentChainIds[1], [ethers.constants.AddressZero])).to.be.revertedWith("AsterizmInitializer: only client or client admin");
+
+    // Not timelocked changes are executed by owner
+    await expect(translator.removeRelayer(owner.address)).to.emit(translator, 'RemoveRelayerEvent');
+
+    const addRelayer = await schedule(timelock, translator, translator.interface.encodeFunctionData('addRelayer', [user.address]));
+    const addTrustedAddress = await schedule(timelock, token, token.interface.encodeFunctionData('addTrustedAddress', [currentChainIds[1], user.address]));
+    const setRelayRoute = await schedule(timelock, token, token.interface.encodeFunctionData('setRelayRoute', [currentChainIds[1], user.address]));
+    const setExternalRelay = await schedule(timelock, token, token.interface.encodeFunctionData('setExternalRelay', [user.address]));
+    const setBackupRelays = await schedule(timelock, initializer, initializer.interface.encodeFunctionData('setBackupRelays', [token.address, currentChainIds[1], [ethers.constants.AddressZero]]));
+    expect(await timelock.isOperationPending(addRelayer.id)).to.equal(true);
+    await expect(addRelayer.execute()).to.be.revertedWith("TimelockController: operation is not ready");
+
+    await time.increase(DELAY);
+    await expect(addRelayer.execute())
+        .to.emit(translator, 'AddRelayerEvent')
+        .withArgs(user.address);
+    await expect(addTrustedAddress.execute())
+        .to.emit(token, 'AddTrustedAddressEvent')
+        .withArgs(currentChainIds[1], user.address);
+    await expect(setRelayRoute.execute())
+        .to.emit(token, 'SetRelayRouteEvent')
+        .withArgs(currentChainIds[1], user.address);
+    await expect(setExternalRelay.execute())
+        .to.emit(token, 'SetExternalRelayEvent')
+        .withArgs(user.address);
+    await expect(setBackupRelays.execute())
+        .to.emit(initializer, 'SetBackupRelaysEvent')
+        .withArgs(token.address, currentChainIds[1], [ethers.constants.AddressZero]);
+    expect(await timelock.isOperationDone(addRelayer.id)).to.equal(true);
+    expect((await token.getTrustedAddresses(currentChainIds[1])).trustedAddress).to.equal(user.address);
+  });
+
+  it("Should cancel scheduled operation", async function () {
+    const { initializer, timelock, user } = await loadTimelockedFixture();
+    const setTransalor = await schedule(timelock, initializer, initializer.interface.encodeFunctionData('setTransalor', [user.address]));
+    await expect(timelock.connect(user).cancel(setTransalor.id)).to.be.reverted;
+    await expect(timelock.cancel(setTransalor.id))
+        .to.emit(timelock, 'Cancelled')
+        .withArgs(setTransalor.id);
+
+    await time.increase(DELAY);
+    await expect(setTransalor.execute()).to.be.revertedWith("TimelockController: operation is not ready");
+  });
+
+  it("Should upgrade UUPS contracts only with timelocked operation", async function () {
+    const { Transalor, translator, timelock } = await loadTimelockedFixture();
+    const implementation = await upgrades.prepareUpgrade(translator.address, Transalor, {kind: 'uups'});
+    await expect(translator.upgradeTo(implementation)).to.be.revertedWith("AsterizmTimelock: only timelock");
+
+    const upgrade = await schedule(timelock, translator, translator.interface.encodeFunctionData('upgradeTo', [implementation]));
+    await time.increase(DELAY);
+    await expect(upgrade.execute())
+        .to.emit(translator, 'Upgraded')
+        .withArgs(implementation);
+  });
+
+  it("Should change timelock only with timelocked operation", async function () {
+    const { translator, timelock, user } = await loadTimelockedFixture();
+    await expect(translator.setTimelock(ethers.constants.AddressZero)).to.be.revertedWith("AsterizmTimelock: only timelock");
+
+    const removeTimelock = await schedule(timelock, translator, translator.interface.encodeFunctionData('setTimelock', [ethers.constants.AddressZero]));
+    await time.increase(DELAY);
+    await expect(removeTimelock.execute())
+        .to.emit(translator, 'SetTimelockEvent')
+        .withArgs(ethers.constants.AddressZero);
+    await expect(translator.addRelayer(user.address)).to.emit(translator, 'AddRelayerEvent');
+  });
+});
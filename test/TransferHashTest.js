@@ -0,0 +1,103 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const {
+  ChainTypes, PayloadEncoders, buildPayloadEncoder, buildSimpleHash, buildCrosschainHash, isSimpleHash, buildTransferHash, validTransferHash
+} = require("../lib/transfer_hash");
+
+describe("Transfer hash library", function () {
+  async function deployContractsFixture() {
+    const HashLib = await ethers.getContractFactory("AsterizmTestHashLib");
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Demo = await ethers.getContractFactory("AsterizmDemo");
+    const currentChainIds = [1, 2, 3];
+    const chainTypes = [ChainTypes.EVM, ChainTypes.TVM, ChainTypes.SOL];
+
+    const hashLib = await HashLib.deploy();
+    await hashLib.deployed();
+
+    const translator = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes[0]], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator.deployed();
+    await translator.addChains(currentChainIds, chainTypes);
+    const initializer = await upgrades.deployProxy(Initializer, [translator.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer.deployed();
+    await translator.setInitializer(initializer.address);
+
+    const demo = await Demo.deploy(initializer.address);
+    await demo.deployed();
+    await demo.addTrustedAddresses(currentChainIds, [demo.address, 1000, 2000]);
+
+    return { hashLib, demo, currentChainIds, chainTypes };
+  }
+
+  it("Should build same hashes as AsterizmHashLib for random payload sizes", async function () {
+    const { hashLib } = await loadFixture(deployContractsFixture);
+    const sizes = [112, 113, 238, 239, 240, 366];
+    for (let i = 0; i < 10; i++) {
+      sizes.push(112 + Math.floor(Math.random() * 1000));
+    }
+
+    for (const size of sizes) {
+      const packed = ethers.utils.randomBytes(size);
+      expect(buildSimpleHash(packed)).to.equal(await hashLib.buildSimpleHash(packed));
+      expect(buildCrosschainHash(packed)).to.equal(await hashLib.buildCrosschainHash(packed));
+    }
+  });
+
+  it("Should reject crosschain hash for packed data without static chunk", async function () {
+    expect(() => buildCrosschainHash(ethers.utils.randomBytes(111))).to.throw("at least 112 bytes");
+  });
+
+  it("Should select hash algorithm by chain types", async function () {
+    expect(isSimpleHash(ChainTypes.EVM, ChainTypes.EVM)).to.equal(true);
+    expect(isSimpleHash(ChainTypes.EVM, ChainTypes.TVM)).to.equal(false);
+    expect(isSimpleHash(ChainTypes.TON, ChainTypes.EVM)).to.equal(false);
+    expect(isSimpleHash(ChainTypes.EVM, ChainTypes.SOL)).to.equal(true);
+    expect(isSimpleHash(ChainTypes.SOL, ChainTypes.TVM)).to.equal(true);
+  });
+
+  it("Should build same transfer hashes as AsterizmClient", async function () {
+    const { demo, currentChainIds, chainTypes } = await loadFixture(deployContractsFixture);
+    const message = "New message for transfer hash validation. ".repeat(10);
+    for (let i = 0; i < currentChainIds.length; i++) {
+      let dstAddress, txId, transferHash, payload;
+      await expect(demo.sendMessage(currentChainIds[i], message))
+          .to.emit(demo, 'InitiateTransferEvent')
+          .withArgs(
+              currentChainIds[i],
+              (value) => {dstAddress = value; return true;},
+              (value) => {txId = value; return true;},
+              (value) => {transferHash = value; return true;},
+              (value) => {payload = value; return true;},
+          );
+
+      const transfer = {
+        srcChainId: currentChainIds[0],
+        srcAddress: demo.address,
+        dstChainId: currentChainIds[i],
+        dstAddress: dstAddress,
+        txId: txId,
+        packedPayload: PayloadEncoders.demo(payload),
+      };
+      expect(buildTransferHash(transfer, chainTypes[0], chainTypes[i])).to.equal(transferHash);
+      expect(validTransferHash(transfer, chainTypes[0], chainTypes[i], transferHash)).to.equal(true);
+      expect(validTransferHash({...transfer, txId: txId.add(1)}, chainTypes[0], chainTypes[i], transferHash)).to.equal(false);
+    }
+  });
+
+  it("Should pack client payloads", async function () {
+    const coder = ethers.utils.defaultAbiCoder;
+    expect(PayloadEncoders.multichainToken(coder.encode(['uint', 'uint', 'uint'], [1, 2, 3])))
+        .to.equal(ethers.utils.solidityPack(['uint', 'uint', 'uint'], [1, 2, 3]));
+    expect(PayloadEncoders.gasStation(coder.encode(['uint', 'uint', 'uint', 'uint', 'uint8'], [1, 2, 3, 4, 18])))
+        .to.equal(ethers.utils.solidityPack(['uint', 'uint', 'uint', 'uint', 'uint8'], [1, 2, 3, 4, 18]));
+    expect(buildPayloadEncoder(['address', 'uint8'])(coder.encode(['address', 'uint8'], [ethers.constants.AddressZero, 1])))
+        .to.equal(ethers.utils.solidityPack(['address', 'uint8'], [ethers.constants.AddressZero, 1]));
+  });
+});
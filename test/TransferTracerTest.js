@@ -0,0 +1,121 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { LocalRelayer } = require("../lib/local_relayer");
+const { ClientServer } = require("../lib/client_server");
+const { TransferTracer, TransferState } = require("../lib/transfer_tracer");
+
+describe("Transfer tracer", function () {
+  async function deployContractsFixture() {
+    const Initializer = await ethers.getContractFactory("AsterizmInitializerV1");
+    const Transalor = await ethers.getContractFactory("AsterizmTranslatorV1");
+    const Demo = await ethers.getContractFactory("AsterizmDemo");
+    const currentChainIds = [1, 2];
+    const chainTypes = {EVM: 1, TVM: 2};
+
+    const translator1 = await upgrades.deployProxy(Transalor, [currentChainIds[0], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator1.deployed();
+    await translator1.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+    const translator2 = await upgrades.deployProxy(Transalor, [currentChainIds[1], chainTypes.EVM], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await translator2.deployed();
+    await translator2.addChains(currentChainIds, [chainTypes.EVM, chainTypes.EVM]);
+
+    const initializer1 = await upgrades.deployProxy(Initializer, [translator1.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer1.deployed();
+    const initializer2 = await upgrades.deployProxy(Initializer, [translator2.address], {
+      initialize: 'initialize',
+      kind: 'uups',
+    });
+    await initializer2.deployed();
+    await translator1.setInitializer(initializer1.address);
+    await translator2.setInitializer(initializer2.address);
+
+    const demo1 = await Demo.deploy(initializer1.address);
+    await demo1.deployed();
+    const demo2 = await Demo.deploy(initializer2.address);
+    await demo2.deployed();
+    await demo1.addTrustedAddresses(currentChainIds, [demo1.address, demo2.address]);
+    await demo2.addTrustedAddresses(currentChainIds, [demo1.address, demo2.address]);
+
+    return { translator1, translator2, initializer1, initializer2, demo1, demo2, currentChainIds };
+  }
+
+  async function loadTracerFixture() {
+    const fixture = await loadFixture(deployContractsFixture);
+    const { translator1, translator2, initializer1, initializer2, demo1, demo2, currentChainIds } = fixture;
+    const relayer = new LocalRelayer({notifyResult: false});
+    await relayer.addTranslator(currentChainIds[0], translator1);
+    await relayer.addTranslator(currentChainIds[1], translator2);
+    const server = new ClientServer({feeAmount: 100});
+    await server.addClient(currentChainIds[0], demo1);
+    await server.addClient(currentChainIds[1], demo2);
+    const tracer = new TransferTracer();
+    tracer.addNetwork(currentChainIds[0], ethers.provider, {addresses: [translator1.address, initializer1.address, demo1.address]});
+    tracer.addNetwork(currentChainIds[1], ethers.provider, {addresses: [translator2.address, initializer2.address]});
+
+    return {...fixture, relayer, server, tracer};
+  }
+
+  async function sendMessage(demo, dstChainId, message) {
+    const receipt = await (await demo.sendMessage(dstChainId, message)).wait();
+
+    return receipt.events.find(event => event.event == 'InitiateTransferEvent').args._transferHash;
+  }
+
+  it("Should trace transfer through all lifecycle states", async function () {
+    const { demo1, demo2, relayer, server, tracer, currentChainIds } = await loadTracerFixture();
+    const events = (transfer) => transfer.timeline.map(item => item.event);
+    const transferHash = await sendMessage(demo1, currentChainIds[1], "New message");
+
+    let transfer = await tracer.trace(transferHash);
+    expect(transfer.state).to.equal(TransferState.PENDING_FEE);
+    expect(events(transfer)).to.deep.equal(['InitiateTransferEvent']);
+    expect(transfer.srcChainId).to.equal(currentChainIds[0]);
+    expect(transfer.dstChainId).to.equal(currentChainIds[1]);
+    expect(transfer.dstAddress).to.equal(ethers.BigNumber.from(demo2.address).toString());
+
+    await server.process();
+    transfer = await tracer.trace(transferHash);
+    expect(transfer.state).to.equal(TransferState.SENT);
+    expect(events(transfer)).to.deep.equal(['InitiateTransferEvent', 'SendMessageEvent']);
+    expect(transfer.timeline[1].args._feeValue).to.equal('100');
+
+    await relayer.relay();
+    transfer = await tracer.trace(transferHash);
+    expect(transfer.state).to.equal(TransferState.RELAYED);
+    expect(events(transfer)).to.include.members(['TransferSendEvent', 'PayloadReceivedEvent', 'SentPayloadEvent']);
+
+    await server.process();
+    transfer = await tracer.trace(transferHash);
+    expect(transfer.state).to.equal(TransferState.EXECUTED);
+  });
+
+  it("Should find transfer failed on destination with reason", async function () {
+    const { demo1, demo2, relayer, server, tracer, currentChainIds } = await loadTracerFixture();
+    await demo2.removeTrustedAddress(currentChainIds[0]);
+    const transferHash = await sendMessage(demo1, currentChainIds[1], "New message");
+    await server.process();
+    await relayer.relay();
+
+    const transfer = await tracer.trace(transferHash);
+    expect(transfer.state).to.equal(TransferState.FAILED_ON_DESTINATION);
+    const error = transfer.timeline.find(item => item.event == 'PayloadErrorEvent');
+    expect(error.chainId).to.equal(currentChainIds[1]);
+    expect(error.args._reason).to.equal("AsterizmClient: wrong source address");
+  });
+
+  it("Should not find unknown transfer", async function () {
+    const { tracer } = await loadTracerFixture();
+    const transfer = await tracer.trace(ethers.utils.randomBytes(32));
+    expect(transfer.state).to.equal(TransferState.NOT_FOUND);
+    expect(transfer.timeline).to.be.empty;
+  });
+});
@@ -605,4 +605,59 @@ describe("Venidium logic", function () {
         await expect(tokenStableSrc.withdrawTokens(token2.address, owner.address, valueWithDecimals))
             .to.be.revertedWith("AsterizmWithdrawal: tokens withdrawal is disabled");
     });
+    it("Should queue transfers over the outbound limit and cancel or release them with native logic", async function () {
+        const { token1, tokenNativeSrc, owner, user, currentChainIds } = await loadFixture(deployContractsFixture);
+        let valueWithDecimals = BigNumber.from(10).mul(pow);
+        let startOwnerTokenBalance = await token1.balanceOf(owner.address);
+        await tokenNativeSrc.setRateLimit(currentChainIds[1], true, 1, 0);
+        expect(await token1.approve(tokenNativeSrc.address, valueWithDecimals.mul(2))).not.to.be.reverted;
+        for (let i = 0; i < 2; i++) {
+            await expect(tokenNativeSrc.crossChainTransfer(currentChainIds[1], owner.address, user.address, valueWithDecimals))
+                .to.emit(tokenNativeSrc, 'QueueTransferEvent')
+                .withArgs(i, currentChainIds[1], true, owner.address, user.address, valueWithDecimals)
+                .and.not.to.emit(tokenNativeSrc, 'InitiateTransferEvent');
+        }
+        expect(await token1.balanceOf(tokenNativeSrc.address)).to.equal(valueWithDecimals.mul(2));
+
+        await expect(tokenNativeSrc.processQueuedTransfer(0, false))
+            .to.emit(tokenNativeSrc, 'ProcessQueuedTransferEvent')
+            .withArgs(0, false);
+        expect(await token1.balanceOf(owner.address)).to.equal(startOwnerTokenBalance.sub(valueWithDecimals));
+        await expect(tokenNativeSrc.processQueuedTransfer(1, true))
+            .to.emit(tokenNativeSrc, 'InitiateTransferEvent');
+        expect(await token1.balanceOf(tokenNativeSrc.address)).to.equal(valueWithDecimals);
+    });
+    it("Should queue transfers over the inbound limit and mint them after release with stable logic", async function () {
+        let txId, transferHash, payload, packetValue;
+        const { token2, translator1, translator2, tokenStableSrc, tokenStableDst, owner, user, currentChainIds } = await loadFixture(deployContractsFixture);
+        let valueWithDecimals = BigNumber.from(10).mul(pow);
+        await tokenStableDst.setRateLimit(currentChainIds[0], false, 1, 0);
+        expect(await token2.approve(tokenStableSrc.address, valueWithDecimals)).not.to.be.reverted;
+        await expect(tokenStableSrc.crossChainTransfer(currentChainIds[1], owner.address, user.address, valueWithDecimals))
+            .to.emit(tokenStableSrc, 'InitiateTransferEvent')
+            .withArgs(
+                (value) => true,
+                (value) => true,
+                (value) => {txId = value; return true;},
+                (value) => {transferHash = value; return true;},
+                (value) => {payload = value; return true;},
+            );
+        await expect(tokenStableSrc.initAsterizmTransfer(currentChainIds[1], txId, transferHash))
+            .to.emit(translator1, 'SendMessageEvent')
+            .withArgs(
+                (value) => true,
+                (value) => {packetValue = value; return true;},
+            );
+        await expect(translator2.transferMessage(300000, packetValue))
+            .to.emit(tokenStableDst, 'PayloadReceivedEvent');
+        await expect(tokenStableDst.asterizmClReceive(currentChainIds[0], tokenStableSrc.address, txId, transferHash, payload))
+            .to.emit(tokenStableDst, 'QueueTransferEvent')
+            .withArgs(0, currentChainIds[0], false, user.address, tokenStableSrc.address, valueWithDecimals);
+        expect(await tokenStableDst.balanceOf(user.address)).to.equal(0);
+
+        await expect(tokenStableDst.processQueuedTransfer(0, true))
+            .to.emit(tokenStableDst, 'ProcessQueuedTransferEvent')
+            .withArgs(0, true);
+        expect(await tokenStableDst.balanceOf(user.address)).to.equal(valueWithDecimals);
+    });
 });